@@ -0,0 +1,40 @@
+// Creates [dbo].[CardNumberPool] table in DATADB (VaultIDCardProcessor) for the physical card number inventory
+// Uses environment variables: DATADB_SERVER, DATADB_USER, DATADB_PASSWORD, DATADB_NAME, DATADB_PORT
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const sql = require('mssql');
+
+async function main() {
+  const config = {
+    user: process.env.DATADB_USER,
+    password: process.env.DATADB_PASSWORD,
+    server: process.env.DATADB_SERVER,
+    database: process.env.DATADB_NAME || 'VaultIDCardProcessor',
+    port: parseInt(process.env.DATADB_PORT || '1433', 10),
+    options: { encrypt: false, trustServerCertificate: true },
+    pool: { max: 5, min: 0, idleTimeoutMillis: 30000 }
+  };
+
+  if (!config.server || !config.user || !config.password) {
+    console.error('Missing DATADB connection env. Required: DATADB_SERVER, DATADB_USER, DATADB_PASSWORD');
+    process.exit(1);
+  }
+
+  try {
+    console.log(`[DATADB] Connecting ${config.server}:${config.port}/${config.database}`);
+    await sql.connect(config);
+    console.log('[DATADB] Connected');
+    await sql.query("IF OBJECT_ID('dbo.CardNumberPool','U') IS NULL BEGIN CREATE TABLE [dbo].[CardNumberPool] ([CardNo] NVARCHAR(10) NOT NULL PRIMARY KEY, [RangeLabel] NVARCHAR(100) NOT NULL, [State] NVARCHAR(10) NOT NULL DEFAULT N'available', [ReservationId] UNIQUEIDENTIFIER NULL, [ReservedBy] NVARCHAR(200) NULL, [ReservedAt] DATETIME2 NULL, [AssignedAt] DATETIME2 NULL, [AssignedName] NVARCHAR(100) NULL, [Note] NVARCHAR(400) NULL, [UpdatedBy] NVARCHAR(200) NULL, [CreatedAt] DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(), [UpdatedAt] DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()); END");
+    await sql.query("IF NOT EXISTS (SELECT 1 FROM sys.check_constraints WHERE name = 'CK_CardNumberPool_State') ALTER TABLE [dbo].[CardNumberPool] ADD CONSTRAINT [CK_CardNumberPool_State] CHECK ([State] IN (N'available', N'reserved', N'assigned', N'void'))");
+    await sql.query("IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_CardNumberPool_State' AND object_id = OBJECT_ID('dbo.CardNumberPool')) CREATE INDEX [IX_CardNumberPool_State] ON [dbo].[CardNumberPool]([State], [CardNo])");
+    const check = await sql.query("SELECT TOP 1 * FROM [dbo].[CardNumberPool]");
+    console.log(`[DATADB] CardNumberPool table ready. Sample rows: ${check.recordset.length}`);
+  } catch (err) {
+    console.error('[DATADB] Error creating CardNumberPool table:', err.message || err);
+    process.exitCode = 1;
+  } finally {
+    await sql.close();
+  }
+}
+
+main();
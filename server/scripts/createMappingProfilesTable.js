@@ -0,0 +1,40 @@
+// Creates [dbo].[ColumnMappingProfiles] table in DATADB (VaultIDCardProcessor) for column mapping profiles
+// Uses environment variables: DATADB_SERVER, DATADB_USER, DATADB_PASSWORD, DATADB_NAME, DATADB_PORT
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const sql = require('mssql');
+
+async function main() {
+  const config = {
+    user: process.env.DATADB_USER,
+    password: process.env.DATADB_PASSWORD,
+    server: process.env.DATADB_SERVER,
+    database: process.env.DATADB_NAME || 'VaultIDCardProcessor',
+    port: parseInt(process.env.DATADB_PORT || '1433', 10),
+    options: { encrypt: false, trustServerCertificate: true },
+    pool: { max: 5, min: 0, idleTimeoutMillis: 30000 }
+  };
+
+  if (!config.server || !config.user || !config.password) {
+    console.error('Missing DATADB connection env. Required: DATADB_SERVER, DATADB_USER, DATADB_PASSWORD');
+    process.exit(1);
+  }
+
+  try {
+    console.log(`[DATADB] Connecting ${config.server}:${config.port}/${config.database}`);
+    await sql.connect(config);
+    console.log('[DATADB] Connected');
+    await sql.query("IF OBJECT_ID('dbo.ColumnMappingProfiles','U') IS NULL BEGIN CREATE TABLE [dbo].[ColumnMappingProfiles] ([Id] UNIQUEIDENTIFIER NOT NULL DEFAULT NEWID() PRIMARY KEY, [Name] NVARCHAR(100) NOT NULL, [Kind] NVARCHAR(20) NOT NULL, [Description] NVARCHAR(400) NULL, [Mappings] NVARCHAR(MAX) NOT NULL, [UpdatedBy] NVARCHAR(200) NULL, [CreatedAt] DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(), [UpdatedAt] DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()); END");
+    await sql.query("IF NOT EXISTS (SELECT 1 FROM sys.check_constraints WHERE name = 'CK_ColumnMappingProfiles_Kind') ALTER TABLE [dbo].[ColumnMappingProfiles] ADD CONSTRAINT [CK_ColumnMappingProfiles_Kind] CHECK ([Kind] IN (N'register', N'update', N'processor'))");
+    await sql.query("IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_ColumnMappingProfiles_Name' AND object_id = OBJECT_ID('dbo.ColumnMappingProfiles')) CREATE UNIQUE INDEX [IX_ColumnMappingProfiles_Name] ON [dbo].[ColumnMappingProfiles]([Name])");
+    const check = await sql.query("SELECT TOP 1 * FROM [dbo].[ColumnMappingProfiles]");
+    console.log(`[DATADB] ColumnMappingProfiles table ready. Sample rows: ${check.recordset.length}`);
+  } catch (err) {
+    console.error('[DATADB] Error creating ColumnMappingProfiles table:', err.message || err);
+    process.exitCode = 1;
+  } finally {
+    await sql.close();
+  }
+}
+
+main();
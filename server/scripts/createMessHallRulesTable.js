@@ -0,0 +1,97 @@
+// Creates [dbo].[MessHallRules] table in DATADB (VaultIDCardProcessor) for MessHall access rules and seeds the built-in rules.
+// On an existing table, rules still holding the values of an earlier built-in seed are migrated to the current built-ins.
+// Uses environment variables: DATADB_SERVER, DATADB_USER, DATADB_PASSWORD, DATADB_NAME, DATADB_PORT
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const sql = require('mssql');
+const { BUILTIN_MESSHALL_RULES, SUPERSEDED_BUILTIN_RULES } = require('../src/messHallRules');
+
+async function main() {
+  const config = {
+    user: process.env.DATADB_USER,
+    password: process.env.DATADB_PASSWORD,
+    server: process.env.DATADB_SERVER,
+    database: process.env.DATADB_NAME || 'VaultIDCardProcessor',
+    port: parseInt(process.env.DATADB_PORT || '1433', 10),
+    options: { encrypt: false, trustServerCertificate: true },
+    pool: { max: 5, min: 0, idleTimeoutMillis: 30000 }
+  };
+
+  if (!config.server || !config.user || !config.password) {
+    console.error('Missing DATADB connection env. Required: DATADB_SERVER, DATADB_USER, DATADB_PASSWORD');
+    process.exit(1);
+  }
+
+  try {
+    console.log(`[DATADB] Connecting ${config.server}:${config.port}/${config.database}`);
+    await sql.connect(config);
+    console.log('[DATADB] Connected');
+    await sql.query("IF OBJECT_ID('dbo.MessHallRules','U') IS NULL BEGIN CREATE TABLE [dbo].[MessHallRules] ([Id] UNIQUEIDENTIFIER NOT NULL DEFAULT NEWID() PRIMARY KEY, [Name] NVARCHAR(100) NOT NULL, [Patterns] NVARCHAR(MAX) NOT NULL, [AccessLevel] NVARCHAR(3) NULL, [VehicleNo] NVARCHAR(15) NULL, [FaceAccessLevel] NVARCHAR(3) NULL, [LiftAccessLevel] NVARCHAR(3) NULL, [SortOrder] INT NOT NULL DEFAULT 100, [Description] NVARCHAR(400) NULL, [UpdatedBy] NVARCHAR(200) NULL, [CreatedAt] DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(), [UpdatedAt] DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()); END");
+    await sql.query("IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_MessHallRules_Name' AND object_id = OBJECT_ID('dbo.MessHallRules')) CREATE UNIQUE INDEX [IX_MessHallRules_Name] ON [dbo].[MessHallRules]([Name])");
+    // Seed an empty table with the built-in rules so admins start from what the app already does
+    const existing = await sql.query("SELECT COUNT(*) AS cnt FROM [dbo].[MessHallRules]");
+    if (existing.recordset[0].cnt === 0) {
+      for (const rule of BUILTIN_MESSHALL_RULES) {
+        await insertRule(rule);
+      }
+      console.log(`[DATADB] Seeded ${BUILTIN_MESSHALL_RULES.length} built-in MessHall rules`);
+    } else {
+      await migrateSupersededRules();
+    }
+    const check = await sql.query("SELECT TOP 1 * FROM [dbo].[MessHallRules]");
+    console.log(`[DATADB] MessHallRules table ready. Sample rows: ${check.recordset.length}`);
+  } catch (err) {
+    console.error('[DATADB] Error creating MessHallRules table:', err.message || err);
+    process.exitCode = 1;
+  } finally {
+    await sql.close();
+  }
+}
+
+function insertRule(rule) {
+  return new sql.Request()
+    .input('name', sql.NVarChar(100), rule.name)
+    .input('patterns', sql.NVarChar(sql.MAX), JSON.stringify(rule.patterns))
+    .input('accessLevel', sql.NVarChar(3), rule.accessLevel || null)
+    .input('vehicleNo', sql.NVarChar(15), rule.vehicleNo || null)
+    .input('faceAccessLevel', sql.NVarChar(3), rule.faceAccessLevel || null)
+    .input('liftAccessLevel', sql.NVarChar(3), rule.liftAccessLevel || null)
+    .input('sortOrder', sql.Int, rule.sortOrder)
+    .input('description', sql.NVarChar(400), rule.description || null)
+    .query("INSERT INTO [dbo].[MessHallRules] (Name, Patterns, AccessLevel, VehicleNo, FaceAccessLevel, LiftAccessLevel, SortOrder, Description, UpdatedBy) VALUES (@name, @patterns, @accessLevel, @vehicleNo, @faceAccessLevel, @liftAccessLevel, @sortOrder, @description, N'createMessHallRulesTable')");
+}
+
+// The first built-in seed used the update template masks (Labota = 01, Makarti = 10, blank = 00) for names too.
+// Rules an admin has edited since are left alone; unedited copies take the current built-in values, and the
+// mask rules that came with the change are added when at least one copy was migrated.
+async function migrateSupersededRules() {
+  const rs = await sql.query("SELECT Id AS id, Name AS name, Patterns AS patterns, AccessLevel AS accessLevel, VehicleNo AS vehicleNo FROM [dbo].[MessHallRules]");
+  const stored = rs.recordset || [];
+  let migrated = 0;
+  for (const old of SUPERSEDED_BUILTIN_RULES) {
+    const row = stored.find(r => r.name === old.name);
+    if (!row || row.patterns !== JSON.stringify(old.patterns) || (row.accessLevel || '') !== old.accessLevel || (row.vehicleNo || '') !== old.vehicleNo) continue;
+    const target = BUILTIN_MESSHALL_RULES.find(b => b.name === old.to);
+    if (old.to !== old.name && stored.some(r => r.name === old.to)) continue;
+    await new sql.Request()
+      .input('id', sql.UniqueIdentifier, row.id)
+      .input('name', sql.NVarChar(100), target.name)
+      .input('patterns', sql.NVarChar(sql.MAX), JSON.stringify(target.patterns))
+      .input('accessLevel', sql.NVarChar(3), target.accessLevel || null)
+      .input('vehicleNo', sql.NVarChar(15), target.vehicleNo || null)
+      .input('sortOrder', sql.Int, target.sortOrder)
+      .input('description', sql.NVarChar(400), target.description || null)
+      .query("UPDATE [dbo].[MessHallRules] SET Name = @name, Patterns = @patterns, AccessLevel = @accessLevel, VehicleNo = @vehicleNo, SortOrder = @sortOrder, Description = @description, UpdatedBy = N'createMessHallRulesTable', UpdatedAt = SYSUTCDATETIME() WHERE Id = @id");
+    row.name = target.name;
+    migrated++;
+    console.log(`[DATADB] Migrated MessHall rule '${old.name}' to the built-in '${target.name}' (AccessLevel ${old.accessLevel || '-'} -> ${target.accessLevel || 'default'})`);
+  }
+  if (migrated === 0) return;
+  for (const rule of BUILTIN_MESSHALL_RULES) {
+    if (stored.some(r => r.name === rule.name)) continue;
+    await insertRule(rule);
+    console.log(`[DATADB] Added built-in MessHall rule '${rule.name}'`);
+  }
+}
+
+main();
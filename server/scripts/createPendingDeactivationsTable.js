@@ -0,0 +1,42 @@
+// Creates [dbo].[PendingDeactivations] table in DATADB (VaultIDCardProcessor) for the scheduled deactivation review queue
+// Uses environment variables: DATADB_SERVER, DATADB_USER, DATADB_PASSWORD, DATADB_NAME, DATADB_PORT
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const sql = require('mssql');
+
+async function main() {
+  const config = {
+    user: process.env.DATADB_USER,
+    password: process.env.DATADB_PASSWORD,
+    server: process.env.DATADB_SERVER,
+    database: process.env.DATADB_NAME || 'VaultIDCardProcessor',
+    port: parseInt(process.env.DATADB_PORT || '1433', 10),
+    options: { encrypt: false, trustServerCertificate: true },
+    pool: { max: 5, min: 0, idleTimeoutMillis: 30000 }
+  };
+
+  if (!config.server || !config.user || !config.password) {
+    console.error('Missing DATADB connection env. Required: DATADB_SERVER, DATADB_USER, DATADB_PASSWORD');
+    process.exit(1);
+  }
+
+  try {
+    console.log(`[DATADB] Connecting ${config.server}:${config.port}/${config.database}`);
+    await sql.connect(config);
+    console.log('[DATADB] Connected');
+    await sql.query("IF OBJECT_ID('dbo.PendingDeactivations','U') IS NULL BEGIN CREATE TABLE [dbo].[PendingDeactivations] ([Id] UNIQUEIDENTIFIER NOT NULL DEFAULT NEWID() PRIMARY KEY, [CardNo] NVARCHAR(10) NOT NULL, [StaffNo] NVARCHAR(50) NULL, [Name] NVARCHAR(100) NULL, [Reason] NVARCHAR(10) NOT NULL, [DueDate] DATE NOT NULL, [Source] NVARCHAR(10) NOT NULL, [State] NVARCHAR(12) NOT NULL DEFAULT N'pending', [DetectedAt] DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(), [ReviewedBy] NVARCHAR(200) NULL, [ReviewedAt] DATETIME2 NULL, [ExecutedAt] DATETIME2 NULL, [ResultCode] NVARCHAR(50) NULL, [ResultMessage] NVARCHAR(400) NULL, [UpdatedAt] DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()); END");
+    await sql.query("IF NOT EXISTS (SELECT 1 FROM sys.check_constraints WHERE name = 'CK_PendingDeactivations_State') ALTER TABLE [dbo].[PendingDeactivations] ADD CONSTRAINT [CK_PendingDeactivations_State] CHECK ([State] IN (N'pending', N'approved', N'rejected', N'deactivated', N'failed', N'skipped'))");
+    // One entry per card and due date, so a rejected card is not queued again by the next scan
+    await sql.query("IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_PendingDeactivations_CardNo_DueDate' AND object_id = OBJECT_ID('dbo.PendingDeactivations')) CREATE UNIQUE INDEX [IX_PendingDeactivations_CardNo_DueDate] ON [dbo].[PendingDeactivations]([CardNo], [DueDate])");
+    await sql.query("IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_PendingDeactivations_State' AND object_id = OBJECT_ID('dbo.PendingDeactivations')) CREATE INDEX [IX_PendingDeactivations_State] ON [dbo].[PendingDeactivations]([State], [DueDate])");
+    const check = await sql.query("SELECT TOP 1 * FROM [dbo].[PendingDeactivations]");
+    console.log(`[DATADB] PendingDeactivations table ready. Sample rows: ${check.recordset.length}`);
+  } catch (err) {
+    console.error('[DATADB] Error creating PendingDeactivations table:', err.message || err);
+    process.exitCode = 1;
+  } finally {
+    await sql.close();
+  }
+}
+
+main();
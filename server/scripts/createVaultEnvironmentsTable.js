@@ -0,0 +1,40 @@
+// Creates [dbo].[VaultEnvironments] table in DATADB (VaultIDCardProcessor) for the Vault environment registry
+// Uses environment variables: DATADB_SERVER, DATADB_USER, DATADB_PASSWORD, DATADB_NAME, DATADB_PORT
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const sql = require('mssql');
+
+async function main() {
+  const config = {
+    user: process.env.DATADB_USER,
+    password: process.env.DATADB_PASSWORD,
+    server: process.env.DATADB_SERVER,
+    database: process.env.DATADB_NAME || 'VaultIDCardProcessor',
+    port: parseInt(process.env.DATADB_PORT || '1433', 10),
+    options: { encrypt: false, trustServerCertificate: true },
+    pool: { max: 5, min: 0, idleTimeoutMillis: 30000 }
+  };
+
+  if (!config.server || !config.user || !config.password) {
+    console.error('Missing DATADB connection env. Required: DATADB_SERVER, DATADB_USER, DATADB_PASSWORD');
+    process.exit(1);
+  }
+
+  try {
+    console.log(`[DATADB] Connecting ${config.server}:${config.port}/${config.database}`);
+    await sql.connect(config);
+    console.log('[DATADB] Connected');
+    await sql.query("IF OBJECT_ID('dbo.VaultEnvironments','U') IS NULL BEGIN CREATE TABLE [dbo].[VaultEnvironments] ([Id] UNIQUEIDENTIFIER NOT NULL DEFAULT NEWID() PRIMARY KEY, [Name] NVARCHAR(100) NOT NULL, [EndpointBaseUrl] NVARCHAR(500) NOT NULL, [SoapVersion] NVARCHAR(5) NOT NULL DEFAULT N'1.1', [Namespace] NVARCHAR(200) NULL, [AddCardAction] NVARCHAR(200) NULL, [UpdateCardAction] NVARCHAR(200) NULL, [DeleteCardAction] NVARCHAR(200) NULL, [IsProduction] BIT NOT NULL DEFAULT 0, [Description] NVARCHAR(400) NULL, [UpdatedBy] NVARCHAR(200) NULL, [CreatedAt] DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(), [UpdatedAt] DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()); END");
+    await sql.query("IF NOT EXISTS (SELECT 1 FROM sys.check_constraints WHERE name = 'CK_VaultEnvironments_SoapVersion') ALTER TABLE [dbo].[VaultEnvironments] ADD CONSTRAINT [CK_VaultEnvironments_SoapVersion] CHECK ([SoapVersion] IN (N'1.1', N'1.2'))");
+    await sql.query("IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_VaultEnvironments_Name' AND object_id = OBJECT_ID('dbo.VaultEnvironments')) CREATE UNIQUE INDEX [IX_VaultEnvironments_Name] ON [dbo].[VaultEnvironments]([Name])");
+    const check = await sql.query("SELECT TOP 1 * FROM [dbo].[VaultEnvironments]");
+    console.log(`[DATADB] VaultEnvironments table ready. Sample rows: ${check.recordset.length}`);
+  } catch (err) {
+    console.error('[DATADB] Error creating VaultEnvironments table:', err.message || err);
+    process.exitCode = 1;
+  } finally {
+    await sql.close();
+  }
+}
+
+main();
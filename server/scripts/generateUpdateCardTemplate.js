@@ -20,14 +20,19 @@ function main() {
     'GENDER',
     // IDs
     'KTP/PASPORT NO',
+    'PASSPORT NO',
     // Dates & status
     'DATE OF BIRTH',
     'DATE OF HIRE',
     'WORK PERIOD END',
     'RACE',
     'CARD STATUS',
+    'NON EXPIRED',
+    'EXPIRED DATE',
     // Contact & address
     'ADDRESS',
+    'ADDRESS 2',
+    'EMAIL',
     'PHONE NO',
     // Access related
     'MESSHALL',
@@ -49,12 +54,17 @@ function main() {
     'POSITION': 'ASSISTANT',
     'GENDER': 'Male',
     'KTP/PASPORT NO': '3174xxxxxxxx',
+    'PASSPORT NO': '',
     'DATE OF BIRTH': '1990-01-02',
     'DATE OF HIRE': '2020-05-01',
     'WORK PERIOD END': '',
     'RACE': 'ASIAN',
     'CARD STATUS': 'Active',
+    'NON EXPIRED': 'false',
+    'EXPIRED DATE': '2027-12-31',
     'ADDRESS': 'Jl. Example 123',
+    'ADDRESS 2': '',
+    'EMAIL': 'john.doe@example.com',
     'PHONE NO': '+62 812 0000 0000',
     'MESSHALL': 'Makarti',
     'VEHICLE NO': '',
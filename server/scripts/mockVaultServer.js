@@ -0,0 +1,358 @@
+#!/usr/bin/env node
+// Local stand-in for the Vault APIwebservice.asmx SOAP endpoint.
+// Accepts AddCard/UpdateCard/DeleteCard envelopes (SOAP 1.1 and 1.2) and keeps cards in memory,
+// optionally persisted to a JSON file, so the register/update flows can run offline.
+//
+// Usage: npm run mock-vault [-- --port 8089 --store ./mock-vault-cards.json]
+// Then point the backend at it:
+//   VAULT_API_BASE=http://localhost:8089/Vaultsite/APIwebservice.asmx
+//
+// Fault injection:
+//   - Query string on the endpoint: ?fault=500 (plain HTTP 500), ?fault=soap (soap:Fault), ?fault=truncate, ?delayMs=2000
+//   - POST /__mock/faults { "http500": 3, "delayMs": 0, "failCardNos": ["1234567890"], "truncateCardNos": [] }
+//     -> next 3 SOAP calls return a plain HTTP 500 (like IIS when the app pool is down);
+//        listed cards always answer with a soap:Fault
+//   - GET /__mock/cards, DELETE /__mock/cards, GET /__mock/requests (last 200 calls)
+
+const path = require('path');
+const fs = require('fs');
+const http = require('http');
+
+const SOAP11_NS = 'http://schemas.xmlsoap.org/soap/envelope/';
+const SOAP12_NS = 'http://www.w3.org/2003/05/soap-envelope';
+const DEFAULT_NAMESPACE = process.env.VAULT_SOAP_NAMESPACE || 'http://tempuri.org/';
+
+// ErrCode values returned by the stand-in (0 = success, as in the production controller)
+const ERR = {
+  OK: '0',
+  TRUNCATED: '-1',
+  DUPLICATE: '-2',
+  NOT_FOUND: '-3',
+  INVALID: '-4',
+};
+
+// Column sizes of the Vault CardDB table; values longer than these trigger SQL truncation errors
+const FIELD_MAX = {
+  CardNo: 10, Name: 40, Department: 30, Company: 30, Title: 25, Position: 25, StaffNo: 15,
+  VehicleNo: 15, Address1: 50, Address2: 50, Email: 50, MobileNo: 20, NRIC: 50, Passport: 50,
+  AccessLevel: 3, FaceAccessLevel: 3, LiftAccessLevel: 3,
+};
+
+const PROFILE_FIELDS = [
+  'CardNo', 'Name', 'CardPinNo', 'CardType', 'Department', 'Company', 'Gentle', 'AccessLevel', 'FaceAccessLevel',
+  'LiftAccessLevel', 'BypassAP', 'ActiveStatus', 'NonExpired', 'ExpiredDate', 'VehicleNo', 'FloorNo', 'UnitNo',
+  'ParkingNo', 'StaffNo', 'Title', 'Position', 'NRIC', 'Passport', 'Race', 'DOB', 'JoiningDate', 'ResignDate',
+  'Address1', 'Address2', 'PostalCode', 'City', 'State', 'Email', 'MobileNo', 'Photo', 'DownloadCard',
+];
+
+function getArg(argv, name, def) {
+  const raw = argv.find(a => a === name || a.startsWith(name + '='));
+  if (!raw) return def;
+  if (raw.includes('=')) return raw.split('=').slice(1).join('=');
+  const idx = argv.indexOf(raw);
+  return argv[idx + 1] !== undefined ? argv[idx + 1] : def;
+}
+
+function unescapeXml(text) {
+  return String(text)
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function escapeXml(unsafe) {
+  if (unsafe === undefined || unsafe === null) return '';
+  return String(unsafe)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Extract the text of the first element with the given local name (ignores namespace prefixes)
+function elementText(xml, localName) {
+  const re = new RegExp(`<(?:[\\w-]+:)?${localName}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${localName}>`, 'i');
+  const m = xml.match(re);
+  return m ? unescapeXml(m[1].trim()) : undefined;
+}
+
+function parseCardProfile(xml) {
+  const m = xml.match(/<(?:[\w-]+:)?CardProfile(?:\s[^>]*)?>([\s\S]*?)<\/(?:[\w-]+:)?CardProfile>/i);
+  if (!m) return null;
+  const raw = m[1];
+  const profile = {};
+  for (const field of PROFILE_FIELDS) {
+    const val = elementText(raw, field);
+    if (val !== undefined) profile[field] = val;
+  }
+  return profile;
+}
+
+// Determine SOAP version and operation from headers and body
+function detectRequest(req, body) {
+  const contentType = String(req.headers['content-type'] || '').toLowerCase();
+  const soapVersion = (contentType.includes('application/soap+xml') || body.includes(SOAP12_NS)) ? '1.2' : '1.1';
+  let action = '';
+  if (soapVersion === '1.1') {
+    action = String(req.headers['soapaction'] || '').replace(/"/g, '');
+  } else {
+    const m = contentType.match(/action="?([^";]+)"?/);
+    action = m ? m[1] : '';
+  }
+  const bodyOp = (body.match(/<(?:[\w-]+:)?(AddCard|UpdateCard|DeleteCard)[\s>]/) || [])[1];
+  const actionOp = (action.match(/(AddCard|UpdateCard|DeleteCard)\s*$/) || [])[1];
+  return { soapVersion, action, operation: bodyOp || actionOp || null };
+}
+
+function buildResultEnvelope(soapVersion, operation, { errCode, errMessage, cardId }, namespace = DEFAULT_NAMESPACE) {
+  const envNs = soapVersion === '1.2' ? SOAP12_NS : SOAP11_NS;
+  const cardIdTag = cardId !== undefined ? `\n        <CardID>${escapeXml(cardId)}</CardID>` : '';
+  return `<?xml version="1.0" encoding="utf-8"?>
+<soap:Envelope xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:soap="${envNs}">
+  <soap:Body>
+    <${operation}Response xmlns="${namespace}">
+      <${operation}Result>
+        <ErrCode>${escapeXml(errCode)}</ErrCode>
+        <ErrMessage>${escapeXml(errMessage)}</ErrMessage>${cardIdTag}
+      </${operation}Result>
+    </${operation}Response>
+  </soap:Body>
+</soap:Envelope>`;
+}
+
+function buildFaultEnvelope(soapVersion, { code, reason, detail }) {
+  if (soapVersion === '1.2') {
+    return `<?xml version="1.0" encoding="utf-8"?>
+<soap:Envelope xmlns:soap="${SOAP12_NS}">
+  <soap:Body>
+    <soap:Fault>
+      <soap:Code><soap:Value>soap:${code === 'Client' ? 'Sender' : 'Receiver'}</soap:Value></soap:Code>
+      <soap:Reason><soap:Text xml:lang="en">${escapeXml(reason)}</soap:Text></soap:Reason>
+      <soap:Detail>${escapeXml(detail || '')}</soap:Detail>
+    </soap:Fault>
+  </soap:Body>
+</soap:Envelope>`;
+  }
+  return `<?xml version="1.0" encoding="utf-8"?>
+<soap:Envelope xmlns:soap="${SOAP11_NS}">
+  <soap:Body>
+    <soap:Fault>
+      <faultcode>soap:${code}</faultcode>
+      <faultstring>${escapeXml(reason)}</faultstring>
+      <detail>${escapeXml(detail || '')}</detail>
+    </soap:Fault>
+  </soap:Body>
+</soap:Envelope>`;
+}
+
+class MockVaultStore {
+  constructor(storePath) {
+    this.storePath = storePath || null;
+    this.cards = new Map();
+    this.nextId = 1;
+    this.load();
+  }
+
+  load() {
+    if (!this.storePath || !fs.existsSync(this.storePath)) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+      for (const card of data.cards || []) this.cards.set(card.CardNo, card);
+      this.nextId = Number(data.nextId) || this.cards.size + 1;
+    } catch (err) {
+      console.error(`[MockVault] Failed to load store ${this.storePath}: ${err.message}`);
+    }
+  }
+
+  save() {
+    if (!this.storePath) return;
+    try {
+      const data = { nextId: this.nextId, cards: Array.from(this.cards.values()) };
+      fs.writeFileSync(this.storePath, JSON.stringify(data, null, 2), 'utf8');
+    } catch (err) {
+      console.error(`[MockVault] Failed to save store ${this.storePath}: ${err.message}`);
+    }
+  }
+
+  get(cardNo) { return this.cards.get(cardNo); }
+
+  add(profile) {
+    const card = { ...profile, CardID: String(this.nextId++), CreatedAt: new Date().toISOString(), UpdatedAt: new Date().toISOString() };
+    this.cards.set(profile.CardNo, card);
+    this.save();
+    return card;
+  }
+
+  update(profile) {
+    const prev = this.cards.get(profile.CardNo);
+    const card = { ...prev, ...profile, CardID: prev.CardID, UpdatedAt: new Date().toISOString() };
+    this.cards.set(profile.CardNo, card);
+    this.save();
+    return card;
+  }
+
+  remove(cardNo) {
+    const existed = this.cards.delete(cardNo);
+    if (existed) this.save();
+    return existed;
+  }
+
+  list() {
+    // Photos are large base64 blobs; report their size instead
+    return Array.from(this.cards.values()).map(({ Photo, ...rest }) => ({ ...rest, photoSize: Photo ? Photo.length : 0 }));
+  }
+
+  clear() {
+    this.cards.clear();
+    this.nextId = 1;
+    this.save();
+  }
+}
+
+function findTruncatedField(profile) {
+  for (const [field, max] of Object.entries(FIELD_MAX)) {
+    const val = profile[field];
+    if (val !== undefined && String(val).length > max) return { field, max, length: String(val).length };
+  }
+  return null;
+}
+
+function createMockVaultServer({ storePath, maxPhotoBytes = 0 } = {}) {
+  const store = new MockVaultStore(storePath);
+  const faults = { http500: 0, delayMs: 0, failCardNos: new Set(), truncateCardNos: new Set() };
+  const requests = [];
+
+  const recordRequest = (entry) => {
+    requests.push({ time: new Date().toISOString(), ...entry });
+    if (requests.length > 200) requests.shift();
+  };
+
+  const sendJson = (res, status, obj) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(obj, null, 2));
+  };
+
+  const sendSoap = (res, status, soapVersion, xml) => {
+    const ct = soapVersion === '1.2' ? 'application/soap+xml; charset=utf-8' : 'text/xml; charset=utf-8';
+    res.writeHead(status, { 'Content-Type': ct });
+    res.end(xml);
+  };
+
+  function handleAdmin(req, res, url, body) {
+    if (url.pathname === '/__mock/cards' && req.method === 'GET') return sendJson(res, 200, { count: store.cards.size, cards: store.list() });
+    if (url.pathname === '/__mock/cards' && req.method === 'DELETE') { store.clear(); return sendJson(res, 200, { success: true }); }
+    if (url.pathname === '/__mock/requests' && req.method === 'GET') return sendJson(res, 200, { count: requests.length, requests });
+    if (url.pathname === '/__mock/faults' && req.method === 'GET') {
+      return sendJson(res, 200, { http500: faults.http500, delayMs: faults.delayMs, failCardNos: [...faults.failCardNos], truncateCardNos: [...faults.truncateCardNos] });
+    }
+    if (url.pathname === '/__mock/faults' && req.method === 'POST') {
+      let cfg = {};
+      try { cfg = body ? JSON.parse(body) : {}; } catch { return sendJson(res, 400, { success: false, error: 'invalid JSON' }); }
+      if (cfg.http500 !== undefined) faults.http500 = Math.max(0, Number(cfg.http500) || 0);
+      if (cfg.delayMs !== undefined) faults.delayMs = Math.max(0, Number(cfg.delayMs) || 0);
+      if (Array.isArray(cfg.failCardNos)) faults.failCardNos = new Set(cfg.failCardNos.map(String));
+      if (Array.isArray(cfg.truncateCardNos)) faults.truncateCardNos = new Set(cfg.truncateCardNos.map(String));
+      return sendJson(res, 200, { success: true });
+    }
+    return sendJson(res, 404, { success: false, error: 'unknown mock admin endpoint' });
+  }
+
+  function handleSoap(req, res, url, body) {
+    const { soapVersion, action, operation } = detectRequest(req, body);
+    if (!operation) {
+      recordRequest({ soapVersion, action, operation: null, httpStatus: 500 });
+      return sendSoap(res, 500, soapVersion, buildFaultEnvelope(soapVersion, { code: 'Client', reason: 'Server did not recognize the value of HTTP Header SOAPAction or the request body element.', detail: action }));
+    }
+    const profile = parseCardProfile(body);
+    const cardNo = String((profile && profile.CardNo) || elementText(body, 'CardNo') || '');
+    const queryFault = url.searchParams.get('fault');
+
+    if (queryFault === '500' || faults.http500 > 0) {
+      if (queryFault !== '500') faults.http500 -= 1;
+      recordRequest({ soapVersion, action, operation, cardNo, httpStatus: 500 });
+      res.writeHead(500, { 'Content-Type': 'text/html' });
+      return res.end('<html><body><h1>500 - Internal server error.</h1></body></html>');
+    }
+    if (queryFault === 'soap' || faults.failCardNos.has(cardNo)) {
+      recordRequest({ soapVersion, action, operation, cardNo, httpStatus: 500 });
+      return sendSoap(res, 500, soapVersion, buildFaultEnvelope(soapVersion, { code: 'Server', reason: 'Server was unable to process request. ---> Simulated failure', detail: `cardNo=${cardNo}` }));
+    }
+    const reply = (result) => {
+      recordRequest({ soapVersion, action, operation, cardNo, httpStatus: 200, errCode: result.errCode, errMessage: result.errMessage });
+      console.log(`${new Date().toISOString()} - [MockVault] ${operation} SOAP ${soapVersion} cardNo=${cardNo || '-'} -> ErrCode=${result.errCode} ${result.errMessage}`);
+      sendSoap(res, 200, soapVersion, buildResultEnvelope(soapVersion, operation, result));
+    };
+
+    // DeleteCard carries only <CardNo>, no CardProfile
+    if (operation === 'DeleteCard') {
+      if (!cardNo) return reply({ errCode: ERR.INVALID, errMessage: 'Card No is required' });
+      if (!store.remove(cardNo)) return reply({ errCode: ERR.NOT_FOUND, errMessage: `Card No ${cardNo} not found` });
+      return reply({ errCode: ERR.OK, errMessage: 'Success' });
+    }
+    if (!profile) {
+      recordRequest({ soapVersion, action, operation, httpStatus: 500 });
+      return sendSoap(res, 500, soapVersion, buildFaultEnvelope(soapVersion, { code: 'Client', reason: 'Server was unable to read request. ---> CardProfile element is missing.' }));
+    }
+
+    if (!cardNo) return reply({ errCode: ERR.INVALID, errMessage: 'Card No is required' });
+    const truncated = findTruncatedField(profile);
+    if (queryFault === 'truncate' || faults.truncateCardNos.has(cardNo) || truncated) {
+      return reply({ errCode: ERR.TRUNCATED, errMessage: 'String or binary data would be truncated.\r\nThe statement has been terminated.' });
+    }
+    if (maxPhotoBytes > 0 && profile.Photo && Buffer.byteLength(profile.Photo, 'base64') > maxPhotoBytes) {
+      return reply({ errCode: ERR.INVALID, errMessage: `Photo exceeds maximum size of ${maxPhotoBytes} bytes` });
+    }
+
+    if (operation === 'AddCard') {
+      if (store.get(cardNo)) return reply({ errCode: ERR.DUPLICATE, errMessage: `Card No ${cardNo} already exists` });
+      const card = store.add(profile);
+      return reply({ errCode: ERR.OK, errMessage: 'Success', cardId: card.CardID });
+    }
+    if (!store.get(cardNo)) return reply({ errCode: ERR.NOT_FOUND, errMessage: `Card No ${cardNo} not found` });
+    const card = store.update(profile);
+    return reply({ errCode: ERR.OK, errMessage: 'Success', cardId: card.CardID });
+  }
+
+  return http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (c) => chunks.push(c));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      const url = new URL(req.url, 'http://localhost');
+      if (url.pathname.startsWith('/__mock/')) return handleAdmin(req, res, url, body);
+      if (req.method !== 'POST') {
+        res.writeHead(405, { 'Content-Type': 'text/plain' });
+        return res.end('Vault stand-in accepts SOAP POST requests only');
+      }
+      const delayMs = Number(url.searchParams.get('delayMs')) || faults.delayMs;
+      const run = () => {
+        try {
+          handleSoap(req, res, url, body);
+        } catch (err) {
+          console.error('[MockVault] Handler error:', err);
+          sendSoap(res, 500, '1.1', buildFaultEnvelope('1.1', { code: 'Server', reason: err.message }));
+        }
+      };
+      if (delayMs > 0) setTimeout(run, delayMs); else run();
+    });
+  });
+}
+
+if (require.main === module) {
+  const argv = process.argv.slice(2);
+  const port = parseInt(getArg(argv, '--port', process.env.MOCK_VAULT_PORT || '8089'), 10);
+  const storeArg = getArg(argv, '--store', process.env.MOCK_VAULT_STORE || '');
+  const storePath = storeArg ? path.resolve(storeArg) : null;
+  const maxPhotoBytes = parseInt(getArg(argv, '--max-photo-bytes', process.env.MOCK_VAULT_MAX_PHOTO_BYTES || '0'), 10) || 0;
+  const server = createMockVaultServer({ storePath, maxPhotoBytes });
+  server.listen(port, () => {
+    console.log(`🧪 Mock Vault SOAP service listening on port ${port}`);
+    console.log(`   Store: ${storePath || '(in-memory)'}`);
+    console.log(`   Set VAULT_API_BASE=http://localhost:${port}/Vaultsite/APIwebservice.asmx`);
+  });
+}
+
+module.exports = { createMockVaultServer, buildResultEnvelope, buildFaultEnvelope, ERR };
@@ -0,0 +1,653 @@
+const crypto = require('crypto');
+const sql = require('mssql');
+
+// CardDB (DataDBEnt) access shared by the CardDB endpoints, the vault registrar and the schedulers.
+// Connection settings come from the CARDDB_* env group (falling back to DATADB_*); the
+// table is resolved from CARDDB_SCHEMA/CARDDB_TABLE, common carddb casings, or discovery.
+// Every connection target gets its own long-lived ConnectionPool, never the global mssql
+// connection the app database uses, so CardDB calls cannot close or take over the app pool.
+
+const RESOLUTION_TTL_MS = 5 * 60 * 1000;
+const ACTIVE_FILTER = "([Del_State] = 0 OR [Del_State] = 'false')";
+
+// Pools kept open at once: the env target plus targets named by per-request overrides (least recently used closed first)
+const MAX_POOLS = 5;
+
+const envInt = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+/**
+ * Build CardDB connection config; per-request overrides win over env values.
+ * Timeouts: CARDDB_CONNECT_TIMEOUT_MS (default 15s) and CARDDB_REQUEST_TIMEOUT_MS per query (default 30s).
+ */
+function getCardDbConfig({ server, database, user, password, port } = {}) {
+    return {
+        user: user || process.env.CARDDB_USER || process.env.DATADB_USER,
+        password: password || process.env.CARDDB_PASSWORD || process.env.DATADB_PASSWORD,
+        server: server || process.env.CARDDB_SERVER || process.env.DATADB_SERVER,
+        database: database || process.env.CARDDB_NAME || process.env.DATADB_NAME || 'DataDBEnt',
+        port: (port ? parseInt(port, 10) : (parseInt(process.env.CARDDB_PORT, 10) || parseInt(process.env.DATADB_PORT, 10) || 1433)),
+        connectionTimeout: envInt('CARDDB_CONNECT_TIMEOUT_MS', 15000),
+        requestTimeout: envInt('CARDDB_REQUEST_TIMEOUT_MS', 30000),
+        options: { trustServerCertificate: true, enableArithAbort: true, encrypt: false },
+        pool: { max: envInt('CARDDB_POOL_MAX', 10), min: 0, idleTimeoutMillis: 30000 }
+    };
+}
+
+function isCardDbConfigured(config) {
+    return !!(config && config.server && config.user && config.password);
+}
+
+function getEnvTable() {
+    const schema = (process.env.CARDDB_SCHEMA || '').trim();
+    const name = (process.env.CARDDB_TABLE || '').trim();
+    if (schema && name) return `${schema}.${name}`;
+    if (name) return name;
+    return null;
+}
+
+const bracketize = (name) => name.split('.').map(part => `[${part}]`).join('.');
+
+const parseSchemaTable = (name) => {
+    const parts = String(name).split('.');
+    if (parts.length === 2) return { schema: parts[0], table: parts[1] };
+    return { schema: null, table: parts[0] };
+};
+
+async function getColumns(pool, tblName) {
+    const { schema, table } = parseSchemaTable(tblName);
+    const where = schema
+        ? `TABLE_SCHEMA = @schema AND TABLE_NAME = @table`
+        : `TABLE_NAME = @table`;
+    const req = pool.request();
+    if (schema) req.input('schema', sql.NVarChar, schema);
+    req.input('table', sql.NVarChar, table);
+    const rs = await req.query(`SELECT TABLE_SCHEMA, TABLE_NAME, COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS WHERE ${where}`);
+    const cols = new Set();
+    let resolvedSchema = schema;
+    for (const r of (rs.recordset || [])) {
+        cols.add(r.COLUMN_NAME);
+        resolvedSchema = resolvedSchema || r.TABLE_SCHEMA;
+    }
+    return { schema: resolvedSchema, table, columns: cols };
+}
+
+function toResolved(info) {
+    return {
+        schema: info.schema,
+        table: info.table,
+        qualified: bracketize(`${info.schema}.${info.table}`),
+        columns: info.columns,
+    };
+}
+
+// Resolved table per pool: { info: { schema, table, columns:Set }, ts }
+const resolutions = new WeakMap();
+
+/**
+ * Resolve the CardDB table on the given pool (cached per pool for RESOLUTION_TTL_MS).
+ * Order: CARDDB_SCHEMA/CARDDB_TABLE, common carddb casings, then INFORMATION_SCHEMA
+ * discovery of tables having card number and name columns.
+ * Returns { schema, table, qualified, columns:Set }.
+ */
+async function resolveCardDbTable(pool) {
+    const cached = resolutions.get(pool);
+    if (cached && Date.now() - cached.ts < RESOLUTION_TTL_MS) return toResolved(cached.info);
+    const info = await discoverCardDbTable(pool);
+    resolutions.set(pool, { info, ts: Date.now() });
+    return toResolved(info);
+}
+
+async function discoverCardDbTable(pool) {
+    const envTbl = getEnvTable();
+    const candidates = Array.from(new Set([envTbl, 'carddb', 'CardDB', 'dbo.carddb', 'dbo.CardDB'].filter(Boolean)));
+    for (const c of candidates) {
+        try {
+            const info = await getColumns(pool, c);
+            if (info.schema) return info;
+        } catch {
+            // continue
+        }
+    }
+    console.log(`[CardDB] Candidates not found: ${candidates.join(', ')}; discovering tables`);
+    const discover = await pool.request().query(`
+        SELECT DISTINCT TOP 50 t.TABLE_SCHEMA, t.TABLE_NAME
+        FROM INFORMATION_SCHEMA.TABLES t
+        WHERE (t.TABLE_TYPE = 'BASE TABLE' OR t.TABLE_TYPE = 'VIEW')
+        AND (
+            t.TABLE_NAME LIKE '%card%' OR t.TABLE_NAME LIKE '%Card%'
+            OR EXISTS (
+                SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS c
+                WHERE c.TABLE_SCHEMA = t.TABLE_SCHEMA AND c.TABLE_NAME = t.TABLE_NAME
+                AND c.COLUMN_NAME IN ('CardNo','cardno','StaffNo','staffno','Name','NAME')
+            )
+        )
+    `);
+    const list = (discover.recordset || []).map(r => `${r.TABLE_SCHEMA}.${r.TABLE_NAME}`);
+    console.log(`[CardDB] Discovery candidates: ${list.join(', ')}`);
+    for (const dn of list) {
+        try {
+            const info = await getColumns(pool, dn);
+            if (!info.schema) continue;
+            const cols = info.columns;
+            const hasCN = cols.has('CardNo') || cols.has('cardno') || cols.has('CARDNO');
+            const hasName = cols.has('Name') || cols.has('NAME');
+            if (!(hasCN && hasName)) continue; // skip unrelated tables like ProcessingBatches
+            console.log(`[CardDB] Discovery succeeded with table=${dn}`);
+            return info;
+        } catch {
+            // continue
+        }
+    }
+    throw new Error('CardDB table not found');
+}
+
+// First column name present in the resolved table (handles CardNo/cardno/CARDNO casings)
+function pickColumn(columns, names) {
+    return names.find(n => columns.has(n)) || null;
+}
+
+// Open pools by target: key -> { connecting: Promise<ConnectionPool>, pool, lastUsed }
+const pools = new Map();
+
+// Pools are keyed by target and credentials (hashed), so an override with another password gets its own pool
+function poolKey(config) {
+    const secret = crypto.createHash('sha256').update(String(config.password)).digest('hex').slice(0, 12);
+    return [config.server, config.port, config.database, config.user, secret].join('|');
+}
+
+function dropPool(key, pool) {
+    const entry = pools.get(key);
+    if (entry && entry.pool === pool) pools.delete(key);
+    pool.close().catch(() => {});
+}
+
+function evictPools(keep) {
+    const envKey = isCardDbConfigured(getCardDbConfig()) ? poolKey(getCardDbConfig()) : null;
+    const idle = Array.from(pools.entries())
+        .filter(([key]) => key !== keep && key !== envKey)
+        .sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+    while (pools.size > MAX_POOLS && idle.length > 0) {
+        const [key, entry] = idle.shift();
+        dropPool(key, entry.pool);
+    }
+}
+
+/**
+ * Shared, connected pool for the CardDB target (env settings with per-request overrides).
+ * Concurrent callers wait on the same connect; a pool that fails to connect or errors is discarded
+ * so the next call opens a fresh one.
+ */
+async function getCardDbPool(overrides) {
+    const config = getCardDbConfig(overrides);
+    if (!isCardDbConfigured(config)) {
+        throw new Error('CardDB configuration not set');
+    }
+    const key = poolKey(config);
+    let entry = pools.get(key);
+    if (!entry) {
+        const pool = new sql.ConnectionPool(config);
+        pool.on('error', (err) => {
+            console.error(`[CardDB] Pool error (server=${config.server} db=${config.database}):`, err.message);
+            dropPool(key, pool);
+        });
+        console.log(`[CardDB] Opening pool server=${config.server} db=${config.database} user=${config.user} port=${config.port}`);
+        const connecting = pool.connect().catch((err) => {
+            dropPool(key, pool);
+            throw err;
+        });
+        entry = { connecting, pool, lastUsed: Date.now() };
+        pools.set(key, entry);
+        evictPools(key);
+    }
+    entry.lastUsed = Date.now();
+    return entry.connecting;
+}
+
+/**
+ * Run fn(pool) on the shared CardDB pool for the target (see getCardDbPool). The pool stays open.
+ */
+async function withCardDbPool(overrides, fn) {
+    return fn(await getCardDbPool(overrides));
+}
+
+// Close every CardDB pool (server shutdown)
+async function closeCardDbPools() {
+    const entries = Array.from(pools.entries());
+    pools.clear();
+    await Promise.all(entries.map(([, entry]) => entry.pool.close().catch(() => {})));
+}
+
+/**
+ * Connectivity check for the CardDB target: connects (or reuses the pool), resolves the table and times a
+ * trivial query. Returns { configured, ok, server, database, table, columns, latencyMs, pool, error }.
+ */
+async function checkCardDbHealth(overrides) {
+    const config = getCardDbConfig(overrides);
+    const health = { configured: isCardDbConfigured(config), ok: false, server: config.server || null, database: config.database };
+    if (!health.configured) return { ...health, error: 'CardDB configuration not set' };
+    const startedAt = Date.now();
+    try {
+        const pool = await getCardDbPool(overrides);
+        const info = await resolveCardDbTable(pool);
+        await pool.request().query('SELECT 1 AS ok');
+        Object.assign(health, {
+            ok: true,
+            table: `${info.schema}.${info.table}`,
+            columns: info.columns.size,
+            pool: { size: pool.size, available: pool.available, borrowed: pool.borrowed, pending: pool.pending },
+        });
+    } catch (err) {
+        health.error = err.message;
+    }
+    health.latencyMs = Date.now() - startedAt;
+    return health;
+}
+
+// Identity columns selected for card lookups (full rows select '*')
+function lookupColumns(info, cardCol) {
+    const nameCol = pickColumn(info.columns, ['Name', 'NAME']);
+    const staffCol = pickColumn(info.columns, ['StaffNo', 'staffno', 'STAFFNO']);
+    const selectCols = [`[${cardCol}] AS CardNo`];
+    if (nameCol) selectCols.push(`[${nameCol}] AS Name`);
+    if (staffCol) selectCols.push(`[${staffCol}] AS StaffNo`);
+    for (const extra of ['Department', 'AccessLevel', 'VehicleNo', 'ActiveStatus']) {
+        if (info.columns.has(extra)) selectCols.push(`[${extra}]`);
+    }
+    return selectCols;
+}
+
+// Active rows whose `keyCol` is one of `values`, queried in chunks to stay well below the 2100 parameter limit
+async function queryActiveRows(pool, info, keyCol, values, selectCols) {
+    const hasDel = info.columns.has('Del_State');
+    const rows = [];
+    const CHUNK = 500;
+    for (let i = 0; i < values.length; i += CHUNK) {
+        const chunk = values.slice(i, i + CHUNK);
+        const request = pool.request();
+        const params = chunk.map((v, idx) => {
+            request.input(`c${idx}`, sql.NVarChar(20), v);
+            return `@c${idx}`;
+        });
+        const where = [`[${keyCol}] IN (${params.join(', ')})`];
+        if (hasDel) where.push(ACTIVE_FILTER);
+        const rs = await request.query(`SELECT ${selectCols.join(', ')} FROM ${info.qualified} WITH (NOLOCK) WHERE ${where.join(' AND ')}`);
+        rows.push(...(rs.recordset || []));
+    }
+    return rows;
+}
+
+const distinctValues = (values) => Array.from(new Set((values || []).map(v => String(v || '').trim()).filter(Boolean)));
+
+/**
+ * Look up active CardDB rows for the given card numbers.
+ * Returns a Map keyed by trimmed CardNo with { CardNo, Name, StaffNo, ... } rows;
+ * with `fullRow` every column of the matching row is returned (for cardDbRowToProfile).
+ */
+async function lookupCardsByCardNo(cardNos, overrides, { fullRow = false } = {}) {
+    const wanted = distinctValues(cardNos);
+    const found = new Map();
+    if (wanted.length === 0) return found;
+    return withCardDbPool(overrides, async (pool) => {
+        const info = await resolveCardDbTable(pool);
+        const cardCol = pickColumn(info.columns, ['CardNo', 'cardno', 'CARDNO']);
+        if (!cardCol) throw new Error(`CardDB table ${info.qualified} has no card number column`);
+        const rows = await queryActiveRows(pool, info, cardCol, wanted, fullRow ? ['*'] : lookupColumns(info, cardCol));
+        for (const row of rows) {
+            const key = String((fullRow ? row[cardCol] : row.CardNo) || '').trim();
+            if (key && !found.has(key)) found.set(key, row);
+        }
+        return found;
+    });
+}
+
+/**
+ * Look up the active CardDB cards held by the given staff numbers.
+ * Returns a Map keyed by trimmed StaffNo with the list of { CardNo, Name, StaffNo, ... } rows of each;
+ * empty when the table has no staff number column.
+ */
+async function lookupCardsByStaffNo(staffNos, overrides) {
+    const wanted = distinctValues(staffNos);
+    const found = new Map();
+    if (wanted.length === 0) return found;
+    return withCardDbPool(overrides, async (pool) => {
+        const info = await resolveCardDbTable(pool);
+        const cardCol = pickColumn(info.columns, ['CardNo', 'cardno', 'CARDNO']);
+        const staffCol = pickColumn(info.columns, ['StaffNo', 'staffno', 'STAFFNO']);
+        if (!cardCol) throw new Error(`CardDB table ${info.qualified} has no card number column`);
+        if (!staffCol) return found;
+        const rows = await queryActiveRows(pool, info, staffCol, wanted, lookupColumns(info, cardCol));
+        for (const row of rows) {
+            const key = String(row.StaffNo || '').trim();
+            if (!key) continue;
+            if (!found.has(key)) found.set(key, []);
+            found.get(key).push(row);
+        }
+        return found;
+    });
+}
+
+// Columns listed by the CardDB browser, as [column, alias] in display order
+const LIST_COLUMNS = [
+    ['CardNo', 'CardNo'], ['cardno', 'CardNo'], ['CARDNO', 'CardNo'],
+    ['Name', 'Name'], ['NAME', 'Name'],
+    ['StaffNo', 'StaffNo'], ['staffno', 'StaffNo'], ['STAFFNO', 'StaffNo'],
+    ['VehicleNo', 'VehicleNo'],
+    ['DueDay', 'DueDay'],
+    ['ExpiryDate', 'ExpiryDate'], ['ExpiredDate', 'ExpiryDate'],
+    ['Status', 'Status'],
+    ['Department', 'Department'],
+    ['AccessLevel', 'AccessLevel'],
+    ['LiftAccessLevel', 'LiftAccessLevel'],
+    ['FaceAccessLevel', 'FaceAccessLevel'],
+    ['ActiveStatus', 'ActiveStatus'],
+];
+
+// Columns that can filter the CardDB browser: filter key -> candidate column names
+const FILTER_COLUMNS = {
+    department: ['Department'],
+    accessLevel: ['AccessLevel'],
+    vehicleNo: ['VehicleNo'],
+};
+const EXPIRY_COLUMNS = ['ExpiryDate', 'ExpiredDate'];
+
+// Projected columns of the table: alias -> actual column (first casing present)
+function listProjection(info) {
+    const projection = new Map();
+    for (const [col, alias] of LIST_COLUMNS) {
+        if (info.columns.has(col) && !projection.has(alias)) projection.set(alias, col);
+    }
+    return projection;
+}
+
+// WHERE terms and parameters for the CardDB browser filters
+function listFilterTerms(info, request, { search, department, accessLevel, vehicleNo, activeStatus, expiryFrom, expiryTo } = {}) {
+    const terms = [];
+    const term = String(search || '').trim();
+    const searchable = ['Name', 'NAME', 'CardNo', 'cardno', 'CARDNO', 'StaffNo', 'staffno', 'STAFFNO'].filter(c => info.columns.has(c));
+    if (term && searchable.length > 0) {
+        request.input('pattern', sql.NVarChar, `%${term}%`);
+        // Cast to NVARCHAR to avoid type conversion errors on numeric/date columns
+        terms.push(`(${searchable.map(c => `CAST([${c}] AS NVARCHAR(4000)) LIKE @pattern`).join(' OR ')})`);
+    }
+    const exact = { department, accessLevel, vehicleNo };
+    for (const [key, names] of Object.entries(FILTER_COLUMNS)) {
+        const value = String(exact[key] ?? '').trim();
+        const col = pickColumn(info.columns, names);
+        if (!value || !col) continue;
+        request.input(key, sql.NVarChar, value);
+        terms.push(`LTRIM(RTRIM(CAST([${col}] AS NVARCHAR(200)))) = @${key}`);
+    }
+    if ((activeStatus === 'active' || activeStatus === 'inactive') && info.columns.has('ActiveStatus')) {
+        terms.push(activeStatus === 'active'
+            ? "([ActiveStatus] = 1 OR [ActiveStatus] = 'true')"
+            : "([ActiveStatus] = 0 OR [ActiveStatus] = 'false' OR [ActiveStatus] IS NULL)");
+    }
+    const expiryCol = pickColumn(info.columns, EXPIRY_COLUMNS);
+    const from = normalizeVaultDate(expiryFrom);
+    const to = normalizeVaultDate(expiryTo);
+    if (expiryCol && from) {
+        request.input('expiryFrom', sql.NVarChar, from);
+        terms.push(`TRY_CONVERT(date, [${expiryCol}]) >= TRY_CONVERT(date, @expiryFrom, 23)`);
+    }
+    if (expiryCol && to) {
+        request.input('expiryTo', sql.NVarChar, to);
+        terms.push(`TRY_CONVERT(date, [${expiryCol}]) <= TRY_CONVERT(date, @expiryTo, 23)`);
+    }
+    if (info.columns.has('Del_State')) terms.push(ACTIVE_FILTER);
+    return terms;
+}
+
+/**
+ * One page of active CardDB rows for the CardDB browser.
+ * `filters`: search (name, card or staff number contains), department, accessLevel, vehicleNo (exact),
+ * activeStatus ('active' | 'inactive'), expiryFrom/expiryTo (YYYY-MM-DD, inclusive).
+ * Sorted by `sort` (any listed column alias, default CardNo) in `dir` order, then by card number.
+ * With `fullRow` every column of the rows is returned instead of the listed ones (for cardDbRowToProfile).
+ * Returns { rows, total, offset, limit, sort, dir, columns } where columns are the sortable aliases.
+ */
+async function listCardDbRows({ offset = 0, limit = 200, sort, dir, fullRow = false, ...filters } = {}, overrides) {
+    const pageSize = Math.max(1, Math.min(1000, parseInt(limit, 10) || 200));
+    const skip = Math.max(0, parseInt(offset, 10) || 0);
+    return withCardDbPool(overrides, async (pool) => {
+        const info = await resolveCardDbTable(pool);
+        const projection = listProjection(info);
+        const cardCol = projection.get('CardNo');
+        const sortAlias = projection.has(sort) ? sort : (cardCol ? 'CardNo' : projection.keys().next().value);
+        const order = String(dir).toLowerCase() === 'desc' ? 'DESC' : 'ASC';
+        const selectList = projection.size > 0 && !fullRow ? Array.from(projection, ([alias, col]) => `[${col}] AS ${alias}`).join(', ') : '*';
+        const orderBy = sortAlias
+            ? [`[${projection.get(sortAlias)}] ${order}`, cardCol && sortAlias !== 'CardNo' ? `[${cardCol}] ASC` : null].filter(Boolean).join(', ')
+            : '(SELECT NULL)';
+
+        const countRequest = pool.request();
+        const countTerms = listFilterTerms(info, countRequest, filters);
+        const countWhere = countTerms.length > 0 ? `WHERE ${countTerms.join(' AND ')}` : '';
+        const pageRequest = pool.request();
+        const pageTerms = listFilterTerms(info, pageRequest, filters);
+        const pageWhere = pageTerms.length > 0 ? `WHERE ${pageTerms.join(' AND ')}` : '';
+        pageRequest.input('offset', sql.Int, skip);
+        pageRequest.input('limit', sql.Int, pageSize);
+        const [countRs, pageRs] = await Promise.all([
+            countRequest.query(`SELECT COUNT(*) AS total FROM ${info.qualified} WITH (NOLOCK) ${countWhere}`),
+            pageRequest.query(`SELECT ${selectList} FROM ${info.qualified} WITH (NOLOCK) ${pageWhere} ORDER BY ${orderBy} OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY`),
+        ]);
+        return {
+            rows: pageRs.recordset || [],
+            total: (countRs.recordset || [])[0]?.total || 0,
+            offset: skip,
+            limit: pageSize,
+            sort: sortAlias || null,
+            dir: order.toLowerCase(),
+            columns: Array.from(projection.keys()),
+        };
+    });
+}
+
+/**
+ * Distinct values offered by the CardDB browser filters (active rows, up to 500 each):
+ * { departments, accessLevels, vehicleNos }; a list is empty when the table lacks the column.
+ */
+async function listCardDbFacets(overrides) {
+    return withCardDbPool(overrides, async (pool) => {
+        const info = await resolveCardDbTable(pool);
+        const where = info.columns.has('Del_State') ? `AND ${ACTIVE_FILTER}` : '';
+        const facets = {};
+        for (const [key, facet] of [['department', 'departments'], ['accessLevel', 'accessLevels'], ['vehicleNo', 'vehicleNos']]) {
+            const col = pickColumn(info.columns, FILTER_COLUMNS[key]);
+            if (!col) { facets[facet] = []; continue; }
+            const value = `LTRIM(RTRIM(CAST([${col}] AS NVARCHAR(200))))`;
+            const rs = await pool.request().query(`SELECT DISTINCT TOP 500 ${value} AS value FROM ${info.qualified} WITH (NOLOCK) WHERE ${value} <> '' ${where} ORDER BY value`);
+            facets[facet] = (rs.recordset || []).map(r => r.value);
+        }
+        return facets;
+    });
+}
+
+/**
+ * Active CardDB cards whose resign or expiry date lies before `asOf` (YYYY-MM-DD), for scheduled deactivation.
+ * Cards already marked inactive (ActiveStatus) are left out, as are expiry dates of cards flagged NonExpired;
+ * 1900-01-01 placeholders do not count as dates. Returns [{ CardNo, Name, StaffNo, ResignDate, ExpiredDate }]
+ * with dates as YYYY-MM-DD strings ('' when not past).
+ */
+async function findCardsPastDates(asOf, overrides, { limit = 5000 } = {}) {
+    return withCardDbPool(overrides, async (pool) => {
+        const info = await resolveCardDbTable(pool);
+        const cardCol = pickColumn(info.columns, ['CardNo', 'cardno', 'CARDNO']);
+        if (!cardCol) throw new Error(`CardDB table ${info.qualified} has no card number column`);
+        const resignCol = pickColumn(info.columns, ['ResignDate', 'ExitDate']);
+        const expiryCol = pickColumn(info.columns, ['ExpiredDate', 'ExpiryDate']);
+        if (!resignCol && !expiryCol) return [];
+        const pastDate = (col) => `(TRY_CONVERT(date, [${col}]) > '1900-01-01' AND TRY_CONVERT(date, [${col}]) < @asOf)`;
+        const resignPast = resignCol ? pastDate(resignCol) : '1 = 0';
+        let expiryPast = expiryCol ? pastDate(expiryCol) : '1 = 0';
+        if (expiryCol && info.columns.has('NonExpired')) expiryPast = `(${expiryPast} AND ([NonExpired] = 0 OR [NonExpired] = 'false'))`;
+        const where = [`(${resignPast} OR ${expiryPast})`];
+        if (info.columns.has('Del_State')) where.push(ACTIVE_FILTER);
+        if (info.columns.has('ActiveStatus')) where.push("([ActiveStatus] = 1 OR [ActiveStatus] = 'true')");
+        const selectCols = lookupColumns(info, cardCol).filter(c => !c.startsWith('[ActiveStatus]'));
+        selectCols.push(resignCol ? `CASE WHEN ${resignPast} THEN CONVERT(varchar(10), TRY_CONVERT(date, [${resignCol}]), 23) ELSE '' END AS ResignDate` : "'' AS ResignDate");
+        selectCols.push(expiryCol ? `CASE WHEN ${expiryPast} THEN CONVERT(varchar(10), TRY_CONVERT(date, [${expiryCol}]), 23) ELSE '' END AS ExpiredDate` : "'' AS ExpiredDate");
+        const top = Math.min(Math.max(parseInt(limit, 10) || 5000, 1), 20000);
+        const rs = await pool.request()
+            .input('asOf', sql.Date, asOf)
+            .query(`SELECT TOP (${top}) ${selectCols.join(', ')} FROM ${info.qualified} WITH (NOLOCK) WHERE ${where.join(' AND ')} ORDER BY [${cardCol}]`);
+        return (rs.recordset || []).map(r => ({
+            CardNo: String(r.CardNo || '').trim(),
+            Name: String(r.Name || '').trim(),
+            StaffNo: String(r.StaffNo || '').trim(),
+            ResignDate: r.ResignDate || '',
+            ExpiredDate: r.ExpiredDate || '',
+        })).filter(r => r.CardNo);
+    });
+}
+
+// Vault field limits applied when a CardDB row is turned into a CardProfile
+const PROFILE_MAX = { Name: 40, Department: 30, Company: 30, Title: 25, Position: 25, Address1: 50, Address2: 50, Email: 50, MobileNo: 20, VehicleNo: 20, StaffNo: 15 };
+
+const clip = (v, m) => { if (v === undefined || v === null) return ''; const s = String(v).trim(); return s.length > m ? s.slice(0, m) : s; };
+
+function normalizeExcelDate(val) {
+    if (val === null || typeof val === 'undefined') return '';
+    const s = String(val).trim();
+    if (!s) return '';
+    if (/^\d+(\.\d+)?$/.test(s)) {
+        const serial = parseFloat(s);
+        const ms = (serial - 25569) * 86400 * 1000;
+        const d = new Date(ms);
+        if (!isNaN(d.getTime())) {
+            const months = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
+            const day = d.getUTCDate();
+            const mon = months[d.getUTCMonth()];
+            const year = d.getUTCFullYear();
+            return `${day} ${mon} ${year}`;
+        }
+    }
+    return s;
+}
+
+// Sanitize date formats to 'YYYY-MM-DD' for Vault API to avoid SQL conversion errors
+function normalizeVaultDate(val) {
+    if (val === null || typeof val === 'undefined') return '';
+    let s = String(val).trim();
+    if (!s || s === '-' || s === '0' || s.toLowerCase() === 'null') return '';
+    // If ISO like 1900-01-01T00:00:00.000Z -> take the date part
+    if (/^\d{4}-\d{2}-\d{2}T/.test(s)) {
+        return s.slice(0, 10);
+    }
+    // If already yyyy-mm-dd
+    if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return s;
+    // dd/mm/yyyy or mm/dd/yyyy -> normalize by Date
+    if (/^\d{1,2}\/\d{1,2}\/\d{4}$/.test(s)) {
+        const [a,b,c] = s.split('/');
+        // Try both interpretations safely using Date
+        const try1 = new Date(`${c}-${a.padStart(2,'0')}-${b.padStart(2,'0')}T00:00:00Z`);
+        const try2 = new Date(`${c}-${b.padStart(2,'0')}-${a.padStart(2,'0')}T00:00:00Z`);
+        const d = isNaN(try1.getTime()) ? try2 : try1;
+        if (!isNaN(d.getTime())) {
+            const y = d.getUTCFullYear();
+            const m = String(d.getUTCMonth()+1).padStart(2,'0');
+            const day = String(d.getUTCDate()).padStart(2,'0');
+            return `${y}-${m}-${day}`;
+        }
+    }
+    // "1 Jan 1900" or similar -> map month names
+    const mMatch = s.match(/^(\d{1,2})\s+([A-Za-z]{3,})\s+(\d{4})$/);
+    if (mMatch) {
+        const day = mMatch[1].padStart(2,'0');
+        const monStr = mMatch[2].toLowerCase();
+        const year = mMatch[3];
+        const months = { jan:'01', feb:'02', mar:'03', apr:'04', may:'05', jun:'06', jul:'07', aug:'08', sep:'09', sept:'09', oct:'10', nov:'11', dec:'12' };
+        const mon = months[monStr];
+        if (mon) return `${year}-${mon}-${day}`;
+    }
+    // Fallback: if looks like a Date string, try Date.parse
+    const d = new Date(s);
+    if (!isNaN(d.getTime())) {
+        const y = d.getUTCFullYear();
+        const m = String(d.getUTCMonth()+1).padStart(2,'0');
+        const day = String(d.getUTCDate()).padStart(2,'0');
+        return `${y}-${m}-${day}`;
+    }
+    // If unknown format, send empty to avoid controller conversion errors
+    return '';
+}
+
+/**
+ * Build a Vault CardProfile from a full CardDB row (clipped to Vault field limits,
+ * dates normalized to YYYY-MM-DD). `fallbackCardNo` is used when the row lacks a card number column.
+ */
+function cardDbRowToProfile(row, fallbackCardNo) {
+    const profile = {
+        CardNo: String(row.CardNo || row.cardno || row.CARDNO || fallbackCardNo || '').trim(),
+        Name: clip(row.Name || row.NAME, PROFILE_MAX.Name),
+        Department: clip(row.Department || row.DEPT || row.DepartmentName, PROFILE_MAX.Department),
+        Company: clip(row.Company || row.COMPANY, PROFILE_MAX.Company),
+        Title: clip(row.Title || row.TITLE, PROFILE_MAX.Title),
+        Position: clip(row.Position || row.POSITION, PROFILE_MAX.Position),
+        Gentle: String(row.Gentle || row.Gender || row.SEX || '').trim(),
+        NRIC: String(row.NRIC || row.IdNo || '').trim(),
+        Passport: String(row.Passport || '').trim(),
+        Race: String(row.Race || '').trim(),
+        DOB: normalizeExcelDate(row.DOB || row.BirthDate || ''),
+        JoiningDate: normalizeExcelDate(row.JoiningDate || row.JoinDate || ''),
+        ResignDate: normalizeExcelDate(row.ResignDate || row.ExitDate || ''),
+        Address1: clip(row.Address1 || row.Address || '', PROFILE_MAX.Address1),
+        Address2: clip(row.Address2 || '', PROFILE_MAX.Address2),
+        Email: clip(row.Email || '', PROFILE_MAX.Email),
+        MobileNo: clip(row.MobileNo || row.Phone || row.Contact || '', PROFILE_MAX.MobileNo),
+        ActiveStatus: 'true',
+        NonExpired: 'true',
+        ExpiredDate: String(row.ExpiredDate || '').trim(),
+        AccessLevel: String(row.AccessLevel || row.MESSHALL || row.Access || '00').trim(),
+        FaceAccessLevel: String(row.FaceAccessLevel || '00').trim(),
+        LiftAccessLevel: String(row.LiftAccessLevel || '00').trim(),
+        VehicleNo: clip(row.VehicleNo || row.Vehicle || row.Remark || '', PROFILE_MAX.VehicleNo),
+        Download: 'true',
+        Photo: null,
+        StaffNo: clip(row.StaffNo || row.StaffID || '', PROFILE_MAX.StaffNo),
+    };
+    profile.DOB = normalizeVaultDate(profile.DOB);
+    profile.JoiningDate = normalizeVaultDate(profile.JoiningDate);
+    profile.ResignDate = normalizeVaultDate(profile.ResignDate);
+    profile.ExpiredDate = normalizeVaultDate(profile.ExpiredDate);
+    return profile;
+}
+
+// Normalize CardDB bit/text flags to the 'true'/'false' strings used in CardProfile
+const flagToProfile = (v) => {
+    const s = String(v).trim().toLowerCase();
+    return (s === '1' || s === 'true' || s === 'yes' || s === 'active') ? 'true' : 'false';
+};
+
+/**
+ * Like cardDbRowToProfile, but keeps the row's own ActiveStatus/NonExpired instead of forcing them on.
+ * Used to capture a card's current state (diffs, pre-update snapshots).
+ */
+function cardDbRowToCurrentProfile(row, fallbackCardNo) {
+    const profile = cardDbRowToProfile(row, fallbackCardNo);
+    if (row.ActiveStatus !== undefined && row.ActiveStatus !== null) profile.ActiveStatus = flagToProfile(row.ActiveStatus);
+    if (row.NonExpired !== undefined && row.NonExpired !== null) profile.NonExpired = flagToProfile(row.NonExpired);
+    return profile;
+}
+
+module.exports = {
+    ACTIVE_FILTER,
+    getCardDbConfig,
+    isCardDbConfigured,
+    resolveCardDbTable,
+    pickColumn,
+    getCardDbPool,
+    withCardDbPool,
+    closeCardDbPools,
+    checkCardDbHealth,
+    listCardDbRows,
+    listCardDbFacets,
+    lookupCardsByCardNo,
+    lookupCardsByStaffNo,
+    findCardsPastDates,
+    cardDbRowToProfile,
+    cardDbRowToCurrentProfile,
+    normalizeExcelDate,
+    normalizeVaultDate,
+    CARDDB_PROFILE_MAX: PROFILE_MAX,
+};
@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const database = require('./database');
+const { lookupCardsByCardNo } = require('./cardDb');
+
+// Inventory of physical card numbers in [dbo].[CardNumberPool] of the app database (created by
+// scripts/createCardNumberPoolTable.js). Admins load ranges of printed card numbers; the Register Vault
+// preview reserves the next free ones for rows without a Card No, and a number becomes assigned once
+// AddCard succeeded with it. Numbers found in CardDB when reserving are voided instead of handed out.
+// States: available -> reserved -> assigned, or void (collision, damaged card, etc).
+
+const CARD_NUMBER_STATES = ['available', 'reserved', 'assigned', 'void'];
+
+// Largest range accepted in one load, and most numbers reserved in one call
+const MAX_RANGE_SIZE = 20000;
+const MAX_RESERVE = 500;
+
+// Reservations not used within this many hours go back to available
+const RESERVATION_HOURS = Math.max(1, parseInt(process.env.CARD_POOL_RESERVATION_HOURS || '24', 10) || 24);
+
+// `@c0, @c1, ...` list for an IN clause, with its parameters
+// ReservationId is a UNIQUEIDENTIFIER; anything else would fail the conversion in SQL
+const RESERVATION_ID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const isReservationId = (value) => typeof value === 'string' && RESERVATION_ID_RE.test(value.trim());
+
+function inList(values, prefix = 'c') {
+  const params = {};
+  const names = values.map((v, i) => {
+    params[`${prefix}${i}`] = String(v);
+    return `@${prefix}${i}`;
+  });
+  return { sql: names.join(', '), params };
+}
+
+const cleanCardNos = (cardNos) => Array.from(new Set((cardNos || []).map(c => String(c || '').trim()).filter(Boolean))).slice(0, MAX_RESERVE);
+
+/**
+ * Check a range to load. Card numbers are digit strings; start and end must have the same length
+ * (leading zeros are kept). Returns { range: { start, end, label, count }, errors }.
+ */
+function validateCardNumberRange(payload) {
+  const errors = [];
+  const start = String(payload?.start ?? '').trim();
+  const end = String(payload?.end ?? '').trim();
+  const label = String(payload?.label ?? '').trim().slice(0, 100) || `${start}-${end}`;
+  if (!/^\d{1,10}$/.test(start) || !/^\d{1,10}$/.test(end)) errors.push('start and end must be card numbers of up to 10 digits');
+  else if (start.length !== end.length) errors.push('start and end must have the same number of digits');
+  else if (Number(end) < Number(start)) errors.push('end must not be below start');
+  const count = errors.length ? 0 : Number(end) - Number(start) + 1;
+  if (count > MAX_RANGE_SIZE) errors.push(`a range may hold at most ${MAX_RANGE_SIZE} numbers (got ${count})`);
+  return { range: { start, end, label, count }, errors };
+}
+
+/**
+ * Load a validated range as available numbers. Numbers already in the pool are left as they are.
+ * Returns { added, skipped }.
+ */
+async function addCardNumberRange(range, updatedBy) {
+  const q = `;WITH n AS (
+               SELECT TOP (@count) ROW_NUMBER() OVER (ORDER BY (SELECT NULL)) - 1 AS i
+               FROM sys.all_objects a CROSS JOIN sys.all_objects b
+             ), nums AS (
+               SELECT RIGHT(REPLICATE('0', @width) + CAST(CAST(@start AS BIGINT) + i AS VARCHAR(20)), @width) AS CardNo FROM n
+             )
+             INSERT INTO [dbo].[CardNumberPool] (CardNo, RangeLabel, State, UpdatedBy)
+             SELECT nums.CardNo, @label, N'available', @updatedBy FROM nums
+             WHERE NOT EXISTS (SELECT 1 FROM [dbo].[CardNumberPool] p WHERE p.CardNo = nums.CardNo);
+             SELECT @@ROWCOUNT AS added;`;
+  const rs = await database.query(q, {
+    count: range.count,
+    width: range.start.length,
+    start: Number(range.start),
+    label: range.label,
+    updatedBy: updatedBy || null,
+  });
+  const added = (rs.recordset || [])[0]?.added || 0;
+  return { added, skipped: range.count - added };
+}
+
+async function releaseExpiredReservations() {
+  const rs = await database.query(
+    `UPDATE [dbo].[CardNumberPool]
+     SET State = N'available', ReservationId = NULL, ReservedBy = NULL, ReservedAt = NULL, UpdatedAt = SYSUTCDATETIME()
+     WHERE State = N'reserved' AND ReservedAt < DATEADD(HOUR, -@hours, SYSUTCDATETIME())`,
+    { hours: RESERVATION_HOURS }
+  );
+  return Array.isArray(rs?.rowsAffected) ? rs.rowsAffected.reduce((a, b) => a + b, 0) : 0;
+}
+
+// Counts per state, overall and per loaded range
+async function getCardPoolSummary() {
+  await releaseExpiredReservations();
+  const rs = await database.query(
+    `SELECT RangeLabel AS label, MIN(CardNo) AS first, MAX(CardNo) AS last, COUNT(*) AS total,
+            SUM(CASE WHEN State = N'available' THEN 1 ELSE 0 END) AS available,
+            SUM(CASE WHEN State = N'reserved' THEN 1 ELSE 0 END) AS reserved,
+            SUM(CASE WHEN State = N'assigned' THEN 1 ELSE 0 END) AS assigned,
+            SUM(CASE WHEN State = N'void' THEN 1 ELSE 0 END) AS [void]
+     FROM [dbo].[CardNumberPool] GROUP BY RangeLabel ORDER BY MIN(CardNo)`
+  );
+  const ranges = rs.recordset || [];
+  const counts = Object.fromEntries(CARD_NUMBER_STATES.map(state => [state, ranges.reduce((sum, r) => sum + (r[state] || 0), 0)]));
+  return { counts, ranges, reservationHours: RESERVATION_HOURS };
+}
+
+// Numbers of one state (newest change first) for the admin page
+async function listCardNumbers({ state, limit = 200 } = {}) {
+  const top = Math.min(Math.max(parseInt(limit, 10) || 200, 1), 1000);
+  const where = CARD_NUMBER_STATES.includes(state) ? 'WHERE State = @state' : '';
+  const rs = await database.query(
+    `SELECT TOP (${top}) CardNo AS cardNo, RangeLabel AS rangeLabel, State AS state, ReservationId AS reservationId, ReservedBy AS reservedBy, ReservedAt AS reservedAt,
+            AssignedAt AS assignedAt, AssignedName AS assignedName, Note AS note, UpdatedAt AS updatedAt
+     FROM [dbo].[CardNumberPool] ${where} ORDER BY UpdatedAt DESC, CardNo`,
+    where ? { state } : {}
+  );
+  return rs.recordset || [];
+}
+
+/**
+ * Reserve the next `count` free card numbers for `reservedBy`. Each batch taken from the pool is checked
+ * against CardDB: numbers already on a card are voided and replaced by the next free ones.
+ * Returns { reservationId, cardNos, voided: [{ cardNo, reason }], shortBy } where shortBy > 0 means the pool ran out.
+ * Throws (code CARDDB_LOOKUP_FAILED) when CardDB cannot be checked; nothing stays reserved then.
+ */
+async function reserveCardNumbers(count, { reservedBy } = {}) {
+  const wanted = Math.min(Math.max(parseInt(count, 10) || 0, 0), MAX_RESERVE);
+  await releaseExpiredReservations();
+  const reservationId = crypto.randomUUID();
+  const cardNos = [];
+  const voided = [];
+  while (cardNos.length < wanted) {
+    // READPAST lets concurrent reservations skip each other's locked rows instead of handing out the same number
+    const rs = await database.query(
+      `;WITH nextFree AS (
+         SELECT TOP (@take) * FROM [dbo].[CardNumberPool] WITH (UPDLOCK, READPAST, ROWLOCK)
+         WHERE State = N'available' ORDER BY CardNo
+       )
+       UPDATE nextFree SET State = N'reserved', ReservationId = @reservationId, ReservedBy = @reservedBy, ReservedAt = SYSUTCDATETIME(), UpdatedAt = SYSUTCDATETIME()
+       OUTPUT inserted.CardNo AS cardNo;`,
+      { take: wanted - cardNos.length, reservationId, reservedBy: reservedBy || null }
+    );
+    const taken = (rs.recordset || []).map(r => String(r.cardNo)).sort();
+    if (taken.length === 0) break;
+    let existing;
+    try {
+      existing = await lookupCardsByCardNo(taken);
+    } catch (err) {
+      await releaseCardNumbers(reservationId, [...cardNos, ...taken]);
+      throw Object.assign(new Error(`Cannot check card numbers against CardDB: ${err.message}`), { code: 'CARDDB_LOOKUP_FAILED' });
+    }
+    const collisions = taken.filter(cn => existing.has(cn));
+    for (const cn of collisions) {
+      const card = existing.get(cn);
+      voided.push({ cardNo: cn, reason: `Already in CardDB${card?.Name ? ` (${card.Name})` : ''}` });
+    }
+    if (collisions.length > 0) {
+      await voidCardNumbers(collisions, { note: 'Already in CardDB when reserved', updatedBy: reservedBy, states: ['reserved'] });
+    }
+    cardNos.push(...taken.filter(cn => !existing.has(cn)));
+  }
+  return { reservationId, cardNos, voided, shortBy: wanted - cardNos.length };
+}
+
+/**
+ * Return numbers of one reservation to the pool (e.g. rows that were not registered after all).
+ * With `reservedBy` only numbers that user reserved are released; numbers of other reservations are left alone.
+ */
+async function releaseCardNumbers(reservationId, cardNos, { reservedBy } = {}) {
+  const list = cleanCardNos(cardNos);
+  if (!isReservationId(reservationId) || list.length === 0) return 0;
+  const { sql, params } = inList(list);
+  const rs = await database.query(
+    `UPDATE [dbo].[CardNumberPool]
+     SET State = N'available', ReservationId = NULL, ReservedBy = NULL, ReservedAt = NULL, UpdatedAt = SYSUTCDATETIME()
+     WHERE State = N'reserved' AND ReservationId = @reservationId AND CardNo IN (${sql})${reservedBy ? ' AND ReservedBy = @reservedBy' : ''}`,
+    { ...params, reservationId: reservationId.trim(), ...(reservedBy ? { reservedBy } : {}) }
+  );
+  return Array.isArray(rs?.rowsAffected) ? rs.rowsAffected.reduce((a, b) => a + b, 0) : 0;
+}
+
+// Take numbers out of circulation; assigned numbers are only voided when `states` includes 'assigned'
+async function voidCardNumbers(cardNos, { note, updatedBy, states = ['available', 'reserved'] } = {}) {
+  const list = cleanCardNos(cardNos);
+  const allowed = states.filter(s => CARD_NUMBER_STATES.includes(s) && s !== 'void');
+  if (list.length === 0 || allowed.length === 0) return 0;
+  const { sql, params } = inList(list);
+  const stateList = inList(allowed, 's');
+  const rs = await database.query(
+    `UPDATE [dbo].[CardNumberPool]
+     SET State = N'void', ReservationId = NULL, Note = @note, UpdatedBy = @updatedBy, UpdatedAt = SYSUTCDATETIME()
+     WHERE State IN (${stateList.sql}) AND CardNo IN (${sql})`,
+    { ...params, ...stateList.params, note: note ? String(note).slice(0, 400) : null, updatedBy: updatedBy || null }
+  );
+  return Array.isArray(rs?.rowsAffected) ? rs.rowsAffected.reduce((a, b) => a + b, 0) : 0;
+}
+
+/**
+ * Mark a number assigned after AddCard succeeded with it. Numbers typed in by hand count too, so a pool
+ * number used outside a reservation is not handed out again; a reserved number is only taken when it
+ * belongs to one of `reservationIds` (the reservations the batch was started with). Numbers outside the pool are ignored.
+ */
+async function markCardNumberAssigned(cardNo, { name, reservationIds = [] } = {}) {
+  const cn = String(cardNo || '').trim();
+  if (!cn) return false;
+  const ids = [...new Set((Array.isArray(reservationIds) ? reservationIds : []).filter(isReservationId).map(id => id.trim()))];
+  const reserved = ids.length > 0 ? inList(ids, 'r') : null;
+  const rs = await database.query(
+    `UPDATE [dbo].[CardNumberPool]
+     SET State = N'assigned', ReservationId = NULL, AssignedAt = SYSUTCDATETIME(), AssignedName = @name, UpdatedAt = SYSUTCDATETIME()
+     WHERE CardNo = @cardNo AND (State = N'available'${reserved ? ` OR (State = N'reserved' AND ReservationId IN (${reserved.sql}))` : ''})`,
+    { cardNo: cn, name: name ? String(name).slice(0, 100) : null, ...(reserved ? reserved.params : {}) }
+  );
+  return (Array.isArray(rs?.rowsAffected) ? rs.rowsAffected.reduce((a, b) => a + b, 0) : 0) > 0;
+}
+
+module.exports = {
+  CARD_NUMBER_STATES,
+  MAX_RESERVE,
+  isReservationId,
+  validateCardNumberRange,
+  addCardNumberRange,
+  getCardPoolSummary,
+  listCardNumbers,
+  reserveCardNumbers,
+  releaseCardNumbers,
+  voidCardNumbers,
+  markCardNumberAssigned,
+};
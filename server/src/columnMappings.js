@@ -0,0 +1,231 @@
+// Column mapping profiles: which sheet header feeds which Vault field, replacing hard-coded header chains.
+// A profile is { id, name, kind, description, builtIn, mappings: [{ source, target, transform }] }.
+// Entries for the same target are tried in order; the first non-empty cell wins (like the old `a || b` chains).
+// `kind` says which mapper reads the result: 'register' (AddCard sheets), 'update' (UpdateCard template)
+// or 'processor' (HR exports combined by the ID Card Processor).
+
+const { normalizeExcelDate } = require('./cardDb');
+
+const MAPPING_KINDS = ['register', 'update', 'processor'];
+
+// Fields the row mappers read. MessHall feeds the AccessLevel/VehicleNo rules; ActiveStatus takes card status text.
+const MAPPING_TARGETS = [
+  'CardNo', 'Name', 'StaffNo', 'Department', 'Company', 'Title', 'Position', 'Gentle', 'NRIC', 'Passport', 'Race',
+  'DOB', 'JoiningDate', 'ResignDate', 'Address1', 'Address2', 'Email', 'MobileNo', 'ActiveStatus', 'NonExpired',
+  'ExpiredDate', 'VehicleNo', 'MessHall', 'AccessLevel', 'FaceAccessLevel', 'LiftAccessLevel',
+];
+
+const MAPPING_TRANSFORMS = ['trim', 'upper', 'lower', 'date_dmy', 'date_mdy'];
+
+function chains(targets) {
+  const mappings = [];
+  for (const [target, sources] of Object.entries(targets)) {
+    for (const source of sources) mappings.push({ source, target, transform: 'trim' });
+  }
+  return mappings;
+}
+
+// Built-in profiles reproduce the header variants the mappers have always accepted; they cannot be edited
+const BUILTIN_MAPPING_PROFILES = [
+  {
+    id: 'builtin-register',
+    name: 'Card data file (built-in)',
+    kind: 'register',
+    description: 'CardDatafileformat CSV and For_Machine sheets produced by the ID Card Processor.',
+    builtIn: true,
+    mappings: chains({
+      Name: ['Card Name [Max 50]', 'Card Name', 'Name', 'Employee Name', 'Employee', 'Nama'],
+      StaffNo: ['Staff No [Max 15]', 'Staff No. [Max 10]', 'Emp. No', 'Employee ID', 'ID', 'NIK'],
+      CardNo: ['Card No #[Max 10]', 'Card No [Max 10]', 'Card No', 'CardNo', 'Card Number'],
+      Department: ['Department [Max 50]', 'Department', 'Departement', 'Dept'],
+      Company: ['Company [Max 50]', 'Company'],
+      Email: ['Email [Max 50]', 'Email', 'Email Address'],
+      MobileNo: ['Mobile No. [Max 20]', 'Mobile No', 'Phone'],
+      FaceAccessLevel: ['Face Access Level [Max 3]', 'Face Access Level', 'FaceAccessLevel'],
+      LiftAccessLevel: ['Lift Access Level [Max 3]', 'Lift Access Level', 'LiftAccessLevel'],
+      AccessLevel: ['Access Level [Max 3]', 'Access Level', 'AccessLevel'],
+      MessHall: ['MessHall', 'Mess Hall'],
+    }),
+  },
+  {
+    id: 'builtin-update',
+    name: 'UpdateCard template (built-in)',
+    kind: 'update',
+    description: 'UpdateCardTemplate.xlsx and HR master data exports with upper-case headers.',
+    builtIn: true,
+    mappings: chains({
+      CardNo: ['CARD NO', 'Card No', 'CardNo', 'Card Number'],
+      Name: ['NAME', 'Name', 'Card Name', 'Employee Name'],
+      Company: ['COMPANY', 'Company'],
+      StaffNo: ['STAFF ID', 'Staff No', 'Employee ID', 'ID'],
+      Department: ['DEPARTMENT', 'Department'],
+      Title: ['TITLE', 'Title'],
+      Position: ['POSITION', 'Position'],
+      Gentle: ['GENDER', 'Gender', 'Gentle'],
+      NRIC: ['KTP/PASPORT NO', 'KTP/PASSPORT NO', 'NRIC/Passport'],
+      Passport: ['PASSPORT NO', 'Passport'],
+      DOB: ['DATE OF BIRTH', 'DOB'],
+      Address1: ['ADDRESS', 'Address'],
+      Address2: ['ADDRESS 2', 'Address2'],
+      Email: ['EMAIL', 'Email'],
+      MobileNo: ['PHONE NO', 'Mobile No', 'Phone'],
+      JoiningDate: ['DATE OF HIRE', 'Joining Date'],
+      ResignDate: ['WORK PERIOD END', 'Resign Date'],
+      Race: ['RACE', 'Race'],
+      ActiveStatus: ['CARD STATUS', 'Status', 'STATUS'],
+      NonExpired: ['NON EXPIRED', 'NonExpired'],
+      ExpiredDate: ['EXPIRED DATE', 'Expired Date', 'ExpiredDate'],
+      VehicleNo: ['VEHICLE NO', 'Vehicle No', 'VehicleNo'],
+      MessHall: ['MESSHALL', 'MessHall', 'Mess Hall'],
+      AccessLevel: ['ACCESS LEVEL', 'Access Level', 'AccessLevel'],
+      FaceAccessLevel: ['FACE ACCESS LEVEL', 'Face Access Level', 'FaceAccessLevel'],
+      LiftAccessLevel: ['LIFT ACCESS LEVEL', 'Lift Access Level', 'LiftAccessLevel'],
+    }),
+  },
+  {
+    id: 'builtin-processor',
+    name: 'HR export (built-in)',
+    kind: 'processor',
+    description: 'HR employee lists (Emp. No, Name, Department, Section, Job Title, MessHall) fed to the ID Card Processor.',
+    builtIn: true,
+    mappings: chains({
+      StaffNo: ['Emp. No'],
+      Name: ['Name'],
+      Department: ['Department'],
+      MessHall: ['MessHall'],
+    }),
+  },
+];
+
+const BUILTIN_BY_KIND = Object.fromEntries(BUILTIN_MAPPING_PROFILES.map(p => [p.kind, p]));
+
+function builtinMappingProfile(kind) {
+  return BUILTIN_BY_KIND[kind];
+}
+
+function getBuiltinMappingProfile(id) {
+  return BUILTIN_MAPPING_PROFILES.find(p => p.id === id) || null;
+}
+
+const normHeader = (h) => String(h ?? '').trim().toLowerCase();
+
+// Parse d/m/yyyy (dayFirst) or m/d/yyyy into yyyy-mm-dd; Excel serials become "1 Jan 1990" like the mappers produce
+function transformDate(val, dayFirst) {
+  const m = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(val);
+  if (!m) return normalizeExcelDate(val);
+  const [day, month] = dayFirst ? [m[1], m[2]] : [m[2], m[1]];
+  return `${m[3]}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+}
+
+function applyTransform(val, transform) {
+  switch (transform) {
+    case 'upper': return val.toUpperCase();
+    case 'lower': return val.toLowerCase();
+    case 'date_dmy': return transformDate(val, true);
+    case 'date_mdy': return transformDate(val, false);
+    default: return val;
+  }
+}
+
+/**
+ * Read the mapped fields of one sheet row: { CardNo: '...', Name: '...', ... }.
+ * Headers match exactly first, then case-insensitively; values are trimmed strings ('' when no column has one).
+ */
+function resolveMappedFields(row = {}, profile) {
+  const byHeader = new Map();
+  for (const key of Object.keys(row)) {
+    const k = normHeader(key);
+    if (!byHeader.has(k)) byHeader.set(k, key);
+  }
+  const fields = {};
+  for (const { source, target, transform } of profile.mappings) {
+    if (fields[target]) continue;
+    const key = Object.prototype.hasOwnProperty.call(row, source) ? source : byHeader.get(normHeader(source));
+    if (key === undefined) continue;
+    const raw = row[key];
+    const val = raw === undefined || raw === null ? '' : String(raw).trim();
+    if (val) fields[target] = applyTransform(val, transform);
+  }
+  for (const target of MAPPING_TARGETS) {
+    if (fields[target] === undefined) fields[target] = '';
+  }
+  return fields;
+}
+
+// Headers of a sheet read with sheet_to_json (every row carries all keys when read with defval)
+function sheetHeaders(rows) {
+  const headers = new Set();
+  for (const row of rows.slice(0, 20)) {
+    for (const key of Object.keys(row || {})) headers.add(key);
+  }
+  return [...headers];
+}
+
+/**
+ * Score how well a profile fits the sheet headers.
+ * Returns { matched: targets with a column present, missing: targets without one, score: matched share of targets }.
+ */
+function scoreMappingProfile(headers, profile) {
+  const present = new Set(headers.map(normHeader));
+  const targets = [...new Set(profile.mappings.map(m => m.target))];
+  const matched = targets.filter(t => profile.mappings.some(m => m.target === t && present.has(normHeader(m.source))));
+  return {
+    matched,
+    missing: targets.filter(t => !matched.includes(t)),
+    score: targets.length ? matched.length / targets.length : 0,
+  };
+}
+
+/**
+ * Pick the profile that fits the headers best: most mapped targets present, then the highest share.
+ * A profile must find at least one identifying column (CardNo, Name or StaffNo) to be picked.
+ * Returns { profile, matched, missing, candidates: [{ id, name, matched, score }] } or { profile: null, candidates }.
+ */
+function detectMappingProfile(headers, profiles) {
+  const ranked = profiles
+    .map(profile => ({ profile, ...scoreMappingProfile(headers, profile) }))
+    .filter(r => r.matched.length > 0)
+    .sort((a, b) => (b.matched.length - a.matched.length) || (b.score - a.score));
+  const candidates = ranked.map(r => ({ id: r.profile.id, name: r.profile.name, matched: r.matched.length, score: Number(r.score.toFixed(2)) }));
+  const best = ranked.find(r => r.matched.includes('CardNo') || r.matched.includes('Name') || r.matched.includes('StaffNo'));
+  if (!best) return { profile: null, matched: [], missing: [], candidates };
+  return { profile: best.profile, matched: best.matched, missing: best.missing, candidates };
+}
+
+/**
+ * Check an admin-supplied profile. Returns { profile, errors } where profile is the cleaned-up copy.
+ */
+function validateMappingProfile(payload) {
+  const errors = [];
+  const name = String(payload?.name || '').trim().slice(0, 100);
+  const kind = String(payload?.kind || '').trim();
+  const description = String(payload?.description || '').trim().slice(0, 400);
+  if (!name) errors.push('name is required');
+  if (!MAPPING_KINDS.includes(kind)) errors.push(`kind must be one of ${MAPPING_KINDS.join(', ')}`);
+  const mappings = [];
+  (Array.isArray(payload?.mappings) ? payload.mappings : []).forEach((m, i) => {
+    const source = String(m?.source || '').trim().slice(0, 200);
+    const target = String(m?.target || '').trim();
+    const transform = String(m?.transform || 'trim').trim();
+    if (!source) errors.push(`mappings[${i}]: source header is required`);
+    if (!MAPPING_TARGETS.includes(target)) errors.push(`mappings[${i}]: unknown target '${target}'`);
+    if (!MAPPING_TRANSFORMS.includes(transform)) errors.push(`mappings[${i}]: unknown transform '${transform}'`);
+    mappings.push({ source, target, transform });
+  });
+  if (mappings.length === 0) errors.push('at least one mapping is required');
+  return { profile: { name, kind, description, mappings }, errors };
+}
+
+module.exports = {
+  MAPPING_KINDS,
+  MAPPING_TARGETS,
+  MAPPING_TRANSFORMS,
+  BUILTIN_MAPPING_PROFILES,
+  builtinMappingProfile,
+  getBuiltinMappingProfile,
+  resolveMappedFields,
+  sheetHeaders,
+  scoreMappingProfile,
+  detectMappingProfile,
+  validateMappingProfile,
+};
@@ -0,0 +1,325 @@
+const database = require('./database');
+const { findCardsPastDates, lookupCardsByCardNo, normalizeVaultDate } = require('./cardDb');
+const { readSentCardStates } = require('./vaultExchanges');
+const { deactivateCardsInVault } = require('./vaultRegistrar');
+const vaultEnvironments = require('./vaultEnvironments');
+
+// Scheduled deactivation of resigned and expired cards. Once a day the scheduler scans CardDB (active cards whose
+// resign or expiry date has passed) and our own registration history (the card as last accepted by the Vault,
+// see readSentCardStates) and queues what it finds in [dbo].[PendingDeactivations] of the app database (created by
+// scripts/createPendingDeactivationsTable.js). Admins review the queue; approved entries are sent as UpdateCard
+// with ActiveStatus=false by the next run (or on demand) through deactivateCardsInVault, logged like any other
+// deactivation. A card is queued once per due date, so rejected entries do not come back.
+// States: pending -> approved | rejected; approved -> deactivated | failed | skipped; pending -> skipped when the
+// card no longer qualifies. Failed and rejected entries can be reset to pending.
+
+const DEACTIVATION_STATES = ['pending', 'approved', 'rejected', 'deactivated', 'failed', 'skipped'];
+const DEACTIVATION_DECISIONS = { approve: 'approved', reject: 'rejected', reset: 'pending' };
+
+// States each decision applies to
+const DECISION_FROM = { approve: ['pending', 'failed'], reject: ['pending', 'approved', 'failed'], reset: ['rejected', 'failed', 'skipped'] };
+
+const MAX_EXECUTE = 500;
+const INSERT_CHUNK = 200;
+
+// The scheduler sends UpdateCard unattended, so it is opt-in and needs the target environment named explicitly
+const SCHEDULER_ENABLED = String(process.env.DEACTIVATION_SCHEDULER_ENABLED || '').trim().toLowerCase() === 'true';
+const SCHEDULER_ENVIRONMENT_ID = String(process.env.DEACTIVATION_ENVIRONMENT_ID || '').trim();
+// Local hour (0-23) after which the daily run starts
+const SCAN_HOUR = Math.min(23, Math.max(0, parseInt(process.env.DEACTIVATION_SCAN_HOUR || '2', 10) || 0));
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+const SELECT_COLUMNS = 'Id as id, CardNo as cardNo, StaffNo as staffNo, Name as name, Reason as reason, CONVERT(varchar(10), DueDate, 23) as dueDate, Source as source, State as state, DetectedAt as detectedAt, ReviewedBy as reviewedBy, ReviewedAt as reviewedAt, ExecutedAt as executedAt, ResultCode as resultCode, ResultMessage as resultMessage, UpdatedAt as updatedAt';
+
+// Directories set by startDeactivationScheduler: `roots` holds the Vault logs scanned for history
+// ({ output, uploads }, as for the log viewer), `logDir` receives the deactivation logs
+const settings = { roots: {}, logDir: undefined };
+
+const status = { enabled: false, disabledReason: null, scanHour: SCAN_HOUR, running: false, lastRunDate: null, lastScan: null, lastExecution: null, nextRunAt: null };
+// Set while a scheduled run (scan + execution) is in progress, so the hourly check does not start a second one
+let scheduledRunActive = false;
+let timer = null;
+
+const today = () => localDate(new Date());
+
+function localDate(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// YYYY-MM-DD before `asOf`, ignoring the 1900-01-01 placeholder; '' otherwise
+function pastDate(value, asOf) {
+  const d = normalizeVaultDate(value);
+  return /^\d{4}-\d{2}-\d{2}$/.test(d) && d > '1900-01-01' && d < asOf ? d : '';
+}
+
+const isFalse = (v) => ['0', 'false', 'n', 'no'].includes(String(v ?? '').trim().toLowerCase());
+
+const affectedRows = (rs) => (Array.isArray(rs?.rowsAffected) ? rs.rowsAffected.reduce((a, b) => a + b, 0) : 0);
+
+function inList(values, prefix = 'c') {
+  const params = {};
+  const names = values.map((v, i) => {
+    params[`${prefix}${i}`] = String(v);
+    return `@${prefix}${i}`;
+  });
+  return { sql: names.join(', '), params };
+}
+
+function candidate(cardNo, { staffNo, name, resignDate, expiredDate }, source) {
+  return {
+    cardNo,
+    staffNo: String(staffNo || '').trim().slice(0, 50),
+    name: String(name || '').trim().slice(0, 100),
+    reason: resignDate ? 'resigned' : 'expired',
+    dueDate: resignDate || expiredDate,
+    source,
+  };
+}
+
+// Cards our own logs last sent as active with a resign date, or an expiry date while NonExpired was off, before asOf
+async function historyCandidates(asOf) {
+  const out = [];
+  for (const state of (await readSentCardStates(settings.roots)).values()) {
+    if (isFalse(state.activeStatus)) continue;
+    const resignDate = pastDate(state.resignDate, asOf);
+    const expiredDate = isFalse(state.nonExpired) ? pastDate(state.expiredDate, asOf) : '';
+    if (resignDate || expiredDate) out.push(candidate(state.cardNo, { ...state, resignDate, expiredDate }, 'history'));
+  }
+  return out;
+}
+
+// Queue candidates not yet queued for the same due date. Returns the number added.
+async function insertCandidates(candidates) {
+  let added = 0;
+  for (let i = 0; i < candidates.length; i += INSERT_CHUNK) {
+    const chunk = candidates.slice(i, i + INSERT_CHUNK);
+    const params = {};
+    const values = chunk.map((c, n) => {
+      Object.assign(params, { [`c${n}`]: c.cardNo, [`s${n}`]: c.staffNo || null, [`n${n}`]: c.name || null, [`r${n}`]: c.reason, [`d${n}`]: c.dueDate, [`o${n}`]: c.source });
+      return `(@c${n}, @s${n}, @n${n}, @r${n}, CONVERT(date, @d${n}), @o${n})`;
+    });
+    const rs = await database.query(
+      `INSERT INTO [dbo].[PendingDeactivations] (CardNo, StaffNo, Name, Reason, DueDate, Source)
+       SELECT v.CardNo, v.StaffNo, v.Name, v.Reason, v.DueDate, v.Source
+       FROM (VALUES ${values.join(', ')}) AS v (CardNo, StaffNo, Name, Reason, DueDate, Source)
+       WHERE NOT EXISTS (SELECT 1 FROM [dbo].[PendingDeactivations] p WHERE p.CardNo = v.CardNo AND p.DueDate = v.DueDate);
+       SELECT @@ROWCOUNT AS added;`,
+      params
+    );
+    added += (rs.recordset || [])[0]?.added || 0;
+  }
+  return added;
+}
+
+/**
+ * Scan CardDB and the registration history for cards past their resign/expiry date and queue them for review.
+ * History-only cards are checked against CardDB (gone or already inactive there: not queued). When the CardDB
+ * scan succeeded, pending entries whose card no longer qualifies are marked skipped.
+ * Returns { asOf, carddb, history, added, dropped, errors: [{ code, message }] }.
+ */
+async function scanForDeactivations({ asOf = today() } = {}) {
+  const result = { asOf, carddb: 0, history: 0, added: 0, dropped: 0, errors: [] };
+  const found = new Map();
+  let carddbScanned = false;
+  try {
+    for (const row of await findCardsPastDates(asOf)) {
+      found.set(row.CardNo, candidate(row.CardNo, { staffNo: row.StaffNo, name: row.Name, resignDate: row.ResignDate, expiredDate: row.ExpiredDate }, 'carddb'));
+    }
+    result.carddb = found.size;
+    carddbScanned = true;
+  } catch (err) {
+    result.errors.push({ code: 'CARDDB_SCAN_FAILED', message: err.message });
+  }
+
+  let fromHistory = [];
+  try {
+    fromHistory = (await historyCandidates(asOf)).filter(c => !found.has(c.cardNo));
+  } catch (err) {
+    result.errors.push({ code: 'HISTORY_SCAN_FAILED', message: err.message });
+  }
+  if (fromHistory.length > 0) {
+    try {
+      const existing = await lookupCardsByCardNo(fromHistory.map(c => c.cardNo));
+      fromHistory = fromHistory.filter(c => existing.has(c.cardNo) && !isFalse(existing.get(c.cardNo).ActiveStatus));
+    } catch (err) {
+      // Kept for review; execution checks each card against CardDB again
+      result.errors.push({ code: 'CARDDB_LOOKUP_FAILED', message: `History cards not checked against CardDB: ${err.message}` });
+    }
+  }
+  for (const c of fromHistory) found.set(c.cardNo, c);
+  result.history = fromHistory.length;
+
+  result.added = await insertCandidates(Array.from(found.values()));
+  if (carddbScanned) {
+    const pending = await listDeactivations({ state: 'pending', limit: 5000 });
+    const gone = pending.filter(e => !found.has(e.cardNo)).map(e => e.id);
+    result.dropped = await setEntryState(gone, 'skipped', { code: 'NO_LONGER_DUE', message: 'Card is inactive, gone or no longer past its date in CardDB' });
+  }
+  status.lastScan = { at: new Date().toISOString(), ...result };
+  console.log(`[Deactivation] Scan as of ${asOf}: CardDB=${result.carddb}, history=${result.history}, queued=${result.added}, dropped=${result.dropped}, errors=${result.errors.length}`);
+  return result;
+}
+
+async function setEntryState(ids, state, { code, message } = {}) {
+  let total = 0;
+  for (let i = 0; i < ids.length; i += 500) {
+    const { sql, params } = inList(ids.slice(i, i + 500), 'i');
+    const rs = await database.query(
+      `UPDATE [dbo].[PendingDeactivations] SET State = @state, ResultCode = @code, ResultMessage = @message, UpdatedAt = SYSUTCDATETIME() WHERE Id IN (${sql})`,
+      { ...params, state, code: code || null, message: message ? String(message).slice(0, 400) : null }
+    );
+    total += affectedRows(rs);
+  }
+  return total;
+}
+
+// Queue entries (newest due date first), optionally of one state
+async function listDeactivations({ state, limit = 500 } = {}) {
+  const top = Math.min(Math.max(parseInt(limit, 10) || 500, 1), 5000);
+  const where = DEACTIVATION_STATES.includes(state) ? 'WHERE State = @state' : '';
+  const rs = await database.query(
+    `SELECT TOP (${top}) ${SELECT_COLUMNS} FROM [dbo].[PendingDeactivations] ${where} ORDER BY DueDate DESC, CardNo`,
+    where ? { state } : {}
+  );
+  return (rs.recordset || []).map(r => ({ ...r, id: String(r.id) }));
+}
+
+// Entries per state
+async function getDeactivationCounts() {
+  const rs = await database.query('SELECT State AS state, COUNT(*) AS cnt FROM [dbo].[PendingDeactivations] GROUP BY State');
+  const counts = Object.fromEntries(DEACTIVATION_STATES.map(s => [s, 0]));
+  for (const r of rs.recordset || []) counts[r.state] = r.cnt;
+  return counts;
+}
+
+/**
+ * Apply a review decision ('approve' | 'reject' | 'reset') to entries. Entries in a state the decision does not
+ * apply to (see DECISION_FROM) are left alone. Returns the number of entries changed.
+ */
+async function reviewDeactivations(ids, decision, reviewedBy) {
+  const list = Array.from(new Set((ids || []).map(String).filter(id => /^[0-9a-f-]{36}$/i.test(id)))).slice(0, 5000);
+  if (list.length === 0 || !DEACTIVATION_DECISIONS[decision]) return 0;
+  const { sql, params } = inList(list, 'i');
+  const from = inList(DECISION_FROM[decision], 's');
+  const rs = await database.query(
+    `UPDATE [dbo].[PendingDeactivations]
+     SET State = @state, ReviewedBy = @reviewedBy, ReviewedAt = SYSUTCDATETIME(), ResultCode = NULL, ResultMessage = NULL, UpdatedAt = SYSUTCDATETIME()
+     WHERE Id IN (${sql}) AND State IN (${from.sql})`,
+    { ...params, ...from.params, state: DEACTIVATION_DECISIONS[decision], reviewedBy: reviewedBy || null }
+  );
+  return affectedRows(rs);
+}
+
+/**
+ * Send approved entries to the Vault `environment` as UpdateCard with ActiveStatus=false (deactivateCardsInVault,
+ * logged to vault-update-log.jsonl in the scheduled-deactivation log directory) and record each outcome.
+ * Returns the deactivateCardsInVault result plus `environment`; entries stay approved when the batch could not start.
+ */
+async function executeApprovedDeactivations({ environment: env } = {}) {
+  if (status.running) {
+    throw Object.assign(new Error('A deactivation run is already in progress'), { code: 'DEACTIVATION_RUNNING' });
+  }
+  if (!env) throw new Error('executeApprovedDeactivations needs the Vault environment to send to');
+  status.running = true;
+  try {
+    const entries = await listDeactivations({ state: 'approved', limit: MAX_EXECUTE });
+    const summary = { environment: vaultEnvironments.describeVaultEnvironment(env), attempted: 0, skipped: 0, succeeded: 0, errors: [], details: [] };
+    if (entries.length > 0) {
+      const result = await deactivateCardsInVault({
+        entries: entries.map(e => ({ cardNo: e.cardNo, staffNo: e.staffNo, name: e.name, resignDate: e.dueDate })),
+        operation: 'deactivate',
+        endpointBaseUrl: env.endpointBaseUrl,
+        environment: env,
+        outputDir: settings.logDir,
+      });
+      Object.assign(summary, result, { environment: summary.environment });
+      for (const detail of result.details) {
+        const entry = entries[detail.index];
+        if (!entry) continue;
+        const state = detail.action === 'skip' ? 'skipped' : (detail.success ? 'deactivated' : 'failed');
+        await database.query(
+          `UPDATE [dbo].[PendingDeactivations]
+           SET State = @state, ExecutedAt = SYSUTCDATETIME(), ResultCode = @code, ResultMessage = @message, UpdatedAt = SYSUTCDATETIME()
+           WHERE Id = @id AND State = N'approved'`,
+          { id: entry.id, state, code: String(detail.reason || detail.respCode || '').slice(0, 50) || null, message: detail.respMessage ? String(detail.respMessage).slice(0, 400) : null }
+        );
+      }
+    }
+    status.lastExecution = { at: new Date().toISOString(), environment: summary.environment, attempted: summary.attempted, skipped: summary.skipped, succeeded: summary.succeeded, errors: summary.errors.length };
+    return summary;
+  } finally {
+    status.running = false;
+  }
+}
+
+// Earliest time of the next daily run (the hourly check picks it up within the hour)
+function nextRunAt(now = new Date()) {
+  const next = new Date(now);
+  next.setHours(SCAN_HOUR, 0, 0, 0);
+  if (status.lastRunDate === localDate(now)) next.setDate(next.getDate() + 1);
+  return next < now ? now : next;
+}
+
+// Daily run: scan, then execute what was approved since the last run. A failed run counts as not done,
+// so the next hourly check tries again.
+async function runScheduledDeactivation() {
+  const now = new Date();
+  if (scheduledRunActive || status.running || status.lastRunDate === localDate(now) || now.getHours() < SCAN_HOUR) return;
+  scheduledRunActive = true;
+  try {
+    const environment = await vaultEnvironments.resolveVaultEnvironment({ environmentId: SCHEDULER_ENVIRONMENT_ID });
+    await scanForDeactivations();
+    const result = await executeApprovedDeactivations({ environment });
+    if (result.attempted || result.skipped) {
+      console.log(`[Deactivation] Scheduled run: attempted=${result.attempted}, skipped=${result.skipped}, succeeded=${result.succeeded}, errors=${result.errors.length}`);
+    }
+    status.lastRunDate = localDate(now);
+  } catch (err) {
+    console.error('[Deactivation] Scheduled run failed:', err.message);
+  } finally {
+    scheduledRunActive = false;
+    status.nextRunAt = nextRunAt().toISOString();
+  }
+}
+
+/**
+ * Start the daily scheduler when DEACTIVATION_SCHEDULER_ENABLED=true and DEACTIVATION_ENVIRONMENT_ID names the Vault
+ * environment it sends to (never the default one implicitly; configuring a production environment there is the
+ * confirmation the manual run asks for). It checks hourly and runs once a day after DEACTIVATION_SCAN_HOUR.
+ */
+function startDeactivationScheduler({ roots, logDir }) {
+  settings.roots = roots || {};
+  settings.logDir = logDir;
+  if (timer) return;
+  if (!SCHEDULER_ENABLED) {
+    status.disabledReason = 'DEACTIVATION_SCHEDULER_ENABLED is not true';
+    return;
+  }
+  if (!SCHEDULER_ENVIRONMENT_ID) {
+    status.disabledReason = 'DEACTIVATION_ENVIRONMENT_ID is not set';
+    console.warn('[Deactivation] Scheduler not started: DEACTIVATION_ENVIRONMENT_ID must name the Vault environment to deactivate in');
+    return;
+  }
+  status.enabled = true;
+  status.nextRunAt = nextRunAt().toISOString();
+  timer = setInterval(runScheduledDeactivation, CHECK_INTERVAL_MS);
+  timer.unref();
+  setTimeout(runScheduledDeactivation, 60 * 1000).unref();
+  console.log(`[Deactivation] Scheduler started (daily after ${String(SCAN_HOUR).padStart(2, '0')}:00 against environment ${SCHEDULER_ENVIRONMENT_ID}, logs in ${logDir})`);
+}
+
+function getDeactivationSchedulerStatus() {
+  return { ...status, environmentId: SCHEDULER_ENVIRONMENT_ID || null };
+}
+
+module.exports = {
+  DEACTIVATION_STATES,
+  DEACTIVATION_DECISIONS,
+  scanForDeactivations,
+  listDeactivations,
+  getDeactivationCounts,
+  reviewDeactivations,
+  executeApprovedDeactivations,
+  startDeactivationScheduler,
+  getDeactivationSchedulerStatus,
+};
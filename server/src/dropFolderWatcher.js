@@ -0,0 +1,233 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Watched drop folder for HR intake sheets. When DROP_FOLDER_PATH is set, the folder is polled (shared network
+// folders do not reliably report fs.watch events) for Excel/CSV/photo files. Once every file has stopped changing
+// for DROP_FOLDER_SETTLE_SECONDS, all of them are taken as one batch: staged and processed exactly like an upload
+// through /api/upload + /api/process, optionally followed by a Vault preview of the result (DROP_FOLDER_PREVIEW =
+// register | upsert, saved as vault-preview.json next to the output). The files are then moved to
+// archive/<date>/ or error/<date>/ inside the drop folder, and every batch is logged to drop-folder-log.jsonl.
+
+const SHEET_EXTENSIONS = ['.xlsx', '.xls'];
+const CSV_EXTENSIONS = ['.csv'];
+const PHOTO_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.bmp', '.tiff', '.gif'];
+const MIME_TYPES = {
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.xls': 'application/vnd.ms-excel',
+  '.csv': 'text/csv',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.bmp': 'image/bmp',
+  '.gif': 'image/gif',
+  '.tiff': 'image/tiff',
+};
+const PREVIEW_MODES = ['register', 'upsert'];
+const LOG_FILE = 'drop-folder-log.jsonl';
+const RECENT_BATCHES = 50;
+
+const seconds = (name, fallback) => Math.max(1, parseInt(process.env[name] || String(fallback), 10) || fallback) * 1000;
+
+const settings = {
+  dir: process.env.DROP_FOLDER_PATH ? path.resolve(process.env.DROP_FOLDER_PATH) : '',
+  pollMs: seconds('DROP_FOLDER_POLL_SECONDS', 30),
+  settleMs: seconds('DROP_FOLDER_SETTLE_SECONDS', 60),
+  preview: PREVIEW_MODES.includes(process.env.DROP_FOLDER_PREVIEW) ? process.env.DROP_FOLDER_PREVIEW : '',
+  radiusPercentage: parseInt(process.env.DROP_FOLDER_RADIUS || '15', 10) || 15,
+  mappingProfileId: process.env.DROP_FOLDER_MAPPING_PROFILE_ID || undefined,
+  logDir: undefined,
+};
+
+// Callbacks from server.js: stage(files, { keepSource }), process({ inputPath, ... }), preview({ mode, jobId, outputDir, csvPath })
+let hooks = null;
+let timer = null;
+// Files seen by the previous poll: name -> { size, mtimeMs, since }
+let seen = new Map();
+const recent = [];
+const status = { enabled: !!settings.dir, dir: settings.dir, busy: false, lastPollAt: null, lastError: null, waiting: 0 };
+
+const isCandidate = (name) => {
+  if (name.startsWith('.') || name.startsWith('~$')) return false; // hidden files and Office lock files
+  const ext = path.extname(name).toLowerCase();
+  return SHEET_EXTENSIONS.includes(ext) || CSV_EXTENSIONS.includes(ext) || PHOTO_EXTENSIONS.includes(ext);
+};
+
+const hasExtension = (names, exts) => names.some(n => exts.includes(path.extname(n).toLowerCase()));
+
+function appendLog(entry) {
+  recent.unshift(entry);
+  recent.length = Math.min(recent.length, RECENT_BATCHES);
+  if (!settings.logDir) return;
+  try {
+    fs.ensureDirSync(settings.logDir);
+    fs.appendFileSync(path.join(settings.logDir, LOG_FILE), `${JSON.stringify(entry)}\n`);
+  } catch (err) {
+    console.error('[DropFolder] Failed to write log:', err.message);
+  }
+}
+
+// Move the batch files to <drop>/<archive|error>/<YYYY-MM-DD>/, prefixing names that are already taken
+async function moveBatch(names, bucket, batchId) {
+  const target = path.join(settings.dir, bucket, batchId.slice(0, 10));
+  await fs.ensureDir(target);
+  for (const name of names) {
+    let dest = path.join(target, name);
+    if (await fs.pathExists(dest)) dest = path.join(target, `${batchId.replace(/[:.]/g, '-')}-${name}`);
+    await fs.move(path.join(settings.dir, name), dest);
+  }
+  return path.relative(settings.dir, target);
+}
+
+function previewSummary(preview) {
+  const { attempted, withPhoto, withoutPhoto, invalidRows, warningRows, duplicateRows, updated } = preview;
+  return { attempted, withPhoto, withoutPhoto, invalidRows, warningRows, duplicateRows, updated, errors: (preview.errors || []).length };
+}
+
+/**
+ * Ingest one batch: stage the files as an upload session, run a processing job over the photos and workbooks
+ * (CSV files are kept in the session for the preview; the processor does not read them), optionally preview the
+ * result for the Vault, then archive the files. Returns the log entry.
+ */
+async function ingestBatch(names) {
+  const batchId = new Date().toISOString();
+  const entry = { event: 'batch', batchId, files: [], result: 'processed' };
+  try {
+    const files = [];
+    for (const name of names) {
+      const full = path.join(settings.dir, name);
+      const stat = await fs.stat(full);
+      entry.files.push({ name, size: stat.size });
+      files.push({ path: full, filename: `${Date.now()}-${name}`, originalname: name, size: stat.size, mimetype: MIME_TYPES[path.extname(name).toLowerCase()] });
+    }
+    const { sessionId, sessionUploadDir, uploadedFiles } = await hooks.stage(files, { keepSource: true });
+    entry.sessionId = sessionId;
+    console.log(`[DropFolder] Picked up ${names.length} file(s) as upload session ${sessionId}`);
+
+    const hasSheet = hasExtension(names, SHEET_EXTENSIONS);
+    let previewTarget;
+    if (hasSheet || hasExtension(names, PHOTO_EXTENSIONS)) {
+      entry.processingMode = hasSheet ? 'images_and_excel' : 'images_only';
+      const { job, sessionOutputDir, done } = await hooks.process({
+        inputPath: sessionUploadDir,
+        processingMode: entry.processingMode,
+        radiusPercentage: settings.radiusPercentage,
+        mappingProfileId: settings.mappingProfileId,
+      });
+      entry.jobId = job.id;
+      if (!(await done)) throw new Error(`Processing job ${job.id} failed`);
+      if (hasSheet) previewTarget = { jobId: job.id, outputDir: sessionOutputDir };
+    }
+    const csv = uploadedFiles.find(f => CSV_EXTENSIONS.includes(path.extname(f.originalName).toLowerCase()));
+    if (!previewTarget && csv) previewTarget = { csvPath: csv.path };
+
+    if (settings.preview && previewTarget) {
+      try {
+        const preview = await hooks.preview({ mode: settings.preview, ...previewTarget });
+        const previewFile = path.join(previewTarget.outputDir || path.dirname(previewTarget.csvPath), 'vault-preview.json');
+        await fs.writeJson(previewFile, { mode: settings.preview, createdAt: new Date().toISOString(), ...preview }, { spaces: 2 });
+        entry.preview = { mode: settings.preview, file: previewFile, ...previewSummary(preview) };
+      } catch (err) {
+        // The upload itself went through; the preview can be run again from the Vault pages
+        entry.preview = { mode: settings.preview, error: err.message };
+      }
+    }
+    entry.movedTo = await moveBatch(names, 'archive', batchId);
+  } catch (err) {
+    entry.result = 'failed';
+    entry.error = err.message;
+    console.error(`[DropFolder] Batch ${batchId} failed:`, err.message);
+    try {
+      entry.movedTo = await moveBatch(names.filter(n => fs.existsSync(path.join(settings.dir, n))), 'error', batchId);
+    } catch (moveErr) {
+      entry.moveError = moveErr.message;
+    }
+  }
+  entry.finishedAt = new Date().toISOString();
+  appendLog(entry);
+  return entry;
+}
+
+/**
+ * Check the drop folder once. Files still changing (or first seen less than the settle time ago) hold back the
+ * whole batch, so a workbook and its photos copied together are processed together.
+ */
+async function pollDropFolder() {
+  if (!status.enabled || !hooks || status.busy) return null;
+  status.busy = true;
+  try {
+    await fs.ensureDir(settings.dir);
+    const names = (await fs.readdir(settings.dir, { withFileTypes: true }))
+      .filter(e => e.isFile() && isCandidate(e.name))
+      .map(e => e.name)
+      .sort();
+    const now = Date.now();
+    const current = new Map();
+    let settled = true;
+    for (const name of names) {
+      const stat = await fs.stat(path.join(settings.dir, name));
+      const prev = seen.get(name);
+      const unchanged = prev && prev.size === stat.size && prev.mtimeMs === stat.mtimeMs;
+      const since = unchanged ? prev.since : now;
+      current.set(name, { size: stat.size, mtimeMs: stat.mtimeMs, since });
+      if (now - since < settings.settleMs) settled = false;
+    }
+    seen = current;
+    status.waiting = names.length;
+    status.lastError = null;
+    if (names.length === 0 || !settled) return null;
+    const entry = await ingestBatch(names);
+    seen = new Map();
+    status.waiting = 0;
+    return entry;
+  } catch (err) {
+    status.lastError = err.message;
+    console.error('[DropFolder] Poll failed:', err.message);
+    return null;
+  } finally {
+    status.busy = false;
+    status.lastPollAt = new Date().toISOString();
+  }
+}
+
+/**
+ * Start polling DROP_FOLDER_PATH (no-op when unset). `logDir` receives drop-folder-log.jsonl.
+ */
+function startDropFolderWatcher({ stage, process: processBatch, preview, logDir }) {
+  hooks = { stage, process: processBatch, preview };
+  settings.logDir = logDir;
+  if (!status.enabled || timer) return;
+  timer = setInterval(pollDropFolder, settings.pollMs);
+  timer.unref();
+  console.log(`[DropFolder] Watching ${settings.dir} every ${settings.pollMs / 1000}s${settings.preview ? ` (with ${settings.preview} preview)` : ''}`);
+}
+
+function getDropFolderStatus() {
+  return {
+    ...status,
+    pollSeconds: settings.pollMs / 1000,
+    settleSeconds: settings.settleMs / 1000,
+    preview: settings.preview || null,
+    mappingProfileId: settings.mappingProfileId || null,
+  };
+}
+
+// Latest batches (newest first), from the log file when there is one
+function listDropFolderBatches({ limit = RECENT_BATCHES } = {}) {
+  const max = Math.max(1, Math.min(500, parseInt(limit, 10) || RECENT_BATCHES));
+  const file = settings.logDir ? path.join(settings.logDir, LOG_FILE) : '';
+  if (!file || !fs.existsSync(file)) return recent.slice(0, max);
+  const out = [];
+  for (const line of fs.readFileSync(file, 'utf8').split(/\r?\n/).reverse()) {
+    if (!line.trim()) continue;
+    try { out.push(JSON.parse(line)); } catch { continue; /* partial line from an interrupted write */ }
+    if (out.length >= max) break;
+  }
+  return out;
+}
+
+module.exports = {
+  startDropFolderWatcher,
+  pollDropFolder,
+  getDropFolderStatus,
+  listDropFolderBatches,
+};
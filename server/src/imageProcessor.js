@@ -3,6 +3,8 @@ const fs = require('fs').promises;
 const path = require('path');
 const XLSX = require('xlsx');
 const createCsvWriter = require('csv-writer').createObjectCsvWriter;
+const { builtinMappingProfile, resolveMappedFields, sheetHeaders, scoreMappingProfile, detectMappingProfile } = require('./columnMappings');
+const { matchMessHallRule, UNMATCHED_VEHICLE_NO } = require('./messHallRules');
 
 class ImageProcessor {
     constructor() {
@@ -141,7 +143,8 @@ class ImageProcessor {
     // - Else, if name contains " - ", take the left side
     // - Else, prefer pure numeric token with length>=5
     // - Else, first token
-    deriveEmployeeId(filename) {
+    // Static so the Vault photo index can match photo files to card rows the same way
+    static deriveEmployeeId(filename) {
         const baseOrig = path.parse(filename).name;
         const base = baseOrig.replace(/^\d{10,14}[-_]?/, '');
         // Prefer "<id> - <name>"
@@ -155,6 +158,10 @@ class ImageProcessor {
         return tokens[0] || base;
     }
 
+    deriveEmployeeId(filename) {
+        return ImageProcessor.deriveEmployeeId(filename);
+    }
+
     async processImagesInFolder(inputPath, outputPath, faceAreaPercentage = 50) {
         await this.initializeFaceAPI();
         const processedFiles = [];
@@ -343,8 +350,19 @@ class ImageProcessor {
         }
     }
 
-    // Combine Excel files following Python logic
-    async combineExcelFilesInFolder(inputFolder, expectedColumns, outputExcelFile) {
+    // Pick the mapping profile for one HR sheet: the only candidate, or the best fit among several.
+    // Returns { profile, missing } where missing lists mapped fields without a column in the sheet.
+    pickMappingProfile(rows, mappingProfiles) {
+        const headers = sheetHeaders(rows);
+        const profile = mappingProfiles.length === 1 ? mappingProfiles[0] : detectMappingProfile(headers, mappingProfiles).profile;
+        if (!profile) return { profile: null, missing: ['StaffNo', 'Name'] };
+        return { profile, missing: scoreMappingProfile(headers, profile).missing };
+    }
+
+    // Combine Excel files following Python logic.
+    // With `mappingProfiles` (processor column mapping profiles) a sheet is accepted when its profile finds every
+    // mapped column, and the mapped values are copied to the standard HR headers read by the later steps.
+    async combineExcelFilesInFolder(inputFolder, expectedColumns, outputExcelFile, mappingProfiles = []) {
         try {
             const files = await fs.readdir(inputFolder);
             const excelFiles = files.filter(f => ['.xls', '.xlsx'].includes(path.extname(f).toLowerCase()));
@@ -357,30 +375,32 @@ class ImageProcessor {
                     const sheet = workbook.Sheets[sheetName];
                     const rows = XLSX.utils.sheet_to_json(sheet, { defval: '', raw: false });
                     if (rows.length === 0) continue;
-                    const hasAll = expectedColumns.every(col => Object.prototype.hasOwnProperty.call(rows[0], col));
-                    if (!hasAll) {
-                        console.log(`Skipping file '${filename}' because columns do not match expected format.`);
-                        continue;
-                    }
-                    // Augment rows with VehicleNo and AccessLevel based on MessHall per business rules
-                    const augmented = rows.map(r => {
-                        const mess = (typeof r['MessHall'] === 'string' ? r['MessHall'] : '').toLowerCase().trim();
-                        let vehicleNo;
-                        let accessLevel;
-                        if (mess === 'makarti') {
-                            vehicleNo = 'Makarti MessHall';
-                            accessLevel = 2;
-                        } else if (mess === 'labota') {
-                            vehicleNo = 'Labota Messhall';
-                            accessLevel = 1;
-                        } else if (mess === '' || mess === 'no access!!') {
-                            vehicleNo = 'Local Hire / No Access!!';
-                            accessLevel = '';
-                        } else {
-                            vehicleNo = 'Local Hire / No Access!!';
-                            accessLevel = '';
+                    let mapping = null;
+                    if (mappingProfiles.length > 0) {
+                        const picked = this.pickMappingProfile(rows, mappingProfiles);
+                        if (!picked.profile || picked.missing.length > 0) {
+                            console.log(`Skipping file '${filename}' because no mapping profile finds its columns (missing: ${picked.missing.join(', ')}).`);
+                            continue;
+                        }
+                        mapping = picked.profile;
+                        console.log(`Reading '${filename}' / '${sheetName}' with mapping profile '${mapping.name}'`);
+                    } else {
+                        const hasAll = expectedColumns.every(col => Object.prototype.hasOwnProperty.call(rows[0], col));
+                        if (!hasAll) {
+                            console.log(`Skipping file '${filename}' because columns do not match expected format.`);
+                            continue;
                         }
-                        return { ...r, VehicleNo: vehicleNo, AccessLevel: accessLevel };
+                    }
+                    const standardRows = mapping ? rows.map(r => {
+                        const f = resolveMappedFields(r, mapping);
+                        return { ...r, 'Emp. No': f.StaffNo, Name: f.Name, Department: f.Department, MessHall: f.MessHall };
+                    }) : rows;
+                    // Augment rows with VehicleNo and AccessLevel from the MessHall rules. VehicleNo is the rule's
+                    // Vault label (MAKARTI), no longer the old "Makarti MessHall" text; blank or unknown MessHall
+                    // values get the no-access label and a blank AccessLevel
+                    const augmented = standardRows.map(r => {
+                        const rule = matchMessHallRule(r['MessHall'])?.rule;
+                        return { ...r, VehicleNo: rule?.vehicleNo || UNMATCHED_VEHICLE_NO, AccessLevel: rule?.accessLevel || '' };
                     });
                     combinedRows.push(...augmented);
                 }
@@ -430,50 +450,32 @@ class ImageProcessor {
                 ]
             });
 
-            const toLower = (s) => (typeof s === 'string' ? s.toLowerCase() : '');
+            // The combined sheet carries the standard HR headers (see combineExcelFilesInFolder)
+            const mapping = builtinMappingProfile('processor');
 
             const records = rows.map(row => {
-                const messRaw = row['MessHall'] || '';
-                const mess = toLower(messRaw).trim();
-                // New business rules:
-                // - Vehicle No: "Makarti MessHall" if MessHall is Makarti
-                //               "Labota Messhall" if MessHall is Labota
-                //               "Local Hire / No Access!!" if MessHall is "No Access!!" or empty
-                // - Access Level (group selection): 2 for Makarti, 1 for Labota, blank for No Access/empty
-                let vehicleNo;
-                let accessLevel;
-                if (mess === 'makarti') {
-                    vehicleNo = 'Makarti MessHall';
-                    accessLevel = 2;
-                } else if (mess === 'labota') {
-                    vehicleNo = 'Labota Messhall';
-                    accessLevel = 1;
-                } else if (mess === '' || mess === 'no access!!') {
-                    vehicleNo = 'Local Hire / No Access!!';
-                    accessLevel = '';
-                } else {
-                    // Fallback: treat unknown values as no access
-                    vehicleNo = 'Local Hire / No Access!!';
-                    accessLevel = '';
-                }
+                const f = resolveMappedFields(row, mapping);
+                // Access Level, Vehicle No and Face/Lift levels come from the MessHall rule (see messHallRules.js);
+                // values without a matching rule are left blank, except Vehicle No, which gets the no-access label
+                const rule = matchMessHallRule(f.MessHall)?.rule;
                 return {
                     CardNo: '',
-                    CardName: row['Name'] || '',
-                    StaffNo: row['Emp. No'] || '',
-                    Department: row['Department'] || '',
-                    AccessLevel: accessLevel,
+                    CardName: f.Name,
+                    StaffNo: f.StaffNo,
+                    Department: f.Department,
+                    AccessLevel: rule?.accessLevel || '',
                     Company: 'Merdeka Tsingsan Indonesia',
                     NRICPass: '',
                     Remark: '',
                     Email: '',
                     Status: 'TRUE',
-                    LiftAccessLevel: '',
-                    VehicleNo: vehicleNo,
+                    LiftAccessLevel: rule?.liftAccessLevel || '',
+                    VehicleNo: rule?.vehicleNo || UNMATCHED_VEHICLE_NO,
                     ExpiryDate: '',
                     Address: '',
                     UnitNo: '',
                     EmergencyCard: '',
-                    FaceAccessLevel: ''
+                    FaceAccessLevel: rule?.faceAccessLevel || ''
                 };
             });
 
@@ -486,7 +488,7 @@ class ImageProcessor {
     }
 
     async processIDCards(inputPath, outputPath, options = {}) {
-        const { radiusPercentage = 50, processImages = true, processExcel = true } = options; // interpret radiusPercentage as faceAreaPercentage
+        const { radiusPercentage = 50, processImages = true, processExcel = true, mappingProfiles = [] } = options; // interpret radiusPercentage as faceAreaPercentage
         try {
             await fs.mkdir(outputPath, { recursive: true });
 
@@ -507,7 +509,7 @@ class ImageProcessor {
                 const outputExcelFile = path.join(outputPath, `For_Machine_${formatted}.xlsx`);
                 const outputCsvFile = path.join(outputPath, `CardDatafileformat_${formatted}.csv`);
 
-                const combined = await this.combineExcelFilesInFolder(inputPath, expectedColumns, outputExcelFile);
+                const combined = await this.combineExcelFilesInFolder(inputPath, expectedColumns, outputExcelFile, mappingProfiles);
                 if (combined.success) {
                     results.excel = await this.processExcelToCSVFromCombined(outputExcelFile, outputCsvFile);
                 } else {
@@ -1,6 +1,83 @@
 const { randomUUID } = require('crypto');
 const database = require('./database');
 const sql = require('mssql');
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+// Vault registration/update batches run in the background and are tracked here rather than in
+// ProcessingBatches: they must work without AppDB, carry a full result summary, and are not ID card
+// processing jobs. Jobs are written to VAULT_JOB_DIR so finished batches survive a restart; only running jobs
+// stay in memory, finished ones are read back from their file when asked for.
+const VAULT_JOB_TYPES = ['VAULT_REGISTER', 'VAULT_REGISTER_CSV', 'VAULT_UPSERT', 'VAULT_UPDATE_CSV'];
+const vaultJobs = new Map();
+// Every persisted job without its summary (id -> listing entry), built from VAULT_JOB_DIR on first use
+let vaultJobIndex = null;
+// Live updates for SSE subscribers, emitted under the job id: { type: 'status' | 'progress' | 'row' | 'complete', ... }
+const vaultJobEvents = new EventEmitter();
+vaultJobEvents.setMaxListeners(0);
+// Latest row event per index for running jobs, replayed to subscribers that connect mid-batch
+const vaultJobRows = new Map();
+
+function vaultJobDir() {
+    return process.env.VAULT_JOB_DIR || path.join(__dirname, '..', 'output', 'vault-jobs');
+}
+
+function isVaultJobId(id) {
+    return /^[A-Za-z0-9-]+$/.test(String(id || ''));
+}
+
+// Listing entry of a job: everything but the (possibly large) summary
+function vaultJobListing(job) {
+    const { summary, ...rest } = job;
+    return { ...rest, hasSummary: !!summary };
+}
+
+function persistVaultJob(job) {
+    try {
+        fs.mkdirSync(vaultJobDir(), { recursive: true });
+        fs.writeFileSync(path.join(vaultJobDir(), `${job.id}.json`), JSON.stringify(job), 'utf8');
+    } catch (err) {
+        console.error(`[JobManager] Failed to persist Vault job ${job.id}: ${err.message}`);
+    }
+    if (vaultJobIndex) vaultJobIndex.set(job.id, vaultJobListing(job));
+}
+
+// Read VAULT_JOB_DIR once; afterwards persistVaultJob keeps the index current
+function getVaultJobIndex() {
+    if (vaultJobIndex) return vaultJobIndex;
+    const index = new Map();
+    const dir = vaultJobDir();
+    if (fs.existsSync(dir)) {
+        for (const f of fs.readdirSync(dir)) {
+            if (!f.endsWith('.json')) continue;
+            const id = f.replace(/\.json$/, '');
+            const job = vaultJobs.get(id) || loadVaultJob(id);
+            if (job) index.set(id, vaultJobListing(job));
+        }
+    }
+    vaultJobIndex = index;
+    return index;
+}
+
+function loadVaultJob(jobId) {
+    const file = path.join(vaultJobDir(), `${jobId}.json`);
+    if (!fs.existsSync(file)) return null;
+    try {
+        const job = JSON.parse(fs.readFileSync(file, 'utf8'));
+        // A job persisted as running but not in memory was cut off by a server restart
+        if (job.status === 'PENDING' || job.status === 'PROCESSING') {
+            job.status = 'FAILED';
+            job.errorMessage = 'Interrupted by server restart';
+            job.completedAt = job.completedAt || new Date().toISOString();
+            persistVaultJob(job);
+        }
+        return job;
+    } catch (err) {
+        console.error(`[JobManager] Failed to read Vault job ${jobId}: ${err.message}`);
+        return null;
+    }
+}
 
 class JobManager {
     constructor() {
@@ -439,6 +516,97 @@ class JobManager {
             return false;
         }
     }
+
+    /**
+     * Start a Vault batch in the background and return the job record immediately.
+     * `task({ onProgress, onRow })` runs the batch; it may call onProgress({ processed, total, succeeded, failed })
+     * and onRow(rowEvent), and its resolved value becomes the job summary.
+     */
+    static startVaultJob(type, params = {}, task) {
+        if (!VAULT_JOB_TYPES.includes(type)) {
+            throw new Error(`Unknown Vault job type: ${type}`);
+        }
+        const job = {
+            id: randomUUID(),
+            type,
+            status: 'PENDING',
+            params,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            completedAt: null,
+            progress: { processed: 0, total: 0, succeeded: 0, failed: 0 },
+            summary: null,
+            errorMessage: null
+        };
+        vaultJobs.set(job.id, job);
+        vaultJobRows.set(job.id, new Map());
+        persistVaultJob(job);
+        console.log(`[JobManager] Created Vault job ${job.id} type=${type}`);
+
+        const emit = (event) => vaultJobEvents.emit(job.id, event);
+        const onProgress = (progress) => {
+            job.progress = { ...job.progress, ...progress };
+            emit({ type: 'progress', progress: job.progress });
+        };
+        const onRow = (row) => {
+            const rows = vaultJobRows.get(job.id);
+            if (rows && typeof row.index === 'number') rows.set(row.index, row);
+            emit({ type: 'row', row });
+        };
+
+        setImmediate(async () => {
+            job.status = 'PROCESSING';
+            job.startedAt = new Date().toISOString();
+            persistVaultJob(job);
+            emit({ type: 'status', status: job.status });
+            try {
+                job.summary = await task({ onProgress, onRow });
+                job.status = 'COMPLETED';
+            } catch (err) {
+                console.error(`[JobManager] Vault job ${job.id} failed:`, err);
+                job.status = 'FAILED';
+                job.errorMessage = err.message;
+            }
+            job.completedAt = new Date().toISOString();
+            persistVaultJob(job);
+            vaultJobRows.delete(job.id);
+            console.log(`[JobManager] Vault job ${job.id} ${job.status}`);
+            emit({ type: 'complete', job });
+            // Persisted and indexed: later reads load the file
+            vaultJobs.delete(job.id);
+        });
+
+        return job;
+    }
+
+    static getVaultJob(jobId) {
+        if (!isVaultJobId(jobId)) return null;
+        return vaultJobs.get(jobId) || loadVaultJob(jobId);
+    }
+
+    // Latest row events of a running job (empty once it has finished; the summary holds the details)
+    static getVaultJobRows(jobId) {
+        const rows = vaultJobRows.get(jobId);
+        return rows ? Array.from(rows.values()).sort((a, b) => a.index - b.index) : [];
+    }
+
+    // Subscribe to live events of a Vault job; returns the unsubscribe function
+    static subscribeVaultJob(jobId, listener) {
+        vaultJobEvents.on(jobId, listener);
+        return () => vaultJobEvents.off(jobId, listener);
+    }
+
+    // Newest first, without summaries (fetch a single job for its result)
+    static listVaultJobs({ type, limit = 20 } = {}) {
+        const byId = new Map(getVaultJobIndex());
+        // Running jobs carry live progress that is not persisted on every update
+        for (const job of vaultJobs.values()) byId.set(job.id, vaultJobListing(job));
+        return Array.from(byId.values())
+            .filter(job => !type || job.type === type)
+            .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+            .slice(0, Math.max(1, limit));
+    }
 }
 
-module.exports = JobManager;
\ No newline at end of file
+module.exports = JobManager;
+module.exports.VAULT_JOB_TYPES = VAULT_JOB_TYPES;
\ No newline at end of file
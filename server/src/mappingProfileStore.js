@@ -0,0 +1,145 @@
+const database = require('./database');
+const {
+  BUILTIN_MAPPING_PROFILES,
+  builtinMappingProfile,
+  getBuiltinMappingProfile,
+  sheetHeaders,
+  detectMappingProfile,
+} = require('./columnMappings');
+
+// Column mapping profiles edited by admins live in [dbo].[ColumnMappingProfiles] of the app database
+// (created by scripts/createMappingProfilesTable.js); built-in profiles are served from code.
+
+const SELECT_COLUMNS = 'Id as id, Name as name, Kind as kind, Description as description, Mappings as mappings, UpdatedBy as updatedBy, CreatedAt as createdAt, UpdatedAt as updatedAt';
+
+function toProfile(r) {
+  return {
+    id: String(r.id),
+    name: r.name,
+    kind: r.kind,
+    description: r.description || '',
+    builtIn: false,
+    mappings: safeParseJson(r.mappings) || [],
+    updatedBy: r.updatedBy || undefined,
+    createdAt: r.createdAt,
+    updatedAt: r.updatedAt,
+  };
+}
+
+async function listStoredProfiles(kind) {
+  const q = kind
+    ? `SELECT ${SELECT_COLUMNS} FROM [dbo].[ColumnMappingProfiles] WHERE Kind = @kind ORDER BY Name`
+    : `SELECT ${SELECT_COLUMNS} FROM [dbo].[ColumnMappingProfiles] ORDER BY Kind, Name`;
+  const rs = await database.query(q, kind ? { kind } : {});
+  return (rs.recordset || []).map(toProfile);
+}
+
+async function getStoredProfile(id) {
+  if (!isGuid(id)) return null;
+  const rs = await database.query(`SELECT TOP 1 ${SELECT_COLUMNS} FROM [dbo].[ColumnMappingProfiles] WHERE Id = @id`, { id });
+  const r = (rs.recordset || [])[0];
+  return r ? toProfile(r) : null;
+}
+
+async function createStoredProfile(profile, updatedBy) {
+  const q = `INSERT INTO [dbo].[ColumnMappingProfiles] (Name, Kind, Description, Mappings, UpdatedBy)
+             OUTPUT inserted.Id as id, inserted.Name as name, inserted.Kind as kind, inserted.Description as description, inserted.Mappings as mappings, inserted.UpdatedBy as updatedBy, inserted.CreatedAt as createdAt, inserted.UpdatedAt as updatedAt
+             VALUES (@name, @kind, @description, @mappings, @updatedBy)`;
+  const rs = await database.query(q, {
+    name: profile.name,
+    kind: profile.kind,
+    description: profile.description,
+    mappings: JSON.stringify(profile.mappings),
+    updatedBy: updatedBy || null,
+  });
+  return toProfile(rs.recordset[0]);
+}
+
+async function updateStoredProfile(id, profile, updatedBy) {
+  if (!isGuid(id)) return null;
+  const q = `UPDATE [dbo].[ColumnMappingProfiles]
+             SET Name = @name, Kind = @kind, Description = @description, Mappings = @mappings, UpdatedBy = @updatedBy, UpdatedAt = SYSUTCDATETIME()
+             WHERE Id = @id`;
+  const rs = await database.query(q, {
+    id,
+    name: profile.name,
+    kind: profile.kind,
+    description: profile.description,
+    mappings: JSON.stringify(profile.mappings),
+    updatedBy: updatedBy || null,
+  });
+  const affected = Array.isArray(rs?.rowsAffected) ? rs.rowsAffected.reduce((a, b) => a + b, 0) : 0;
+  return affected ? getStoredProfile(id) : null;
+}
+
+async function deleteStoredProfile(id) {
+  if (!isGuid(id)) return false;
+  const rs = await database.query(`DELETE FROM [dbo].[ColumnMappingProfiles] WHERE Id = @id; SELECT @@ROWCOUNT AS affected;`, { id });
+  return ((rs.recordset || [])[0]?.affected || 0) > 0;
+}
+
+/**
+ * Built-in plus stored profiles (optionally of one kind). When the app database cannot be reached the
+ * built-ins are still returned, with the failure in `storeError`.
+ */
+async function listMappingProfiles(kind) {
+  const builtIns = BUILTIN_MAPPING_PROFILES.filter(p => !kind || p.kind === kind);
+  try {
+    return { profiles: [...builtIns, ...await listStoredProfiles(kind)], storeError: null };
+  } catch (err) {
+    console.warn('[Mappings] Stored mapping profiles unavailable:', err.message);
+    return { profiles: builtIns, storeError: err.message };
+  }
+}
+
+async function getMappingProfile(id) {
+  return getBuiltinMappingProfile(id) || getStoredProfile(id);
+}
+
+/**
+ * Choose the mapping profile for a sheet: the one requested by `id`, otherwise the best match for the
+ * sheet headers among the profiles of `kinds`. Without a match a single kind falls back to its built-in
+ * profile; several kinds (upsert sheets) fall back to null, leaving the registrar to tell the layout apart.
+ * Returns { profile, detected, headers, matched, missing, candidates }; throws when `id` is unknown.
+ */
+async function selectMappingProfile({ id, kinds, rows = [] }) {
+  const headers = sheetHeaders(rows);
+  if (id) {
+    const profile = await getMappingProfile(id);
+    if (!profile || !kinds.includes(profile.kind)) {
+      throw Object.assign(new Error(`No ${kinds.join('/')} mapping profile with id ${id}`), { code: 'MAPPING_PROFILE_NOT_FOUND' });
+    }
+    return { profile, detected: false, headers, candidates: [] };
+  }
+  const { profiles } = await listMappingProfiles();
+  const detection = detectMappingProfile(headers, profiles.filter(p => kinds.includes(p.kind)));
+  if (!detection.profile) {
+    return { profile: kinds.length === 1 ? builtinMappingProfile(kinds[0]) : null, detected: false, headers, candidates: detection.candidates };
+  }
+  return { ...detection, detected: true, headers };
+}
+
+// Short description of the profile a preview/batch used, for responses and job params (null when none applied)
+function describeMappingSelection(selection) {
+  const { profile, detected, matched, missing } = selection;
+  if (!profile) return null;
+  return { id: profile.id, name: profile.name, kind: profile.kind, builtIn: !!profile.builtIn, detected, matched, missing };
+}
+
+function isGuid(id) {
+  return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(id || ''));
+}
+
+function safeParseJson(s) {
+  try { return JSON.parse(String(s || '')); } catch { return undefined; }
+}
+
+module.exports = {
+  listMappingProfiles,
+  getMappingProfile,
+  createStoredProfile,
+  updateStoredProfile,
+  deleteStoredProfile,
+  selectMappingProfile,
+  describeMappingSelection,
+};
@@ -0,0 +1,125 @@
+const database = require('./database');
+const { BUILTIN_MESSHALL_RULES, setMessHallRules } = require('./messHallRules');
+
+// MessHall rules edited by admins live in [dbo].[MessHallRules] of the app database (created and seeded
+// with the built-in rules by scripts/createMessHallRulesTable.js). Stored rules replace the built-ins as a
+// whole; the built-ins apply while the table is empty or unreachable. Every change reloads the rules the
+// mappers use (see getMessHallRules).
+
+const SELECT_COLUMNS = 'Id as id, Name as name, Patterns as patterns, AccessLevel as accessLevel, VehicleNo as vehicleNo, FaceAccessLevel as faceAccessLevel, LiftAccessLevel as liftAccessLevel, SortOrder as sortOrder, Description as description, UpdatedBy as updatedBy, CreatedAt as createdAt, UpdatedAt as updatedAt';
+
+function toRule(r) {
+  return {
+    id: String(r.id),
+    name: r.name,
+    patterns: safeParseJson(r.patterns) || [],
+    accessLevel: r.accessLevel || '',
+    vehicleNo: r.vehicleNo || '',
+    faceAccessLevel: r.faceAccessLevel || '',
+    liftAccessLevel: r.liftAccessLevel || '',
+    sortOrder: r.sortOrder ?? 0,
+    description: r.description || '',
+    builtIn: false,
+    updatedBy: r.updatedBy || undefined,
+    createdAt: r.createdAt,
+    updatedAt: r.updatedAt,
+  };
+}
+
+function toParams(rule, updatedBy) {
+  return {
+    name: rule.name,
+    patterns: JSON.stringify(rule.patterns),
+    accessLevel: rule.accessLevel || null,
+    vehicleNo: rule.vehicleNo || null,
+    faceAccessLevel: rule.faceAccessLevel || null,
+    liftAccessLevel: rule.liftAccessLevel || null,
+    sortOrder: rule.sortOrder,
+    description: rule.description || null,
+    updatedBy: updatedBy || null,
+  };
+}
+
+async function listStoredRules() {
+  const rs = await database.query(`SELECT ${SELECT_COLUMNS} FROM [dbo].[MessHallRules] ORDER BY SortOrder, Name`);
+  return (rs.recordset || []).map(toRule);
+}
+
+async function getStoredRule(id) {
+  if (!isGuid(id)) return null;
+  const rs = await database.query(`SELECT TOP 1 ${SELECT_COLUMNS} FROM [dbo].[MessHallRules] WHERE Id = @id`, { id });
+  const r = (rs.recordset || [])[0];
+  return r ? toRule(r) : null;
+}
+
+/**
+ * Rules in effect: the stored ones, or the built-ins when none are stored or the app database cannot be
+ * reached (the failure is in `storeError`). Also refreshes the in-memory rules the mappers use.
+ */
+async function loadMessHallRules() {
+  try {
+    const stored = await listStoredRules();
+    setMessHallRules(stored);
+    return { rules: stored.length > 0 ? stored : BUILTIN_MESSHALL_RULES, usingBuiltIns: stored.length === 0, storeError: null };
+  } catch (err) {
+    console.warn('[MessHall] Stored MessHall rules unavailable, using built-in rules:', err.message);
+    return { rules: BUILTIN_MESSHALL_RULES, usingBuiltIns: true, storeError: err.message };
+  }
+}
+
+const INSERT_RULE = `INSERT INTO [dbo].[MessHallRules] (Name, Patterns, AccessLevel, VehicleNo, FaceAccessLevel, LiftAccessLevel, SortOrder, Description, UpdatedBy)
+                     OUTPUT inserted.Id as id
+                     VALUES (@name, @patterns, @accessLevel, @vehicleNo, @faceAccessLevel, @liftAccessLevel, @sortOrder, @description, @updatedBy)`;
+
+// Stored rules replace the built-ins, so the first stored rule brings copies of them along
+async function seedBuiltinRulesIfEmpty(updatedBy) {
+  const rs = await database.query('SELECT COUNT(*) AS cnt FROM [dbo].[MessHallRules]');
+  if (((rs.recordset || [])[0]?.cnt || 0) > 0) return;
+  for (const builtIn of BUILTIN_MESSHALL_RULES) {
+    await database.query(INSERT_RULE, toParams(builtIn, updatedBy));
+  }
+}
+
+async function createStoredRule(rule, updatedBy) {
+  await seedBuiltinRulesIfEmpty(updatedBy);
+  const rs = await database.query(INSERT_RULE, toParams(rule, updatedBy));
+  const created = await getStoredRule(String(rs.recordset[0].id));
+  await loadMessHallRules();
+  return created;
+}
+
+async function updateStoredRule(id, rule, updatedBy) {
+  if (!isGuid(id)) return null;
+  const q = `UPDATE [dbo].[MessHallRules]
+             SET Name = @name, Patterns = @patterns, AccessLevel = @accessLevel, VehicleNo = @vehicleNo, FaceAccessLevel = @faceAccessLevel,
+                 LiftAccessLevel = @liftAccessLevel, SortOrder = @sortOrder, Description = @description, UpdatedBy = @updatedBy, UpdatedAt = SYSUTCDATETIME()
+             WHERE Id = @id`;
+  const rs = await database.query(q, { id, ...toParams(rule, updatedBy) });
+  const affected = Array.isArray(rs?.rowsAffected) ? rs.rowsAffected.reduce((a, b) => a + b, 0) : 0;
+  if (!affected) return null;
+  await loadMessHallRules();
+  return getStoredRule(id);
+}
+
+async function deleteStoredRule(id) {
+  if (!isGuid(id)) return false;
+  const rs = await database.query(`DELETE FROM [dbo].[MessHallRules] WHERE Id = @id; SELECT @@ROWCOUNT AS affected;`, { id });
+  const ok = ((rs.recordset || [])[0]?.affected || 0) > 0;
+  if (ok) await loadMessHallRules();
+  return ok;
+}
+
+function isGuid(id) {
+  return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(id || ''));
+}
+
+function safeParseJson(s) {
+  try { return JSON.parse(String(s || '')); } catch { return undefined; }
+}
+
+module.exports = {
+  loadMessHallRules,
+  createStoredRule,
+  updateStoredRule,
+  deleteStoredRule,
+};
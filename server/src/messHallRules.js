@@ -0,0 +1,165 @@
+// MessHall rules: which AccessLevel, VehicleNo label and Face/Lift access levels a MessHall value stands for.
+// One rule table serves every path that derives access from MessHall (ID Card Processor output, the register,
+// update and upsert mappers, and the CardDB-based single update). Rules edited by admins live in
+// [dbo].[MessHallRules] (see messHallRuleStore.js); the built-ins below apply until rules are stored.
+// A rule is { id, name, patterns, accessLevel, vehicleNo, faceAccessLevel, liftAccessLevel, sortOrder, description, builtIn }.
+// Patterns match the whole MessHall value, ignoring case and extra spaces; `*` matches any text and an empty
+// pattern matches a blank MessHall. Rules are tried by sortOrder and the first match wins. Blank levels in a
+// rule leave the field to the sheet column or the mapper default.
+
+// Vault field widths ("Access Level [Max 3]", "Vehicle No [Max 15]")
+const RULE_FIELD_MAX = { accessLevel: 3, vehicleNo: 15, faceAccessLevel: 3, liftAccessLevel: 3 };
+
+// Names keep the register levels the app always used (Labota = 1, Makarti = 2); a blank MessHall matches no
+// rule, so AddCard gets DEFAULT_ACCESS_LEVEL and no VehicleNo as before, while UpdateCard and the processor
+// output fall back to UNMATCHED_VEHICLE_NO (see below). The update template writes MESSHALL as
+// a 2-digit mask (00 = no access, 01 = Labota, 10 = Makarti, 11 = both), which the mask rules pass through.
+// VehicleNo labels are the values UpdateCard already sent (older "Makarti MessHall" text normalizes to them).
+const builtInRule = (id, name, patterns, accessLevel, vehicleNo, sortOrder, description) => ({
+  id, name, patterns, accessLevel, vehicleNo, faceAccessLevel: '', liftAccessLevel: '', sortOrder, description, builtIn: true,
+});
+
+const BUILTIN_MESSHALL_RULES = [
+  builtInRule('builtin-makarti', 'Makarti', ['*makarti*'], '2', 'MAKARTI', 20, 'Makarti MessHall.'),
+  builtInRule('builtin-labota', 'Labota', ['*labota*'], '1', 'LABOTA', 30, 'Labota Messhall.'),
+  builtInRule('builtin-no-access', 'No access / local hire', ['*no access*', '*local hire*'], '', 'NOACCESS', 40,
+    '"No Access!!" and local hires; AccessLevel stays at the default.'),
+  builtInRule('builtin-mask-11', 'Mask 11 (Makarti and Labota)', ['11'], '11', 'MAKARTI/LABOTA', 50, 'Update template mask for both mess halls.'),
+  builtInRule('builtin-mask-10', 'Mask 10 (Makarti)', ['10'], '10', 'MAKARTI', 51, 'Update template mask for Makarti.'),
+  builtInRule('builtin-mask-01', 'Mask 01 (Labota)', ['01'], '01', 'LABOTA', 52, 'Update template mask for Labota.'),
+  builtInRule('builtin-mask-00', 'Mask 00 (no access)', ['00'], '00', 'NOACCESS', 53, 'Update template mask for no access.'),
+];
+
+// VehicleNo the update mapper and the ID Card Processor use when no column or rule gives one (blank or
+// unknown MessHall), as they did before the rule table; AddCard leaves VehicleNo blank instead
+const UNMATCHED_VEHICLE_NO = 'NOACCESS';
+
+// Built-in rules as seeded before the register levels were restored. createMessHallRulesTable.js moves stored
+// copies that still hold these exact values over to the built-in of the same name (`to`).
+const SUPERSEDED_BUILTIN_RULES = [
+  { name: 'Makarti and Labota', patterns: ['*makarti*labota*', '*labota*makarti*', 'both', '11'], accessLevel: '11', vehicleNo: 'MAKARTI/LABOTA', to: 'Mask 11 (Makarti and Labota)' },
+  { name: 'Makarti', patterns: ['*makarti*', '10'], accessLevel: '10', vehicleNo: 'MAKARTI', to: 'Makarti' },
+  { name: 'Labota', patterns: ['*labota*', '01'], accessLevel: '01', vehicleNo: 'LABOTA', to: 'Labota' },
+  { name: 'No access / local hire', patterns: ['', '*no access*', '*local hire*', '00'], accessLevel: '00', vehicleNo: 'NOACCESS', to: 'No access / local hire' },
+];
+
+// Rules in effect, kept in memory so the (synchronous) row mappers can use them; refreshed by the store
+let activeRules = BUILTIN_MESSHALL_RULES;
+
+function getMessHallRules() {
+  return activeRules;
+}
+
+function setMessHallRules(rules) {
+  activeRules = Array.isArray(rules) && rules.length > 0 ? sortRules(rules) : BUILTIN_MESSHALL_RULES;
+}
+
+function sortRules(rules) {
+  return [...rules].sort((a, b) => (a.sortOrder ?? 0) - (b.sortOrder ?? 0) || String(a.name).localeCompare(String(b.name)));
+}
+
+const normValue = (v) => String(v ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+function patternMatches(pattern, value) {
+  const p = normValue(pattern);
+  if (!p.includes('*')) return p === value;
+  const re = new RegExp(`^${p.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+  return re.test(value);
+}
+
+/**
+ * First rule whose patterns match `messHall`. Returns { rule, pattern } or null.
+ */
+function matchMessHallRule(messHall, rules = activeRules) {
+  const value = normValue(messHall);
+  for (const rule of rules) {
+    const pattern = (rule.patterns || []).find(p => patternMatches(p, value));
+    if (pattern !== undefined) return { rule, pattern };
+  }
+  return null;
+}
+
+/**
+ * Access fields for a row: explicit sheet values win, then the matched MessHall rule; fields neither
+ * provides stay blank for the caller's default. Returns { accessLevel, vehicleNo, faceAccessLevel,
+ * liftAccessLevel, match, sources } where sources[field] is 'explicit', 'rule' or 'none'.
+ */
+function resolveMessHallAccess({ messHall, accessLevel, vehicleNo, faceAccessLevel, liftAccessLevel }, rules = activeRules) {
+  const match = matchMessHallRule(messHall, rules);
+  const explicit = { accessLevel, vehicleNo, faceAccessLevel, liftAccessLevel };
+  const result = { match, sources: {} };
+  for (const field of Object.keys(RULE_FIELD_MAX)) {
+    const own = String(explicit[field] ?? '').trim();
+    const fromRule = String(match?.rule[field] ?? '').trim();
+    result[field] = own || fromRule;
+    result.sources[field] = own ? 'explicit' : (fromRule ? 'rule' : 'none');
+  }
+  return result;
+}
+
+/**
+ * Standard VehicleNo text: a value matching a rule becomes that rule's label (e.g. "Makarti MessHall" ->
+ * MAKARTI); anything else is kept, clipped to 15 characters and upper-cased.
+ */
+function normalizeVehicleNo(value, rules = activeRules) {
+  const text = String(value ?? '').trim();
+  if (!text) return '';
+  const label = matchMessHallRule(text, rules)?.rule.vehicleNo;
+  return String(label || text).slice(0, RULE_FIELD_MAX.vehicleNo).toUpperCase();
+}
+
+// Which rule a row used, for previews and logs (null fields when nothing matched)
+function describeRuleMatch(messHall, resolved) {
+  const rule = resolved.match?.rule;
+  return {
+    messHall: String(messHall ?? '').trim(),
+    ruleId: rule ? rule.id : null,
+    ruleName: rule ? rule.name : null,
+    pattern: resolved.match ? resolved.match.pattern : null,
+    accessLevel: resolved.accessLevel,
+    vehicleNo: resolved.vehicleNo,
+    sources: resolved.sources,
+  };
+}
+
+/**
+ * Check an admin-supplied rule. Returns { rule, errors } where rule is the cleaned-up copy.
+ */
+function validateMessHallRule(payload) {
+  const errors = [];
+  const name = String(payload?.name || '').trim().slice(0, 100);
+  const description = String(payload?.description || '').trim().slice(0, 400);
+  if (!name) errors.push('name is required');
+  const patterns = [];
+  for (const p of Array.isArray(payload?.patterns) ? payload.patterns : []) {
+    const pattern = normValue(p).slice(0, 100);
+    if (!patterns.includes(pattern)) patterns.push(pattern);
+  }
+  if (patterns.length === 0) errors.push('at least one pattern is required (an empty pattern matches a blank MessHall)');
+  const rule = { name, description, patterns };
+  for (const [field, max] of Object.entries(RULE_FIELD_MAX)) {
+    const val = String(payload?.[field] ?? '').trim();
+    if (val.length > max) errors.push(`${field} must be at most ${max} characters`);
+    rule[field] = field === 'vehicleNo' ? val.toUpperCase() : val;
+  }
+  if (!rule.accessLevel && !rule.vehicleNo && !rule.faceAccessLevel && !rule.liftAccessLevel) {
+    errors.push('a rule must set at least one of accessLevel, vehicleNo, faceAccessLevel, liftAccessLevel');
+  }
+  const sortOrder = parseInt(payload?.sortOrder, 10);
+  rule.sortOrder = Number.isFinite(sortOrder) ? sortOrder : 100;
+  return { rule, errors };
+}
+
+module.exports = {
+  RULE_FIELD_MAX,
+  UNMATCHED_VEHICLE_NO,
+  BUILTIN_MESSHALL_RULES,
+  SUPERSEDED_BUILTIN_RULES,
+  getMessHallRules,
+  setMessHallRules,
+  matchMessHallRule,
+  resolveMessHallAccess,
+  normalizeVehicleNo,
+  describeRuleMatch,
+  validateMessHallRule,
+};
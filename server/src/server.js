@@ -13,15 +13,25 @@ const { getProcessingResults } = require('./python_integration');
 const ImageProcessor = require('./imageProcessor');
 const JobManager = require('./jobManager');
 const database = require('./database');
-const { registerJobToVault, previewJobToVault, registerCsvPathToVault, previewCsvPathToVault, updateCsvPathToVault, previewUpdateCsvPathToVault, updateCsvRowToVault, updateProfileToVault } = require('./vaultRegistrar');
-const sql = require('mssql');
+const { readRowsFromCsvPath, readRowsFromOutputDir, registerJobToVault, previewJobToVault, registerCsvPathToVault, previewCsvPathToVault, updateCsvPathToVault, previewUpdateCsvPathToVault, updateCsvRowToVault, rollbackVaultUpdates, UPDATE_TEMPLATE_HEADERS, profileToUpdateTemplateRow, updateProfileToVault, previewUpsertToVault, upsertToVault, previewDeactivationToVault, deactivateCardsInVault, isVaultDeleteEnabled } = require('./vaultRegistrar');
 const { photoExists } = require('./vaultRegistrar');
+const { getDefaultPolicy, getBreakerStates } = require('./vaultCallPolicy');
+const { listSnapshotBatches, readSnapshotBatch } = require('./vaultSnapshots');
+const { RESUME_KINDS, analyzeResume, resumeVaultBatch } = require('./vaultResume');
+const { EXCHANGE_LOG_KINDS, EXCHANGE_RESULTS, resolveExchangeSource, listExchangeSources, listVaultExchanges, getVaultExchange, replayVaultExchange } = require('./vaultExchanges');
+const { getCardDbConfig, isCardDbConfigured, listCardDbRows, listCardDbFacets, lookupCardsByCardNo, checkCardDbHealth, closeCardDbPools, cardDbRowToProfile, cardDbRowToCurrentProfile, CARDDB_PROFILE_MAX } = require('./cardDb');
 const auth = require('./auth');
 const userStore = require('./userStore');
+const { MAPPING_KINDS, MAPPING_TARGETS, MAPPING_TRANSFORMS, validateMappingProfile } = require('./columnMappings');
+const mappingProfileStore = require('./mappingProfileStore');
+const messHallRuleStore = require('./messHallRuleStore');
+const { resolveMessHallAccess, normalizeVehicleNo, describeRuleMatch, validateMessHallRule } = require('./messHallRules');
+const vaultEnvironments = require('./vaultEnvironments');
+const cardNumberPool = require('./cardNumberPool');
+const deactivationQueue = require('./deactivationQueue');
+const dropFolderWatcher = require('./dropFolderWatcher');
 const imageProcessor = new ImageProcessor();
 let jobManager; // Will be initialized after database connection
-// In-memory cache for CardDB resolution to speed up repeated queries
-let cardDbResolutionCache = { table: null, schema: null, columns: [], ts: 0 };
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -91,6 +101,104 @@ const upload = multer({
     }
 });
 
+// Move uploaded files into a new session folder so subsequent processing only handles these files.
+// `files` are multer-style entries ({ path, filename, originalname, size, mimetype }); with `keepSource`
+// the files are copied instead (drop folder pick-ups stay in place until they are archived).
+async function stageUploadSession(files, { keepSource = false } = {}) {
+    const sessionId = crypto.randomUUID();
+    const sessionUploadDir = path.join(uploadDir, sessionId);
+    await fs.ensureDir(sessionUploadDir);
+    const uploadedFiles = [];
+    for (const file of files) {
+        const newPath = path.join(sessionUploadDir, file.filename);
+        if (keepSource) await fs.copy(file.path, newPath, { overwrite: true });
+        else await fs.move(file.path, newPath, { overwrite: true });
+        uploadedFiles.push({
+            originalName: file.originalname,
+            filename: file.filename,
+            path: newPath,
+            size: file.size,
+            mimetype: file.mimetype
+        });
+    }
+    return { sessionId, sessionUploadDir, uploadedFiles };
+}
+
+/**
+ * Create a processing job for the images/workbooks in `inputPath` and run it in the background.
+ * Returns { job, sessionOutputDir, relevantFiles, done } where `done` resolves to true/false once the job
+ * completed or failed. Throws (code MAPPING_PROFILE_NOT_FOUND) for an unknown processor mapping profile.
+ */
+async function startProcessingJob({ inputPath, radiusPercentage = 15, processingMode = 'images_and_excel', mappingProfileId }) {
+    // An explicit column mapping profile applies to every sheet; otherwise each sheet is matched against all processor profiles
+    let mappingProfiles;
+    if (mappingProfileId) {
+        const profile = await mappingProfileStore.getMappingProfile(mappingProfileId);
+        if (!profile || profile.kind !== 'processor') {
+            throw Object.assign(new Error(`No processor mapping profile with id ${mappingProfileId}`), { code: 'MAPPING_PROFILE_NOT_FOUND' });
+        }
+        mappingProfiles = [profile];
+    } else {
+        mappingProfiles = (await mappingProfileStore.listMappingProfiles('processor')).profiles;
+    }
+
+    // Get list of files to process
+    const files = await fs.readdir(inputPath);
+    const relevantFiles = files.filter(file => {
+        const ext = path.extname(file).toLowerCase();
+        return ['.jpg', '.jpeg', '.png', '.bmp', '.tiff', '.xlsx', '.xls'].includes(ext);
+    });
+
+    // Create job
+    const job = await jobManager.createJob(processingMode, radiusPercentage, relevantFiles);
+
+    // Create unique output directory for this processing session
+    const sessionOutputDir = path.join(outputDir, job.id);
+
+    console.log(`Starting ID card processing for job ${job.id}...`);
+    console.log(`Input: ${inputPath}`);
+    console.log(`Output: ${sessionOutputDir}`);
+    console.log(`Mode: ${processingMode}`);
+    console.log(`Radius percentage: ${radiusPercentage}`);
+
+    // Update job status to processing
+    await jobManager.updateJobStatus(job.id, 'PROCESSING', { outputPath: sessionOutputDir });
+
+    // Determine processing options based on mode
+    const options = {
+        radiusPercentage: parseInt(radiusPercentage),
+        processImages: processingMode === 'images_only' || processingMode === 'images_and_excel',
+        processExcel: processingMode === 'images_and_excel',
+        mappingProfiles
+    };
+
+    // Process asynchronously to avoid blocking
+    const done = new Promise((resolve) => {
+        setImmediate(async () => {
+            try {
+                // Use Node.js image processor instead of Python script
+                const result = await imageProcessor.processIDCards(inputPath, sessionOutputDir, options);
+
+                // Update job with results
+                if (result.success) {
+                    await jobManager.updateJobStatus(job.id, 'COMPLETED', {
+                        processedFiles: relevantFiles.length
+                    });
+                } else {
+                    await jobManager.updateJobStatus(job.id, 'FAILED');
+                }
+                resolve(!!result.success);
+            } catch (error) {
+                console.error(`Job ${job.id} processing error:`, error);
+                await jobManager.updateJobStatus(job.id, 'FAILED').catch(() => {});
+                resolve(false);
+            }
+        });
+    });
+
+    return { job, sessionOutputDir, relevantFiles, done };
+}
+
 // Routes
 
 // Health check endpoint
@@ -123,24 +231,7 @@ app.post('/api/upload', upload.array('files', 10), async (req, res) => {
             });
         }
 
-        // Create a unique session folder for this upload so subsequent processing only handles these files
-        const sessionId = crypto.randomUUID();
-        const sessionUploadDir = path.join(uploadDir, sessionId);
-        await fs.ensureDir(sessionUploadDir);
-
-        // Move just the newly uploaded files into the session folder
-        const uploadedFiles = [];
-        for (const file of req.files) {
-            const newPath = path.join(sessionUploadDir, file.filename);
-            await fs.move(file.path, newPath, { overwrite: true });
-            uploadedFiles.push({
-                originalName: file.originalname,
-                filename: file.filename,
-                path: newPath,
-                size: file.size,
-                mimetype: file.mimetype
-            });
-        }
+        const { sessionId, sessionUploadDir, uploadedFiles } = await stageUploadSession(req.files);
 
         res.json({
             success: true,
@@ -164,7 +255,7 @@ app.post('/api/upload', upload.array('files', 10), async (req, res) => {
 // Process ID cards endpoint
 app.post('/api/process', async (req, res) => {
     try {
-        const { inputPath, radiusPercentage = 15, processingMode = 'images_and_excel' } = req.body;
+        const { inputPath, radiusPercentage = 15, processingMode = 'images_and_excel', mappingProfileId } = req.body;
         
         if (!inputPath) {
             return res.status(400).json({
@@ -173,54 +264,7 @@ app.post('/api/process', async (req, res) => {
             });
         }
 
-        // Get list of files to process
-        const files = await fs.readdir(inputPath);
-        const relevantFiles = files.filter(file => {
-            const ext = path.extname(file).toLowerCase();
-            return ['.jpg', '.jpeg', '.png', '.bmp', '.tiff', '.xlsx', '.xls'].includes(ext);
-        });
-
-        // Create job
-        const job = await jobManager.createJob(processingMode, radiusPercentage, relevantFiles);
-        
-        // Create unique output directory for this processing session
-        const sessionOutputDir = path.join(outputDir, job.id);
-        
-        console.log(`Starting ID card processing for job ${job.id}...`);
-        console.log(`Input: ${inputPath}`);
-        console.log(`Output: ${sessionOutputDir}`);
-        console.log(`Mode: ${processingMode}`);
-        console.log(`Radius percentage: ${radiusPercentage}`);
-
-        // Update job status to processing
-        await jobManager.updateJobStatus(job.id, 'PROCESSING', { outputPath: sessionOutputDir });
-
-        // Determine processing options based on mode
-        const options = {
-            radiusPercentage: parseInt(radiusPercentage),
-            processImages: processingMode === 'images_only' || processingMode === 'images_and_excel',
-            processExcel: processingMode === 'images_and_excel'
-        };
-
-        // Process asynchronously to avoid blocking
-        setImmediate(async () => {
-            try {
-                // Use Node.js image processor instead of Python script
-                const result = await imageProcessor.processIDCards(inputPath, sessionOutputDir, options);
-                
-                // Update job with results
-                if (result.success) {
-                    await jobManager.updateJobStatus(job.id, 'COMPLETED', {
-                        processedFiles: relevantFiles.length
-                    });
-                } else {
-                    await jobManager.updateJobStatus(job.id, 'FAILED');
-                }
-            } catch (error) {
-                console.error(`Job ${job.id} processing error:`, error);
-                await jobManager.updateJobStatus(job.id, 'FAILED');
-            }
-        });
+        const { job, sessionOutputDir } = await startProcessingJob({ inputPath, radiusPercentage, processingMode, mappingProfileId });
 
         // Return job information immediately
         res.json({
@@ -240,6 +284,7 @@ app.post('/api/process', async (req, res) => {
         });
 
     } catch (error) {
+        if (sendLookupError(res, error)) return;
         console.error('Processing error:', error);
         res.status(500).json({
             success: false,
@@ -465,11 +510,125 @@ app.delete('/api/jobs/:id', async (req, res) => {
     }
 });
 
+// Clamp a client-supplied concurrency limit; undefined keeps the registrar default
+function parseConcurrency(value) {
+    const n = parseInt(value, 10);
+    if (!Number.isFinite(n) || n < 1) return undefined;
+    return Math.min(n, 20);
+}
+
+// Sheets registered in upsert mode may use either layout, so both kinds of profile are candidates
+function registerMappingKinds(mode) {
+    return mode === 'upsert' ? ['register', 'update'] : ['register'];
+}
+
+// Pick the column mapping profile for a sheet given as csvPath or a processing session's outputDir
+async function selectSheetMapping({ mappingProfileId, kinds, csvPath, outputDir }) {
+    let rows = [];
+    if (!mappingProfileId) {
+        if (csvPath && await fs.pathExists(csvPath)) rows = readRowsFromCsvPath(csvPath);
+        else if (outputDir && await fs.pathExists(outputDir)) rows = readRowsFromOutputDir(outputDir);
+    }
+    return mappingProfileStore.selectMappingProfile({ id: mappingProfileId, kinds, rows });
+}
+
+// Profile fields added to preview responses so the pages can show which mapping was applied
+function mappingPreviewFields(selection) {
+    return {
+        mappingProfile: mappingProfileStore.describeMappingSelection(selection),
+        mappingCandidates: selection.candidates,
+        headers: selection.headers,
+    };
+}
+
+// Vault preview chained after a drop folder batch: the processed job output, or a CSV dropped as-is
+async function previewDropFolderBatch({ mode, jobId, outputDir: dir, csvPath }) {
+    const selection = await selectSheetMapping({ kinds: registerMappingKinds(mode), csvPath, outputDir: dir });
+    const mapping = selection.profile || undefined;
+    const source = csvPath ? { csvPath, mapping } : { jobId, outputDir: dir, mapping };
+    const preview = mode === 'upsert'
+        ? await previewUpsertToVault(source)
+        : (csvPath ? await previewCsvPathToVault(source) : await previewJobToVault(source));
+    return { ...preview, ...mappingPreviewFields(selection) };
+}
+
+const LOOKUP_ERRORS = {
+    MAPPING_PROFILE_NOT_FOUND: 'Unknown column mapping profile',
+    VAULT_ENVIRONMENT_NOT_FOUND: 'Unknown Vault environment',
+};
+
+// Unknown mapping profile / Vault environment ids are a client error; returns true when the response was sent
+function sendLookupError(res, error) {
+    if (!LOOKUP_ERRORS[error?.code]) return false;
+    res.status(400).json({ success: false, error: LOOKUP_ERRORS[error.code], details: error.message });
+    return true;
+}
+
+// Vault environment a request targets: body.environmentId, else a legacy free-text body.endpointBaseUrl, else the default
+function resolveRequestEnvironment(body) {
+    return vaultEnvironments.resolveVaultEnvironment({ environmentId: body?.environmentId, endpointBaseUrl: body?.endpointBaseUrl });
+}
+
+// Writes to a production Vault environment need `confirmProduction: true` in the body; returns true when refused
+function refuseUnconfirmedProduction(res, environment, body) {
+    if (!environment.isProduction || body?.confirmProduction === true) return false;
+    res.status(428).json({
+        success: false,
+        error: 'Production confirmation required',
+        details: environment.custom
+            ? `This request targets an unregistered Vault endpoint (${environment.endpointBaseUrl}), which may be production. Confirm it and resend with confirmProduction: true.`
+            : `This request targets the production Vault environment '${environment.name}'. Confirm it and resend with confirmProduction: true.`,
+        requiresConfirmation: true,
+        environment: vaultEnvironments.describeVaultEnvironment(environment),
+    });
+    return true;
+}
+
+// Job params recording the Vault environment a batch was sent to
+function environmentParams(environment) {
+    return { endpointBaseUrl: environment.endpointBaseUrl, environmentId: environment.id, environment: environment.name };
+}
+
+// Job hooks that also mark pool card numbers assigned once AddCard succeeded with them (updates are ignored).
+// Reserved numbers are only taken from the reservations the page made for this batch (body.cardPoolReservationIds).
+function withCardPoolTracking(hooks, reservationIds) {
+    const ids = Array.isArray(reservationIds) ? reservationIds.filter(cardNumberPool.isReservationId) : [];
+    return {
+        ...hooks,
+        onRow: (row) => {
+            hooks.onRow(row);
+            if (row.state !== 'success' || (row.action && row.action !== 'add')) return;
+            cardNumberPool.markCardNumberAssigned(row.cardNo, { name: row.name, reservationIds: ids })
+                .catch(err => console.warn(`Could not mark card number ${row.cardNo} assigned:`, err.message));
+        },
+    };
+}
+
+// Respond to a Vault batch request with the background job that will run it
+function sendVaultJobStarted(res, job) {
+    res.json({
+        success: true,
+        message: 'Vault job started',
+        jobId: job.id,
+        job: {
+            id: job.id,
+            type: job.type,
+            status: job.status,
+            createdAt: job.createdAt,
+            progress: job.progress
+        }
+    });
+}
+
 // Register Vault cards for a completed job
-// Body: { jobId, endpointBaseUrl? }
+// Body: { jobId, environmentId?, confirmProduction?, dryRun?, overrides?, concurrency?, mode?: 'register' | 'upsert', allowInvalid?, excludeDuplicates?, mappingProfileId? }
+// dryRun returns the preview directly; otherwise the batch runs as a Vault job (poll /api/vault/jobs/:id)
+// Rows failing pre-flight validation are skipped unless allowInvalid is true or lists their row indices;
+// with excludeDuplicates, rows flagged by the duplicate analysis (sheet and CardDB) are skipped too
+// Without mappingProfileId the column mapping profile is detected from the sheet headers
 app.post('/api/vault/register', async (req, res) => {
     try {
-        const { jobId, endpointBaseUrl, dryRun, overrides } = req.body || {};
+        const { jobId, dryRun, overrides, concurrency, mode, allowInvalid, excludeDuplicates, mappingProfileId, cardPoolReservationIds } = req.body || {};
         if (!jobId) {
             return res.status(400).json({ success: false, error: 'jobId is required' });
         }
@@ -479,14 +638,25 @@ app.post('/api/vault/register', async (req, res) => {
             return res.status(404).json({ success: false, error: 'Job not found' });
         }
         const sessionOutputDir = path.join(outputDir, jobId);
-        const endpoint = endpointBaseUrl || process.env.VAULT_API_BASE || 'http://10.60.10.6/Vaultsite/APIwebservice.asmx';
+        const environment = await resolveRequestEnvironment(req.body);
+        const endpoint = environment.endpointBaseUrl;
+        const selection = await selectSheetMapping({ mappingProfileId, kinds: registerMappingKinds(mode), outputDir: sessionOutputDir });
+        const mapping = selection.profile || undefined;
         if (dryRun) {
-            const preview = await previewJobToVault({ jobId, outputDir: sessionOutputDir });
-            return res.json({ success: true, ...preview, endpointBaseUrl: endpoint });
+            const preview = mode === 'upsert'
+                ? await previewUpsertToVault({ jobId, outputDir: sessionOutputDir, mapping })
+                : await previewJobToVault({ jobId, outputDir: sessionOutputDir, mapping });
+            return res.json({ success: true, ...preview, ...mappingPreviewFields(selection), endpointBaseUrl: endpoint, environment: vaultEnvironments.describeVaultEnvironment(environment) });
         }
-        const result = await registerJobToVault({ jobId, outputDir: sessionOutputDir, endpointBaseUrl: endpoint, overrides });
-        res.json({ success: true, ...result });
+        if (refuseUnconfirmedProduction(res, environment, req.body)) return;
+        const params = { sourceJobId: jobId, mode: mode === 'upsert' ? 'upsert' : 'register', ...environmentParams(environment), mappingProfileId: mapping?.id };
+        const options = { jobId, outputDir: sessionOutputDir, endpointBaseUrl: endpoint, environment, overrides, allowInvalid, excludeDuplicates: excludeDuplicates === true, mapping, concurrency: parseConcurrency(concurrency) };
+        const vaultJob = mode === 'upsert'
+            ? JobManager.startVaultJob('VAULT_UPSERT', params, (hooks) => upsertToVault({ ...options, ...withCardPoolTracking(hooks, cardPoolReservationIds) }))
+            : JobManager.startVaultJob('VAULT_REGISTER', params, (hooks) => registerJobToVault({ ...options, ...withCardPoolTracking(hooks, cardPoolReservationIds) }));
+        sendVaultJobStarted(res, vaultJob);
     } catch (error) {
+        if (sendLookupError(res, error)) return;
         console.error('Error registering Vault cards:', error);
         res.status(500).json({ success: false, error: 'Failed to register Vault cards', details: error.message });
     }
@@ -495,30 +665,42 @@ app.post('/api/vault/register', async (req, res) => {
 // Preview Vault registration from a direct CSV path
 app.post('/api/vault/preview-csv', async (req, res) => {
     try {
-        const { csvPath } = req.body || {};
+        const { csvPath, mode, mappingProfileId } = req.body || {};
         if (!csvPath) {
             return res.status(400).json({ success: false, error: 'csvPath is required' });
         }
-        const preview = previewCsvPathToVault({ csvPath });
-        const endpoint = process.env.VAULT_API_BASE || 'http://10.60.10.6/Vaultsite/APIwebservice.asmx';
-        res.json({ success: true, ...preview, endpointBaseUrl: endpoint });
+        const selection = await selectSheetMapping({ mappingProfileId, kinds: registerMappingKinds(mode), csvPath });
+        const mapping = selection.profile || undefined;
+        const preview = mode === 'upsert' ? await previewUpsertToVault({ csvPath, mapping }) : await previewCsvPathToVault({ csvPath, mapping });
+        const environment = await resolveRequestEnvironment(req.body);
+        const endpoint = environment.endpointBaseUrl;
+        res.json({ success: true, ...preview, ...mappingPreviewFields(selection), endpointBaseUrl: endpoint, environment: vaultEnvironments.describeVaultEnvironment(environment) });
     } catch (error) {
+        if (sendLookupError(res, error)) return;
         console.error('Error previewing CSV for Vault:', error);
         res.status(500).json({ success: false, error: 'Failed to preview CSV', details: error.message });
     }
 });
 
-// Register Vault cards from a direct CSV path
+// Register Vault cards from a direct CSV path (runs as a Vault job)
 app.post('/api/vault/register-csv', async (req, res) => {
     try {
-        const { csvPath, endpointBaseUrl, overrides } = req.body || {};
+        const { csvPath, overrides, concurrency, mode, allowInvalid, excludeDuplicates, mappingProfileId, cardPoolReservationIds } = req.body || {};
         if (!csvPath) {
             return res.status(400).json({ success: false, error: 'csvPath is required' });
         }
-        const endpoint = endpointBaseUrl || process.env.VAULT_API_BASE || 'http://10.60.10.6/Vaultsite/APIwebservice.asmx';
-        const result = await registerCsvPathToVault({ csvPath, endpointBaseUrl: endpoint, overrides });
-        res.json({ success: true, ...result });
+        const environment = await resolveRequestEnvironment(req.body);
+        const endpoint = environment.endpointBaseUrl;
+        const mapping = (await selectSheetMapping({ mappingProfileId, kinds: registerMappingKinds(mode), csvPath })).profile || undefined;
+        if (refuseUnconfirmedProduction(res, environment, req.body)) return;
+        const params = { csvPath, mode: mode === 'upsert' ? 'upsert' : 'register', ...environmentParams(environment), mappingProfileId: mapping?.id };
+        const options = { csvPath, endpointBaseUrl: endpoint, environment, overrides, allowInvalid, excludeDuplicates: excludeDuplicates === true, mapping, concurrency: parseConcurrency(concurrency) };
+        const vaultJob = mode === 'upsert'
+            ? JobManager.startVaultJob('VAULT_UPSERT', params, (hooks) => upsertToVault({ ...options, ...withCardPoolTracking(hooks, cardPoolReservationIds) }))
+            : JobManager.startVaultJob('VAULT_REGISTER_CSV', params, (hooks) => registerCsvPathToVault({ ...options, ...withCardPoolTracking(hooks, cardPoolReservationIds) }));
+        sendVaultJobStarted(res, vaultJob);
     } catch (error) {
+        if (sendLookupError(res, error)) return;
         console.error('Error registering Vault cards from CSV:', error);
         res.status(500).json({ success: false, error: 'Failed to register Vault cards from CSV', details: error.message });
     }
@@ -527,49 +709,200 @@ app.post('/api/vault/register-csv', async (req, res) => {
 // Preview Vault update from a direct CSV/Excel path
 app.post('/api/vault/preview-update-csv', async (req, res) => {
     try {
-        const { csvPath } = req.body || {};
+        const { csvPath, mappingProfileId } = req.body || {};
         if (!csvPath) {
             return res.status(400).json({ success: false, error: 'csvPath is required' });
         }
-        const preview = previewUpdateCsvPathToVault({ csvPath });
-        const endpoint = process.env.VAULT_API_BASE || 'http://10.60.10.6/Vaultsite/APIwebservice.asmx';
-        res.json({ success: true, ...preview, endpointBaseUrl: endpoint });
+        const selection = await selectSheetMapping({ mappingProfileId, kinds: ['update'], csvPath });
+        const preview = await previewUpdateCsvPathToVault({ csvPath, mapping: selection.profile });
+        const environment = await resolveRequestEnvironment(req.body);
+        const endpoint = environment.endpointBaseUrl;
+        res.json({ success: true, ...preview, ...mappingPreviewFields(selection), endpointBaseUrl: endpoint, environment: vaultEnvironments.describeVaultEnvironment(environment) });
     } catch (error) {
+        if (sendLookupError(res, error)) return;
         console.error('Error previewing UpdateCard CSV:', error);
         res.status(500).json({ success: false, error: 'Failed to preview UpdateCard CSV', details: error.message });
     }
 });
 
-// Update existing Vault cards from a direct CSV/Excel path
+// Update existing Vault cards from a direct CSV/Excel path (runs as a Vault job)
 app.post('/api/vault/update-csv', async (req, res) => {
     try {
-        const { csvPath, endpointBaseUrl, overrides, indices, concurrency } = req.body || {};
+        const { csvPath, overrides, indices, concurrency, allowInvalid, excludeDuplicates, mappingProfileId } = req.body || {};
         if (!csvPath) {
             return res.status(400).json({ success: false, error: 'csvPath is required' });
         }
-        const endpoint = endpointBaseUrl || process.env.VAULT_API_BASE || 'http://10.60.10.6/Vaultsite/APIwebservice.asmx';
-        const result = await updateCsvPathToVault({ csvPath, endpointBaseUrl: endpoint, overrides, indices, concurrency });
-        const errorCount = Array.isArray(result.errors) ? result.errors.length : 0;
-        const success = (result.attempted || 0) > 0; // treat partial as success to avoid UX hard-fail
-        res.json({ success, errorCount, ...result });
+        const environment = await resolveRequestEnvironment(req.body);
+        const endpoint = environment.endpointBaseUrl;
+        if (refuseUnconfirmedProduction(res, environment, req.body)) return;
+        const mapping = (await selectSheetMapping({ mappingProfileId, kinds: ['update'], csvPath })).profile;
+        const vaultJob = JobManager.startVaultJob('VAULT_UPDATE_CSV', { csvPath, ...environmentParams(environment), mappingProfileId: mapping.id }, async (hooks) => {
+            const result = await updateCsvPathToVault({ csvPath, endpointBaseUrl: endpoint, environment, overrides, indices, concurrency: parseConcurrency(concurrency), allowInvalid, excludeDuplicates: excludeDuplicates === true, mapping, ...hooks });
+            const errorCount = Array.isArray(result.errors) ? result.errors.length : 0;
+            return { errorCount, ...result };
+        });
+        sendVaultJobStarted(res, vaultJob);
     } catch (error) {
+        if (sendLookupError(res, error)) return;
         console.error('Error updating Vault cards from CSV:', error);
         res.status(500).json({ success: false, error: 'Failed to update Vault cards from CSV', details: error.message });
     }
 });
 
+// List recent Vault registration/update jobs (without result summaries)
+// Query: ?type=VAULT_REGISTER|VAULT_REGISTER_CSV|VAULT_UPSERT|VAULT_UPDATE_CSV&limit=20
+app.get('/api/vault/jobs', (req, res) => {
+    try {
+        const { type } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 20, 200);
+        if (type && !JobManager.VAULT_JOB_TYPES.includes(type)) {
+            return res.status(400).json({ success: false, error: `type must be one of ${JobManager.VAULT_JOB_TYPES.join(', ')}` });
+        }
+        res.json({ success: true, jobs: JobManager.listVaultJobs({ type, limit }) });
+    } catch (error) {
+        console.error('Error listing Vault jobs:', error);
+        res.status(500).json({ success: false, error: 'Failed to list Vault jobs', details: error.message });
+    }
+});
+
+// Status, progress counters and (once finished) the result summary of a Vault job
+app.get('/api/vault/jobs/:id', (req, res) => {
+    try {
+        const job = JobManager.getVaultJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({ success: false, error: 'Vault job not found' });
+        }
+        res.json({ success: true, job });
+    } catch (error) {
+        console.error('Error fetching Vault job:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch Vault job', details: error.message });
+    }
+});
+
+// Resolve the resume target of a request body: { kind: 'register' | 'update', csvPath?, jobId? }
+function resumeTarget(body) {
+    const { kind, csvPath, jobId } = body || {};
+    return { kind, csvPath, jobId, outputDir: jobId ? path.join(outputDir, jobId) : undefined };
+}
+
+// Preview which rows of a previous Vault batch never succeeded (from its JSONL log)
+app.post('/api/vault/resume-preview', (req, res) => {
+    try {
+        const { kind } = req.body || {};
+        if (!RESUME_KINDS.includes(kind)) {
+            return res.status(400).json({ success: false, error: `kind must be one of ${RESUME_KINDS.join(', ')}` });
+        }
+        const analysis = analyzeResume(resumeTarget(req.body));
+        res.json({ success: true, ...analysis, pendingCount: analysis.pending.length });
+    } catch (error) {
+        console.error('Error previewing Vault resume:', error);
+        res.status(400).json({ success: false, error: 'Failed to analyse batch log', details: error.message });
+    }
+});
+
+// Re-send only the rows of a previous batch that never succeeded (runs as a Vault job)
+// Body: { kind: 'register' | 'update', csvPath?, jobId?, environmentId?, confirmProduction?, concurrency? }
+app.post('/api/vault/resume', async (req, res) => {
+    try {
+        const { kind, concurrency, allowInvalid, cardPoolReservationIds } = req.body || {};
+        if (!RESUME_KINDS.includes(kind)) {
+            return res.status(400).json({ success: false, error: `kind must be one of ${RESUME_KINDS.join(', ')}` });
+        }
+        const target = resumeTarget(req.body);
+        const analysis = analyzeResume(target);
+        if (analysis.errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Cannot resume batch', details: analysis.errors.map(e => e.message).join('; ') });
+        }
+        if (analysis.pending.length === 0) {
+            return res.status(400).json({ success: false, error: 'Nothing to resume', details: 'Every row with a Card No has already succeeded.' });
+        }
+        // Without an explicit target the rows go to the environment the earlier runs used
+        const explicitTarget = req.body?.environmentId || req.body?.endpointBaseUrl;
+        const environment = await resolveRequestEnvironment(explicitTarget ? req.body : { environmentId: analysis.environmentId, endpointBaseUrl: analysis.endpointBaseUrl });
+        if (refuseUnconfirmedProduction(res, environment, req.body)) return;
+        const endpoint = environment.endpointBaseUrl;
+        let type = target.csvPath ? 'VAULT_REGISTER_CSV' : 'VAULT_REGISTER';
+        if (kind === 'update') type = 'VAULT_UPDATE_CSV';
+        else if (analysis.mode === 'upsert') type = 'VAULT_UPSERT';
+        const params = { csvPath: target.csvPath, sourceJobId: target.jobId, mode: analysis.mode, ...environmentParams(environment), resume: true, pending: analysis.pending.length };
+        // Re-use the column mapping profile of the earlier runs (built-in mapping if it has been deleted since)
+        const mapping = analysis.mappingProfileId
+            ? await mappingProfileStore.getMappingProfile(analysis.mappingProfileId).catch(() => null) || undefined
+            : undefined;
+        const vaultJob = JobManager.startVaultJob(type, params, async (hooks) => {
+            const result = await resumeVaultBatch({ ...target, endpointBaseUrl: endpoint, environment, concurrency: parseConcurrency(concurrency), allowInvalid: allowInvalid === true, mapping, ...(kind === 'register' ? withCardPoolTracking(hooks, cardPoolReservationIds) : hooks) });
+            const errorCount = Array.isArray(result.errors) ? result.errors.length : 0;
+            return { errorCount, ...result };
+        });
+        sendVaultJobStarted(res, vaultJob);
+    } catch (error) {
+        if (sendLookupError(res, error)) return;
+        console.error('Error resuming Vault batch:', error);
+        res.status(500).json({ success: false, error: 'Failed to resume Vault batch', details: error.message });
+    }
+});
+
+// Server-Sent Events stream of a Vault job: a `snapshot` (job + latest row states) on connect, then
+// `status`, `progress` and `row` events as they happen, and a final `complete` carrying the summary
+app.get('/api/vault/jobs/:id/events', (req, res) => {
+    const { id } = req.params;
+    const job = JobManager.getVaultJob(id);
+    if (!job) {
+        return res.status(404).json({ success: false, error: 'Vault job not found' });
+    }
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // keep nginx from buffering the stream
+    });
+    res.flushHeaders();
+    const send = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        // compression() buffers output until flushed
+        if (typeof res.flush === 'function') res.flush();
+    };
+    const { summary, ...jobState } = job;
+    send('snapshot', { job: jobState, rows: JobManager.getVaultJobRows(id) });
+    if (job.status === 'COMPLETED' || job.status === 'FAILED') {
+        send('complete', { job });
+        return res.end();
+    }
+    let unsubscribe = () => {};
+    const heartbeat = setInterval(() => {
+        res.write(': keep-alive\n\n');
+        if (typeof res.flush === 'function') res.flush();
+    }, 15000);
+    const cleanup = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    };
+    unsubscribe = JobManager.subscribeVaultJob(id, (event) => {
+        const { type, ...data } = event;
+        send(type, data);
+        if (type === 'complete') {
+            cleanup();
+            res.end();
+        }
+    });
+    req.on('close', cleanup);
+});
+
 // Update a single row (by index) from a direct CSV/Excel path
 app.post('/api/vault/update-csv-row', async (req, res) => {
     try {
-        const { csvPath, index, endpointBaseUrl, override } = req.body || {};
+        const { csvPath, index, override, allowInvalid, mappingProfileId } = req.body || {};
         if (csvPath === undefined || csvPath === null || String(csvPath).trim() === '') {
             return res.status(400).json({ success: false, error: 'csvPath is required' });
         }
         if (typeof index !== 'number' || index < 0) {
             return res.status(400).json({ success: false, error: 'index must be a non-negative number' });
         }
-        const endpoint = endpointBaseUrl || process.env.VAULT_API_BASE || 'http://10.60.10.6/Vaultsite/APIwebservice.asmx';
-        const result = await updateCsvRowToVault({ csvPath, index, endpointBaseUrl: endpoint, override });
+        const environment = await resolveRequestEnvironment(req.body);
+        const endpoint = environment.endpointBaseUrl;
+        if (refuseUnconfirmedProduction(res, environment, req.body)) return;
+        const mapping = (await selectSheetMapping({ mappingProfileId, kinds: ['update'], csvPath })).profile;
+        const result = await updateCsvRowToVault({ csvPath, index, endpointBaseUrl: endpoint, environment, override, allowInvalid: allowInvalid === true, mapping });
         const success = (Array.isArray(result.errors) ? result.errors.length : 0) === 0;
         const rowStatus = result.rowStatus || {
             ok: success,
@@ -578,37 +911,174 @@ app.post('/api/vault/update-csv-row', async (req, res) => {
         };
         res.json({ success, requestId: result.requestId, rowStatus, ...result });
     } catch (error) {
+        if (sendLookupError(res, error)) return;
         console.error('Error updating single Vault card from CSV:', error);
         res.status(500).json({ success: false, error: 'Failed to update single Vault card from CSV', details: error.message });
     }
 });
 
+// Preview deactivation/deletion of Vault cards
+// Body: { cardNos?: string[] | string, csvPath?: resignation sheet, operation?: 'deactivate' | 'delete', resignDate? }
+app.post('/api/vault/preview-deactivate', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+    try {
+        const { cardNos, csvPath, operation = 'deactivate', resignDate } = req.body || {};
+        if (!csvPath && !cardNos) {
+            return res.status(400).json({ success: false, error: 'cardNos or csvPath is required' });
+        }
+        const preview = await previewDeactivationToVault({ cardNos, csvPath, operation, resignDate });
+        const environment = await resolveRequestEnvironment(req.body);
+        const endpoint = environment.endpointBaseUrl;
+        res.json({ success: true, ...preview, deleteEnabled: isVaultDeleteEnabled(), endpointBaseUrl: endpoint, environment: vaultEnvironments.describeVaultEnvironment(environment) });
+    } catch (error) {
+        if (sendLookupError(res, error)) return;
+        console.error('Error previewing Vault deactivation:', error);
+        res.status(500).json({ success: false, error: 'Failed to preview deactivation', details: error.message });
+    }
+});
+
+// Deactivate (UpdateCard ActiveStatus=false) or delete (DeleteCard) Vault cards
+app.post('/api/vault/deactivate', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+    try {
+        const { cardNos, csvPath, operation = 'deactivate', resignDate, concurrency } = req.body || {};
+        if (!csvPath && !cardNos) {
+            return res.status(400).json({ success: false, error: 'cardNos or csvPath is required' });
+        }
+        if (operation !== 'deactivate' && operation !== 'delete') {
+            return res.status(400).json({ success: false, error: "operation must be 'deactivate' or 'delete'" });
+        }
+        if (operation === 'delete' && !isVaultDeleteEnabled()) {
+            return res.status(400).json({ success: false, error: 'DeleteCard is not enabled for this Vault endpoint', details: 'Set VAULT_DELETE_ENABLED=true when the Vault API exposes DeleteCard' });
+        }
+        const environment = await resolveRequestEnvironment(req.body);
+        const endpoint = environment.endpointBaseUrl;
+        if (refuseUnconfirmedProduction(res, environment, req.body)) return;
+        const result = await deactivateCardsInVault({ cardNos, csvPath, operation, resignDate, endpointBaseUrl: endpoint, environment, outputDir, concurrency: parseConcurrency(concurrency) });
+        const errorCount = Array.isArray(result.errors) ? result.errors.length : 0;
+        res.json({ success: (result.attempted || 0) > 0 || errorCount === 0, errorCount, ...result });
+    } catch (error) {
+        if (sendLookupError(res, error)) return;
+        console.error('Error deactivating Vault cards:', error);
+        res.status(500).json({ success: false, error: 'Failed to deactivate Vault cards', details: error.message });
+    }
+});
+
+// List recent pre-update snapshot batches (newest first)
+app.get('/api/vault/snapshots', auth.requireAuth, (req, res) => {
+    try {
+        const limit = Math.max(1, Math.min(500, parseInt((req.query.limit || '50').toString(), 10) || 50));
+        res.json({ success: true, batches: listSnapshotBatches({ limit }) });
+    } catch (error) {
+        console.error('Error listing Vault snapshots:', error);
+        res.status(500).json({ success: false, error: 'Failed to list snapshots', details: error.message });
+    }
+});
+
+// Snapshot entries (prior CardDB profiles) for one update batch or single-card request
+app.get('/api/vault/snapshots/:batchId', auth.requireAuth, (req, res) => {
+    try {
+        const batch = readSnapshotBatch(req.params.batchId);
+        if (!batch) {
+            return res.status(404).json({ success: false, error: 'Snapshot not found' });
+        }
+        res.json({ success: true, ...batch });
+    } catch (error) {
+        console.error('Error reading Vault snapshot:', error);
+        res.status(500).json({ success: false, error: 'Failed to read snapshot', details: error.message });
+    }
+});
+
+// Roll back an update batch (or selected cards of it) by replaying the snapshotted profiles
+// Body: { batchId, requestIds?, cardNos?, environmentId?, confirmProduction?, concurrency? }
+app.post('/api/vault/rollback', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+    try {
+        const { batchId, requestIds, cardNos, concurrency } = req.body || {};
+        if (!batchId) {
+            return res.status(400).json({ success: false, error: 'batchId is required' });
+        }
+        const environment = await resolveRequestEnvironment(req.body);
+        const endpoint = environment.endpointBaseUrl;
+        if (refuseUnconfirmedProduction(res, environment, req.body)) return;
+        const result = await rollbackVaultUpdates({ batchId, requestIds, cardNos, endpointBaseUrl: endpoint, environment, concurrency: parseConcurrency(concurrency) });
+        if (result.errors.some(e => e.code === 'SNAPSHOT_NOT_FOUND')) {
+            return res.status(404).json({ success: false, error: 'Snapshot not found', details: result.errors[0].message });
+        }
+        res.json({ success: result.errors.length === 0, errorCount: result.errors.length, ...result });
+    } catch (error) {
+        if (sendLookupError(res, error)) return;
+        console.error('Error rolling back Vault update:', error);
+        res.status(500).json({ success: false, error: 'Failed to roll back Vault update', details: error.message });
+    }
+});
+
+// Send UpdateCardTemplate.xlsx with the given template rows (header only when empty)
+function sendUpdateTemplate(res, rows = []) {
+    const ws = XLSX.utils.aoa_to_sheet([UPDATE_TEMPLATE_HEADERS, ...rows.map(row => UPDATE_TEMPLATE_HEADERS.map(h => row[h]))]);
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, ws, 'UpdateCardTemplate');
+    const buf = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', 'attachment; filename="UpdateCardTemplate.xlsx"');
+    return res.send(buf);
+}
+
 // Download Excel template for UpdateCard
 app.get('/api/vault/template/update-card.xlsx', async (req, res) => {
     try {
-        // Define the template columns based on user-provided schema
-        const headers = [
-            // Identity & employment
-            'CARD NO', 'NAME', 'COMPANY', 'STAFF ID', 'STATUS', 'DIVISION', 'DEPARTMENT', 'SECTION', 'TITLE', 'POSITION', 'GENDER',
-            'KTP/PASPORT NO', 'PLACE OF BIRTH', 'DATE OF BIRTH', 'ADDRESS', 'PHONE NO', 'DATE OF HIRE', 'POINT OF HIRE', 'RACE',
-            'DATE OF MCU', 'WORK PERIOD START', 'WORK PERIOD END', 'MCU RESULTS', 'CARD STATUS',
-            // Access controls (new columns)
-            'ACCESS LEVEL', 'FACE ACCESS LEVEL', 'LIFT ACCESS LEVEL', 'MESSHALL', 'VEHICLE NO'
-        ];
-        const wsData = [headers];
-        const wb = XLSX.utils.book_new();
-        const ws = XLSX.utils.aoa_to_sheet(wsData);
-        XLSX.utils.book_append_sheet(wb, ws, 'UpdateCardTemplate');
-        const buf = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
-        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-        res.setHeader('Content-Disposition', 'attachment; filename="UpdateCardTemplate.xlsx"');
-        return res.send(buf);
+        return sendUpdateTemplate(res);
     } catch (error) {
         console.error('Error generating template:', error);
         res.status(500).json({ success: false, error: 'Failed to generate template', details: error.message });
     }
 });
 
+// Most CardDB rows one export may hold; larger filters have to be narrowed first
+const CARDDB_EXPORT_MAX = Math.max(1, parseInt(process.env.CARDDB_EXPORT_MAX || '5000', 10) || 5000);
+
+// Export CardDB cards as UpdateCardTemplate.xlsx rows holding the fields the update flow reads, for editing in Excel
+// and uploading back through the update flow. Body: { cardNos } for selected cards, or the CardDB list
+// query ({ search, sort, dir, department, accessLevel, activeStatus, vehicleNo, expiryFrom, expiryTo }) for all matches.
+app.post('/api/vault/carddb/export.xlsx', async (req, res) => {
+    const { cardNos, ...query } = req.body || {};
+    try {
+        if (!isCardDbConfigured(getCardDbConfig())) {
+            return res.status(400).json({ success: false, error: 'CardDB configuration not set' });
+        }
+        let rows;
+        if (Array.isArray(cardNos) && cardNos.length > 0) {
+            const wanted = cardNos.map(cn => String(cn || '').trim()).filter(Boolean);
+            if (wanted.length > CARDDB_EXPORT_MAX) {
+                return res.status(400).json({ success: false, error: 'Too many cards', details: `At most ${CARDDB_EXPORT_MAX} cards can be exported at once` });
+            }
+            const found = await lookupCardsByCardNo(wanted, undefined, { fullRow: true });
+            rows = wanted.filter(cn => found.has(cn)).map(cn => [cn, found.get(cn)]);
+        } else {
+            const filters = {};
+            for (const key of ['search', 'sort', 'dir', 'department', 'accessLevel', 'activeStatus', 'vehicleNo', 'expiryFrom', 'expiryTo']) {
+                if (query[key] !== undefined && query[key] !== null) filters[key] = String(query[key]);
+            }
+            if (!filters.vehicleNo && query.messHall) filters.vehicleNo = normalizeVehicleNo(String(query.messHall));
+            rows = [];
+            let total = 0;
+            do {
+                const page = await listCardDbRows({ ...filters, fullRow: true, offset: rows.length, limit: 1000 }, undefined);
+                total = page.total;
+                if (total > CARDDB_EXPORT_MAX) {
+                    return res.status(400).json({ success: false, error: 'Too many cards', details: `The filter matches ${total} cards; narrow it to at most ${CARDDB_EXPORT_MAX}` });
+                }
+                if (page.rows.length === 0) break;
+                rows.push(...page.rows.map(row => [undefined, row]));
+            } while (rows.length < total);
+        }
+        if (rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'No CardDB cards to export' });
+        }
+        return sendUpdateTemplate(res, rows.map(([cn, row]) => profileToUpdateTemplateRow(cardDbRowToCurrentProfile(row, cn), row)));
+    } catch (error) {
+        console.error('Error exporting CardDB cards:', error);
+        res.status(500).json({ success: false, error: 'Failed to export CardDB cards', details: error.message });
+    }
+});
+
 // Photo existence check for preview edits
 app.post('/api/vault/photo-check', async (req, res) => {
     try {
@@ -653,422 +1123,86 @@ app.post('/api/vault/photo-check-csv', async (req, res) => {
     }
 });
 
-// List CardDB users with optional filters for search and limit
+// Current Vault call policy (timeouts/retries) and circuit breaker state per endpoint
+app.get('/api/vault/call-policy', (req, res) => {
+    res.json({ success: true, policy: getDefaultPolicy(), breakers: getBreakerStates() });
+});
+
+// Page through CardDB users. Query: search|q, offset (or 1-based page), limit (page size, max 1000),
+// sort (any listed column) + dir (asc|desc), and filters department, accessLevel, activeStatus (active|inactive),
+// vehicleNo or messHall (resolved through the MessHall rules), expiryFrom/expiryTo (YYYY-MM-DD)
 app.get('/api/vault/carddb', async (req, res) => {
-    const { q, search, limit, server: dbServer, dbName, dbUser, dbPass, dbPort } = req.query;
-    const sTerm = (search || q || '').toString().trim();
-    const topN = Math.max(1, Math.min(1000, parseInt((limit || '200').toString(), 10) || 200));
+    const { q, search, limit, offset, page, sort, dir, department, accessLevel, activeStatus, vehicleNo, messHall, expiryFrom, expiryTo,
+        server: dbServer, dbName, dbUser, dbPass, dbPort } = req.query;
     try {
         // Use dedicated CARDDB_* env vars for CardDB (user retrieval) and keep DATADB_* for app DB
-        const config = {
-            user: (dbUser || process.env.CARDDB_USER || process.env.DATADB_USER),
-            password: (dbPass || process.env.CARDDB_PASSWORD || process.env.DATADB_PASSWORD),
-            server: (dbServer || process.env.CARDDB_SERVER || process.env.DATADB_SERVER),
-            database: (dbName || process.env.CARDDB_NAME || process.env.DATADB_NAME || 'DataDBEnt'),
-            port: (dbPort ? parseInt(dbPort, 10) : (parseInt(process.env.CARDDB_PORT, 10) || parseInt(process.env.DATADB_PORT, 10) || 1433)),
-            options: { trustServerCertificate: true, enableArithAbort: true, encrypt: false },
-            pool: { max: 10, min: 0, idleTimeoutMillis: 30000 }
-        };
-        const missing = !config.server || !config.user || !config.password;
-        if (missing) {
-            return res.json({ success: true, count: 0, rows: [], warning: 'CardDB configuration not set' });
-        }
-        // Log resolved connection (mask sensitive values)
-        console.log(`[CardDB] Connecting server=${config.server} db=${config.database} user=${config.user} port=${config.port}`);
-        await sql.connect(config);
-        const request = new sql.Request();
-        request.input('topN', sql.Int, topN);
-        const envTbl = (() => {
-            const schema = (process.env.CARDDB_SCHEMA || '').trim();
-            const name = (process.env.CARDDB_TABLE || '').trim();
-            if (schema && name) return `${schema}.${name}`;
-            if (name) return name;
-            return null;
-        })();
-        // Hard-code to carddb; ignore client-provided table. Allow env override for schema-qualified name.
-        const baseTbl = (envTbl || 'carddb');
-        const activeFilter = "([Del_State] = 0 OR [Del_State] = 'false')";
-        const bracketize = (name) => name.split('.').map(part => `[${part}]`).join('.');
-        const parseSchemaTable = (name) => {
-            const parts = String(name).split('.');
-            if (parts.length === 2) return { schema: parts[0], table: parts[1] };
-            return { schema: null, table: parts[0] };
-        };
-        const getColumns = async (tblName) => {
-            const { schema, table } = parseSchemaTable(tblName);
-            const where = schema
-                ? `TABLE_SCHEMA = @schema AND TABLE_NAME = @table`
-                : `TABLE_NAME = @table`;
-            const req = new sql.Request();
-            if (schema) req.input('schema', sql.NVarChar, schema);
-            req.input('table', sql.NVarChar, table);
-            const rs = await req.query(`SELECT TABLE_SCHEMA, TABLE_NAME, COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS WHERE ${where}`);
-            const cols = new Set();
-            let resolvedSchema = schema;
-            for (const r of (rs.recordset || [])) {
-                cols.add(r.COLUMN_NAME);
-                resolvedSchema = resolvedSchema || r.TABLE_SCHEMA;
-            }
-            return { schema: resolvedSchema, table, columns: cols };
-        };
-        const buildQuery = async (tblName) => {
-            const info = await getColumns(tblName);
-            if (!info.schema) {
-                // schema not found, treat as missing table
-                throw new Error(`Table not found: ${tblName}`);
-            }
-            const qualified = bracketize(`${info.schema}.${info.table}`);
-            const hasDel = info.columns.has('Del_State');
-            const searchable = ['Name','NAME','CardNo','cardno','CARDNO','StaffNo','staffno','STAFFNO'].filter(c => info.columns.has(c));
-            const whereTerms = [];
-            if (sTerm && searchable.length > 0) {
-                request.input('pattern', sql.NVarChar, `%${sTerm}%`);
-                // Cast to NVARCHAR to avoid type conversion errors on numeric/date columns
-                const likeParts = searchable.map(c => `CAST([${c}] AS NVARCHAR(4000)) LIKE @pattern`);
-                whereTerms.push(`(${likeParts.join(' OR ')})`);
-            }
-            if (hasDel) whereTerms.push(activeFilter);
-            const where = whereTerms.length > 0 ? `WHERE ${whereTerms.join(' AND ')}` : '';
-            // Project only relevant columns and add NOLOCK to improve read performance
-            const selectCols = [];
-            const addIf = (name, alias) => { if (info.columns.has(name)) selectCols.push(`[${name}] AS ${alias}`); };
-            addIf('CardNo', 'CardNo'); addIf('cardno', 'CardNo'); addIf('CARDNO', 'CardNo');
-            addIf('Name', 'Name'); addIf('NAME', 'Name');
-            addIf('StaffNo', 'StaffNo'); addIf('staffno', 'StaffNo'); addIf('STAFFNO', 'StaffNo');
-            addIf('VehicleNo', 'VehicleNo');
-            addIf('DueDay', 'DueDay');
-            addIf('ExpiryDate', 'ExpiryDate'); addIf('ExpiredDate', 'ExpiryDate');
-            addIf('Status', 'Status');
-            addIf('Department', 'Department');
-            addIf('AccessLevel', 'AccessLevel');
-            addIf('LiftAccessLevel', 'LiftAccessLevel');
-            addIf('FaceAccessLevel', 'FaceAccessLevel');
-            addIf('ActiveStatus', 'ActiveStatus');
-            const selectList = selectCols.length > 0 ? selectCols.join(', ') : '*';
-            return `SELECT TOP (@topN) ${selectList} FROM ${qualified} WITH (NOLOCK) ${where}`;
-        };
-
-        let result;
-        try {
-            // Prefer cached resolved table if available and no explicit env override
-            if (!envTbl && cardDbResolutionCache.table && (Date.now() - (cardDbResolutionCache.ts || 0) < 5 * 60 * 1000)) {
-                try {
-                    const qCached = await buildQuery(cardDbResolutionCache.table);
-                    result = await request.query(qCached);
-                } catch {
-                    // fallback to base
-                }
-            }
-            if (!result) {
-                const query = await buildQuery(baseTbl);
-                result = await request.query(query);
-            }
-        } catch (primaryErr) {
-            // Fallback attempts: common casing or dbo-qualified table name
-            const tryQuery = async (tblName) => {
-                const altQuery = await buildQuery(tblName);
-                return request.query(altQuery);
-            };
-            const candidatesRaw = [baseTbl, envTbl, 'carddb', 'CardDB', 'dbo.carddb', 'dbo.CardDB'];
-            const candidates = Array.from(new Set(candidatesRaw.filter(Boolean)));
-            console.log(`[CardDB] Fallback candidates: ${candidates.join(', ')}`);
-            let ok = false;
-            for (const c of candidates) {
-                try {
-                    result = await tryQuery(c);
-                    console.log(`[CardDB] Fallback succeeded with table=${c}`);
-                    ok = true;
-                    break;
-                } catch (e) {
-                    // continue
-                }
-            }
-            if (!ok) {
-                // Discover likely tables by columns or name
-            try {
-                const discover = await request.query(`
-                        SELECT DISTINCT TOP 50 t.TABLE_SCHEMA, t.TABLE_NAME
-                        FROM INFORMATION_SCHEMA.TABLES t
-                        WHERE (t.TABLE_TYPE = 'BASE TABLE' OR t.TABLE_TYPE = 'VIEW')
-                        AND (
-                            t.TABLE_NAME LIKE '%card%' OR t.TABLE_NAME LIKE '%Card%'
-                            OR EXISTS (
-                                SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS c
-                                WHERE c.TABLE_SCHEMA = t.TABLE_SCHEMA AND c.TABLE_NAME = t.TABLE_NAME
-                                AND c.COLUMN_NAME IN ('CardNo','cardno','StaffNo','staffno','Name','NAME')
-                            )
-                        )
-                    `);
-                    const list = (discover.recordset || []).map(r => `${r.TABLE_SCHEMA}.${r.TABLE_NAME}`);
-                    console.log(`[CardDB] Discovery candidates: ${list.join(', ')}`);
-                    for (const dn of list) {
-                        try {
-                            const info = await getColumns(dn);
-                            if (!info.schema) continue;
-                            const cols = info.columns;
-                            const hasCN = cols.has('CardNo') || cols.has('cardno') || cols.has('CARDNO');
-                            const hasName = cols.has('Name') || cols.has('NAME');
-                            if (!(hasCN && hasName)) continue; // skip unrelated tables like ProcessingBatches
-                            result = await tryQuery(dn);
-                            console.log(`[CardDB] Discovery succeeded with table=${dn}`);
-                            ok = true;
-                            cardDbResolutionCache = { table: dn, schema: info.schema, columns: Array.from(info.columns), ts: Date.now() };
-                            break;
-                        } catch (e) {
-                            // continue
-                        }
-                    }
-                } catch (discErr) {
-                    // ignore discovery errors
-                }
-            }
-            if (!ok || !result) {
-                // Throw the last error for clarity, not the initial carddb error
-                throw new Error(primaryErr && primaryErr.message ? primaryErr.message : 'CardDB query failed');
-            }
+        const dbOverrides = { server: dbServer, database: dbName, user: dbUser, password: dbPass, port: dbPort };
+        if (!isCardDbConfigured(getCardDbConfig(dbOverrides))) {
+            return res.json({ success: true, count: 0, total: 0, rows: [], warning: 'CardDB configuration not set' });
         }
-        const rows = result && result.recordset ? result.recordset : [];
-        res.json({ success: true, count: rows.length, rows });
+        const pageSize = (limit || '200').toString();
+        const start = offset !== undefined
+            ? offset.toString()
+            : String(Math.max(0, (parseInt(page, 10) || 1) - 1) * (parseInt(pageSize, 10) || 200));
+        const result = await listCardDbRows({
+            search: (search || q || '').toString(),
+            limit: pageSize,
+            offset: start,
+            sort: sort ? sort.toString() : undefined,
+            dir: dir ? dir.toString() : undefined,
+            department: department ? department.toString() : '',
+            accessLevel: accessLevel ? accessLevel.toString() : '',
+            activeStatus: activeStatus ? activeStatus.toString() : '',
+            vehicleNo: vehicleNo ? vehicleNo.toString() : normalizeVehicleNo(messHall ? messHall.toString() : ''),
+            expiryFrom: expiryFrom ? expiryFrom.toString() : '',
+            expiryTo: expiryTo ? expiryTo.toString() : '',
+        }, dbOverrides);
+        res.json({ success: true, count: result.rows.length, ...result });
     } catch (error) {
         console.error('Error fetching CardDB list:', error);
         res.status(500).json({ success: false, error: 'Failed to fetch CardDB list', details: error.message });
-    } finally {
-        try { await sql.close(); } catch {}
     }
 });
 
+// Values offered by the CardDB list filters (departments, access levels, vehicle numbers)
+app.get('/api/vault/carddb/facets', async (req, res) => {
+    try {
+        if (!isCardDbConfigured(getCardDbConfig())) {
+            return res.json({ success: true, departments: [], accessLevels: [], vehicleNos: [], warning: 'CardDB configuration not set' });
+        }
+        res.json({ success: true, ...(await listCardDbFacets()) });
+    } catch (error) {
+        console.error('Error fetching CardDB facets:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch CardDB filter values', details: error.message });
+    }
+});
+
+// CardDB connectivity: pool state, resolved table and round-trip time (503 when unreachable)
+app.get('/api/vault/carddb/health', async (req, res) => {
+    const health = await checkCardDbHealth();
+    res.status(health.ok || !health.configured ? 200 : 503).json({ success: health.ok, ...health });
+});
+
 // Update a single card directly from database (DataDBEnt) using card number
-// Body: { cardNo, endpointBaseUrl?, dbServer?, dbName?, dbUser?, dbPass?, dbPort?, overrides? }
+// Body: { cardNo, environmentId?, confirmProduction?, dbServer?, dbName?, dbUser?, dbPass?, dbPort?, overrides? }
 app.post('/api/vault/update-card-db', async (req, res) => {
     try {
-        const { cardNo, endpointBaseUrl, dbServer, dbName, dbUser, dbPass, dbPort, overrides } = req.body || {};
+        const { cardNo, dbServer, dbName, dbUser, dbPass, dbPort, overrides } = req.body || {};
         const cn = String(cardNo || '').trim();
         if (!cn) {
             return res.status(400).json({ success: false, error: 'cardNo is required' });
         }
-        // Resolve DB connection config using CARDDB_* (user retrieval) env group
-        const config = {
-            user: dbUser || process.env.CARDDB_USER || process.env.DATADB_USER,
-            password: dbPass || process.env.CARDDB_PASSWORD || process.env.DATADB_PASSWORD,
-            server: dbServer || process.env.CARDDB_SERVER || process.env.DATADB_SERVER,
-            database: dbName || process.env.CARDDB_NAME || process.env.DATADB_NAME || 'DataDBEnt',
-            port: (dbPort ? parseInt(dbPort) : (parseInt(process.env.CARDDB_PORT) || parseInt(process.env.DATADB_PORT) || 1433)),
-            options: { encrypt: false, trustServerCertificate: true, enableArithAbort: true },
-            pool: { max: 5, min: 0, idleTimeoutMillis: 30000 },
-        };
-
-        // Connect and fetch card row
-        await sql.connect(config);
-        const request = new sql.Request();
-        request.input('cardNo', sql.NVarChar(20), cn);
-        // Try common table and column casings with schema-aware quoting
-        const activeFilter = "([Del_State] = 0 OR [Del_State] = 'false')";
-        const bracketize = (name) => name.split('.').map(part => `[${part}]`).join('.');
-        const parseSchemaTable = (name) => {
-            const parts = String(name).split('.');
-            if (parts.length === 2) return { schema: parts[0], table: parts[1] };
-            return { schema: null, table: parts[0] };
-        };
-        const getColumns = async (tblName) => {
-            const { schema, table } = parseSchemaTable(tblName);
-            const where = schema
-                ? `TABLE_SCHEMA = @schema AND TABLE_NAME = @table`
-                : `TABLE_NAME = @table`;
-            const req = new sql.Request();
-            if (schema) req.input('schema', sql.NVarChar, schema);
-            req.input('table', sql.NVarChar, table);
-            const rs = await req.query(`SELECT TABLE_SCHEMA, TABLE_NAME, COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS WHERE ${where}`);
-            const cols = new Set();
-            let resolvedSchema = schema;
-            for (const r of (rs.recordset || [])) {
-                cols.add(r.COLUMN_NAME);
-                resolvedSchema = resolvedSchema || r.TABLE_SCHEMA;
-            }
-            return { schema: resolvedSchema, table, columns: cols };
-        };
-        const envTbl = (() => {
-            const schema = (process.env.CARDDB_SCHEMA || '').trim();
-            const name = (process.env.CARDDB_TABLE || '').trim();
-            if (schema && name) return `${schema}.${name}`;
-            if (name) return name;
-            return null;
-        })();
-        const candidates = Array.from(new Set([envTbl, 'carddb', 'CardDB', 'dbo.carddb', 'dbo.CardDB'].filter(Boolean)));
-        console.log(`[CardDB] update-card-db candidates: ${candidates.join(', ')}`);
-        let result;
-        let lastError;
-        for (const tbl of candidates) {
-            try {
-                const info = await getColumns(tbl);
-                if (!info.schema) continue; // table not found
-                const qualified = bracketize(`${info.schema}.${info.table}`);
-                const hasCardNoLower = info.columns.has('cardno');
-                const hasCardNo = info.columns.has('CardNo');
-                const hasDel = info.columns.has('Del_State');
-                if (!hasCardNoLower && !hasCardNo) continue; // no matching card number column
-                const cardPred = [hasCardNoLower ? '[cardno] = @cardNo' : null, hasCardNo ? '[CardNo] = @cardNo' : null].filter(Boolean).join(' OR ');
-                const whereParts = [ `(${cardPred})` ];
-                if (hasDel) whereParts.push(activeFilter);
-                const q = `SELECT TOP 1 * FROM ${qualified} WHERE ${whereParts.join(' AND ')}`;
-                result = await request.query(q);
-                if (result && result.recordset && result.recordset.length > 0) break;
-            } catch (e) {
-                lastError = e;
-                // keep trying other candidates
-            }
-        }
-        // If none of the static candidates worked, try discovery like the list endpoint
-        if (!result || !result.recordset || result.recordset.length === 0) {
-            try {
-                const discover = await request.query(`
-                    SELECT DISTINCT TOP 60 t.TABLE_SCHEMA, t.TABLE_NAME
-                    FROM INFORMATION_SCHEMA.TABLES t
-                    WHERE (t.TABLE_TYPE = 'BASE TABLE' OR t.TABLE_TYPE = 'VIEW')
-                    AND (
-                        t.TABLE_NAME LIKE '%card%' OR t.TABLE_NAME LIKE '%Card%'
-                        OR EXISTS (
-                            SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS c
-                            WHERE c.TABLE_SCHEMA = t.TABLE_SCHEMA AND c.TABLE_NAME = t.TABLE_NAME
-                            AND c.COLUMN_NAME IN ('CardNo','cardno','StaffNo','staffno','Name','NAME')
-                        )
-                    )
-                `);
-                const list = (discover.recordset || []).map(r => `${r.TABLE_SCHEMA}.${r.TABLE_NAME}`);
-                console.log(`[CardDB] Discovery candidates (update-card-db): ${list.join(', ')}`);
-                for (const dn of list) {
-                    try {
-                        const info = await getColumns(dn);
-                        if (!info.schema) continue;
-                        const qualified = bracketize(`${info.schema}.${info.table}`);
-                        const hasCardNoLower = info.columns.has('cardno');
-                        const hasCardNo = info.columns.has('CardNo');
-                        const hasDel = info.columns.has('Del_State');
-                        if (!hasCardNoLower && !hasCardNo) continue;
-                        const cardPred = [hasCardNoLower ? '[cardno] = @cardNo' : null, hasCardNo ? '[CardNo] = @cardNo' : null].filter(Boolean).join(' OR ');
-                        const whereParts = [ `(${cardPred})` ];
-                        if (hasDel) whereParts.push(activeFilter);
-                        const q = `SELECT TOP 1 * FROM ${qualified} WHERE ${whereParts.join(' AND ')}`;
-                        const r = await request.query(q);
-                        if (r && r.recordset && r.recordset.length > 0) {
-                            result = r;
-                            break;
-                        }
-                    } catch (e) {
-                        lastError = e;
-                        // keep trying
-                    }
-                }
-            } catch (discErr) {
-                lastError = discErr;
-            }
+        const environment = await resolveRequestEnvironment(req.body);
+        if (refuseUnconfirmedProduction(res, environment, req.body)) return;
+        const dbOverrides = { server: dbServer, database: dbName, user: dbUser, password: dbPass, port: dbPort };
+        const row = (await lookupCardsByCardNo([cn], dbOverrides, { fullRow: true })).get(cn);
+        if (!row) {
+            return res.status(404).json({ success: false, error: `Card not found in CardDB: ${cn}` });
         }
-        if (!result || !result.recordset || result.recordset.length === 0) {
-            const msg = lastError && lastError.message ? lastError.message : `Card not found in CardDB: ${cn}`;
-            return res.status(404).json({ success: false, error: msg });
-        }
-        const row = result.recordset[0] || {};
-
-        // Build profile with clipping similar to script
-        const max = { Name: 40, Department: 30, Company: 30, Title: 25, Position: 25, Address1: 50, Address2: 50, Email: 50, MobileNo: 20, VehicleNo: 20, StaffNo: 15 };
-        const clip = (v, m) => { if (v === undefined || v === null) return ''; const s = String(v).trim(); return s.length > m ? s.slice(0, m) : s; };
-        const normalizeExcelDate = (val) => {
-            if (val === null || typeof val === 'undefined') return '';
-            const s = String(val).trim();
-            if (!s) return '';
-            if (/^\d+(\.\d+)?$/.test(s)) {
-                const serial = parseFloat(s);
-                const ms = (serial - 25569) * 86400 * 1000;
-                const d = new Date(ms);
-                if (!isNaN(d.getTime())) {
-                    const months = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
-                    const day = d.getUTCDate();
-                    const mon = months[d.getUTCMonth()];
-                    const year = d.getUTCFullYear();
-                    return `${day} ${mon} ${year}`;
-                }
-            }
-            return s;
-        };
-        const profile = {
-            CardNo: String(row.CardNo || row.cardno || row.CARDNO || cn).trim(),
-            Name: clip(row.Name || row.NAME, max.Name),
-            Department: clip(row.Department || row.DEPT || row.DepartmentName, max.Department),
-            Company: clip(row.Company || row.COMPANY, max.Company),
-            Title: clip(row.Title || row.TITLE, max.Title),
-            Position: clip(row.Position || row.POSITION, max.Position),
-            Gentle: String(row.Gentle || row.Gender || row.SEX || '').trim(),
-            NRIC: String(row.NRIC || row.IdNo || '').trim(),
-            Passport: String(row.Passport || '').trim(),
-            Race: String(row.Race || '').trim(),
-            DOB: normalizeExcelDate(row.DOB || row.BirthDate || ''),
-            JoiningDate: normalizeExcelDate(row.JoiningDate || row.JoinDate || ''),
-            ResignDate: normalizeExcelDate(row.ResignDate || row.ExitDate || ''),
-            Address1: clip(row.Address1 || row.Address || '', max.Address1),
-            Address2: clip(row.Address2 || '', max.Address2),
-            Email: clip(row.Email || '', max.Email),
-            MobileNo: clip(row.MobileNo || row.Phone || row.Contact || '', max.MobileNo),
-            ActiveStatus: 'true',
-            NonExpired: 'true',
-            ExpiredDate: String(row.ExpiredDate || '').trim(),
-            AccessLevel: String(row.AccessLevel || row.MESSHALL || row.Access || '00').trim(),
-            FaceAccessLevel: String(row.FaceAccessLevel || '00').trim(),
-            LiftAccessLevel: String(row.LiftAccessLevel || '00').trim(),
-            VehicleNo: clip(row.VehicleNo || row.Vehicle || row.Remark || '', max.VehicleNo),
-            Download: 'true',
-            Photo: null,
-            StaffNo: clip(row.StaffNo || row.StaffID || '', max.StaffNo),
-        };
 
-        // Sanitize date formats to 'YYYY-MM-DD' for Vault API to avoid SQL conversion errors
-        const normalizeVaultDate = (val) => {
-            if (val === null || typeof val === 'undefined') return '';
-            let s = String(val).trim();
-            if (!s || s === '-' || s === '0' || s.toLowerCase() === 'null') return '';
-            // If ISO like 1900-01-01T00:00:00.000Z -> take the date part
-            if (/^\d{4}-\d{2}-\d{2}T/.test(s)) {
-                return s.slice(0, 10);
-            }
-            // If already yyyy-mm-dd
-            if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return s;
-            // dd/mm/yyyy or mm/dd/yyyy -> normalize by Date
-            if (/^\d{1,2}\/\d{1,2}\/\d{4}$/.test(s)) {
-                const [a,b,c] = s.split('/');
-                // Try both interpretations safely using Date
-                const try1 = new Date(`${c}-${a.padStart(2,'0')}-${b.padStart(2,'0')}T00:00:00Z`);
-                const try2 = new Date(`${c}-${b.padStart(2,'0')}-${a.padStart(2,'0')}T00:00:00Z`);
-                const d = isNaN(try1.getTime()) ? try2 : try1;
-                if (!isNaN(d.getTime())) {
-                    const y = d.getUTCFullYear();
-                    const m = String(d.getUTCMonth()+1).padStart(2,'0');
-                    const day = String(d.getUTCDate()).padStart(2,'0');
-                    return `${y}-${m}-${day}`;
-                }
-            }
-            // "1 Jan 1900" or similar -> map month names
-            const mMatch = s.match(/^(\d{1,2})\s+([A-Za-z]{3,})\s+(\d{4})$/);
-            if (mMatch) {
-                const day = mMatch[1].padStart(2,'0');
-                const monStr = mMatch[2].toLowerCase();
-                const year = mMatch[3];
-                const months = { jan:'01', feb:'02', mar:'03', apr:'04', may:'05', jun:'06', jul:'07', aug:'08', sep:'09', sept:'09', oct:'10', nov:'11', dec:'12' };
-                const mon = months[monStr];
-                if (mon) return `${year}-${mon}-${day}`;
-            }
-            // Fallback: if looks like a Date string, try Date.parse
-            const d = new Date(s);
-            if (!isNaN(d.getTime())) {
-                const y = d.getUTCFullYear();
-                const m = String(d.getUTCMonth()+1).padStart(2,'0');
-                const day = String(d.getUTCDate()).padStart(2,'0');
-                return `${y}-${m}-${day}`;
-            }
-            // If unknown format, send empty to avoid controller conversion errors
-            return '';
-        };
-        profile.DOB = normalizeVaultDate(profile.DOB);
-        profile.JoiningDate = normalizeVaultDate(profile.JoiningDate);
-        profile.ResignDate = normalizeVaultDate(profile.ResignDate);
-        profile.ExpiredDate = normalizeVaultDate(profile.ExpiredDate);
+        const profile = cardDbRowToProfile(row, cn);
+        // Current CardDB state, snapshotted before the update so it can be rolled back
+        const before = cardDbRowToCurrentProfile(row, cn);
 
         // Apply overrides if provided
         const ov = overrides || {};
@@ -1097,27 +1231,34 @@ app.post('/api/vault/update-card-db', async (req, res) => {
             if (s === 'false' || s === 'no' || s === '0') return 'false';
             return String(val).trim();
         })());
+        // A MessHall override goes through the MessHall rules; explicit level/vehicle overrides still win
         if (ov.messhall) {
-            profile.VehicleNo = clip(ov.messhall, max.VehicleNo);
-        }
-        // Map messhall/vehicle values to standardized strings and clip safely
-        if (profile.VehicleNo) {
-            const v = String(profile.VehicleNo).toLowerCase();
-            if (v.includes('makarti')) profile.VehicleNo = 'Makarti';
-            else if (v.includes('labota')) profile.VehicleNo = 'Labota';
-            else if (v.includes('local') || v.includes('no access')) profile.VehicleNo = 'NoAccess';
-            profile.VehicleNo = String(profile.VehicleNo).slice(0, 15).toUpperCase();
+            const access = resolveMessHallAccess({
+                messHall: ov.messhall,
+                accessLevel: ov.accessLevel ?? ov.AccessLevel,
+                vehicleNo: ov.vehicle ?? ov.VehicleNo,
+                faceAccessLevel: ov.faceLevel ?? ov.FaceAccessLevel,
+                liftAccessLevel: ov.liftLevel ?? ov.LiftAccessLevel,
+            });
+            if (access.match) {
+                apply('AccessLevel', access.accessLevel);
+                apply('FaceAccessLevel', access.faceAccessLevel);
+                apply('LiftAccessLevel', access.liftAccessLevel);
+                apply('VehicleNo', access.vehicleNo);
+            } else if (access.sources.vehicleNo !== 'explicit') {
+                profile.VehicleNo = String(ov.messhall).trim().slice(0, CARDDB_PROFILE_MAX.VehicleNo);
+            }
         }
+        // Standardize MessHall-like vehicle values (e.g. "Makarti MessHall" -> MAKARTI) and clip safely
+        if (profile.VehicleNo) profile.VehicleNo = normalizeVehicleNo(profile.VehicleNo);
 
-        const endpoint = endpointBaseUrl || process.env.VAULT_API_BASE || 'http://10.60.10.6/Vaultsite/APIwebservice.asmx';
-        const resp = await updateProfileToVault({ profile, endpointBaseUrl: endpoint, outputDir });
+        const resp = await updateProfileToVault({ profile, endpointBaseUrl: environment.endpointBaseUrl, environment, outputDir, before });
         const success = !!resp.ok;
-        res.json({ success, code: resp.code, message: resp.message, requestId: resp.requestId, profile });
+        res.json({ success, code: resp.code, message: resp.message, fault: resp.fault, requestId: resp.requestId, batchId: resp.requestId, profile });
     } catch (error) {
+        if (sendLookupError(res, error)) return;
         console.error('Error updating Vault card from DB:', error);
         res.status(500).json({ success: false, error: 'Failed to update Vault card from DB', details: error.message });
-    } finally {
-        try { await sql.close(); } catch {}
     }
 });
 
@@ -1146,6 +1287,96 @@ app.get('/api/vault/logs/:jobId', async (req, res) => {
     }
 });
 
+// Directories whose Vault JSONL logs can be browsed: 'output' (CardDB single updates), 'output/<jobId>', 'uploads' (uploaded sheets)
+const exchangeRoots = { output: outputDir, uploads: uploadDir };
+
+// Log directories that contain Vault SOAP exchanges, newest first
+app.get('/api/vault/exchanges/sources', auth.requireAuth, (req, res) => {
+    try {
+        res.json({ success: true, sources: listExchangeSources(exchangeRoots) });
+    } catch (error) {
+        console.error('Error listing Vault log sources:', error);
+        res.status(500).json({ success: false, error: 'Failed to list log sources', details: error.message });
+    }
+});
+
+// SOAP exchanges of one log source, newest first
+// Query: ?source=output/<jobId>&log=register|update&cardNo&result=ok|failed|pending&errCode&from&to&limit
+app.get('/api/vault/exchanges', auth.requireAuth, (req, res) => {
+    try {
+        const { source, log, cardNo, result, errCode, from, to } = req.query;
+        if (log && !EXCHANGE_LOG_KINDS.includes(log)) {
+            return res.status(400).json({ success: false, error: `log must be one of ${EXCHANGE_LOG_KINDS.join(', ')}` });
+        }
+        if (result && !EXCHANGE_RESULTS.includes(result)) {
+            return res.status(400).json({ success: false, error: `result must be one of ${EXCHANGE_RESULTS.join(', ')}` });
+        }
+        let dir;
+        try {
+            dir = resolveExchangeSource(source, exchangeRoots);
+        } catch (err) {
+            return res.status(400).json({ success: false, error: 'Invalid log source', details: err.message });
+        }
+        const limit = Math.max(1, Math.min(1000, parseInt((req.query.limit || '200').toString(), 10) || 200));
+        res.json({ success: true, source, ...listVaultExchanges(dir, { log, cardNo, result, errCode, from, to, limit }) });
+    } catch (error) {
+        console.error('Error listing Vault exchanges:', error);
+        res.status(500).json({ success: false, error: 'Failed to list SOAP exchanges', details: error.message });
+    }
+});
+
+// One SOAP exchange with its redacted request envelope and raw response
+app.get('/api/vault/exchanges/:id', auth.requireAuth, (req, res) => {
+    try {
+        let dir;
+        try {
+            dir = resolveExchangeSource(req.query.source, exchangeRoots);
+        } catch (err) {
+            return res.status(400).json({ success: false, error: 'Invalid log source', details: err.message });
+        }
+        const exchange = getVaultExchange(dir, req.params.id);
+        if (!exchange) {
+            return res.status(404).json({ success: false, error: 'Exchange not found' });
+        }
+        res.json({ success: true, source: req.query.source, exchange });
+    } catch (error) {
+        console.error('Error reading Vault exchange:', error);
+        res.status(500).json({ success: false, error: 'Failed to read SOAP exchange', details: error.message });
+    }
+});
+
+// Re-send the exact request of a logged exchange (photo re-attached) to the original or another endpoint
+// Body: { source, id, environmentId?, confirmProduction? } (defaults to the environment of the original request's URL)
+app.post('/api/vault/exchanges/replay', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+    try {
+        const { source, id, environmentId } = req.body || {};
+        if (!id) {
+            return res.status(400).json({ success: false, error: 'id is required' });
+        }
+        let dir;
+        try {
+            dir = resolveExchangeSource(source, exchangeRoots);
+        } catch (err) {
+            return res.status(400).json({ success: false, error: 'Invalid log source', details: err.message });
+        }
+        const exchange = getVaultExchange(dir, id);
+        if (!exchange) {
+            return res.status(404).json({ success: false, error: 'Exchange not found' });
+        }
+        const environment = await vaultEnvironments.resolveVaultEnvironment({ environmentId, endpointBaseUrl: exchange.endpointBaseUrl });
+        if (refuseUnconfirmedProduction(res, environment, req.body)) return;
+        const replay = await replayVaultExchange(dir, id, { environment });
+        if (!replay.replayId) {
+            return res.status(400).json({ success: false, error: 'Cannot replay exchange', details: replay.errMessage, code: replay.code });
+        }
+        res.json({ success: true, replay });
+    } catch (error) {
+        if (sendLookupError(res, error)) return;
+        console.error('Error replaying Vault exchange:', error);
+        res.status(500).json({ success: false, error: 'Failed to replay SOAP exchange', details: error.message });
+    }
+});
+
 // Cancel job endpoint
 app.post('/api/process/cancel/:id', async (req, res) => {
     try {
@@ -1261,9 +1492,16 @@ async function startServer() {
         database.connect()
             .then(() => {
                 console.log('✅ Database connected successfully');
+                // Rules used by the row mappers; the built-ins stay in effect if they cannot be read
+                messHallRuleStore.loadMessHallRules()
+                    .then(({ rules, usingBuiltIns }) => console.log(`✅ MessHall rules loaded (${rules.length}${usingBuiltIns ? ', built-in' : ''})`));
+                // Daily scan for resigned/expired cards; its deactivation logs show up in the log viewer as output/scheduled-deactivation
+                deactivationQueue.startDeactivationScheduler({ roots: exchangeRoots, logDir: path.join(outputDir, 'scheduled-deactivation') });
                 // Initialize JobManager after database connection
                 jobManager = new JobManager();
                 console.log('✅ JobManager initialized');
+                // Drop folder pick-ups go through the same staging and processing as uploads, so they need the JobManager
+                dropFolderWatcher.startDropFolderWatcher({ stage: stageUploadSession, process: startProcessingJob, preview: previewDropFolderBatch, logDir: outputDir });
                 // Quick sanity check: count ProcessingBatches
                 database.query('SELECT COUNT(*) AS cnt FROM ProcessingBatches')
                     .then(r => {
@@ -1290,12 +1528,14 @@ startServer();
 process.on('SIGTERM', async () => {
     console.log('SIGTERM received, shutting down gracefully');
     await database.disconnect();
+    await closeCardDbPools();
     process.exit(0);
 });
 
 process.on('SIGINT', async () => {
     console.log('SIGINT received, shutting down gracefully');
     await database.disconnect();
+    await closeCardDbPools();
     process.exit(0);
 });
 
@@ -1450,6 +1690,320 @@ app.delete('/api/users/:id', auth.requireAuth, auth.requireAdmin, async (req, re
     }
 });
 
+// Vault environments
+app.get('/api/vault/environments', auth.requireAuth, async (req, res) => {
+    try {
+        const { environments, storeError } = await vaultEnvironments.listVaultEnvironments();
+        res.json({ success: true, environments, storeError, soapVersions: vaultEnvironments.SOAP_VERSIONS });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to list Vault environments', details: error.message });
+    }
+});
+
+app.post('/api/vault/environments', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+    try {
+        const { environment, errors } = vaultEnvironments.validateVaultEnvironment(req.body);
+        if (errors.length) return res.status(400).json({ success: false, error: 'Invalid Vault environment', details: errors.join('; ') });
+        const created = await vaultEnvironments.createStoredEnvironment(environment, req.user?.email);
+        res.json({ success: true, environment: created });
+    } catch (error) {
+        if (isDuplicateKeyError(error)) return res.status(409).json({ success: false, error: 'A Vault environment with this name already exists' });
+        res.status(500).json({ success: false, error: 'Failed to create Vault environment', details: error.message });
+    }
+});
+
+app.put('/api/vault/environments/:id', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+    try {
+        if (req.params.id === vaultEnvironments.DEFAULT_ENVIRONMENT_ID) return res.status(400).json({ success: false, error: 'The default environment is configured in the server .env file' });
+        const { environment, errors } = vaultEnvironments.validateVaultEnvironment(req.body);
+        if (errors.length) return res.status(400).json({ success: false, error: 'Invalid Vault environment', details: errors.join('; ') });
+        const updated = await vaultEnvironments.updateStoredEnvironment(req.params.id, environment, req.user?.email);
+        if (!updated) return res.status(404).json({ success: false, error: 'Vault environment not found' });
+        res.json({ success: true, environment: updated });
+    } catch (error) {
+        if (isDuplicateKeyError(error)) return res.status(409).json({ success: false, error: 'A Vault environment with this name already exists' });
+        res.status(500).json({ success: false, error: 'Failed to update Vault environment', details: error.message });
+    }
+});
+
+app.delete('/api/vault/environments/:id', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+    try {
+        if (req.params.id === vaultEnvironments.DEFAULT_ENVIRONMENT_ID) return res.status(400).json({ success: false, error: 'The default environment cannot be deleted' });
+        const ok = await vaultEnvironments.deleteStoredEnvironment(req.params.id);
+        if (!ok) return res.status(404).json({ success: false, error: 'Vault environment not found' });
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to delete Vault environment', details: error.message });
+    }
+});
+
+// Card number pool
+app.get('/api/card-pool', auth.requireAuth, async (req, res) => {
+    try {
+        const summary = await cardNumberPool.getCardPoolSummary();
+        res.json({ success: true, ...summary, maxReserve: cardNumberPool.MAX_RESERVE });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to read card number pool', details: error.message });
+    }
+});
+
+app.get('/api/card-pool/numbers', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+    try {
+        const numbers = await cardNumberPool.listCardNumbers({ state: req.query.state, limit: req.query.limit });
+        res.json({ success: true, numbers, states: cardNumberPool.CARD_NUMBER_STATES });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to list card numbers', details: error.message });
+    }
+});
+
+// Body: { start, end, label? } -> { added, skipped } (numbers already in the pool are skipped)
+app.post('/api/card-pool/ranges', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+    try {
+        const { range, errors } = cardNumberPool.validateCardNumberRange(req.body);
+        if (errors.length) return res.status(400).json({ success: false, error: 'Invalid card number range', details: errors.join('; ') });
+        const result = await cardNumberPool.addCardNumberRange(range, req.user?.email);
+        res.json({ success: true, range, ...result });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to add card number range', details: error.message });
+    }
+});
+
+// Body: { count } -> { reservationId, cardNos, voided, shortBy }
+app.post('/api/card-pool/reserve', auth.requireAuth, async (req, res) => {
+    try {
+        const count = parseInt(req.body?.count, 10);
+        if (!Number.isInteger(count) || count < 1 || count > cardNumberPool.MAX_RESERVE) {
+            return res.status(400).json({ success: false, error: `count must be between 1 and ${cardNumberPool.MAX_RESERVE}` });
+        }
+        const reservation = await cardNumberPool.reserveCardNumbers(count, { reservedBy: req.user?.email });
+        res.json({ success: true, ...reservation });
+    } catch (error) {
+        if (error.code === 'CARDDB_LOOKUP_FAILED') return res.status(503).json({ success: false, error: 'CardDB is not reachable to check card numbers', details: error.message });
+        res.status(500).json({ success: false, error: 'Failed to reserve card numbers', details: error.message });
+    }
+});
+
+// Body: { reservationId, cardNos } -> numbers still reserved under that reservation go back to available.
+// Users release only their own reservations; admins may release anyone's.
+app.post('/api/card-pool/release', auth.requireAuth, async (req, res) => {
+    try {
+        const { reservationId, cardNos } = req.body || {};
+        if (!cardNumberPool.isReservationId(reservationId)) return res.status(400).json({ success: false, error: 'reservationId is required' });
+        if (!Array.isArray(cardNos)) return res.status(400).json({ success: false, error: 'cardNos must be an array' });
+        const reservedBy = req.user?.role === 'Admin' ? undefined : req.user?.email;
+        const released = await cardNumberPool.releaseCardNumbers(reservationId, cardNos, { reservedBy });
+        res.json({ success: true, released });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to release card numbers', details: error.message });
+    }
+});
+
+// Body: { cardNos, note? } -> available or reserved numbers become void
+app.post('/api/card-pool/void', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+    try {
+        if (!Array.isArray(req.body?.cardNos)) return res.status(400).json({ success: false, error: 'cardNos must be an array' });
+        const voided = await cardNumberPool.voidCardNumbers(req.body.cardNos, { note: req.body.note, updatedBy: req.user?.email });
+        res.json({ success: true, voided });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to void card numbers', details: error.message });
+    }
+});
+
+// Drop folder watcher status and the latest batches it picked up
+app.get('/api/drop-folder', auth.requireAuth, auth.requireAdmin, (req, res) => {
+    try {
+        res.json({ success: true, status: dropFolderWatcher.getDropFolderStatus(), batches: dropFolderWatcher.listDropFolderBatches({ limit: req.query.limit }) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to read drop folder status', details: error.message });
+    }
+});
+
+// Check the drop folder now instead of waiting for the next poll; files still settling are left for later
+app.post('/api/drop-folder/poll', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+    try {
+        if (!dropFolderWatcher.getDropFolderStatus().enabled) {
+            return res.status(400).json({ success: false, error: 'Drop folder is not configured', details: 'Set DROP_FOLDER_PATH to enable it' });
+        }
+        const batch = await dropFolderWatcher.pollDropFolder();
+        res.json({ success: true, batch, status: dropFolderWatcher.getDropFolderStatus() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to poll drop folder', details: error.message });
+    }
+});
+
+// Scheduled deactivation queue (resigned/expired cards awaiting review) and scheduler status
+app.get('/api/deactivation-queue', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+    try {
+        const [entries, counts] = await Promise.all([
+            deactivationQueue.listDeactivations({ state: req.query.state, limit: req.query.limit }),
+            deactivationQueue.getDeactivationCounts(),
+        ]);
+        res.json({ success: true, entries, counts, states: deactivationQueue.DEACTIVATION_STATES, scheduler: deactivationQueue.getDeactivationSchedulerStatus() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to list deactivation queue', details: error.message });
+    }
+});
+
+app.post('/api/deactivation-queue/scan', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+    try {
+        const result = await deactivationQueue.scanForDeactivations();
+        res.json({ success: true, ...result });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to scan for cards to deactivate', details: error.message });
+    }
+});
+
+// Body: { ids: [...], decision: 'approve' | 'reject' | 'reset' }
+app.post('/api/deactivation-queue/review', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+    try {
+        const { ids, decision } = req.body || {};
+        if (!Array.isArray(ids)) return res.status(400).json({ success: false, error: 'ids must be an array' });
+        if (!Object.prototype.hasOwnProperty.call(deactivationQueue.DEACTIVATION_DECISIONS, decision)) {
+            return res.status(400).json({ success: false, error: "decision must be 'approve', 'reject' or 'reset'" });
+        }
+        const changed = await deactivationQueue.reviewDeactivations(ids, decision, req.user?.email);
+        res.json({ success: true, changed });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to review deactivation entries', details: error.message });
+    }
+});
+
+// Deactivate approved entries now instead of waiting for the daily run. Body: { environmentId?, confirmProduction? }
+app.post('/api/deactivation-queue/execute', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+    try {
+        const environment = await resolveRequestEnvironment({ environmentId: req.body?.environmentId || process.env.DEACTIVATION_ENVIRONMENT_ID });
+        if (refuseUnconfirmedProduction(res, environment, req.body)) return;
+        const result = await deactivationQueue.executeApprovedDeactivations({ environment });
+        const errorCount = result.errors.length;
+        res.json({ success: result.attempted > 0 || errorCount === 0, errorCount, ...result });
+    } catch (error) {
+        if (error.code === 'DEACTIVATION_RUNNING') return res.status(409).json({ success: false, error: error.message });
+        if (sendLookupError(res, error)) return;
+        res.status(500).json({ success: false, error: 'Failed to deactivate approved cards', details: error.message });
+    }
+});
+
+// Column mapping profiles
+app.get('/api/mapping-profiles', auth.requireAuth, async (req, res) => {
+    try {
+        const kind = MAPPING_KINDS.includes(req.query.kind) ? req.query.kind : undefined;
+        const { profiles, storeError } = await mappingProfileStore.listMappingProfiles(kind);
+        res.json({ success: true, profiles, storeError, kinds: MAPPING_KINDS, targets: MAPPING_TARGETS, transforms: MAPPING_TRANSFORMS });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to list mapping profiles', details: error.message });
+    }
+});
+
+// Body: { csvPath? | jobId?, kind? } -> headers of the sheet and the profile auto-detection would pick
+app.post('/api/mapping-profiles/detect', auth.requireAuth, async (req, res) => {
+    try {
+        const { csvPath, jobId, kind } = req.body || {};
+        if (!csvPath && !jobId) return res.status(400).json({ success: false, error: 'csvPath or jobId is required' });
+        const kinds = MAPPING_KINDS.includes(kind) ? [kind] : MAPPING_KINDS;
+        const selection = await selectSheetMapping({ kinds, csvPath, outputDir: jobId ? path.join(outputDir, jobId) : undefined });
+        if (selection.headers.length === 0) return res.status(404).json({ success: false, error: 'No sheet rows found' });
+        res.json({ success: true, ...mappingPreviewFields(selection) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to detect mapping profile', details: error.message });
+    }
+});
+
+app.post('/api/mapping-profiles', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+    try {
+        const { profile, errors } = validateMappingProfile(req.body);
+        if (errors.length) return res.status(400).json({ success: false, error: 'Invalid mapping profile', details: errors.join('; ') });
+        const created = await mappingProfileStore.createStoredProfile(profile, req.user?.email);
+        res.json({ success: true, profile: created });
+    } catch (error) {
+        if (isDuplicateKeyError(error)) return res.status(409).json({ success: false, error: 'A mapping profile with this name already exists' });
+        res.status(500).json({ success: false, error: 'Failed to create mapping profile', details: error.message });
+    }
+});
+
+app.put('/api/mapping-profiles/:id', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+    try {
+        if (req.params.id.startsWith('builtin-')) return res.status(400).json({ success: false, error: 'Built-in mapping profiles cannot be changed' });
+        const { profile, errors } = validateMappingProfile(req.body);
+        if (errors.length) return res.status(400).json({ success: false, error: 'Invalid mapping profile', details: errors.join('; ') });
+        const updated = await mappingProfileStore.updateStoredProfile(req.params.id, profile, req.user?.email);
+        if (!updated) return res.status(404).json({ success: false, error: 'Mapping profile not found' });
+        res.json({ success: true, profile: updated });
+    } catch (error) {
+        if (isDuplicateKeyError(error)) return res.status(409).json({ success: false, error: 'A mapping profile with this name already exists' });
+        res.status(500).json({ success: false, error: 'Failed to update mapping profile', details: error.message });
+    }
+});
+
+app.delete('/api/mapping-profiles/:id', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+    try {
+        if (req.params.id.startsWith('builtin-')) return res.status(400).json({ success: false, error: 'Built-in mapping profiles cannot be deleted' });
+        const ok = await mappingProfileStore.deleteStoredProfile(req.params.id);
+        if (!ok) return res.status(404).json({ success: false, error: 'Mapping profile not found' });
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to delete mapping profile', details: error.message });
+    }
+});
+
+// MessHall rules (MessHall value -> AccessLevel, VehicleNo, Face/Lift access levels)
+app.get('/api/messhall-rules', auth.requireAuth, async (req, res) => {
+    try {
+        const { rules, usingBuiltIns, storeError } = await messHallRuleStore.loadMessHallRules();
+        res.json({ success: true, rules, usingBuiltIns, storeError });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to list MessHall rules', details: error.message });
+    }
+});
+
+// Body: { values: [messHall, ...] } -> which rule each value matches under the rules in effect
+app.post('/api/messhall-rules/test', auth.requireAuth, (req, res) => {
+    const values = Array.isArray(req.body?.values) ? req.body.values.slice(0, 200) : [];
+    const results = values.map(value => describeRuleMatch(value, resolveMessHallAccess({ messHall: value })));
+    res.json({ success: true, results });
+});
+
+app.post('/api/messhall-rules', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+    try {
+        const { rule, errors } = validateMessHallRule(req.body);
+        if (errors.length) return res.status(400).json({ success: false, error: 'Invalid MessHall rule', details: errors.join('; ') });
+        const created = await messHallRuleStore.createStoredRule(rule, req.user?.email);
+        res.json({ success: true, rule: created });
+    } catch (error) {
+        if (isDuplicateKeyError(error)) return res.status(409).json({ success: false, error: 'A MessHall rule with this name already exists' });
+        res.status(500).json({ success: false, error: 'Failed to create MessHall rule', details: error.message });
+    }
+});
+
+app.put('/api/messhall-rules/:id', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+    try {
+        if (req.params.id.startsWith('builtin-')) return res.status(400).json({ success: false, error: 'Built-in MessHall rules cannot be changed; run scripts/createMessHallRulesTable.js to store editable copies' });
+        const { rule, errors } = validateMessHallRule(req.body);
+        if (errors.length) return res.status(400).json({ success: false, error: 'Invalid MessHall rule', details: errors.join('; ') });
+        const updated = await messHallRuleStore.updateStoredRule(req.params.id, rule, req.user?.email);
+        if (!updated) return res.status(404).json({ success: false, error: 'MessHall rule not found' });
+        res.json({ success: true, rule: updated });
+    } catch (error) {
+        if (isDuplicateKeyError(error)) return res.status(409).json({ success: false, error: 'A MessHall rule with this name already exists' });
+        res.status(500).json({ success: false, error: 'Failed to update MessHall rule', details: error.message });
+    }
+});
+
+app.delete('/api/messhall-rules/:id', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+    try {
+        if (req.params.id.startsWith('builtin-')) return res.status(400).json({ success: false, error: 'Built-in MessHall rules cannot be deleted' });
+        const ok = await messHallRuleStore.deleteStoredRule(req.params.id);
+        if (!ok) return res.status(404).json({ success: false, error: 'MessHall rule not found' });
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Failed to delete MessHall rule', details: error.message });
+    }
+});
+
+// SQL Server unique index/constraint violations
+function isDuplicateKeyError(error) {
+    return error?.number === 2601 || error?.number === 2627;
+}
+
 // Authentication
 app.post('/api/auth/login', auth.login);
 app.post('/api/auth/logout', auth.logout);
@@ -0,0 +1,230 @@
+// Call policy for Vault SOAP requests: per-request timeout, exponential backoff retries for
+// transport failures and HTTP 5xx, and a per-endpoint circuit breaker that pauses callers
+// while the Vault server is down.
+//
+// Configuration (environment, all optional):
+//   VAULT_TIMEOUT_MS            per-attempt timeout (default 30000)
+//   VAULT_MAX_RETRIES           retries after the first attempt (default 3)
+//   VAULT_RETRY_BASE_MS         first backoff delay, doubled per retry (default 500)
+//   VAULT_RETRY_MAX_MS          backoff ceiling (default 8000)
+//   VAULT_BREAKER_THRESHOLD     consecutive failed attempts that open the breaker (default 5)
+//   VAULT_BREAKER_COOLDOWN_MS   time the breaker stays open before a probe request (default 30000)
+//   VAULT_BREAKER_MAX_WAIT_MS   how long a caller waits on an open breaker before giving up (default 300000)
+
+const { parseVaultResponse } = require('./vaultSoap');
+
+// Operations that must not be sent twice: an AddCard that timed out may still have been committed,
+// so it is only retried when the connection itself could not be made (nothing reached the server)
+const NON_IDEMPOTENT_OPERATIONS = new Set(['AddCard']);
+const CONNECT_ERROR_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'UND_ERR_CONNECT_TIMEOUT']);
+
+// fetch() wraps socket errors as TypeError('fetch failed') with the system error as `cause`
+function isConnectError(err) {
+  const code = err && (err.code || (err.cause && err.cause.code));
+  return CONNECT_ERROR_CODES.has(code);
+}
+
+function envNumber(name, def) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n >= 0 ? n : def;
+}
+
+function getDefaultPolicy() {
+  return {
+    timeoutMs: envNumber('VAULT_TIMEOUT_MS', 30000),
+    maxRetries: envNumber('VAULT_MAX_RETRIES', 3),
+    backoffBaseMs: envNumber('VAULT_RETRY_BASE_MS', 500),
+    backoffMaxMs: envNumber('VAULT_RETRY_MAX_MS', 8000),
+    breakerThreshold: envNumber('VAULT_BREAKER_THRESHOLD', 5),
+    breakerCooldownMs: envNumber('VAULT_BREAKER_COOLDOWN_MS', 30000),
+    breakerMaxWaitMs: envNumber('VAULT_BREAKER_MAX_WAIT_MS', 300000),
+  };
+}
+
+/**
+ * Raised when a Vault call could not produce an HTTP response:
+ * code is TIMEOUT, TRANSPORT (network error) or CIRCUIT_OPEN.
+ */
+class VaultCallError extends Error {
+  constructor(code, message, { attempts = 0, cause } = {}) {
+    super(message);
+    this.name = 'VaultCallError';
+    this.code = code;
+    this.attempts = attempts;
+    if (cause) this.cause = cause;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Exponential backoff with +/-20% jitter so parallel workers do not retry in lockstep
+function backoffDelay(policy, attempt) {
+  const base = Math.min(policy.backoffMaxMs, policy.backoffBaseMs * Math.pow(2, attempt - 1));
+  return Math.round(base * (0.8 + Math.random() * 0.4));
+}
+
+class CircuitBreaker {
+  constructor(key) {
+    this.key = key;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = 0;
+    this.probeInFlight = false;
+  }
+
+  /**
+   * Wait until a request may be sent. While open, callers sleep until the cooldown elapses;
+   * then a single probe is let through (half-open) and the rest keep waiting for its outcome.
+   */
+  async acquire(policy, emit) {
+    const waitStartedAt = Date.now();
+    let announced = false;
+    for (;;) {
+      if (this.state === 'closed') return;
+      let delay = 250;
+      if (this.state === 'open') {
+        const remaining = this.openedAt + policy.breakerCooldownMs - Date.now();
+        if (remaining <= 0) {
+          this.state = 'half_open';
+          this.probeInFlight = true;
+          emit({ event: 'circuit_half_open', endpoint: this.key });
+          return;
+        }
+        delay = Math.min(remaining, 1000);
+      } else if (!this.probeInFlight) {
+        this.probeInFlight = true;
+        return;
+      }
+      const waited = Date.now() - waitStartedAt;
+      if (waited >= policy.breakerMaxWaitMs) {
+        throw new VaultCallError('CIRCUIT_OPEN', `Vault circuit breaker open for ${this.key}; gave up after waiting ${waited}ms`);
+      }
+      if (!announced) {
+        announced = true;
+        emit({ event: 'circuit_wait', endpoint: this.key, state: this.state });
+      }
+      await sleep(Math.min(delay, policy.breakerMaxWaitMs - waited));
+    }
+  }
+
+  recordSuccess(emit) {
+    this.failures = 0;
+    this.probeInFlight = false;
+    if (this.state !== 'closed') {
+      this.state = 'closed';
+      emit({ event: 'circuit_closed', endpoint: this.key });
+    }
+  }
+
+  recordFailure(policy, emit) {
+    this.failures += 1;
+    this.probeInFlight = false;
+    const shouldOpen = this.state === 'half_open' || (this.state === 'closed' && policy.breakerThreshold > 0 && this.failures >= policy.breakerThreshold);
+    if (shouldOpen) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      emit({ event: 'circuit_open', endpoint: this.key, failures: this.failures, cooldownMs: policy.breakerCooldownMs });
+    }
+  }
+
+  snapshot() {
+    return { endpoint: this.key, state: this.state, failures: this.failures, openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null };
+  }
+}
+
+const breakers = new Map();
+function getBreaker(endpointBaseUrl) {
+  const key = String(endpointBaseUrl || '');
+  if (!breakers.has(key)) breakers.set(key, new CircuitBreaker(key));
+  return breakers.get(key);
+}
+
+/**
+ * POST a SOAP envelope under the call policy and return the parsed VaultSoapResult
+ * (with `attempts` added). Retries only timeouts, network errors and HTTP 5xx responses
+ * without a soap:Fault body; faults and business errors are returned to the caller as-is.
+ * AddCard is retried only on connect errors, as any other failure may follow a committed insert.
+ * Throws VaultCallError when no usable HTTP response was obtained.
+ * `onEvent` receives every attempt ('soap_attempt') and breaker transition ('circuit_*').
+ */
+async function sendVaultRequest(endpointBaseUrl, { headers, body, operation }, { policy: policyOverrides, onEvent } = {}) {
+  const policy = { ...getDefaultPolicy(), ...(policyOverrides || {}) };
+  const breaker = getBreaker(endpointBaseUrl);
+  const emit = (evt) => { try { if (onEvent) onEvent({ operation, ...evt }); } catch {} };
+  const maxAttempts = 1 + Math.max(0, Math.floor(policy.maxRetries));
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await breaker.acquire(policy, emit);
+    } catch (err) {
+      emit({ event: 'soap_attempt', attempt, outcome: 'circuit_open', message: err.message });
+      err.attempts = attempt - 1;
+      throw err;
+    }
+    const startedAt = Date.now();
+    const controller = new AbortController();
+    const timer = policy.timeoutMs > 0 ? setTimeout(() => controller.abort(), policy.timeoutMs) : null;
+    let result = null;
+    let failure = null;
+    let connectError = false;
+    try {
+      const res = await fetch(`${endpointBaseUrl}`, { method: 'POST', headers, body, signal: controller.signal });
+      const text = await res.text();
+      result = parseVaultResponse(text, { httpStatus: res.status, operation });
+    } catch (err) {
+      connectError = !controller.signal.aborted && isConnectError(err);
+      failure = controller.signal.aborted
+        ? new VaultCallError('TIMEOUT', `Vault ${operation} timed out after ${policy.timeoutMs}ms`, { cause: err })
+        : new VaultCallError('TRANSPORT', `Vault ${operation} request failed: ${err.message}`, { cause: err });
+    } finally {
+      if (timer) clearTimeout(timer);
+    }
+    const durationMs = Date.now() - startedAt;
+    const failed = failure !== null || (result.httpStatus >= 500 && !result.fault);
+    const retryable = failed && (!NON_IDEMPOTENT_OPERATIONS.has(operation) || connectError);
+    const willRetry = retryable && attempt < maxAttempts;
+    const retryInMs = willRetry ? backoffDelay(policy, attempt) : undefined;
+
+    emit({
+      event: 'soap_attempt',
+      attempt,
+      maxAttempts,
+      outcome: failure ? failure.code.toLowerCase() : (failed ? 'http_5xx' : 'response'),
+      httpStatus: result ? result.httpStatus : undefined,
+      message: failure ? failure.message : undefined,
+      durationMs,
+      retryInMs,
+    });
+
+    if (failed) breaker.recordFailure(policy, emit); else breaker.recordSuccess(emit);
+
+    if (!failed) {
+      result.attempts = attempt;
+      return result;
+    }
+    if (!willRetry) {
+      if (failure) {
+        failure.attempts = attempt;
+        failure.message += ` (${attempt} attempt${attempt === 1 ? '' : 's'})`;
+        throw failure;
+      }
+      // Out of retries (or not retryable) on a 5xx response: hand it back so callers report HTTP_ERROR
+      result.attempts = attempt;
+      return result;
+    }
+    await sleep(retryInMs);
+  }
+}
+
+function getBreakerStates() {
+  return Array.from(breakers.values()).map(b => b.snapshot());
+}
+
+module.exports = {
+  VaultCallError,
+  getDefaultPolicy,
+  getBreakerStates,
+  sendVaultRequest,
+};
@@ -0,0 +1,105 @@
+const { lookupCardsByCardNo, lookupCardsByStaffNo } = require('./cardDb');
+
+// Duplicate analysis of mapped CardProfiles for the register/upsert/update previews and for executions that
+// exclude flagged rows. Within the sheet, CardNo, StaffNo and NRIC must each be unique; against CardDB, a CardNo
+// must not already be active for another StaffNo and a StaffNo must not already hold another active card.
+// Each row gets a list of flags: { code, field, value, message, rows? } where `rows` are the other sheet rows
+// (0-based indexes) sharing the value.
+
+const SHEET_KEYS = [
+  { field: 'CardNo', code: 'DUPLICATE_CARD_NO' },
+  { field: 'StaffNo', code: 'DUPLICATE_STAFF_NO' },
+  { field: 'NRIC', code: 'DUPLICATE_NRIC' },
+];
+
+const normKey = (v) => String(v ?? '').trim().toUpperCase();
+
+// Rows are numbered from 1 in messages, as in the preview tables
+const rowList = (indexes) => indexes.map(i => i + 1).join(', ');
+
+function findSheetDuplicates(profiles, flags) {
+  for (const { field, code } of SHEET_KEYS) {
+    const byValue = new Map();
+    profiles.forEach((p, i) => {
+      const key = normKey(p?.[field]);
+      if (!key) return;
+      if (!byValue.has(key)) byValue.set(key, []);
+      byValue.get(key).push(i);
+    });
+    for (const indexes of byValue.values()) {
+      if (indexes.length < 2) continue;
+      for (const i of indexes) {
+        const others = indexes.filter(j => j !== i);
+        const value = String(profiles[i][field]).trim();
+        flags[i].push({ code, field, value, rows: others, message: `${field} ${value} is also on row${others.length > 1 ? 's' : ''} ${rowList(others)} of the sheet` });
+      }
+    }
+  }
+}
+
+async function findCardDbConflicts(profiles, flags) {
+  const [byCardNo, byStaffNo] = await Promise.all([
+    lookupCardsByCardNo(profiles.map(p => p?.CardNo)),
+    lookupCardsByStaffNo(profiles.map(p => p?.StaffNo)),
+  ]);
+  profiles.forEach((p, i) => {
+    const cardNo = String(p?.CardNo ?? '').trim();
+    const staffNo = String(p?.StaffNo ?? '').trim();
+    const card = cardNo ? byCardNo.get(cardNo) : undefined;
+    const holder = String(card?.StaffNo ?? '').trim();
+    // A row without StaffNo cannot be told apart from the holder, so it is not flagged
+    if (card && holder && staffNo && normKey(holder) !== normKey(staffNo)) {
+      flags[i].push({
+        code: 'CARD_NO_IN_USE',
+        field: 'CardNo',
+        value: cardNo,
+        message: `CardNo ${cardNo} is already active in CardDB for StaffNo ${holder}${card.Name ? ` (${card.Name})` : ''}`,
+      });
+    }
+    const held = (staffNo ? byStaffNo.get(staffNo) || [] : [])
+      .filter(c => normKey(c.CardNo) !== normKey(cardNo));
+    if (held.length > 0) {
+      flags[i].push({
+        code: 'STAFF_NO_HAS_CARD',
+        field: 'StaffNo',
+        value: staffNo,
+        message: `StaffNo ${staffNo} already holds active card${held.length > 1 ? 's' : ''} ${held.map(c => String(c.CardNo).trim()).join(', ')} in CardDB`,
+      });
+    }
+  });
+}
+
+/**
+ * Flag duplicate rows among `profiles` (aligned with the sheet rows).
+ * Returns { flags, error }: `flags[i]` lists the duplicate flags of row i; `error` is set when CardDB could not
+ * be checked (the sheet-internal flags are still returned then).
+ */
+async function analyzeDuplicates(profiles, { checkCardDb = true } = {}) {
+  const flags = profiles.map(() => []);
+  findSheetDuplicates(profiles, flags);
+  let error = null;
+  if (checkCardDb) {
+    try {
+      await findCardDbConflicts(profiles, flags);
+    } catch (err) {
+      error = err.message;
+    }
+  }
+  return { flags, error };
+}
+
+// One-line reason for logs and skipped-row messages
+function describeDuplicates(flags) {
+  return (flags || []).map(f => f.message).join('; ');
+}
+
+// Row count for preview summaries: { duplicateRows }
+function countDuplicates(details) {
+  return { duplicateRows: details.filter(d => Array.isArray(d.duplicates) && d.duplicates.length > 0).length };
+}
+
+module.exports = {
+  analyzeDuplicates,
+  describeDuplicates,
+  countDuplicates,
+};
@@ -0,0 +1,214 @@
+const database = require('./database');
+
+// Registry of named Vault environments (endpoint URL and SOAP settings), so pages pick a target by name
+// instead of pasting URLs. Admin-maintained environments live in [dbo].[VaultEnvironments] of the app
+// database (created by scripts/createVaultEnvironmentsTable.js); the environment configured in .env
+// (VAULT_API_BASE, VAULT_SOAP_*) is always available as the built-in default.
+// An environment is { id, name, endpointBaseUrl, soapVersion, namespace, soapActions: { addCard, updateCard,
+// deleteCard }, isProduction, description, builtIn }. Writes to a production environment need confirmation.
+
+const SOAP_VERSIONS = ['1.1', '1.2'];
+const DEFAULT_ENVIRONMENT_ID = 'env-default';
+
+// The .env target. It counts as production unless VAULT_API_PRODUCTION=false, since that is what it points at on site.
+function defaultVaultEnvironment() {
+  return {
+    id: DEFAULT_ENVIRONMENT_ID,
+    name: process.env.VAULT_ENV_NAME || 'Default (server .env)',
+    endpointBaseUrl: process.env.VAULT_API_BASE || 'http://10.60.10.6/Vaultsite/APIwebservice.asmx',
+    soapVersion: (process.env.VAULT_SOAP_VERSION || '1.1').trim(),
+    namespace: process.env.VAULT_SOAP_NAMESPACE || 'http://tempuri.org/',
+    soapActions: {
+      addCard: process.env.VAULT_SOAP_ACTION || '',
+      updateCard: process.env.VAULT_UPDATE_SOAP_ACTION || 'WebAPI/UpdateCard',
+      deleteCard: process.env.VAULT_DELETE_SOAP_ACTION || 'WebAPI/DeleteCard',
+    },
+    isProduction: !/^(0|false|no)$/i.test(String(process.env.VAULT_API_PRODUCTION || '').trim()),
+    description: 'Configured by VAULT_API_BASE and VAULT_SOAP_* in the server .env file.',
+    builtIn: true,
+  };
+}
+
+const SELECT_COLUMNS = 'Id as id, Name as name, EndpointBaseUrl as endpointBaseUrl, SoapVersion as soapVersion, Namespace as namespace, AddCardAction as addCardAction, UpdateCardAction as updateCardAction, DeleteCardAction as deleteCardAction, IsProduction as isProduction, Description as description, UpdatedBy as updatedBy, CreatedAt as createdAt, UpdatedAt as updatedAt';
+
+function toEnvironment(r) {
+  return {
+    id: String(r.id),
+    name: r.name,
+    endpointBaseUrl: r.endpointBaseUrl,
+    soapVersion: r.soapVersion || '1.1',
+    namespace: r.namespace || '',
+    soapActions: {
+      addCard: r.addCardAction || '',
+      updateCard: r.updateCardAction || '',
+      deleteCard: r.deleteCardAction || '',
+    },
+    isProduction: !!r.isProduction,
+    description: r.description || '',
+    builtIn: false,
+    updatedBy: r.updatedBy || undefined,
+    createdAt: r.createdAt,
+    updatedAt: r.updatedAt,
+  };
+}
+
+function toParams(environment, updatedBy) {
+  return {
+    name: environment.name,
+    endpointBaseUrl: environment.endpointBaseUrl,
+    soapVersion: environment.soapVersion,
+    namespace: environment.namespace || null,
+    addCardAction: environment.soapActions.addCard || null,
+    updateCardAction: environment.soapActions.updateCard || null,
+    deleteCardAction: environment.soapActions.deleteCard || null,
+    isProduction: environment.isProduction ? 1 : 0,
+    description: environment.description || null,
+    updatedBy: updatedBy || null,
+  };
+}
+
+async function listStoredEnvironments() {
+  const rs = await database.query(`SELECT ${SELECT_COLUMNS} FROM [dbo].[VaultEnvironments] ORDER BY Name`);
+  return (rs.recordset || []).map(toEnvironment);
+}
+
+async function getStoredEnvironment(id) {
+  if (!isGuid(id)) return null;
+  const rs = await database.query(`SELECT TOP 1 ${SELECT_COLUMNS} FROM [dbo].[VaultEnvironments] WHERE Id = @id`, { id });
+  const r = (rs.recordset || [])[0];
+  return r ? toEnvironment(r) : null;
+}
+
+async function createStoredEnvironment(environment, updatedBy) {
+  const q = `INSERT INTO [dbo].[VaultEnvironments] (Name, EndpointBaseUrl, SoapVersion, Namespace, AddCardAction, UpdateCardAction, DeleteCardAction, IsProduction, Description, UpdatedBy)
+             OUTPUT inserted.Id as id
+             VALUES (@name, @endpointBaseUrl, @soapVersion, @namespace, @addCardAction, @updateCardAction, @deleteCardAction, @isProduction, @description, @updatedBy)`;
+  const rs = await database.query(q, toParams(environment, updatedBy));
+  return getStoredEnvironment(String(rs.recordset[0].id));
+}
+
+async function updateStoredEnvironment(id, environment, updatedBy) {
+  if (!isGuid(id)) return null;
+  const q = `UPDATE [dbo].[VaultEnvironments]
+             SET Name = @name, EndpointBaseUrl = @endpointBaseUrl, SoapVersion = @soapVersion, Namespace = @namespace,
+                 AddCardAction = @addCardAction, UpdateCardAction = @updateCardAction, DeleteCardAction = @deleteCardAction,
+                 IsProduction = @isProduction, Description = @description, UpdatedBy = @updatedBy, UpdatedAt = SYSUTCDATETIME()
+             WHERE Id = @id`;
+  const rs = await database.query(q, { id, ...toParams(environment, updatedBy) });
+  const affected = Array.isArray(rs?.rowsAffected) ? rs.rowsAffected.reduce((a, b) => a + b, 0) : 0;
+  return affected ? getStoredEnvironment(id) : null;
+}
+
+async function deleteStoredEnvironment(id) {
+  if (!isGuid(id)) return false;
+  const rs = await database.query(`DELETE FROM [dbo].[VaultEnvironments] WHERE Id = @id; SELECT @@ROWCOUNT AS affected;`, { id });
+  return ((rs.recordset || [])[0]?.affected || 0) > 0;
+}
+
+/**
+ * The built-in default plus stored environments. When the app database cannot be reached only the
+ * default is returned, with the failure in `storeError`.
+ */
+async function listVaultEnvironments() {
+  const builtIn = defaultVaultEnvironment();
+  try {
+    return { environments: [builtIn, ...await listStoredEnvironments()], storeError: null };
+  } catch (err) {
+    console.warn('[VaultEnvironments] Stored environments unavailable:', err.message);
+    return { environments: [builtIn], storeError: err.message };
+  }
+}
+
+async function getVaultEnvironment(id) {
+  if (id === DEFAULT_ENVIRONMENT_ID) return defaultVaultEnvironment();
+  return getStoredEnvironment(id);
+}
+
+const normUrl = (u) => String(u || '').trim().replace(/\/+$/, '').toLowerCase();
+
+/**
+ * Environment a Vault request targets: the one named by `environmentId`, otherwise the registered
+ * environment whose URL equals a free-text `endpointBaseUrl` (older clients), otherwise the default.
+ * An unregistered URL becomes an ad-hoc environment with the default SOAP settings, marked `custom`
+ * and treated as production: it may well be a production host spelled differently, so it needs confirming.
+ * Throws (code VAULT_ENVIRONMENT_NOT_FOUND) when `environmentId` is unknown.
+ */
+async function resolveVaultEnvironment({ environmentId, endpointBaseUrl } = {}) {
+  if (environmentId) {
+    const environment = await getVaultEnvironment(environmentId);
+    if (!environment) {
+      throw Object.assign(new Error(`No Vault environment with id ${environmentId}`), { code: 'VAULT_ENVIRONMENT_NOT_FOUND' });
+    }
+    return environment;
+  }
+  const fallback = defaultVaultEnvironment();
+  if (!endpointBaseUrl || normUrl(endpointBaseUrl) === normUrl(fallback.endpointBaseUrl)) return fallback;
+  const { environments } = await listVaultEnvironments();
+  const registered = environments.find(e => normUrl(e.endpointBaseUrl) === normUrl(endpointBaseUrl));
+  if (registered) return registered;
+  return {
+    ...fallback,
+    id: undefined,
+    name: `Custom endpoint (${endpointBaseUrl})`,
+    endpointBaseUrl,
+    isProduction: true,
+    description: '',
+    builtIn: false,
+    custom: true,
+  };
+}
+
+// Summary for responses, job params and logs
+function describeVaultEnvironment(environment) {
+  if (!environment) return null;
+  const { id, name, endpointBaseUrl, soapVersion, isProduction } = environment;
+  return { id, name, endpointBaseUrl, soapVersion, isProduction, custom: !!environment.custom };
+}
+
+/**
+ * Check an admin-supplied environment. Returns { environment, errors } where environment is the cleaned-up copy.
+ */
+function validateVaultEnvironment(payload) {
+  const errors = [];
+  const text = (v, max) => String(v ?? '').trim().slice(0, max);
+  const name = text(payload?.name, 100);
+  const endpointBaseUrl = text(payload?.endpointBaseUrl, 500);
+  const soapVersion = text(payload?.soapVersion || '1.1', 5);
+  const actions = payload?.soapActions || {};
+  if (!name) errors.push('name is required');
+  if (!/^https?:\/\/\S+$/i.test(endpointBaseUrl)) errors.push('endpointBaseUrl must be an http(s) URL');
+  if (!SOAP_VERSIONS.includes(soapVersion)) errors.push(`soapVersion must be one of ${SOAP_VERSIONS.join(', ')}`);
+  return {
+    environment: {
+      name,
+      endpointBaseUrl,
+      soapVersion,
+      namespace: text(payload?.namespace, 200),
+      soapActions: {
+        addCard: text(actions.addCard, 200),
+        updateCard: text(actions.updateCard, 200),
+        deleteCard: text(actions.deleteCard, 200),
+      },
+      isProduction: payload?.isProduction === true,
+      description: text(payload?.description, 400),
+    },
+    errors,
+  };
+}
+
+function isGuid(id) {
+  return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(id || ''));
+}
+
+module.exports = {
+  SOAP_VERSIONS,
+  DEFAULT_ENVIRONMENT_ID,
+  listVaultEnvironments,
+  getVaultEnvironment,
+  resolveVaultEnvironment,
+  describeVaultEnvironment,
+  validateVaultEnvironment,
+  createStoredEnvironment,
+  updateStoredEnvironment,
+  deleteStoredEnvironment,
+};
@@ -0,0 +1,268 @@
+// Individual SOAP exchanges (request envelope + response) read back from the Vault JSONL logs.
+// Every flow logs `soap_request*` with the redacted envelope, followed by one of `soap_response*`, `soap_fault*`
+// or `error*` for the same row. Rows are keyed by the flow's event suffix/prefix plus its replay, rollback or
+// request ID (single-row flows) or row index (batches); requests still waiting for their outcome are matched in order.
+// Exchanges are addressed as `<log>:<line>` (line of the request in the JSONL file) so they can be replayed later.
+
+const fs = require('fs');
+const path = require('path');
+const { parseVaultResponse } = require('./vaultSoap');
+const { replayVaultRequest } = require('./vaultRegistrar');
+
+const EXCHANGE_LOGS = { register: 'vault-registration-log.jsonl', update: 'vault-update-log.jsonl' };
+const EXCHANGE_LOG_KINDS = Object.keys(EXCHANGE_LOGS);
+const EXCHANGE_RESULTS = ['ok', 'failed', 'pending'];
+
+const REQUEST_EVENT = /^(single_)?soap_request(_[a-z]+)?$/;
+const OUTCOME_EVENT = /^(single_)?(soap_response|soap_fault|error)(_[a-z]+)?$/;
+const SOURCE_NAME = /^[A-Za-z0-9._-]+$/;
+
+/**
+ * Resolve a log source such as 'output', 'output/<jobId>' or 'uploads' to a directory under one of `roots`
+ * ({ output: '/abs/output', uploads: '/abs/uploads' }). Anything else (including '..') throws.
+ */
+function resolveExchangeSource(source, roots) {
+  const [rootKey, name, ...rest] = String(source || '').split('/');
+  const root = Object.prototype.hasOwnProperty.call(roots, rootKey) ? roots[rootKey] : undefined;
+  if (!root || rest.length > 0 || (name !== undefined && (!SOURCE_NAME.test(name) || /^\.+$/.test(name)))) {
+    throw new Error(`Invalid log source: ${source}`);
+  }
+  return name ? path.join(root, name) : root;
+}
+
+/**
+ * List directories that hold Vault JSONL logs: each root and its direct sub-directories (processor job outputs),
+ * newest first. Returns [{ source, logs: ['register' | 'update'], updatedAt }].
+ */
+function listExchangeSources(roots, { limit = 100 } = {}) {
+  const out = [];
+  const inspect = (source, dir) => {
+    const logs = [];
+    let updatedAt = 0;
+    for (const [log, file] of Object.entries(EXCHANGE_LOGS)) {
+      const full = path.join(dir, file);
+      if (!fs.existsSync(full)) continue;
+      logs.push(log);
+      updatedAt = Math.max(updatedAt, fs.statSync(full).mtimeMs);
+    }
+    if (logs.length > 0) out.push({ source, logs, updatedAt: new Date(updatedAt).toISOString() });
+  };
+  for (const [rootKey, root] of Object.entries(roots)) {
+    if (!fs.existsSync(root)) continue;
+    inspect(rootKey, root);
+    for (const entry of fs.readdirSync(root, { withFileTypes: true })) {
+      if (entry.isDirectory() && SOURCE_NAME.test(entry.name)) inspect(`${rootKey}/${entry.name}`, path.join(root, entry.name));
+    }
+  }
+  out.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  return out.slice(0, Math.max(1, limit));
+}
+
+function operationOf(envelope) {
+  const m = /<(AddCard|UpdateCard|DeleteCard)[\s>]/.exec(envelope || '');
+  return m ? m[1] : undefined;
+}
+
+function applyOutcome(exchange, ev, kind) {
+  exchange.respondedAt = ev.time;
+  const elapsed = Date.parse(ev.time) - Date.parse(exchange.requestedAt);
+  exchange.durationMs = ev.durationMs ?? (Number.isNaN(elapsed) ? undefined : elapsed);
+  exchange.raw = ev.raw;
+  if (kind === 'soap_response') {
+    const parsed = parseVaultResponse(ev.raw, { httpStatus: ev.httpStatus, operation: exchange.operation });
+    const httpOk = ev.httpStatus >= 200 && ev.httpStatus < 300;
+    Object.assign(exchange, {
+      result: parsed.ok ? 'ok' : 'failed',
+      code: httpOk ? ev.errCode : `HTTP_${ev.httpStatus}`,
+      httpStatus: ev.httpStatus,
+      errCode: ev.errCode,
+      errMessage: ev.errMessage,
+      attempts: ev.attempts,
+    });
+  } else if (kind === 'soap_fault') {
+    Object.assign(exchange, { result: 'failed', code: 'SOAP_FAULT', httpStatus: ev.fault?.httpStatus, errMessage: ev.fault?.reason, fault: ev.fault });
+  } else {
+    Object.assign(exchange, { result: 'failed', code: 'REQUEST_FAILED', errMessage: ev.message });
+  }
+}
+
+/**
+ * Pair the requests and outcomes of one JSONL log into exchanges (in log order).
+ * Batch exchanges take their endpoint from the latest batch start event before them; single-row flows log none.
+ */
+function readLogExchanges(dir, log) {
+  const file = path.join(dir, EXCHANGE_LOGS[log]);
+  if (!fs.existsSync(file)) return [];
+  const exchanges = [];
+  const waiting = new Map();
+  let endpointBaseUrl;
+  const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/);
+  for (let n = 0; n < lines.length; n++) {
+    if (!lines[n].trim()) continue;
+    let ev;
+    try { ev = JSON.parse(lines[n]); } catch { continue; /* partial line from an interrupted write */ }
+    const name = String(ev.event || '');
+    if (ev.endpointBaseUrl && !REQUEST_EVENT.test(name)) endpointBaseUrl = ev.endpointBaseUrl;
+
+    const req = REQUEST_EVENT.exec(name);
+    const out = req ? null : OUTCOME_EVENT.exec(name);
+    if (!req && !out) continue;
+    const flow = req ? `${req[1] || ''}${req[2] || ''}` : `${out[1] || ''}${out[3] || ''}`;
+    const rowId = ev.replayId ?? ev.rollbackRequestId ?? ev.requestId ?? ev.index;
+    if (rowId === undefined) continue;
+    const key = `${flow}:${rowId}`;
+
+    if (req) {
+      const exchange = {
+        id: `${log}:${n + 1}`,
+        log,
+        line: n + 1,
+        event: name,
+        operation: ev.operation || operationOf(ev.envelope),
+        index: ev.index,
+        requestId: ev.replayId ?? ev.rollbackRequestId ?? ev.requestId,
+        replayOf: ev.replayOf,
+        cardNo: ev.cardNo,
+        name: ev.name,
+        endpointBaseUrl: ev.endpointBaseUrl || (req[1] ? undefined : endpointBaseUrl),
+        requestedAt: ev.time,
+        result: 'pending',
+        envelope: ev.envelope,
+      };
+      exchanges.push(exchange);
+      if (!waiting.has(key)) waiting.set(key, []);
+      waiting.get(key).push(exchange);
+      continue;
+    }
+    const queue = waiting.get(key);
+    if (!queue || queue.length === 0) continue;
+    applyOutcome(queue.shift(), ev, out[2]);
+  }
+  return exchanges;
+}
+
+/**
+ * List SOAP exchanges logged in `dir`, newest first, without envelopes/raw responses.
+ * Filters: log ('register' | 'update'), cardNo (substring), result ('ok' | 'failed' | 'pending'),
+ * errCode (matches the Vault ErrCode or the exchange code, e.g. SOAP_FAULT, HTTP_500), from/to (ISO times).
+ * Returns { total, exchanges } where total counts matches before `limit`.
+ */
+function listVaultExchanges(dir, { log, cardNo, result, errCode, from, to, limit = 200 } = {}) {
+  const logs = log ? [log] : EXCHANGE_LOG_KINDS;
+  const cardNeedle = cardNo ? String(cardNo).trim().toLowerCase() : '';
+  const fromMs = from ? Date.parse(from) : NaN;
+  const toMs = to ? Date.parse(to) : NaN;
+  const matches = [];
+  for (const name of logs) {
+    for (const ex of readLogExchanges(dir, name)) {
+      if (cardNeedle && !String(ex.cardNo || '').toLowerCase().includes(cardNeedle)) continue;
+      if (result && ex.result !== result) continue;
+      if (errCode && String(ex.errCode ?? '') !== String(errCode) && ex.code !== errCode) continue;
+      const at = Date.parse(ex.requestedAt);
+      if (!Number.isNaN(fromMs) && !(at >= fromMs)) continue;
+      if (!Number.isNaN(toMs) && !(at <= toMs)) continue;
+      const { envelope, raw, ...summary } = ex;
+      matches.push(summary);
+    }
+  }
+  matches.sort((a, b) => String(b.requestedAt).localeCompare(String(a.requestedAt)));
+  return { total: matches.length, exchanges: matches.slice(0, Math.max(1, limit)) };
+}
+
+// One exchange with its redacted envelope and raw response, or null when `id` is not a logged request
+function getVaultExchange(dir, id) {
+  const [log, line] = String(id || '').split(':');
+  if (!EXCHANGE_LOG_KINDS.includes(log) || !/^\d+$/.test(line || '')) return null;
+  return readLogExchanges(dir, log).find(ex => ex.line === Number(line)) || null;
+}
+
+/**
+ * Re-send the exact request of a logged exchange (photo re-attached) to the Vault `environment`
+ * (see vaultEnvironments.js). Returns null when the exchange does not exist.
+ */
+async function replayVaultExchange(dir, id, { environment } = {}) {
+  const exchange = getVaultExchange(dir, id);
+  if (!exchange) return null;
+  return replayVaultRequest({ dir, log: exchange.log, envelope: exchange.envelope, endpointBaseUrl: environment.endpointBaseUrl, environment, replayOf: exchange.id });
+}
+
+const SENT_CARD_FIELDS = ['CardNo', 'StaffNo', 'Name', 'ResignDate', 'ExpiredDate', 'NonExpired', 'ActiveStatus'];
+
+function envelopeField(envelope, field) {
+  const m = new RegExp(`<${field}>([^<]*)</${field}>`).exec(envelope || '');
+  return m ? m[1].replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&').trim() : '';
+}
+
+// Latest successful AddCard/UpdateCard per CardNo of one log file, cached by file path until its size or mtime changes
+const sentStateCache = new Map();
+
+function sentStatesOfLog(dir, log, source) {
+  const latest = new Map();
+  for (const ex of readLogExchanges(dir, log)) {
+    if (ex.result !== 'ok' || !['AddCard', 'UpdateCard'].includes(ex.operation)) continue;
+    const fields = Object.fromEntries(SENT_CARD_FIELDS.map(f => [f, envelopeField(ex.envelope, f)]));
+    const cardNo = fields.CardNo || String(ex.cardNo || '').trim();
+    if (!cardNo) continue;
+    const prev = latest.get(cardNo);
+    if (prev && String(prev.sentAt).localeCompare(String(ex.requestedAt)) > 0) continue;
+    latest.set(cardNo, {
+      cardNo,
+      staffNo: fields.StaffNo,
+      name: fields.Name || ex.name || '',
+      resignDate: fields.ResignDate,
+      expiredDate: fields.ExpiredDate,
+      nonExpired: fields.NonExpired,
+      activeStatus: fields.ActiveStatus,
+      sentAt: ex.requestedAt,
+      source,
+      exchangeId: ex.id,
+    });
+  }
+  return latest;
+}
+
+/**
+ * Card state as last accepted by the Vault according to our own logs: the latest successful AddCard/UpdateCard
+ * per CardNo across every log directory under `roots` (see listExchangeSources). Only logs changed since the
+ * previous call are parsed again, one file per event-loop turn. Resolves to a Map of CardNo ->
+ * { cardNo, staffNo, name, resignDate, expiredDate, nonExpired, activeStatus, sentAt, source, exchangeId }.
+ */
+async function readSentCardStates(roots) {
+  const latest = new Map();
+  const seen = new Set();
+  for (const { source, logs } of listExchangeSources(roots, { limit: Number.MAX_SAFE_INTEGER })) {
+    const dir = resolveExchangeSource(source, roots);
+    for (const log of logs) {
+      const file = path.join(dir, EXCHANGE_LOGS[log]);
+      let stat;
+      try { stat = await fs.promises.stat(file); } catch { continue; /* removed since it was listed */ }
+      seen.add(file);
+      let cached = sentStateCache.get(file);
+      if (!cached || cached.mtimeMs !== stat.mtimeMs || cached.size !== stat.size) {
+        await new Promise(resolve => setImmediate(resolve));
+        cached = { mtimeMs: stat.mtimeMs, size: stat.size, states: sentStatesOfLog(dir, log, source) };
+        sentStateCache.set(file, cached);
+      }
+      for (const state of cached.states.values()) {
+        const prev = latest.get(state.cardNo);
+        if (prev && String(prev.sentAt).localeCompare(String(state.sentAt)) > 0) continue;
+        latest.set(state.cardNo, state);
+      }
+    }
+  }
+  for (const file of sentStateCache.keys()) {
+    if (!seen.has(file)) sentStateCache.delete(file);
+  }
+  return latest;
+}
+
+module.exports = {
+  EXCHANGE_LOG_KINDS,
+  EXCHANGE_RESULTS,
+  resolveExchangeSource,
+  listExchangeSources,
+  listVaultExchanges,
+  getVaultExchange,
+  replayVaultExchange,
+  readSentCardStates,
+};
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+const ImageProcessor = require('./imageProcessor');
+
+// Index of the photo files in a directory, for matching photos to card rows by CardNo or StaffNo.
+// A file matches a key (case-insensitively, whatever its image extension) by its whole name, by the employee id
+// ImageProcessor derives from it ("MTI0012345 - Budi.jpg" -> MTI0012345), or by its leading token
+// ("1234567890_front.png" -> 1234567890), in that order of preference.
+// Besides the batch's own directory, the folders in VAULT_PHOTO_DIRS (separated by ';') are searched.
+// Indexes are cached per directory and rebuilt when the directory's modification time changes.
+
+const PHOTO_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+
+// Match kinds from most to least specific
+const MATCH_KINDS = ['name', 'employeeId', 'leadingToken'];
+
+const indexCache = new Map();
+
+function extraPhotoDirs() {
+  return String(process.env.VAULT_PHOTO_DIRS || '')
+    .split(';')
+    .map(d => d.trim())
+    .filter(Boolean)
+    .map(d => path.resolve(d));
+}
+
+const normKey = (v) => String(v || '').trim().toLowerCase();
+
+function fileKeys(file) {
+  const name = path.parse(file).name;
+  return {
+    name: normKey(name),
+    employeeId: normKey(ImageProcessor.deriveEmployeeId(file)),
+    leadingToken: normKey(name.split(/[\s_\-]+/).filter(Boolean)[0]),
+  };
+}
+
+function buildIndex(dir) {
+  const byKind = Object.fromEntries(MATCH_KINDS.map(kind => [kind, new Map()]));
+  const files = fs.readdirSync(dir, { withFileTypes: true })
+    .filter(e => e.isFile() && PHOTO_EXTENSIONS.includes(path.extname(e.name).toLowerCase()))
+    .map(e => e.name)
+    // .jpg before .jpeg before .png, then by name, so the pick among ambiguous files is stable
+    .sort((a, b) => (PHOTO_EXTENSIONS.indexOf(path.extname(a).toLowerCase()) - PHOTO_EXTENSIONS.indexOf(path.extname(b).toLowerCase())) || a.localeCompare(b));
+  for (const file of files) {
+    const keys = fileKeys(file);
+    for (const kind of MATCH_KINDS) {
+      const key = keys[kind];
+      if (!key) continue;
+      const list = byKind[kind].get(key) || [];
+      if (!list.includes(file)) list.push(file);
+      byKind[kind].set(key, list);
+    }
+  }
+  return { fileCount: files.length, byKind };
+}
+
+// Cached index of a directory; null when it does not exist
+function getPhotoIndex(dir) {
+  dir = path.resolve(dir);
+  let stat;
+  try {
+    stat = fs.statSync(dir);
+  } catch (_) {
+    indexCache.delete(dir);
+    return null;
+  }
+  if (!stat.isDirectory()) return null;
+  const cached = indexCache.get(dir);
+  if (cached && cached.mtimeMs === stat.mtimeMs) return cached.index;
+  const index = buildIndex(dir);
+  indexCache.set(dir, { mtimeMs: stat.mtimeMs, index });
+  return index;
+}
+
+/**
+ * Find the photo of a card: CardNo is tried before StaffNo, the batch directory before the extra folders,
+ * and a more specific match kind before a looser one. Returns null or
+ * { path, file, dir, matchedBy: 'cardNo'|'staffNo', matchKind, ambiguous } where `ambiguous` lists the other
+ * files that matched equally well (the first one in extension/name order is used).
+ */
+function findCardPhoto(dir, cardNo, staffNo) {
+  const keys = [['cardNo', normKey(cardNo)], ['staffNo', normKey(staffNo)]].filter(([, key]) => key);
+  if (keys.length === 0) return null;
+  const batchDir = path.resolve(dir);
+  const dirs = [batchDir, ...extraPhotoDirs().filter(d => d !== batchDir)];
+  for (const [matchedBy, key] of keys) {
+    for (const searchDir of dirs) {
+      const index = getPhotoIndex(searchDir);
+      if (!index) continue;
+      for (const matchKind of MATCH_KINDS) {
+        const files = index.byKind[matchKind].get(key);
+        if (!files || files.length === 0) continue;
+        return {
+          path: path.join(searchDir, files[0]),
+          file: files[0],
+          dir: searchDir,
+          matchedBy,
+          matchKind,
+          ambiguous: files.slice(1),
+        };
+      }
+    }
+  }
+  return null;
+}
+
+// Drop cached indexes (all, or one directory's)
+function clearPhotoIndex(dir) {
+  if (dir) indexCache.delete(path.resolve(dir));
+  else indexCache.clear();
+}
+
+module.exports = {
+  PHOTO_EXTENSIONS,
+  extraPhotoDirs,
+  findCardPhoto,
+  getPhotoIndex,
+  clearPhotoIndex,
+};
@@ -0,0 +1,113 @@
+const path = require('path');
+const sharp = require('sharp');
+
+// Normalization of card photos before they go into a SOAP envelope. Vault rejects large photos and the
+// files next to a batch are often straight off a phone (several MB, rotated by EXIF, with GPS metadata),
+// so every photo is re-encoded to a bounded JPEG unless it already is one within the limits.
+// Limits come from VAULT_PHOTO_MAX_WIDTH / _MAX_HEIGHT (pixels), VAULT_PHOTO_QUALITY (starting JPEG quality)
+// and VAULT_PHOTO_MAX_BYTES (encoded size Vault accepts).
+
+const envInt = (name, fallback) => {
+  const n = parseInt(process.env[name] || '', 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+const PHOTO_LIMITS = {
+  maxWidth: envInt('VAULT_PHOTO_MAX_WIDTH', 480),
+  maxHeight: envInt('VAULT_PHOTO_MAX_HEIGHT', 640),
+  quality: Math.min(100, envInt('VAULT_PHOTO_QUALITY', 80)),
+  maxBytes: envInt('VAULT_PHOTO_MAX_BYTES', 150 * 1024),
+};
+
+// Quality is lowered in steps down to MIN_QUALITY before the image is scaled down further
+const MIN_QUALITY = 40;
+const QUALITY_STEP = 10;
+const SCALE_STEP = 0.8;
+const MAX_SCALE_STEPS = 4;
+
+// A JPEG is sent as-is only when nothing would change: within the limits and without EXIF/ICC/XMP data
+function isAcceptableAsIs(meta, bytes, limits) {
+  return meta.format === 'jpeg'
+    && bytes <= limits.maxBytes
+    && (meta.width || 0) <= limits.maxWidth
+    && (meta.height || 0) <= limits.maxHeight
+    && !meta.exif && !meta.icc && !meta.xmp && !meta.iptc;
+}
+
+async function encode(input, width, height, quality) {
+  return sharp(input)
+    .rotate() // apply the EXIF orientation before it is dropped
+    .resize({ width, height, fit: 'inside', withoutEnlargement: true })
+    .flatten({ background: '#ffffff' }) // transparent PNGs would turn black in JPEG
+    .jpeg({ quality, mozjpeg: true })
+    .toBuffer({ resolveWithObject: true });
+}
+
+/**
+ * Downscale and compress a photo for Vault. Returns { buffer, info } where info records what happened:
+ * { originalBytes, originalFormat, originalWidth, originalHeight, bytes, format, width, height, quality,
+ *   reencoded, withinLimit }. `withinLimit` is false when even the smallest attempt stays above maxBytes
+ * (the smallest result is returned anyway and Vault decides).
+ * Throws when the buffer is not an image sharp can decode.
+ */
+async function normalizeVaultPhoto(input, limits = PHOTO_LIMITS) {
+  const meta = await sharp(input).metadata();
+  const original = {
+    originalBytes: input.length,
+    originalFormat: meta.format,
+    originalWidth: meta.width,
+    originalHeight: meta.height,
+  };
+  if (isAcceptableAsIs(meta, input.length, limits)) {
+    return {
+      buffer: input,
+      info: { ...original, bytes: input.length, format: 'jpeg', width: meta.width, height: meta.height, reencoded: false, withinLimit: true },
+    };
+  }
+
+  let width = limits.maxWidth;
+  let height = limits.maxHeight;
+  let best = null;
+  for (let step = 0; step <= MAX_SCALE_STEPS; step += 1) {
+    // Once the lowest quality was not enough, smaller sizes are only tried at that quality
+    for (let quality = step === 0 ? limits.quality : MIN_QUALITY; quality >= MIN_QUALITY; quality -= QUALITY_STEP) {
+      const { data, info } = await encode(input, width, height, quality);
+      best = { data, info, quality };
+      if (data.length <= limits.maxBytes) break;
+    }
+    if (best.data.length <= limits.maxBytes) break;
+    width = Math.max(1, Math.round(width * SCALE_STEP));
+    height = Math.max(1, Math.round(height * SCALE_STEP));
+  }
+  return {
+    buffer: best.data,
+    info: {
+      ...original,
+      bytes: best.data.length,
+      format: 'jpeg',
+      width: best.info.width,
+      height: best.info.height,
+      quality: best.quality,
+      reencoded: true,
+      withinLimit: best.data.length <= limits.maxBytes,
+    },
+  };
+}
+
+// One-line description of an attached photo for text logs (normalization, plus how the file was matched)
+function describePhotoInfo(info) {
+  if (!info) return 'no photo';
+  const file = info.dir ? path.join(info.dir, info.file) : info.file;
+  let text;
+  if (info.error) text = `${file}: ${info.originalBytes} bytes, not normalized (${info.error})`;
+  else if (!info.reencoded) text = `${file}: ${info.bytes} bytes, sent as-is`;
+  else text = `${file}: ${info.originalBytes} -> ${info.bytes} bytes, ${info.originalWidth}x${info.originalHeight} ${info.originalFormat} -> ${info.width}x${info.height} jpeg q${info.quality}${info.withinLimit ? '' : ' (still above limit)'}`;
+  if (info.ambiguous) text += `; ambiguous by ${info.matchedBy}, also matched ${info.ambiguous.join(', ')}`;
+  return text;
+}
+
+module.exports = {
+  PHOTO_LIMITS,
+  normalizeVaultPhoto,
+  describePhotoInfo,
+};
@@ -4,6 +4,16 @@ const path = require('path');
 const fse = require('fs-extra');
 const XLSX = require('xlsx');
 const crypto = require('crypto');
+const { VaultSoapFault, SOAP12_NS, parseXml, findElement, textContent } = require('./vaultSoap');
+const { sendVaultRequest, VaultCallError } = require('./vaultCallPolicy');
+const { lookupCardsByCardNo, cardDbRowToProfile, cardDbRowToCurrentProfile, normalizeExcelDate, normalizeVaultDate } = require('./cardDb');
+const { createSnapshotBatch, recordSnapshot, recordOutcome, recordRollback, readSnapshotBatch } = require('./vaultSnapshots');
+const { parseVaultBoolean, validateVaultProfile, isValidationOverridden, countValidation } = require('./vaultValidation');
+const { builtinMappingProfile, resolveMappedFields } = require('./columnMappings');
+const { resolveMessHallAccess, normalizeVehicleNo, describeRuleMatch, UNMATCHED_VEHICLE_NO } = require('./messHallRules');
+const { normalizeVaultPhoto, describePhotoInfo } = require('./vaultPhotos');
+const { findCardPhoto } = require('./vaultPhotoIndex');
+const { analyzeDuplicates, describeDuplicates, countDuplicates } = require('./vaultDuplicates');
 // SOAP configuration via environment (with safe defaults)
 const SOAP_ACTION = process.env.VAULT_SOAP_ACTION || '';
 const SOAP_NAMESPACE = process.env.VAULT_SOAP_NAMESPACE || 'http://tempuri.org/';
@@ -15,6 +25,30 @@ const DEFAULT_FACE_ACCESS_LEVEL = '00';
 const DEFAULT_LIFT_ACCESS_LEVEL = '00';
 // Default SOAP action for UpdateCard when env not set
 const UPDATE_SOAP_ACTION = process.env.VAULT_UPDATE_SOAP_ACTION || 'WebAPI/UpdateCard';
+// Default SOAP action for DeleteCard; deletion is only offered when the Vault API exposes it (VAULT_DELETE_ENABLED=true)
+const DELETE_SOAP_ACTION = process.env.VAULT_DELETE_SOAP_ACTION || 'WebAPI/DeleteCard';
+// Parallel AddCard calls per registration batch when the caller does not choose a limit
+const DEFAULT_REGISTER_CONCURRENCY = Math.max(1, parseInt(process.env.VAULT_REGISTER_CONCURRENCY || '3', 10) || 3);
+
+/**
+ * SOAP settings for calls to a Vault environment (see vaultEnvironments.js); anything the environment
+ * leaves out falls back to the VAULT_SOAP_* defaults above.
+ * Returns { soapVersion, namespace, envelope: build options, add / update / delete: post options }.
+ */
+function soapOptions(environment) {
+  const env = environment || {};
+  const actions = env.soapActions || {};
+  const soapVersion = env.soapVersion || SOAP_VERSION;
+  const namespace = env.namespace || SOAP_NAMESPACE;
+  return {
+    soapVersion,
+    namespace,
+    envelope: { namespace, soapVersion },
+    add: { soapVersion, soapAction: actions.addCard ?? SOAP_ACTION },
+    update: { soapVersion, soapAction: actions.updateCard || UPDATE_SOAP_ACTION },
+    delete: { soapVersion, soapAction: actions.deleteCard || DELETE_SOAP_ACTION },
+  };
+}
 
 /**
  * Utility: safe string trimming and defaulting
@@ -81,42 +115,108 @@ function redactEnvelope(envelope) {
   });
 }
 
+// Record call-policy events (each attempt, circuit breaker transitions) in a JSONL log.
+// `fields` are merged into every entry; prefix/suffix follow the per-flow event naming (e.g. '_csv', 'single_').
+function callPolicyLogger({ appendJson, logText, dir, fields = {}, prefix = '', suffix = '', label = '' }) {
+  return (evt) => {
+    appendJson(dir, { ...evt, ...fields, event: `${prefix}${evt.event}${suffix}` });
+    if (evt.event === 'soap_attempt' && evt.retryInMs !== undefined) {
+      logText(dir, `${label}: attempt ${evt.attempt}/${evt.maxAttempts} ${evt.operation} failed (${evt.outcome}${evt.httpStatus ? ` HTTP=${evt.httpStatus}` : ''}), retrying in ${evt.retryInMs}ms`);
+    } else if (evt.event.startsWith('circuit_')) {
+      logText(dir, `${label}: Vault circuit breaker ${evt.event.slice('circuit_'.length)} endpoint=${evt.endpoint}`);
+    }
+  };
+}
+
+// errors[] entry for an unsuccessful UpdateCard response: HTTP_ERROR (with the status) when the server did not
+// answer 2xx, so rollback/resume can tell transport failures from Vault rejections (VAULT_ERROR)
+function updateResponseError(resp, extra = {}) {
+  if (!(resp.httpStatus >= 200 && resp.httpStatus < 300)) {
+    return { code: 'HTTP_ERROR', message: resp.errMessage || `HTTP ${resp.httpStatus}`, httpStatus: resp.httpStatus, errCode: resp.errCode, ...extra };
+  }
+  return { code: 'VAULT_ERROR', message: resp.errMessage || 'Unknown error', errCode: resp.errCode, ...extra };
+}
+
+// Outcome code recorded with an update snapshot: the Vault ErrCode, or HTTP_<status> for non-2xx responses
+const updateOutcomeCode = (resp) => (resp.httpStatus >= 200 && resp.httpStatus < 300 ? resp.errCode : `HTTP_${resp.httpStatus}`);
+
+// Outcome code for an UpdateCard that threw: SOAP_FAULT, the call policy's TIMEOUT/TRANSPORT/CIRCUIT_OPEN, else REQUEST_FAILED
+const failedRequestCode = (err) => (err instanceof VaultSoapFault ? 'SOAP_FAULT' : (err instanceof VaultCallError ? err.code : 'REQUEST_FAILED'));
+
+// Shape a soap:Fault into the errors[] entry used by batch results
+function soapFaultError(fault, extra = {}) {
+  return {
+    code: 'SOAP_FAULT',
+    message: fault.reason || fault.message,
+    faultCode: fault.code,
+    faultSubcode: fault.subcode || undefined,
+    faultDetail: fault.detail || undefined,
+    httpStatus: fault.httpStatus,
+    ...extra,
+  };
+}
+
 /**
  * Map a row (from Excel/CSV) into the Vault AddCard payload fields.
  * This mapping is based on our current CSV schema and typical Excel columns.
  */
-function mapRowToProfile(row) {
-  // Try multiple potential column names to be robust across CSV/Excel variants
-  const name = s(row['Card Name [Max 50]'] || row['Card Name'] || row['Name'] || row['Employee Name'] || row['Employee'] || row['Nama']);
-  const staffNoRaw = s(row['Staff No [Max 15]'] || row['Staff No. [Max 10]'] || row['Emp. No'] || row['Employee ID'] || row['ID'] || row['NIK']);
-  const cardNoRaw = s(row['Card No #[Max 10]'] || row['Card No [Max 10]'] || row['Card No'] || row['CardNo'] || row['Card Number']);
-  const department = s(row['Department [Max 50]'] || row['Department'] || row['Departement'] || row['Dept']);
-  const company = s(row['Company [Max 50]'] || row['Company'] || 'Merdeka Tsingsan Indonesia');
-  const email = s(row['Email [Max 50]'] || row['Email'] || row['Email Address'] || '');
-  const mobile = s(row['Mobile No. [Max 20]'] || row['Mobile No'] || row['Phone'] || '');
-  let faceAccessLevel = s(row['Face Access Level [Max 3]'] || row['Face Access Level'] || row['FaceAccessLevel'] || '');
-  if (!faceAccessLevel) faceAccessLevel = DEFAULT_FACE_ACCESS_LEVEL;
-  // Lift Access Level: required by API, default to '00' if blank to avoid -1 errors
-  let liftAccessLevel = s(row['Lift Access Level [Max 3]'] || row['Lift Access Level'] || row['LiftAccessLevel'] || '');
-  if (!liftAccessLevel) liftAccessLevel = DEFAULT_LIFT_ACCESS_LEVEL;
-
-  // Access Level logic: try explicit value; otherwise derive from MessHall per new rules
-  // - Labota -> 1
-  // - Makarti -> 2
-  // - No Access!! or empty -> blank
-  let accessLevel = s(row['Access Level [Max 3]'] || row['Access Level'] || row['AccessLevel']);
-  const messHallRaw = s(row['MessHall'] || row['Mess Hall'] || '');
-  const messHall = messHallRaw.toLowerCase().trim();
-  if (!accessLevel) {
-    if (messHall === 'labota') accessLevel = '1';
-    else if (messHall === 'makarti') accessLevel = '2';
-    else if (messHall === '' || messHall === 'no access!!') accessLevel = '';
-    else accessLevel = '';
+// Mapping adjustments (clipped values, defaulted access levels) are pushed to `notes` when given,
+// so pre-flight validation can report them
+function addNote(notes, field, code, message) {
+  if (Array.isArray(notes)) notes.push({ field, code, message });
+}
+
+/**
+ * AccessLevel, VehicleNo and Face/Lift levels of mapped fields `f`: explicit columns win, then the MessHall
+ * rule (see messHallRules.js); a blank AccessLevel falls back to DEFAULT_ACCESS_LEVEL. Face/Lift levels may
+ * stay blank for the mapper's defaults. Returns resolveMessHallAccess's result.
+ */
+function resolveRowAccess(f, notes) {
+  const access = resolveMessHallAccess({
+    messHall: f.MessHall,
+    accessLevel: f.AccessLevel,
+    vehicleNo: f.VehicleNo,
+    faceAccessLevel: f.FaceAccessLevel,
+    liftAccessLevel: f.LiftAccessLevel,
+  });
+  if (!access.match && f.MessHall && access.sources.accessLevel !== 'explicit') {
+    addNote(notes, 'AccessLevel', 'UNKNOWN_MESSHALL', `MessHall '${f.MessHall}' matches no MessHall rule`);
   }
-  if (!accessLevel) accessLevel = DEFAULT_ACCESS_LEVEL;
+  if (!access.accessLevel) {
+    access.accessLevel = DEFAULT_ACCESS_LEVEL;
+    access.sources.accessLevel = 'default';
+    addNote(notes, 'AccessLevel', 'DEFAULTED', `AccessLevel defaulted to ${DEFAULT_ACCESS_LEVEL}`);
+  }
+  access.vehicleNo = normalizeVehicleNo(access.vehicleNo);
+  return access;
+}
+
+// Which MessHall rule decided a row's access fields, for the previews
+function describeRowAccess(row, mapping) {
+  const f = resolveMappedFields(row, mapping);
+  return describeRuleMatch(f.MessHall, resolveRowAccess(f));
+}
+
+function mapRowToProfile(row, notes, mapping = builtinMappingProfile('register')) {
+  // Source columns come from the mapping profile (the built-in one covers the usual CSV/Excel variants)
+  const f = resolveMappedFields(row, mapping);
+  const name = f.Name;
+  const staffNoRaw = f.StaffNo;
+  const cardNoRaw = f.CardNo;
+  const department = f.Department;
+  const company = f.Company || 'Merdeka Tsingsan Indonesia';
+  const email = f.Email;
+  const mobile = f.MobileNo;
+  // AccessLevel, VehicleNo and Face/Lift levels: explicit columns win, then the MessHall rule, then the defaults
+  const access = resolveRowAccess(f, notes);
+  // Face/Lift Access Level: required by API, default to '00' if blank to avoid -1 errors
+  const faceAccessLevel = access.faceAccessLevel || DEFAULT_FACE_ACCESS_LEVEL;
+  const liftAccessLevel = access.liftAccessLevel || DEFAULT_LIFT_ACCESS_LEVEL;
+  const accessLevel = access.accessLevel;
 
   // CardNo must be max 10 characters. Do NOT fall back to Staff No — Staff No is employee ID, not card number.
   const cardNo = (cardNoRaw || '').substring(0, 10);
+  if (cardNoRaw.length > 10) addNote(notes, 'CardNo', 'TRUNCATED', `CardNo '${cardNoRaw}' clipped to 10 characters`);
 
   return {
     CardNo: cardNo,
@@ -127,6 +227,7 @@ function mapRowToProfile(row) {
     AccessLevel: accessLevel,
     FaceAccessLevel: faceAccessLevel,
     LiftAccessLevel: liftAccessLevel,
+    VehicleNo: access.vehicleNo,
     Email: email,
     MobileNo: mobile,
     // Defaults
@@ -204,18 +305,16 @@ function escapeXml(unsafe) {
 
 // Normalize boolean-like values to numeric '1' or '0' for controllers that expect numeric booleans.
 function boolToXml(val) {
-  const s = String(val ?? '').trim().toLowerCase();
-  if (s === '1' || s === 'true' || s === 'yes' || s === 'y' || s === 'on' || s === 'permanent' || s === 'active') return '1';
-  if (s === '0' || s === 'false' || s === 'no' || s === 'n' || s === 'off' || s === 'inactive' || s === 'temporary') return '0';
-  // default: treat empty/unknown as false
-  return '0';
+  // default: treat empty/unknown as false (pre-flight validation reports unknown values)
+  return parseVaultBoolean(val) === true ? '1' : '0';
 }
 
 /**
- * Post AddCard SOAP request and return parsed result
+ * Post AddCard SOAP request and return parsed result (see VaultSoapResult in vaultSoap.js).
+ * Timeouts/retries/circuit breaker are applied by vaultCallPolicy; `onEvent` receives each attempt.
+ * Throws VaultSoapFault when the service answers with a soap:Fault.
  */
-async function postAddCard(endpointBaseUrl, envelope, { soapVersion = SOAP_VERSION, soapAction = SOAP_ACTION } = {}) {
-  const url = `${endpointBaseUrl}`;
+async function postAddCard(endpointBaseUrl, envelope, { soapVersion = SOAP_VERSION, soapAction = SOAP_ACTION, policy, onEvent } = {}) {
   const headers = (soapVersion === '1.2')
     ? (() => {
         let ct = 'application/soap+xml; charset=utf-8';
@@ -228,24 +327,13 @@ async function postAddCard(endpointBaseUrl, envelope, { soapVersion = SOAP_VERSI
         'Content-Type': 'text/xml; charset=utf-8',
         'SOAPAction': soapAction,
       };
-  const res = await fetch(url, {
-    method: 'POST',
+  const result = await sendVaultRequest(endpointBaseUrl, {
     headers: { ...headers, Connection: 'keep-alive' },
     body: envelope,
-  });
-  const text = await res.text();
-  // Attempt to parse a simple result code/message from the XML response
-  const errCodeMatch = text.match(/<ErrCode>(.*?)<\/ErrCode>/);
-  const errMessageMatch = text.match(/<ErrMessage>(.*?)<\/ErrMessage>/);
-  const cardIdMatch = text.match(/<CardID>(.*?)<\/CardID>/) || text.match(/<ID>(.*?)<\/ID>/);
-  return {
-    status: res.ok ? 'ok' : 'error',
-    httpStatus: res.status,
-    errCode: errCodeMatch ? errCodeMatch[1] : undefined,
-    errMessage: errMessageMatch ? errMessageMatch[1] : undefined,
-    cardId: cardIdMatch ? cardIdMatch[1] : undefined,
-    raw: text,
-  };
+    operation: 'AddCard',
+  }, { policy, onEvent });
+  if (result.fault) throw result.fault;
+  return result;
 }
 
 /**
@@ -304,10 +392,11 @@ function buildUpdateCardEnvelope(profile, { namespace = SOAP_NAMESPACE, soapVers
 }
 
 /**
- * Post UpdateCard SOAP request and return parsed result
+ * Post UpdateCard SOAP request and return parsed result (see VaultSoapResult in vaultSoap.js).
+ * Timeouts/retries/circuit breaker are applied by vaultCallPolicy; `onEvent` receives each attempt.
+ * Throws VaultSoapFault when the service answers with a soap:Fault.
  */
-async function postUpdateCard(endpointBaseUrl, envelope, { soapVersion = SOAP_VERSION, soapAction = UPDATE_SOAP_ACTION } = {}) {
-  const url = `${endpointBaseUrl}`;
+async function postUpdateCard(endpointBaseUrl, envelope, { soapVersion = SOAP_VERSION, soapAction = UPDATE_SOAP_ACTION, policy, onEvent } = {}) {
   const headers = (soapVersion === '1.2')
     ? (() => {
         let ct = 'application/soap+xml; charset=utf-8';
@@ -320,51 +409,66 @@ async function postUpdateCard(endpointBaseUrl, envelope, { soapVersion = SOAP_VE
         'Content-Type': 'text/xml; charset=utf-8',
         'SOAPAction': soapAction,
       };
-  const res = await fetch(url, {
-    method: 'POST',
+  const result = await sendVaultRequest(endpointBaseUrl, {
     headers: { ...headers, Connection: 'keep-alive' },
     body: envelope,
-  });
-  const text = await res.text();
-  // Use dotall ([\s\S]) and case-insensitive to robustly extract values across newlines
-  const errCodeMatch = text.match(/<ErrCode>([\s\S]*?)<\/ErrCode>/i);
-  const errMessageMatch = text.match(/<ErrMessage>([\s\S]*?)<\/ErrMessage>/i);
-  const mediaIdMatch = text.match(/<MediaID>([\s\S]*?)<\/MediaID>/i);
-  const errCode = errCodeMatch ? String(errCodeMatch[1]).trim() : undefined;
-  const errMessage = errMessageMatch ? String(errMessageMatch[1]).trim() : undefined;
-  return {
-    status: res.ok ? 'ok' : 'error',
-    httpStatus: res.status,
-    errCode,
-    errMessage,
-    mediaId: mediaIdMatch ? String(mediaIdMatch[1]).trim() : undefined,
-    raw: text,
-  };
+    operation: 'UpdateCard',
+  }, { policy, onEvent });
+  if (result.fault) throw result.fault;
+  return result;
 }
 
 /**
- * Given an output directory for a job, detect available data sources and build registration profiles
+ * Build UpdateCard envelope that deactivates a card: the CardDB profile is resent with
+ * ActiveStatus/NonExpired false and the resign date as expiry, so other fields are kept.
  */
-function collectProfilesFromOutputDir(outputDir) {
-  // Prefer Excel "For_Machine_...xlsx"; fallback to CSV "CardDatafileformat_...csv"
-  const files = fse.readdirSync(outputDir);
-  const excelFile = files.find(f => /For_Machine_.*\.xlsx$/i.test(f));
-  const csvFile = files.find(f => /CardDatafileformat_.*\.csv$/i.test(f));
-  let rows = [];
-  if (excelFile) {
-    const wb = XLSX.readFile(path.join(outputDir, excelFile));
-    const wsName = wb.SheetNames[0];
-    const ws = wb.Sheets[wsName];
-    rows = XLSX.utils.sheet_to_json(ws, { defval: '' });
-  } else if (csvFile) {
-    const wb = XLSX.readFile(path.join(outputDir, csvFile));
-    const wsName = wb.SheetNames[0];
-    const ws = wb.Sheets[wsName];
-    rows = XLSX.utils.sheet_to_json(ws, { defval: '' });
-  }
-  // Map rows to profiles
-  const profiles = rows.map(mapRowToProfile);
-  return profiles;
+function buildDeactivateCardEnvelope(profile, { resignDate, ...options } = {}) {
+  const effective = resignDate || profile.ResignDate || new Date().toISOString().slice(0, 10);
+  return buildUpdateCardEnvelope({
+    ...profile,
+    ActiveStatus: 'false',
+    NonExpired: 'false',
+    ExpiredDate: effective,
+    ResignDate: effective,
+    Download: 'true',
+    Photo: null,
+  }, options);
+}
+
+/**
+ * Build SOAP envelope for DeleteCard (removes the card from Vault by CardNo)
+ */
+function buildDeleteCardEnvelope(cardNo, { namespace = SOAP_NAMESPACE, soapVersion = SOAP_VERSION } = {}) {
+  const soapEnvNs = soapVersion === '1.2' ? 'http://www.w3.org/2003/05/soap-envelope' : 'http://schemas.xmlsoap.org/soap/envelope/';
+  return `<?xml version="1.0" encoding="utf-8"?>
+<soap:Envelope xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:soap="${soapEnvNs}">
+  <soap:Body>
+    <DeleteCard xmlns="${namespace}">
+      <CardNo>${escapeXml(cardNo)}</CardNo>
+    </DeleteCard>
+  </soap:Body>
+</soap:Envelope>`;
+}
+
+/**
+ * Post DeleteCard SOAP request and return parsed result (see VaultSoapResult in vaultSoap.js).
+ * Throws VaultSoapFault when the service answers with a soap:Fault.
+ */
+async function postDeleteCard(endpointBaseUrl, envelope, { soapVersion = SOAP_VERSION, soapAction = DELETE_SOAP_ACTION, policy, onEvent } = {}) {
+  const headers = soapVersion === '1.2'
+    ? { 'Content-Type': `application/soap+xml; charset=utf-8${soapAction ? `; action="${soapAction}"` : ''}` }
+    : { 'Content-Type': 'text/xml; charset=utf-8', 'SOAPAction': soapAction };
+  const result = await sendVaultRequest(endpointBaseUrl, {
+    headers: { ...headers, Connection: 'keep-alive' },
+    body: envelope,
+    operation: 'DeleteCard',
+  }, { policy, onEvent });
+  if (result.fault) throw result.fault;
+  return result;
+}
+
+function isVaultDeleteEnabled() {
+  return /^(1|true|yes)$/i.test(String(process.env.VAULT_DELETE_ENABLED || '').trim());
 }
 
 // Read rows directly from a specific CSV file path
@@ -381,10 +485,17 @@ function readRowsFromCsvPath(csvPath) {
 }
 
 // Map UpdateCard fields from a generic row source (CSV/Excel)
-function mapRowToUpdateProfile(row) {
+function mapRowToUpdateProfile(row, notes, mapping = builtinMappingProfile('update')) {
   // Max lengths aligned with Vault DB constraints to avoid truncation errors
-  const MAX = { Name: 40, Department: 30, Company: 30, Title: 25, Position: 25, Address1: 50, Email: 50, MobileNo: 20, VehicleNo: 15, StaffNo: 15 };
-  const clip = (v, m) => { if (v === undefined || v === null) return ''; const sVal = String(v).trim(); return m && sVal.length > m ? sVal.slice(0, m) : sVal; };
+  const MAX = { Name: 40, Department: 30, Company: 30, Title: 25, Position: 25, Address1: 50, Address2: 50, Email: 50, MobileNo: 20, VehicleNo: 15, StaffNo: 15 };
+  const clip = (v, field) => {
+    if (v === undefined || v === null) return '';
+    const sVal = String(v).trim();
+    const m = MAX[field];
+    if (!m || sVal.length <= m) return sVal;
+    addNote(notes, field, 'TRUNCATED', `${field} clipped from ${sVal.length} to ${m} characters`);
+    return sVal.slice(0, m);
+  };
   const normalizeExcelDate = (val) => {
     if (val === null || typeof val === 'undefined') return '';
     const sVal = String(val).trim();
@@ -405,69 +516,39 @@ function mapRowToUpdateProfile(row) {
     return sVal;
   };
 
-  const cardNo = s(row['CARD NO'] || row['Card No'] || row['CardNo'] || row['Card Number']).substring(0,10);
-  const name = clip(s(row['NAME'] || row['Name'] || row['Card Name'] || row['Employee Name']), MAX.Name);
-  const company = clip(s(row['COMPANY'] || row['Company']), MAX.Company);
-  const staffNo = clip(s(row['STAFF ID'] || row['Staff No'] || row['Employee ID'] || row['ID']), MAX.StaffNo);
-  const department = clip(s(row['DEPARTMENT'] || row['Department']), MAX.Department);
-  const title = clip(s(row['TITLE'] || row['Title']), MAX.Title);
-  const position = clip(s(row['POSITION'] || row['Position']), MAX.Position);
-  const gentle = s(row['GENDER'] || row['Gender'] || row['Gentle']);
-  const ktpPassport = s(row['KTP/PASPORT NO'] || row['KTP/PASSPORT NO'] || row['NRIC/Passport']);
-  const dob = normalizeExcelDate(s(row['DATE OF BIRTH'] || row['DOB']));
-  const address = clip(s(row['ADDRESS'] || row['Address']), MAX.Address1);
-  const mobile = clip(s(row['PHONE NO'] || row['Mobile No'] || row['Phone']), MAX.MobileNo);
-  const joining = normalizeExcelDate(s(row['DATE OF HIRE'] || row['Joining Date']));
-  const resign = normalizeExcelDate(s(row['WORK PERIOD END'] || row['Resign Date']));
-  const race = s(row['RACE'] || row['Race']);
-  const cardStatus = s(row['CARD STATUS'] || row['Status'] || row['STATUS']).toLowerCase();
-  const activeStatus = cardStatus ? (cardStatus.includes('active') ? 'true' : (cardStatus.includes('inactive') ? 'false' : 'true')) : 'true';
-
-  // VehicleNo: use explicit column if provided, otherwise derive from MessHall per previous implementation
-  const vehicleNoExplicit = s(row['VEHICLE NO'] || row['Vehicle No'] || row['VehicleNo']);
-  let vehicleNo = vehicleNoExplicit;
-  let accessLevel = '';
-  const messRaw = s(row['MESSHALL'] || row['MessHall'] || row['Mess Hall']);
-  if (!vehicleNo) {
-    const mess = messRaw.toLowerCase();
-    if (mess.includes('makarti')) vehicleNo = 'Makarti MessHall';
-    else if (mess.includes('labota')) vehicleNo = 'Labota Messhall';
-    else vehicleNo = 'Local Hire / No Access!!';
-
-    // Derive AccessLevel based on MessHall mapping: 00=No Access/Local Hire, 01=Labota, 10=Makarti, 11=Both
-    const messDigits = messRaw.replace(/[^01]/g, '');
-    if (messDigits === '00' || messRaw.toLowerCase().includes('no access') || messRaw.toLowerCase().includes('local hire')) accessLevel = '00';
-    else if (messDigits === '01' || messRaw.toLowerCase().includes('labota')) accessLevel = '01';
-    else if (messDigits === '10' || messRaw.toLowerCase().includes('makarti')) accessLevel = '10';
-    else if (messDigits === '11' || (messRaw.toLowerCase().includes('makarti') && messRaw.toLowerCase().includes('labota'))) accessLevel = '11';
-  } else {
-    // If VehicleNo explicitly provided, optionally set AccessLevel if MESSHALL digits present
-    const messDigits = messRaw.replace(/[^01]/g, '');
-    if (messDigits === '00') accessLevel = '00';
-    else if (messDigits === '01') accessLevel = '01';
-    else if (messDigits === '10') accessLevel = '10';
-    else if (messDigits === '11') accessLevel = '11';
-  }
-
-  // If AccessLevel still blank, attempt to use explicit provided column
-  const accessLevelExplicit = s(row['ACCESS LEVEL'] || row['Access Level'] || row['AccessLevel']);
-  if (!accessLevel && accessLevelExplicit) accessLevel = accessLevelExplicit;
-
-  // Final fallback: API requires non-blank AccessLevel. Default to configured DEFAULT_ACCESS_LEVEL.
-  if (!accessLevel) accessLevel = DEFAULT_ACCESS_LEVEL;
-
-  const faceAccessLevelExplicit = s(row['FACE ACCESS LEVEL'] || row['Face Access Level'] || row['FaceAccessLevel']);
-  const liftAccessLevelExplicit = s(row['LIFT ACCESS LEVEL'] || row['Lift Access Level'] || row['LiftAccessLevel']);
-
-  // Standardize VehicleNo and clip safely to 15 chars, then uppercase
-  if (vehicleNo) {
-    const v = String(vehicleNo).toLowerCase();
-    if (v.includes('makarti')) vehicleNo = 'Makarti';
-    else if (v.includes('labota')) vehicleNo = 'Labota';
-    else if (v.includes('local') || v.includes('no access')) vehicleNo = 'NoAccess';
-    vehicleNo = clip(vehicleNo, MAX.VehicleNo);
-    vehicleNo = vehicleNo.toUpperCase();
-  }
+  const f = resolveMappedFields(row, mapping);
+  const cardNoRaw = f.CardNo;
+  const cardNo = cardNoRaw.substring(0,10);
+  if (cardNoRaw.length > 10) addNote(notes, 'CardNo', 'TRUNCATED', `CardNo '${cardNoRaw}' clipped to 10 characters`);
+  const name = clip(f.Name, 'Name');
+  const company = clip(f.Company, 'Company');
+  const staffNo = clip(f.StaffNo, 'StaffNo');
+  const department = clip(f.Department, 'Department');
+  const title = clip(f.Title, 'Title');
+  const position = clip(f.Position, 'Position');
+  const gentle = f.Gentle;
+  const ktpPassport = f.NRIC;
+  const dob = normalizeExcelDate(f.DOB);
+  const address = clip(f.Address1, 'Address1');
+  const address2 = clip(f.Address2, 'Address2');
+  const email = clip(f.Email, 'Email');
+  const mobile = clip(f.MobileNo, 'MobileNo');
+  // Sheets without NON EXPIRED / EXPIRED DATE keep the old defaults (non-expiring, no expiry date)
+  const nonExpired = parseVaultBoolean(f.NonExpired) === false ? 'false' : 'true';
+  const expiredDate = normalizeExcelDate(f.ExpiredDate);
+  const joining = normalizeExcelDate(f.JoiningDate);
+  const resign = normalizeExcelDate(f.ResignDate);
+  const race = f.Race;
+  const cardStatus = f.ActiveStatus.toLowerCase();
+  // 'inactive' contains 'active', so it has to be checked first
+  const activeStatus = cardStatus.includes('inactive') ? 'false' : 'true';
+
+  // AccessLevel, VehicleNo and Face/Lift levels: explicit columns win, then the MessHall rule, then the defaults
+  const access = resolveRowAccess(f, notes);
+  const accessLevel = access.accessLevel;
+  // UpdateCard overwrites VehicleNo, so a row nothing resolved gets the no-access label rather than a blank
+  const vehicleNo = access.vehicleNo || UNMATCHED_VEHICLE_NO;
+  if (!access.vehicleNo) addNote(notes, 'VehicleNo', 'DEFAULTED', `VehicleNo defaulted to ${UNMATCHED_VEHICLE_NO}`);
 
   const profile = {
     CardNo: cardNo,
@@ -478,21 +559,22 @@ function mapRowToUpdateProfile(row) {
     Title: title,
     Position: position,
     Gentle: gentle,
-    NRIC: ktpPassport, // Prefer NRIC for local ID; Passport can be filled if format indicates passport
-    Passport: '',
+    NRIC: ktpPassport,
+    Passport: f.Passport,
     Race: race,
     DOB: dob,
     JoiningDate: joining,
     ResignDate: resign,
     Address1: address,
-    Email: '',
+    Address2: address2,
+    Email: email,
     MobileNo: mobile,
     ActiveStatus: activeStatus,
-    NonExpired: 'true',
-    ExpiredDate: '',
+    NonExpired: nonExpired,
+    ExpiredDate: expiredDate,
     AccessLevel: accessLevel,
-    FaceAccessLevel: faceAccessLevelExplicit || DEFAULT_FACE_ACCESS_LEVEL,
-    LiftAccessLevel: liftAccessLevelExplicit || DEFAULT_LIFT_ACCESS_LEVEL,
+    FaceAccessLevel: access.faceAccessLevel || DEFAULT_FACE_ACCESS_LEVEL,
+    LiftAccessLevel: access.liftAccessLevel || DEFAULT_LIFT_ACCESS_LEVEL,
     VehicleNo: vehicleNo,
     Download: 'true',
     Photo: null,
@@ -500,6 +582,57 @@ function mapRowToUpdateProfile(row) {
   return profile;
 }
 
+// Columns of UpdateCardTemplate.xlsx; the built-in 'update' mapping profile reads them back
+const UPDATE_TEMPLATE_HEADERS = [
+  // Identity & employment
+  'CARD NO', 'NAME', 'COMPANY', 'STAFF ID', 'STATUS', 'DIVISION', 'DEPARTMENT', 'SECTION', 'TITLE', 'POSITION', 'GENDER',
+  'KTP/PASPORT NO', 'PASSPORT NO', 'PLACE OF BIRTH', 'DATE OF BIRTH', 'ADDRESS', 'ADDRESS 2', 'EMAIL', 'PHONE NO', 'DATE OF HIRE',
+  'POINT OF HIRE', 'RACE', 'DATE OF MCU', 'WORK PERIOD START', 'WORK PERIOD END', 'MCU RESULTS', 'CARD STATUS',
+  'NON EXPIRED', 'EXPIRED DATE',
+  // Access controls
+  'ACCESS LEVEL', 'FACE ACCESS LEVEL', 'LIFT ACCESS LEVEL', 'MESSHALL', 'VEHICLE NO'
+];
+
+/**
+ * Template row (keyed by UPDATE_TEMPLATE_HEADERS) holding the profile fields mapRowToUpdateProfile reads.
+ * `row` is the raw CardDB row for the informational columns the mapper does not read (STATUS, DIVISION, SECTION).
+ * Every value is a string, keeping card numbers with leading zeros and dates as YYYY-MM-DD text.
+ */
+function profileToUpdateTemplateRow(profile, row = {}) {
+  const s = (v) => (v === undefined || v === null ? '' : String(v).trim());
+  const values = {
+    'CARD NO': profile.CardNo,
+    'NAME': profile.Name,
+    'COMPANY': profile.Company,
+    'STAFF ID': profile.StaffNo,
+    'STATUS': row.Status,
+    'DIVISION': row.Division,
+    'DEPARTMENT': profile.Department,
+    'SECTION': row.Section,
+    'TITLE': profile.Title,
+    'POSITION': profile.Position,
+    'GENDER': profile.Gentle,
+    'KTP/PASPORT NO': profile.NRIC,
+    'PASSPORT NO': profile.Passport,
+    'DATE OF BIRTH': profile.DOB,
+    'ADDRESS': profile.Address1,
+    'ADDRESS 2': profile.Address2,
+    'EMAIL': profile.Email,
+    'PHONE NO': profile.MobileNo,
+    'DATE OF HIRE': profile.JoiningDate,
+    'RACE': profile.Race,
+    'WORK PERIOD END': profile.ResignDate,
+    'CARD STATUS': profile.ActiveStatus === 'false' ? 'Inactive' : 'Active',
+    'NON EXPIRED': profile.NonExpired === 'false' ? 'false' : 'true',
+    'EXPIRED DATE': profile.ExpiredDate,
+    'ACCESS LEVEL': profile.AccessLevel,
+    'FACE ACCESS LEVEL': profile.FaceAccessLevel,
+    'LIFT ACCESS LEVEL': profile.LiftAccessLevel,
+    'VEHICLE NO': profile.VehicleNo,
+  };
+  return Object.fromEntries(UPDATE_TEMPLATE_HEADERS.map(h => [h, s(values[h])]));
+}
+
 // Read raw rows (objects) from output directory without mapping
 function readRowsFromOutputDir(outputDir) {
   const files = fse.readdirSync(outputDir);
@@ -521,83 +654,189 @@ function readRowsFromOutputDir(outputDir) {
 }
 
 /**
- * Try to attach base64 photo to the profile if a matching image file is found.
- * We attempt filename patterns based on CardNo.
+ * Load the card's photo (found through the photo index, see vaultPhotoIndex) normalized for Vault (see vaultPhotos).
+ * Returns { buffer, info } or null when there is no photo file. `info` also says how the file was matched and
+ * which other files matched equally well (`ambiguous`). A file sharp cannot decode is returned unchanged,
+ * with the failure in `info.error`.
  */
-function tryAttachPhoto(outputDir, profile) {
-  const baseCandidates = [];
-  if (profile.CardNo) {
-    baseCandidates.push(`${profile.CardNo}.jpg`, `${profile.CardNo}.jpeg`, `${profile.CardNo}.png`);
-  }
-  // Fallback: try StaffNo-based filenames if CardNo images not found
-  if (profile.StaffNo) {
-    baseCandidates.push(`${profile.StaffNo}.jpg`, `${profile.StaffNo}.jpeg`, `${profile.StaffNo}.png`);
-  }
-  const candidates = baseCandidates;
-  for (const fname of candidates) {
-    const full = path.join(outputDir, fname);
-    if (fs.existsSync(full)) {
-      const buf = fs.readFileSync(full);
-      profile.Photo = buf.toString('base64');
-      return true;
-    }
+async function loadVaultPhoto(outputDir, cardNo, staffNo) {
+  const match = findCardPhoto(outputDir, cardNo, staffNo);
+  if (!match) return null;
+  const matchInfo = {
+    file: match.file,
+    dir: match.dir !== path.resolve(outputDir) ? match.dir : undefined,
+    matchedBy: match.matchedBy,
+    matchKind: match.matchKind,
+    ambiguous: match.ambiguous.length > 0 ? match.ambiguous : undefined,
+  };
+  const original = await fsp.readFile(match.path);
+  try {
+    const { buffer, info } = await normalizeVaultPhoto(original);
+    return { buffer, info: { ...matchInfo, ...info } };
+  } catch (err) {
+    return { buffer: original, info: { ...matchInfo, originalBytes: original.length, bytes: original.length, reencoded: false, error: err.message } };
   }
-  // No photo
-  return false;
+}
+
+/**
+ * Try to attach the base64 photo to the profile if a matching image file is found.
+ * Returns the normalization info of the attached photo, or null when there is none.
+ */
+async function tryAttachPhoto(outputDir, profile) {
+  const photo = await loadVaultPhoto(outputDir, profile.CardNo, profile.StaffNo);
+  if (!photo) return null;
+  profile.Photo = photo.buffer.toString('base64');
+  return photo.info;
+}
+
+// Normalization info of the card's photo (what tryAttachPhoto would send) for previews, or null
+async function inspectVaultPhoto(outputDir, cardNo, staffNo) {
+  const photo = await loadVaultPhoto(outputDir, cardNo, staffNo);
+  return photo ? photo.info : null;
+}
+
+// Preview counts: photos that will be re-encoded, stay above the size limit, cannot be decoded, or were
+// picked among several matching files
+function countPhotos(details) {
+  const photos = details.map(d => d.photo).filter(Boolean);
+  return {
+    reencodedPhotos: photos.filter(p => p.reencoded).length,
+    oversizedPhotos: photos.filter(p => p.withinLimit === false).length,
+    unreadablePhotos: photos.filter(p => p.error).length,
+    ambiguousPhotos: photos.filter(p => p.ambiguous).length,
+  };
 }
 
 // Check whether a photo file exists for a given CardNo without loading it
 function photoExists(outputDir, cardNo, staffNo = '') {
-  const candidates = [];
-  if (cardNo) {
-    candidates.push(`${cardNo}.jpg`, `${cardNo}.jpeg`, `${cardNo}.png`);
-  }
-  if (staffNo) {
-    candidates.push(`${staffNo}.jpg`, `${staffNo}.jpeg`, `${staffNo}.png`);
+  return !!findCardPhoto(outputDir, cardNo, staffNo);
+}
+
+/**
+ * Run `worker(item)` for every item with at most `limit` calls in flight.
+ * `onSettled(item)` (optional) is called as each worker finishes. A worker that throws is handed to
+ * `onError(item, err)` and the pool keeps draining, so one bad row cannot abandon the calls in flight.
+ */
+async function runPool(list, limit, worker, onSettled, onError) {
+  const executing = new Set();
+  for (const item of list) {
+    const p = Promise.resolve()
+      .then(() => worker(item))
+      .catch((err) => {
+        if (onError) onError(item, err);
+        else console.error(`[VaultRegistrar] worker failed: ${err && err.message}`);
+      })
+      .then(() => {
+        executing.delete(p);
+        if (onSettled) onSettled(item);
+      });
+    executing.add(p);
+    if (executing.size >= limit) {
+      await Promise.race(executing);
+    }
   }
-  for (const fname of candidates) {
-    const full = path.join(outputDir, fname);
-    if (fs.existsSync(full)) {
-      return true;
+  await Promise.all(Array.from(executing));
+}
+
+// Row indices to process: the requested subset (in range, de-duplicated, in order given) or every row
+function selectIndices(indices, rowCount) {
+  if (!Array.isArray(indices) || indices.length === 0) return Array.from({ length: rowCount }, (_, i) => i);
+  return Array.from(new Set(indices.filter(i => Number.isInteger(i) && i >= 0 && i < rowCount)));
+}
+
+// Adapt an optional `onProgress({ processed, total, succeeded, failed })` callback into a runPool onSettled hook.
+// `counts()` reads the batch's running totals; the callback is also called once up front with processed=0.
+function progressHook(onProgress, total, counts) {
+  if (typeof onProgress !== 'function') return undefined;
+  let processed = 0;
+  const report = () => {
+    try {
+      onProgress({ processed, total, ...counts() });
+    } catch (err) {
+      console.error(`[VaultRegistrar] progress callback failed: ${err.message}`);
     }
+  };
+  report();
+  return () => {
+    processed += 1;
+    report();
+  };
+}
+
+// Report a row state change to an optional `onRow` callback (feeds the SSE progress stream).
+// Event: { index, cardNo, name, action?, state: 'mapped' | 'executing' | 'success' | 'failed' | 'skipped', code?, message?, durationMs? }
+function emitRow(onRow, event) {
+  if (typeof onRow !== 'function') return;
+  try {
+    onRow({ ...event, at: ts() });
+  } catch (err) {
+    console.error(`[VaultRegistrar] row callback failed: ${err.message}`);
   }
-  return false;
+}
+
+// Row event for a SOAP result; non-2xx responses carry HTTP_<status> as code
+function rowResultEvent(base, resp, startedAt) {
+  const httpOk = resp.httpStatus >= 200 && resp.httpStatus < 300;
+  return {
+    ...base,
+    state: resp.ok ? 'success' : 'failed',
+    code: httpOk ? resp.errCode : `HTTP_${resp.httpStatus}`,
+    message: resp.errMessage,
+    durationMs: Date.now() - startedAt,
+  };
 }
 
 /**
- * Register all cards for a given job output directory
+ * Pre-flight check of a mapped row right before its SOAP call.
+ * Returns { validation, blocked, message }: blocked rows have validation errors and no override
+ * (`allowInvalid` true or listing the row index) and must not be sent.
  */
-async function registerJobToVault({ jobId, outputDir, endpointBaseUrl, overrides = [] }) {
-  const result = {
-    jobId,
-    endpointBaseUrl,
-    attempted: 0,
-    registered: 0,
-    withPhoto: 0,
-    withoutPhoto: 0,
-    errors: [],
-    details: [],
+function preflightRow(profile, notes, allowInvalid, index) {
+  const validation = validateVaultProfile(profile, { notes });
+  return {
+    validation,
+    blocked: !validation.valid && !isValidationOverridden(allowInvalid, index),
+    message: validation.errors.map(e => e.message).join('; '),
   };
+}
 
-  if (!fse.pathExistsSync(outputDir)) {
-    result.errors.push({ code: 'OUTPUT_NOT_FOUND', message: `Output directory not found: ${outputDir}` });
-    return result;
-  }
+/**
+ * Duplicate flags per row for executions that exclude flagged rows (`excludeDuplicates`), or null when they do not.
+ * Throws when CardDB cannot be checked, so flagged rows are never sent by accident.
+ */
+async function duplicateExclusions(excludeDuplicates, profiles) {
+  if (!excludeDuplicates) return null;
+  const { flags, error } = await analyzeDuplicates(profiles);
+  if (error) throw new Error(`Duplicate check against CardDB failed: ${error}`);
+  return flags;
+}
 
-  logInfo(outputDir, `Start registration job=${jobId} endpoint=${endpointBaseUrl} soapVersion=${SOAP_VERSION} soapAction=${SOAP_ACTION} namespace=${SOAP_NAMESPACE}`);
-  logInfo(outputDir, `Defaults: AccessLevel=${DEFAULT_ACCESS_LEVEL} FaceAccessLevel=${DEFAULT_FACE_ACCESS_LEVEL} LiftAccessLevel=${DEFAULT_LIFT_ACCESS_LEVEL}`);
-  appendJsonLog(outputDir, { event: 'start', jobId, endpointBaseUrl, overridesCount: Array.isArray(overrides) ? overrides.length : 0 });
+// Duplicate flags for the preview details; a failed CardDB check is reported in `errors`
+async function previewDuplicates(profiles, errors) {
+  const { flags, error } = await analyzeDuplicates(profiles);
+  if (error) errors.push({ code: 'DUPLICATE_CHECK_INCOMPLETE', message: `Only duplicates within the sheet were checked, CardDB is unavailable: ${error}` });
+  return flags;
+}
 
-  const rows = readRowsFromOutputDir(outputDir);
-  if (!rows.length) {
-    result.errors.push({ code: 'NO_ROWS', message: 'No rows found in Excel/CSV outputs.' });
-    logInfo(outputDir, 'No rows found in Excel/CSV outputs.');
-    appendJsonLog(outputDir, { event: 'no_rows' });
-    return result;
-  }
+// Stable in-place sort of result entries by row index (entries without index keep their position at the end)
+function sortByIndex(list) {
+  list.sort((a, b) => (typeof a.index === 'number' ? a.index : Infinity) - (typeof b.index === 'number' ? b.index : Infinity));
+  return list;
+}
 
-  // Build index-based override map for quick lookup
-  // Supports overrides: { index, cardNo?: string, downloadCard?: boolean }
+const newRegisterResult = (jobId, endpointBaseUrl) => ({
+  jobId,
+  endpointBaseUrl,
+  attempted: 0,
+  registered: 0,
+  withPhoto: 0,
+  withoutPhoto: 0,
+  errors: [],
+  details: [],
+});
+
+// Index-based overrides: { index, cardNo?: string, downloadCard?: boolean }
+function buildOverrideMap(overrides) {
   const overrideMap = new Map();
   if (Array.isArray(overrides)) {
     for (const o of overrides) {
@@ -608,15 +847,44 @@ async function registerJobToVault({ jobId, outputDir, endpointBaseUrl, overrides
       }
     }
   }
-  appendJsonLog(outputDir, { event: 'override_map_ready', count: overrideMap.size });
-  logInfo(outputDir, `Override map ready: ${overrideMap.size} item(s)`);
+  return overrideMap;
+}
 
-  for (let i = 0; i < rows.length; i++) {
-    const row = rows[i];
-    const profile = mapRowToProfile(row);
+/**
+ * Send AddCard for `rows` (read from a job output or a CSV file) into `result`.
+ * Each row is mapped once; the card number overrides apply before the duplicate check.
+ * `source.sfx` is appended to the JSONL event names ('' for jobs, '_csv' for CSV paths) and
+ * `source.tag` to the text log lines, so the logs stay readable by vaultResume.
+ */
+async function registerRowsToVault(rows, result, source, { outputDir, endpointBaseUrl, soap, overrides, indices, allowInvalid, mapping, excludeDuplicates, concurrency, onProgress, onRow }) {
+  const { sfx, tag, doneLabel } = source;
+  const overrideMap = buildOverrideMap(overrides);
+  appendJsonLog(outputDir, { event: `override_map_ready${sfx}`, count: overrideMap.size });
+  logInfo(outputDir, `Override map ready${tag}: ${overrideMap.size} item(s)`);
+
+  const mapped = rows.map((row) => {
+    const notes = [];
+    return { notes, profile: mapRowToProfile(row, notes, mapping) };
+  });
+
+  let duplicateFlags;
+  try {
+    duplicateFlags = await duplicateExclusions(excludeDuplicates, mapped.map(({ profile }, i) => {
+      const overrideItem = overrideMap.get(i);
+      return overrideItem?.cardNo !== undefined ? { ...profile, CardNo: overrideItem.cardNo || '' } : profile;
+    }));
+  } catch (err) {
+    result.errors.push({ code: 'DUPLICATE_CHECK_FAILED', message: err.message });
+    logInfo(outputDir, `Registration aborted: ${err.message}`);
+    appendJsonLog(outputDir, { event: `duplicate_check_failed${sfx}`, message: err.message });
+    return result;
+  }
+
+  async function processIndex(i) {
+    const { notes, profile } = mapped[i];
     result.attempted += 1;
 
-    appendJsonLog(outputDir, { event: 'row_mapped', index: i, cardNo: profile.CardNo, staffNo: profile.StaffNo, name: profile.Name });
+    appendJsonLog(outputDir, { event: `row_mapped${sfx}`, index: i, cardNo: profile.CardNo, staffNo: profile.StaffNo, name: profile.Name });
 
     // Apply override if provided
     const overrideItem = overrideMap.get(i);
@@ -627,83 +895,148 @@ async function registerJobToVault({ jobId, outputDir, endpointBaseUrl, overrides
       if (overrideItem.downloadCard !== undefined) {
         profile.DownloadCard = overrideItem.downloadCard ? 'true' : 'false';
       }
-      appendJsonLog(outputDir, { event: 'override_applied', index: i, cardNo: profile.CardNo, downloadCard: profile.DownloadCard });
-      logInfo(outputDir, `Row ${i}: override applied, CardNo=${profile.CardNo}, DownloadCard=${profile.DownloadCard}`);
+      appendJsonLog(outputDir, { event: `override_applied${sfx}`, index: i, cardNo: profile.CardNo, downloadCard: profile.DownloadCard });
+      logInfo(outputDir, `Row ${i}: override applied${tag}, CardNo=${profile.CardNo}, DownloadCard=${profile.DownloadCard}`);
     }
 
+    const rowBase = { index: i, cardNo: profile.CardNo, name: profile.Name };
+    emitRow(onRow, { ...rowBase, state: 'mapped' });
+
     // Validate required CardNo
     if (!profile.CardNo) {
+      emitRow(onRow, { ...rowBase, state: 'skipped', code: 'CARD_NO_MISSING', message: 'Card No is required' });
       result.errors.push({ code: 'CARD_NO_MISSING', message: 'Card No is required', index: i, name: profile.Name });
-      result.details.push({ cardNo: '', name: profile.Name, hasPhoto: false, respCode: 'CARD_NO_MISSING', respMessage: 'Card No is required' });
-      logInfo(outputDir, `Row ${i}: Card No missing for name='${profile.Name}'`);
-      appendJsonLog(outputDir, { event: 'card_no_missing', index: i, name: profile.Name });
-      continue; // skip SOAP call
+      result.details.push({ index: i, cardNo: '', name: profile.Name, hasPhoto: false, respCode: 'CARD_NO_MISSING', respMessage: 'Card No is required' });
+      logInfo(outputDir, `Row ${i}: Card No missing${tag} for name='${profile.Name}'`);
+      appendJsonLog(outputDir, { event: `card_no_missing${sfx}`, index: i, name: profile.Name });
+      return; // skip SOAP call
     }
 
-    const photoCandidates = [];
-    if (profile.CardNo) photoCandidates.push(`${profile.CardNo}.jpg`, `${profile.CardNo}.jpeg`, `${profile.CardNo}.png`);
-    if (profile.StaffNo) photoCandidates.push(`${profile.StaffNo}.jpg`, `${profile.StaffNo}.jpeg`, `${profile.StaffNo}.png`);
-    appendJsonLog(outputDir, { event: 'photo_candidates', index: i, candidates: photoCandidates });
-    const hasPhoto = tryAttachPhoto(outputDir, profile);
-    appendJsonLog(outputDir, { event: 'photo_attach_result', index: i, hasPhoto, photoSize: profile.Photo ? profile.Photo.length : 0 });
+    const duplicates = duplicateFlags?.[i] || [];
+    if (duplicates.length > 0) {
+      const message = describeDuplicates(duplicates);
+      emitRow(onRow, { ...rowBase, state: 'skipped', code: 'DUPLICATE_EXCLUDED', message });
+      result.errors.push({ code: 'DUPLICATE_EXCLUDED', message, cardNo: profile.CardNo, index: i, duplicates });
+      result.details.push({ index: i, cardNo: profile.CardNo, name: profile.Name, hasPhoto: false, respCode: 'DUPLICATE_EXCLUDED', respMessage: message, duplicates });
+      logInfo(outputDir, `Row ${i}: excluded as duplicate${tag} cardNo=${profile.CardNo}: ${message}`);
+      appendJsonLog(outputDir, { event: `duplicate_excluded${sfx}`, index: i, cardNo: profile.CardNo, duplicates });
+      return;
+    }
+
+    const preflight = preflightRow(profile, notes, allowInvalid, i);
+    if (preflight.blocked) {
+      emitRow(onRow, { ...rowBase, state: 'skipped', code: 'VALIDATION_FAILED', message: preflight.message });
+      result.errors.push({ code: 'VALIDATION_FAILED', message: preflight.message, cardNo: profile.CardNo, index: i, validation: preflight.validation.errors });
+      result.details.push({ index: i, cardNo: profile.CardNo, name: profile.Name, hasPhoto: false, respCode: 'VALIDATION_FAILED', respMessage: preflight.message, validation: preflight.validation });
+      logInfo(outputDir, `Row ${i}: validation failed${tag} for cardNo=${profile.CardNo}: ${preflight.message}`);
+      appendJsonLog(outputDir, { event: `validation_failed${sfx}`, index: i, cardNo: profile.CardNo, errors: preflight.validation.errors });
+      return;
+    }
+    if (!preflight.validation.valid) {
+      appendJsonLog(outputDir, { event: `validation_overridden${sfx}`, index: i, cardNo: profile.CardNo, errors: preflight.validation.errors });
+    }
+
+    const photo = await tryAttachPhoto(outputDir, profile);
+    const hasPhoto = !!photo;
+    appendJsonLog(outputDir, { event: `photo_attach_result${sfx}`, index: i, hasPhoto, photoSize: profile.Photo ? profile.Photo.length : 0, photo });
+    if (photo?.reencoded || photo?.error || photo?.ambiguous) logInfo(outputDir, `Row ${i}: photo ${describePhotoInfo(photo)}`);
     if (hasPhoto) result.withPhoto += 1; else result.withoutPhoto += 1;
-    const envelope = buildAddCardEnvelope(profile, { namespace: SOAP_NAMESPACE, soapVersion: SOAP_VERSION });
-    logInfo(outputDir, `Row ${i}: POST AddCard cardNo=${profile.CardNo} name='${profile.Name}'`);
-    appendJsonLog(outputDir, { event: 'soap_request', index: i, cardNo: profile.CardNo, name: profile.Name, envelope: redactEnvelope(envelope) });
+    const envelope = buildAddCardEnvelope(profile, soap.envelope);
+    logInfo(outputDir, `Row ${i}: POST AddCard${tag} cardNo=${profile.CardNo} name='${profile.Name}'`);
+    appendJsonLog(outputDir, { event: `soap_request${sfx}`, index: i, cardNo: profile.CardNo, name: profile.Name, envelope: redactEnvelope(envelope) });
+    const startedAt = Date.now();
+    emitRow(onRow, { ...rowBase, state: 'executing' });
     try {
-      const resp = await postAddCard(endpointBaseUrl, envelope, { soapVersion: SOAP_VERSION, soapAction: SOAP_ACTION });
-      appendJsonLog(outputDir, { event: 'soap_response', index: i, status: resp.status, httpStatus: resp.httpStatus, errCode: resp.errCode, errMessage: resp.errMessage, cardId: resp.cardId, raw: resp.raw });
-      logInfo(outputDir, `Row ${i}: Resp HTTP=${resp.httpStatus} ErrCode=${resp.errCode ?? '-'} ErrMessage=${resp.errMessage ?? '-'} CardID=${resp.cardId ?? '-'}`);
+      const onEvent = callPolicyLogger({ appendJson: appendJsonLog, logText: logInfo, dir: outputDir, fields: { index: i, cardNo: profile.CardNo }, suffix: sfx, label: `Row ${i}${tag}` });
+      const resp = await postAddCard(endpointBaseUrl, envelope, { ...soap.add, onEvent });
+      emitRow(onRow, rowResultEvent(rowBase, resp, startedAt));
+      appendJsonLog(outputDir, { event: `soap_response${sfx}`, index: i, status: resp.status, httpStatus: resp.httpStatus, attempts: resp.attempts, errCode: resp.errCode, errMessage: resp.errMessage, cardId: resp.cardId, raw: resp.raw });
+      logInfo(outputDir, `Row ${i}: Resp${tag} HTTP=${resp.httpStatus} ErrCode=${resp.errCode ?? '-'} ErrMessage=${resp.errMessage ?? '-'} CardID=${resp.cardId ?? '-'}`);
       // Optional: show compact raw response in terminal for quick inspection
       const rawSnippet = consoleSnippet(resp.raw);
       if (rawSnippet) {
-        logInfo(outputDir, `Row ${i}: SOAP raw: ${rawSnippet}`);
+        logInfo(outputDir, `Row ${i}: SOAP raw${tag}: ${rawSnippet}`);
       }
-      // Business success criteria: HTTP 2xx and ErrCode 0 or 1
-      const errCodeNum = resp.errCode !== undefined ? Number(resp.errCode) : NaN;
-      const bizSuccess = (resp.httpStatus >= 200 && resp.httpStatus < 300) && (errCodeNum === 0 || errCodeNum === 1);
-      if (bizSuccess) {
+      // Business success criteria (HTTP 2xx and ErrCode 0 or 1) are evaluated by parseVaultResponse
+      if (resp.ok) {
         result.registered += 1;
       } else {
         // Distinguish HTTP transport errors from business errors
         if (!(resp.httpStatus >= 200 && resp.httpStatus < 300)) {
-          result.errors.push({ code: 'HTTP_ERROR', message: `HTTP ${resp.httpStatus}`, cardNo: profile.CardNo });
-          logInfo(outputDir, `Row ${i}: HTTP error for cardNo=${profile.CardNo} status=${resp.httpStatus}`);
+          result.errors.push({ code: 'HTTP_ERROR', message: `HTTP ${resp.httpStatus}`, cardNo: profile.CardNo, index: i });
+          logInfo(outputDir, `Row ${i}: HTTP error${tag} for cardNo=${profile.CardNo} status=${resp.httpStatus}`);
         } else {
-          result.errors.push({ code: 'VAULT_ERROR', message: resp.errMessage || 'Unknown error', errCode: resp.errCode, cardNo: profile.CardNo });
-          logInfo(outputDir, `Row ${i}: VAULT_ERROR for cardNo=${profile.CardNo} errCode=${resp.errCode} message='${resp.errMessage || ''}'`);
+          result.errors.push({ code: 'VAULT_ERROR', message: resp.errMessage || 'Unknown error', errCode: resp.errCode, cardNo: profile.CardNo, index: i });
+          logInfo(outputDir, `Row ${i}: VAULT_ERROR${tag} for cardNo=${profile.CardNo} errCode=${resp.errCode} message='${resp.errMessage || ''}'`);
         }
       }
-      result.details.push({ cardNo: profile.CardNo, name: profile.Name, hasPhoto, respCode: resp.errCode, respMessage: resp.errMessage });
+      result.details.push({ index: i, cardNo: profile.CardNo, name: profile.Name, hasPhoto, respCode: resp.errCode, respMessage: resp.errMessage });
     } catch (err) {
-      result.errors.push({ code: 'REQUEST_FAILED', message: err.message, cardNo: profile.CardNo });
-      logInfo(outputDir, `Row ${i}: REQUEST_FAILED for cardNo=${profile.CardNo} message=${err.message}`);
-      appendJsonLog(outputDir, { event: 'error', index: i, cardNo: profile.CardNo, message: err.message, stack: err.stack });
+      if (err instanceof VaultSoapFault) {
+        emitRow(onRow, { ...rowBase, state: 'failed', code: 'SOAP_FAULT', message: err.reason, durationMs: Date.now() - startedAt });
+        result.errors.push(soapFaultError(err, { cardNo: profile.CardNo, index: i }));
+        result.details.push({ index: i, cardNo: profile.CardNo, name: profile.Name, hasPhoto, respCode: 'SOAP_FAULT', respMessage: err.reason });
+        logInfo(outputDir, `Row ${i}: SOAP_FAULT${tag} for cardNo=${profile.CardNo} code=${err.code || '-'} reason='${err.reason}'`);
+        appendJsonLog(outputDir, { event: `soap_fault${sfx}`, index: i, cardNo: profile.CardNo, fault: err.toJSON(), raw: err.raw });
+        return;
+      }
+      emitRow(onRow, { ...rowBase, state: 'failed', code: 'REQUEST_FAILED', message: err.message, durationMs: Date.now() - startedAt });
+      result.errors.push({ code: 'REQUEST_FAILED', message: err.message, cardNo: profile.CardNo, index: i, attempts: err.attempts });
+      logInfo(outputDir, `Row ${i}: REQUEST_FAILED${tag} for cardNo=${profile.CardNo} message=${err.message}`);
+      appendJsonLog(outputDir, { event: `error${sfx}`, index: i, cardNo: profile.CardNo, message: err.message, stack: err.stack });
     }
   }
 
-  logInfo(outputDir, `Job ${jobId} complete: Attempted=${result.attempted}, Registered=${result.registered}, WithPhoto=${result.withPhoto}, WithoutPhoto=${result.withoutPhoto}, Errors=${result.errors.length}`);
-  appendJsonLog(outputDir, { event: 'complete', summary: { attempted: result.attempted, registered: result.registered, withPhoto: result.withPhoto, withoutPhoto: result.withoutPhoto, errors: result.errors.length } });
+  const indexList = selectIndices(indices, rows.length);
+  const onSettled = progressHook(onProgress, indexList.length, () => ({ succeeded: result.registered, failed: result.errors.length }));
+  await runPool(indexList, Math.max(1, Number(concurrency) || 1), processIndex, onSettled, (i, err) => {
+    result.errors.push({ code: 'WORKER_FAILED', message: err.message, index: i });
+  });
+  // Workers finish out of order; keep results in sheet order
+  sortByIndex(result.details);
+  sortByIndex(result.errors);
+
+  logInfo(outputDir, `${doneLabel} complete: Attempted=${result.attempted}, Registered=${result.registered}, WithPhoto=${result.withPhoto}, WithoutPhoto=${result.withoutPhoto}, Errors=${result.errors.length}`);
+  appendJsonLog(outputDir, { event: `complete${sfx}`, summary: { attempted: result.attempted, registered: result.registered, withPhoto: result.withPhoto, withoutPhoto: result.withoutPhoto, errors: result.errors.length } });
   return result;
 }
 
+/**
+ * Register all cards for a given job output directory.
+ * Rows are sent through a bounded pool (`concurrency` AddCard calls in flight).
+ */
+async function registerJobToVault(options) {
+  const { jobId, outputDir, endpointBaseUrl, environment, overrides = [], indices, mapping, concurrency = DEFAULT_REGISTER_CONCURRENCY } = options;
+  const result = newRegisterResult(jobId, endpointBaseUrl);
+
+  if (!fse.pathExistsSync(outputDir)) {
+    result.errors.push({ code: 'OUTPUT_NOT_FOUND', message: `Output directory not found: ${outputDir}` });
+    return result;
+  }
+
+  const soap = soapOptions(environment);
+  logInfo(outputDir, `Start registration job=${jobId} endpoint=${endpointBaseUrl} environment=${environment?.name || '-'} soapVersion=${soap.soapVersion} soapAction=${soap.add.soapAction} namespace=${soap.namespace} concurrency=${concurrency}`);
+  logInfo(outputDir, `Defaults: AccessLevel=${DEFAULT_ACCESS_LEVEL} FaceAccessLevel=${DEFAULT_FACE_ACCESS_LEVEL} LiftAccessLevel=${DEFAULT_LIFT_ACCESS_LEVEL}`);
+  appendJsonLog(outputDir, { event: 'start', jobId, endpointBaseUrl, environmentId: environment?.id, concurrency, mappingProfileId: mapping?.id, indices: Array.isArray(indices) ? indices.length : undefined, overridesCount: Array.isArray(overrides) ? overrides.length : 0 });
+
+  const rows = readRowsFromOutputDir(outputDir);
+  if (!rows.length) {
+    result.errors.push({ code: 'NO_ROWS', message: 'No rows found in Excel/CSV outputs.' });
+    logInfo(outputDir, 'No rows found in Excel/CSV outputs.');
+    appendJsonLog(outputDir, { event: 'no_rows' });
+    return result;
+  }
+  return registerRowsToVault(rows, result, { sfx: '', tag: '', doneLabel: `Job ${jobId}` }, { ...options, overrides, concurrency, soap });
+}
+
 /**
  * Register cards using a direct CSV file path (without requiring a Job).
  * Photos (if any) will be looked up in the same directory as the CSV.
  */
-async function registerCsvPathToVault({ csvPath, endpointBaseUrl, overrides = [] }) {
+async function registerCsvPathToVault(options) {
+  const { csvPath, endpointBaseUrl, environment, overrides = [], indices, mapping, concurrency = DEFAULT_REGISTER_CONCURRENCY } = options;
   const outputDir = path.dirname(csvPath);
-  const jobId = path.basename(outputDir);
-  const result = {
-    jobId,
-    endpointBaseUrl,
-    attempted: 0,
-    registered: 0,
-    withPhoto: 0,
-    withoutPhoto: 0,
-    errors: [],
-    details: [],
-  };
+  const result = newRegisterResult(path.basename(outputDir), endpointBaseUrl);
 
   if (!fse.pathExistsSync(outputDir)) {
     result.errors.push({ code: 'OUTPUT_NOT_FOUND', message: `Output directory not found: ${outputDir}` });
@@ -714,9 +1047,10 @@ async function registerCsvPathToVault({ csvPath, endpointBaseUrl, overrides = []
     return result;
   }
 
-  logInfo(outputDir, `Start registration (CSV) dir=${outputDir} endpoint=${endpointBaseUrl} soapVersion=${SOAP_VERSION}`);
+  const soap = soapOptions(environment);
+  logInfo(outputDir, `Start registration (CSV) dir=${outputDir} endpoint=${endpointBaseUrl} environment=${environment?.name || '-'} soapVersion=${soap.soapVersion} concurrency=${concurrency}`);
   logInfo(outputDir, `Defaults: AccessLevel=${DEFAULT_ACCESS_LEVEL} FaceAccessLevel=${DEFAULT_FACE_ACCESS_LEVEL} LiftAccessLevel=${DEFAULT_LIFT_ACCESS_LEVEL}`);
-  appendJsonLog(outputDir, { event: 'start_csv', csvPath, endpointBaseUrl, overridesCount: Array.isArray(overrides) ? overrides.length : 0 });
+  appendJsonLog(outputDir, { event: 'start_csv', csvPath, endpointBaseUrl, environmentId: environment?.id, concurrency, mappingProfileId: mapping?.id, indices: Array.isArray(indices) ? indices.length : undefined, overridesCount: Array.isArray(overrides) ? overrides.length : 0 });
 
   const rows = readRowsFromCsvPath(csvPath);
   if (!rows.length) {
@@ -725,89 +1059,597 @@ async function registerCsvPathToVault({ csvPath, endpointBaseUrl, overrides = []
     appendJsonLog(outputDir, { event: 'no_rows_csv' });
     return result;
   }
+  return registerRowsToVault(rows, result, { sfx: '_csv', tag: ' (CSV)', doneLabel: 'CSV registration' }, { ...options, outputDir, overrides, concurrency, soap });
+}
+
+/**
+ * Preview profiles of `rows` without executing SOAP calls: counts and per-card details
+ * (cardNo, name, department, hasPhoto, photo, validation, duplicates). Photos are looked up in `outputDir`.
+ */
+async function previewRowsToVault(rows, result, { outputDir, mapping }) {
+  const mapped = rows.map((row) => {
+    const notes = [];
+    return { row, notes, profile: mapRowToProfile(row, notes, mapping) };
+  });
+  const duplicates = await previewDuplicates(mapped.map(m => m.profile), result.errors);
+  for (const [i, { row, notes, profile }] of mapped.entries()) {
+    const validation = validateVaultProfile(profile, { notes });
+    result.attempted += 1;
+    const photo = await tryAttachPhoto(outputDir, profile);
+    const hasPhoto = !!photo;
+    if (hasPhoto) result.withPhoto += 1; else result.withoutPhoto += 1;
+    result.details.push({
+      cardNo: profile.CardNo,
+      name: profile.Name,
+      department: profile.Department,
+      staffNo: profile.StaffNo || profile.CardNo,
+      hasPhoto,
+      photo,
+      sourceRow: row,
+      profile,
+      validation,
+      duplicates: duplicates[i],
+      accessRule: describeRowAccess(row, mapping || builtinMappingProfile('register')),
+    });
+  }
+
+  Object.assign(result, countValidation(result.details), countPhotos(result.details), countDuplicates(result.details));
+  return result;
+}
+
+// ---------------------------------------------------------------------------
+// Upsert mode: look each CardNo up in CardDB and send AddCard for unknown cards,
+// UpdateCard for cards that already exist. Logged to vault-registration-log.jsonl
+// with *_upsert events.
+// ---------------------------------------------------------------------------
+
+// A selected mapping profile decides the mapper by its kind. Without one, UpdateCardTemplate-style sheets
+// ('CARD NO', 'STAFF ID' headers) use the update mapping and processor CSV/Excel outputs the registration mapping.
+function upsertMappingFor(row, mapping) {
+  if (mapping) return mapping;
+  const isUpdateLayout = ['CARD NO', 'STAFF ID'].some(h => Object.prototype.hasOwnProperty.call(row, h));
+  return builtinMappingProfile(isUpdateLayout ? 'update' : 'register');
+}
+
+function mapRowForUpsert(row, notes, mapping) {
+  const effective = upsertMappingFor(row, mapping);
+  return effective.kind === 'update' ? mapRowToUpdateProfile(row, notes, effective) : mapRowToProfile(row, notes, effective);
+}
 
+// Map rows and apply index-based overrides ({ index, cardNo?, downloadCard? }).
+// `notes` (optional) receives the mapping notes of each row, aligned with the returned profiles.
+function buildUpsertProfiles(rows, overrides = [], notes, mapping) {
   const overrideMap = new Map();
   if (Array.isArray(overrides)) {
     for (const o of overrides) {
-      if (o && typeof o.index === 'number') {
-        const cardNoVal = typeof o.cardNo === 'string' ? o.cardNo.trim().substring(0, 10) : undefined;
-        const downloadCardVal = typeof o.downloadCard === 'boolean' ? o.downloadCard : undefined;
-        overrideMap.set(o.index, { cardNo: cardNoVal, downloadCard: downloadCardVal });
-      }
+      if (o && typeof o.index === 'number') overrideMap.set(o.index, o);
     }
   }
-  appendJsonLog(outputDir, { event: 'override_map_ready_csv', count: overrideMap.size });
-  logInfo(outputDir, `Override map ready (CSV): ${overrideMap.size} item(s)`);
-
-  for (let i = 0; i < rows.length; i++) {
-    const row = rows[i];
-    const profile = mapRowToProfile(row);
-    result.attempted += 1;
-
-    appendJsonLog(outputDir, { event: 'row_mapped_csv', index: i, cardNo: profile.CardNo, staffNo: profile.StaffNo, name: profile.Name });
-
-    const overrideItem = overrideMap.get(i);
-    if (overrideItem !== undefined) {
-      if (overrideItem.cardNo !== undefined) {
-        profile.CardNo = overrideItem.cardNo || '';
-      }
-      if (overrideItem.downloadCard !== undefined) {
-        profile.DownloadCard = overrideItem.downloadCard ? 'true' : 'false';
-      }
-      appendJsonLog(outputDir, { event: 'override_applied_csv', index: i, cardNo: profile.CardNo, downloadCard: profile.DownloadCard });
-      logInfo(outputDir, `Row ${i}: override applied (CSV), CardNo=${profile.CardNo}, DownloadCard=${profile.DownloadCard}`);
+  return rows.map((row, i) => {
+    const rowNotes = [];
+    if (Array.isArray(notes)) notes[i] = rowNotes;
+    const profile = mapRowForUpsert(row, rowNotes, mapping);
+    const o = overrideMap.get(i);
+    if (o) {
+      if (typeof o.cardNo === 'string') profile.CardNo = o.cardNo.trim().substring(0, 10);
+      if (typeof o.downloadCard === 'boolean') profile.DownloadCard = o.downloadCard ? 'true' : 'false';
     }
+    return profile;
+  });
+}
 
-    if (!profile.CardNo) {
-      result.errors.push({ code: 'CARD_NO_MISSING', message: 'Card No is required', index: i, name: profile.Name });
-      result.details.push({ cardNo: '', name: profile.Name, hasPhoto: false, respCode: 'CARD_NO_MISSING', respMessage: 'Card No is required' });
-      logInfo(outputDir, `Row ${i}: Card No missing for name='${profile.Name}' (CSV)`);
-      appendJsonLog(outputDir, { event: 'card_no_missing_csv', index: i, name: profile.Name });
-      continue;
-    }
+/**
+ * Decide the action per profile from CardDB: 'add' (unknown CardNo), 'update' (active card exists)
+ * or 'skip' (no CardNo). Returns entries aligned with `profiles`.
+ */
+async function resolveUpsertActions(profiles) {
+  const existing = await lookupCardsByCardNo(profiles.map(p => p.CardNo));
+  return profiles.map((p) => {
+    if (!p.CardNo) return { action: 'skip' };
+    const row = existing.get(String(p.CardNo).trim());
+    if (!row) return { action: 'add' };
+    return { action: 'update', existing: { name: row.Name, staffNo: row.StaffNo } };
+  });
+}
 
-    const hasPhoto = tryAttachPhoto(outputDir, profile);
-    appendJsonLog(outputDir, { event: 'photo_attach_result_csv', index: i, hasPhoto, photoSize: profile.Photo ? profile.Photo.length : 0 });
+function countActions(actions) {
+  return {
+    toAdd: actions.filter(a => a.action === 'add').length,
+    toUpdate: actions.filter(a => a.action === 'update').length,
+    skipped: actions.filter(a => a.action === 'skip').length,
+  };
+}
+
+// Resolve rows for upsert from a job output directory or a direct CSV/Excel path
+function loadUpsertRows({ outputDir, csvPath }) {
+  if (!fse.pathExistsSync(outputDir)) {
+    return { rows: [], error: { code: 'OUTPUT_NOT_FOUND', message: `Output directory not found: ${outputDir}` } };
+  }
+  if (csvPath && !fse.pathExistsSync(csvPath)) {
+    return { rows: [], error: { code: 'CSV_NOT_FOUND', message: `CSV file not found: ${csvPath}` } };
+  }
+  const rows = csvPath ? readRowsFromCsvPath(csvPath) : readRowsFromOutputDir(outputDir);
+  if (!rows.length) {
+    return { rows, error: { code: 'NO_ROWS', message: csvPath ? 'No rows found in CSV.' : 'No rows found in Excel/CSV outputs.' } };
+  }
+  return { rows, error: null };
+}
+
+/**
+ * Preview upsert: per-row action (add/update/skip) without executing SOAP calls.
+ */
+async function previewUpsertToVault({ jobId, outputDir, csvPath, mapping }) {
+  const dir = csvPath ? path.dirname(csvPath) : outputDir;
+  const result = {
+    jobId: jobId || path.basename(dir),
+    mode: 'upsert',
+    attempted: 0,
+    registered: 0,
+    withPhoto: 0,
+    withoutPhoto: 0,
+    toAdd: 0,
+    toUpdate: 0,
+    skipped: 0,
+    errors: [],
+    details: [],
+  };
+  const { rows, error } = loadUpsertRows({ outputDir: dir, csvPath });
+  if (error) {
+    result.errors.push(error);
+    return result;
+  }
+
+  const notes = [];
+  const profiles = buildUpsertProfiles(rows, [], notes, mapping);
+  let actions;
+  try {
+    actions = await resolveUpsertActions(profiles);
+    Object.assign(result, countActions(actions));
+  } catch (err) {
+    // Without CardDB we cannot tell new from existing cards; show rows but flag the lookup failure
+    result.errors.push({ code: 'CARDDB_LOOKUP_FAILED', message: err.message });
+    actions = profiles.map(() => ({ action: 'unknown' }));
+  }
+  const duplicates = await previewDuplicates(profiles, result.errors);
+
+  for (const [i, profile] of profiles.entries()) {
+    const photo = await inspectVaultPhoto(dir, profile.CardNo, profile.StaffNo);
+    const hasPhoto = !!photo;
+    result.attempted += 1;
+    if (hasPhoto) result.withPhoto += 1; else result.withoutPhoto += 1;
+    const { action, existing } = actions[i];
+    result.details.push({
+      index: i,
+      action,
+      existingName: existing ? existing.name : undefined,
+      existingStaffNo: existing ? existing.staffNo : undefined,
+      cardNo: profile.CardNo,
+      name: profile.Name,
+      department: profile.Department,
+      staffNo: profile.StaffNo,
+      hasPhoto,
+      photo,
+      sourceRow: rows[i],
+      profile,
+      validation: validateVaultProfile(profile, { notes: notes[i] }),
+      duplicates: duplicates[i],
+      accessRule: describeRowAccess(rows[i], upsertMappingFor(rows[i], mapping)),
+    });
+  }
+  Object.assign(result, countValidation(result.details), countPhotos(result.details), countDuplicates(result.details));
+  return result;
+}
+
+/**
+ * Execute upsert: AddCard for cards unknown to CardDB, UpdateCard for existing ones.
+ * Actions are re-resolved at execution time so the preview cannot go stale.
+ */
+async function upsertToVault({ jobId, outputDir, csvPath, endpointBaseUrl, environment, overrides = [], indices, allowInvalid, mapping, excludeDuplicates, concurrency = DEFAULT_REGISTER_CONCURRENCY, onProgress, onRow }) {
+  const dir = csvPath ? path.dirname(csvPath) : outputDir;
+  const result = {
+    jobId: jobId || path.basename(dir),
+    endpointBaseUrl,
+    mode: 'upsert',
+    attempted: 0,
+    registered: 0,
+    updated: 0,
+    withPhoto: 0,
+    withoutPhoto: 0,
+    errors: [],
+    details: [],
+  };
+  const { rows, error } = loadUpsertRows({ outputDir: dir, csvPath });
+  if (error) {
+    result.errors.push(error);
+    return result;
+  }
+
+  const soap = soapOptions(environment);
+  logInfo(dir, `Start upsert ${csvPath ? `csv=${csvPath}` : `job=${result.jobId}`} endpoint=${endpointBaseUrl} environment=${environment?.name || '-'} soapVersion=${soap.soapVersion} concurrency=${concurrency}`);
+  appendJsonLog(dir, { event: 'start_upsert', jobId: result.jobId, csvPath, endpointBaseUrl, environmentId: environment?.id, concurrency, mappingProfileId: mapping?.id, rows: rows.length, indices: Array.isArray(indices) ? indices.length : undefined, overridesCount: Array.isArray(overrides) ? overrides.length : 0 });
+
+  const notes = [];
+  const profiles = buildUpsertProfiles(rows, overrides, notes, mapping);
+  let actions;
+  try {
+    actions = await resolveUpsertActions(profiles);
+  } catch (err) {
+    result.errors.push({ code: 'CARDDB_LOOKUP_FAILED', message: err.message });
+    logInfo(dir, `Upsert aborted: CardDB lookup failed: ${err.message}`);
+    appendJsonLog(dir, { event: 'error_upsert', message: err.message, stack: err.stack });
+    return result;
+  }
+  let duplicateFlags;
+  try {
+    duplicateFlags = await duplicateExclusions(excludeDuplicates, profiles);
+  } catch (err) {
+    result.errors.push({ code: 'DUPLICATE_CHECK_FAILED', message: err.message });
+    logInfo(dir, `Upsert aborted: ${err.message}`);
+    appendJsonLog(dir, { event: 'duplicate_check_failed_upsert', message: err.message });
+    return result;
+  }
+  const counts = countActions(actions);
+  appendJsonLog(dir, { event: 'upsert_actions_resolved', ...counts });
+  logInfo(dir, `Upsert actions: add=${counts.toAdd} update=${counts.toUpdate} skip=${counts.skipped}`);
+
+  async function processIndex(i) {
+    const profile = profiles[i];
+    const { action } = actions[i];
+    result.attempted += 1;
+    appendJsonLog(dir, { event: 'row_mapped_upsert', index: i, action, cardNo: profile.CardNo, staffNo: profile.StaffNo, name: profile.Name });
+    const rowBase = { index: i, cardNo: profile.CardNo, name: profile.Name, action };
+    emitRow(onRow, { ...rowBase, state: 'mapped' });
+
+    if (action === 'skip') {
+      emitRow(onRow, { ...rowBase, state: 'skipped', code: 'CARD_NO_MISSING', message: 'Card No is required' });
+      result.errors.push({ code: 'CARD_NO_MISSING', message: 'Card No is required', index: i, name: profile.Name });
+      result.details.push({ index: i, action, cardNo: '', name: profile.Name, hasPhoto: false, respCode: 'CARD_NO_MISSING', respMessage: 'Card No is required' });
+      logInfo(dir, `Row ${i}: Card No missing for name='${profile.Name}' (upsert)`);
+      appendJsonLog(dir, { event: 'card_no_missing_upsert', index: i, name: profile.Name });
+      return;
+    }
+
+    const duplicates = duplicateFlags?.[i] || [];
+    if (duplicates.length > 0) {
+      const message = describeDuplicates(duplicates);
+      emitRow(onRow, { ...rowBase, state: 'skipped', code: 'DUPLICATE_EXCLUDED', message });
+      result.errors.push({ code: 'DUPLICATE_EXCLUDED', message, cardNo: profile.CardNo, index: i, action, duplicates });
+      result.details.push({ index: i, action, cardNo: profile.CardNo, name: profile.Name, hasPhoto: false, respCode: 'DUPLICATE_EXCLUDED', respMessage: message, success: false, duplicates });
+      logInfo(dir, `Row ${i}: excluded as duplicate (upsert) cardNo=${profile.CardNo}: ${message}`);
+      appendJsonLog(dir, { event: 'duplicate_excluded_upsert', index: i, action, cardNo: profile.CardNo, duplicates });
+      return;
+    }
+
+    const preflight = preflightRow(profile, notes[i], allowInvalid, i);
+    if (preflight.blocked) {
+      emitRow(onRow, { ...rowBase, state: 'skipped', code: 'VALIDATION_FAILED', message: preflight.message });
+      result.errors.push({ code: 'VALIDATION_FAILED', message: preflight.message, cardNo: profile.CardNo, index: i, action, validation: preflight.validation.errors });
+      result.details.push({ index: i, action, cardNo: profile.CardNo, name: profile.Name, hasPhoto: false, respCode: 'VALIDATION_FAILED', respMessage: preflight.message, success: false, validation: preflight.validation });
+      logInfo(dir, `Row ${i}: validation failed (upsert) for cardNo=${profile.CardNo}: ${preflight.message}`);
+      appendJsonLog(dir, { event: 'validation_failed_upsert', index: i, action, cardNo: profile.CardNo, errors: preflight.validation.errors });
+      return;
+    }
+    if (!preflight.validation.valid) {
+      appendJsonLog(dir, { event: 'validation_overridden_upsert', index: i, action, cardNo: profile.CardNo, errors: preflight.validation.errors });
+    }
+
+    const photo = await tryAttachPhoto(dir, profile);
+    const hasPhoto = !!photo;
+    appendJsonLog(dir, { event: 'photo_attach_result_upsert', index: i, hasPhoto, photoSize: profile.Photo ? profile.Photo.length : 0, photo });
+    if (photo?.reencoded || photo?.error || photo?.ambiguous) logInfo(dir, `Row ${i}: photo ${describePhotoInfo(photo)}`);
     if (hasPhoto) result.withPhoto += 1; else result.withoutPhoto += 1;
-    const envelope = buildAddCardEnvelope(profile, { namespace: SOAP_NAMESPACE, soapVersion: SOAP_VERSION });
-    logInfo(outputDir, `Row ${i}: POST AddCard (CSV) cardNo=${profile.CardNo} name='${profile.Name}'`);
-    appendJsonLog(outputDir, { event: 'soap_request_csv', index: i, cardNo: profile.CardNo, name: profile.Name, envelope: redactEnvelope(envelope) });
+
+    const isUpdate = action === 'update';
+    const operation = isUpdate ? 'UpdateCard' : 'AddCard';
+    const envelope = isUpdate
+      ? buildUpdateCardEnvelope(profile, soap.envelope)
+      : buildAddCardEnvelope(profile, soap.envelope);
+    logInfo(dir, `Row ${i}: POST ${operation} (upsert) cardNo=${profile.CardNo} name='${profile.Name}'`);
+    appendJsonLog(dir, { event: 'soap_request_upsert', index: i, action, cardNo: profile.CardNo, name: profile.Name, envelope: redactEnvelope(envelope) });
+    const startedAt = Date.now();
+    emitRow(onRow, { ...rowBase, state: 'executing' });
     try {
-      const resp = await postAddCard(endpointBaseUrl, envelope, { soapVersion: SOAP_VERSION, soapAction: SOAP_ACTION });
-      appendJsonLog(outputDir, { event: 'soap_response_csv', index: i, status: resp.status, httpStatus: resp.httpStatus, errCode: resp.errCode, errMessage: resp.errMessage, cardId: resp.cardId, raw: resp.raw });
-      logInfo(outputDir, `Row ${i}: Resp (CSV) HTTP=${resp.httpStatus} ErrCode=${resp.errCode ?? '-'} ErrMessage=${resp.errMessage ?? '-'} CardID=${resp.cardId ?? '-'}`);
-      const rawSnippet = consoleSnippet(resp.raw);
-      if (rawSnippet) {
-        logInfo(outputDir, `Row ${i}: SOAP raw (CSV): ${rawSnippet}`);
-      }
-      const errCodeNum = resp.errCode !== undefined ? Number(resp.errCode) : NaN;
-      const bizSuccess = (resp.httpStatus >= 200 && resp.httpStatus < 300) && (errCodeNum === 0 || errCodeNum === 1);
-      if (bizSuccess) {
-        result.registered += 1;
+      const onEvent = callPolicyLogger({ appendJson: appendJsonLog, logText: logInfo, dir, fields: { index: i, cardNo: profile.CardNo, action }, suffix: '_upsert', label: `Row ${i} (upsert)` });
+      const resp = isUpdate
+        ? await postUpdateCard(endpointBaseUrl, envelope, { ...soap.update, onEvent })
+        : await postAddCard(endpointBaseUrl, envelope, { ...soap.add, onEvent });
+      emitRow(onRow, rowResultEvent(rowBase, resp, startedAt));
+      appendJsonLog(dir, { event: 'soap_response_upsert', index: i, action, status: resp.status, httpStatus: resp.httpStatus, attempts: resp.attempts, errCode: resp.errCode, errMessage: resp.errMessage, cardId: resp.cardId, raw: resp.raw });
+      logInfo(dir, `Row ${i}: Resp (upsert ${operation}) HTTP=${resp.httpStatus} ErrCode=${resp.errCode ?? '-'} ErrMessage=${resp.errMessage ?? '-'}`);
+      if (resp.ok) {
+        if (isUpdate) result.updated += 1; else result.registered += 1;
+      } else if (!(resp.httpStatus >= 200 && resp.httpStatus < 300)) {
+        result.errors.push({ code: 'HTTP_ERROR', message: `HTTP ${resp.httpStatus}`, cardNo: profile.CardNo, index: i, action });
       } else {
-        if (!(resp.httpStatus >= 200 && resp.httpStatus < 300)) {
-          result.errors.push({ code: 'HTTP_ERROR', message: `HTTP ${resp.httpStatus}`, cardNo: profile.CardNo });
-          logInfo(outputDir, `Row ${i}: HTTP error (CSV) for cardNo=${profile.CardNo} status=${resp.httpStatus}`);
-        } else {
-          result.errors.push({ code: 'VAULT_ERROR', message: resp.errMessage || 'Unknown error', errCode: resp.errCode, cardNo: profile.CardNo });
-          logInfo(outputDir, `Row ${i}: VAULT_ERROR (CSV) for cardNo=${profile.CardNo} errCode=${resp.errCode} message='${resp.errMessage || ''}'`);
-        }
+        result.errors.push({ code: 'VAULT_ERROR', message: resp.errMessage || 'Unknown error', errCode: resp.errCode, cardNo: profile.CardNo, index: i, action });
       }
-      result.details.push({ cardNo: profile.CardNo, name: profile.Name, hasPhoto, respCode: resp.errCode, respMessage: resp.errMessage });
+      result.details.push({ index: i, action, cardNo: profile.CardNo, name: profile.Name, hasPhoto, respCode: resp.errCode, respMessage: resp.errMessage, success: resp.ok });
     } catch (err) {
-      result.errors.push({ code: 'REQUEST_FAILED', message: err.message, cardNo: profile.CardNo });
-      logInfo(outputDir, `Row ${i}: REQUEST_FAILED (CSV) for cardNo=${profile.CardNo} message=${err.message}`);
-      appendJsonLog(outputDir, { event: 'error_csv', index: i, cardNo: profile.CardNo, message: err.message, stack: err.stack });
+      if (err instanceof VaultSoapFault) {
+        emitRow(onRow, { ...rowBase, state: 'failed', code: 'SOAP_FAULT', message: err.reason, durationMs: Date.now() - startedAt });
+        result.errors.push(soapFaultError(err, { cardNo: profile.CardNo, index: i, action }));
+        result.details.push({ index: i, action, cardNo: profile.CardNo, name: profile.Name, hasPhoto, respCode: 'SOAP_FAULT', respMessage: err.reason, success: false });
+        logInfo(dir, `Row ${i}: SOAP_FAULT (upsert ${operation}) for cardNo=${profile.CardNo} code=${err.code || '-'} reason='${err.reason}'`);
+        appendJsonLog(dir, { event: 'soap_fault_upsert', index: i, action, cardNo: profile.CardNo, fault: err.toJSON(), raw: err.raw });
+        return;
+      }
+      emitRow(onRow, { ...rowBase, state: 'failed', code: 'REQUEST_FAILED', message: err.message, durationMs: Date.now() - startedAt });
+      result.errors.push({ code: 'REQUEST_FAILED', message: err.message, cardNo: profile.CardNo, index: i, action, attempts: err.attempts });
+      logInfo(dir, `Row ${i}: REQUEST_FAILED (upsert ${operation}) for cardNo=${profile.CardNo} message=${err.message}`);
+      appendJsonLog(dir, { event: 'error_upsert', index: i, action, cardNo: profile.CardNo, message: err.message, stack: err.stack });
     }
   }
 
-  logInfo(outputDir, `CSV registration complete: Attempted=${result.attempted}, Registered=${result.registered}, WithPhoto=${result.withPhoto}, WithoutPhoto=${result.withoutPhoto}, Errors=${result.errors.length}`);
-  appendJsonLog(outputDir, { event: 'complete_csv', summary: { attempted: result.attempted, registered: result.registered, withPhoto: result.withPhoto, withoutPhoto: result.withoutPhoto, errors: result.errors.length } });
+  const indexList = selectIndices(indices, rows.length);
+  const onSettled = progressHook(onProgress, indexList.length, () => ({ succeeded: result.registered + result.updated, failed: result.errors.length }));
+  await runPool(indexList, Math.max(1, Number(concurrency) || 1), processIndex, onSettled, (i, err) => {
+    result.errors.push({ code: 'WORKER_FAILED', message: err.message, index: i });
+  });
+  sortByIndex(result.details);
+  sortByIndex(result.errors);
+
+  logInfo(dir, `Upsert complete: Attempted=${result.attempted}, Added=${result.registered}, Updated=${result.updated}, WithPhoto=${result.withPhoto}, WithoutPhoto=${result.withoutPhoto}, Errors=${result.errors.length}`);
+  appendJsonLog(dir, { event: 'complete_upsert', summary: { attempted: result.attempted, registered: result.registered, updated: result.updated, withPhoto: result.withPhoto, withoutPhoto: result.withoutPhoto, errors: result.errors.length } });
   return result;
 }
 
+// ---------------------------------------------------------------------------
+// Deactivation / deletion: take a list of CardNos or a resignation sheet, check each
+// card against CardDB and either resend its profile as inactive (UpdateCard) or remove
+// it (DeleteCard). Logged to vault-update-log.jsonl with *_deactivate / *_delete events.
+// ---------------------------------------------------------------------------
+
+const DEACTIVATION_OPERATIONS = ['deactivate', 'delete'];
+
+// Split a CardNo list given as an array or as comma/whitespace separated text
+function parseCardNoList(cardNos) {
+  const list = Array.isArray(cardNos) ? cardNos : String(cardNos || '').split(/[\s,;]+/);
+  return list.map(c => s(c).substring(0, 10)).filter(Boolean);
+}
+
+/**
+ * Resolve deactivation targets from `entries` ([{ cardNo, staffNo, name, resignDate }], e.g. the
+ * scheduled deactivation queue), `cardNos` or a resignation sheet (CSV/Excel with CARD NO, optional
+ * STAFF ID/NAME and WORK PERIOD END/RESIGN DATE columns).
+ * Returns { targets: [{ index, cardNo, staffNo, name, resignDate, sourceRow }], error }.
+ */
+function loadDeactivationTargets({ entries, cardNos, csvPath, resignDate }) {
+  const defaultDate = normalizeVaultDate(resignDate);
+  if (Array.isArray(entries)) {
+    if (!entries.length) return { targets: [], error: { code: 'NO_ROWS', message: 'No cards to deactivate.' } };
+    const targets = entries.map((e, i) => ({
+      index: i,
+      cardNo: s(e.cardNo).substring(0, 10),
+      staffNo: s(e.staffNo),
+      name: s(e.name),
+      resignDate: normalizeVaultDate(e.resignDate) || defaultDate,
+    }));
+    return { targets, error: null };
+  }
+  if (csvPath) {
+    if (!fse.pathExistsSync(csvPath)) {
+      return { targets: [], error: { code: 'CSV_NOT_FOUND', message: `CSV file not found: ${csvPath}` } };
+    }
+    const rows = readRowsFromCsvPath(csvPath);
+    if (!rows.length) return { targets: [], error: { code: 'NO_ROWS', message: 'No rows found in resignation sheet.' } };
+    const targets = rows.map((row, i) => {
+      const rowDate = s(row['WORK PERIOD END'] || row['RESIGN DATE'] || row['Resign Date'] || row['ResignDate']);
+      return {
+        index: i,
+        cardNo: s(row['CARD NO'] || row['Card No'] || row['CardNo'] || row['Card Number']).substring(0, 10),
+        staffNo: s(row['STAFF ID'] || row['Staff No'] || row['Employee ID'] || row['StaffNo']),
+        name: s(row['NAME'] || row['Name'] || row['Employee Name']),
+        resignDate: normalizeVaultDate(normalizeExcelDate(rowDate)) || defaultDate,
+        sourceRow: row,
+      };
+    });
+    return { targets, error: null };
+  }
+  const list = parseCardNoList(cardNos);
+  if (!list.length) return { targets: [], error: { code: 'NO_ROWS', message: 'No card numbers provided.' } };
+  return { targets: list.map((cardNo, i) => ({ index: i, cardNo, staffNo: '', name: '', resignDate: defaultDate })), error: null };
+}
+
+/**
+ * Check targets against CardDB. Deactivation needs the CardDB row to rebuild the profile,
+ * so cards missing from CardDB are skipped; a sheet StaffNo that disagrees with CardDB is
+ * skipped for both operations to avoid acting on the wrong person.
+ */
+function planDeactivation(targets, existing, operation) {
+  return targets.map((t) => {
+    const row = t.cardNo ? existing.get(t.cardNo) : null;
+    const plan = {
+      ...t,
+      action: operation,
+      inCardDb: !!row,
+      existingName: row ? (row.Name || row.NAME || '') : undefined,
+      existingStaffNo: row ? String(row.StaffNo || row.StaffID || '').trim() : undefined,
+      activeStatus: row && row.ActiveStatus !== undefined ? String(row.ActiveStatus) : undefined,
+      row,
+    };
+    if (!t.cardNo) return { ...plan, action: 'skip', reason: 'CARD_NO_MISSING' };
+    if (!row && operation === 'deactivate') return { ...plan, action: 'skip', reason: 'NOT_IN_CARDDB' };
+    if (row && t.staffNo && plan.existingStaffNo && t.staffNo !== plan.existingStaffNo) {
+      return { ...plan, action: 'skip', reason: 'STAFF_NO_MISMATCH' };
+    }
+    return plan;
+  });
+}
+
+function deactivationDetail(plan, extra = {}) {
+  return {
+    index: plan.index,
+    action: plan.action,
+    reason: plan.reason,
+    cardNo: plan.cardNo,
+    name: plan.name || plan.existingName || '',
+    staffNo: plan.staffNo || plan.existingStaffNo || '',
+    existingName: plan.existingName,
+    existingStaffNo: plan.existingStaffNo,
+    activeStatus: plan.activeStatus,
+    inCardDb: plan.inCardDb,
+    resignDate: plan.resignDate,
+    sourceRow: plan.sourceRow,
+    ...extra,
+  };
+}
+
+/**
+ * Preview deactivation/deletion: per-card plan without executing SOAP calls.
+ */
+async function previewDeactivationToVault({ cardNos, csvPath, operation = 'deactivate', resignDate }) {
+  const result = { operation, attempted: 0, toProcess: 0, skipped: 0, notInCardDb: 0, errors: [], details: [] };
+  if (!DEACTIVATION_OPERATIONS.includes(operation)) {
+    result.errors.push({ code: 'INVALID_OPERATION', message: `Unknown operation: ${operation}` });
+    return result;
+  }
+  if (operation === 'delete' && !isVaultDeleteEnabled()) {
+    result.errors.push({ code: 'DELETE_NOT_SUPPORTED', message: 'DeleteCard is not enabled for this Vault endpoint (set VAULT_DELETE_ENABLED=true).' });
+  }
+  const { targets, error } = loadDeactivationTargets({ cardNos, csvPath, resignDate });
+  if (error) {
+    result.errors.push(error);
+    return result;
+  }
+  let existing = new Map();
+  try {
+    existing = await lookupCardsByCardNo(targets.map(t => t.cardNo), undefined, { fullRow: true });
+  } catch (err) {
+    result.errors.push({ code: 'CARDDB_LOOKUP_FAILED', message: err.message });
+  }
+  const plans = planDeactivation(targets, existing, operation);
+  for (const plan of plans) {
+    result.attempted += 1;
+    if (plan.action === 'skip') result.skipped += 1; else result.toProcess += 1;
+    if (!plan.inCardDb) result.notInCardDb += 1;
+    result.details.push(deactivationDetail(plan));
+  }
+  return result;
+}
+
+/**
+ * Execute deactivation (UpdateCard with ActiveStatus=false) or deletion (DeleteCard).
+ * Targets are re-checked against CardDB at execution time.
+ */
+async function deactivateCardsInVault({ entries, cardNos, csvPath, operation = 'deactivate', resignDate, endpointBaseUrl, environment, outputDir, concurrency = 3 }) {
+  const dir = csvPath ? path.dirname(csvPath) : (outputDir || path.join(__dirname, '..', '..', 'scripts'));
+  const suffix = `_${operation}`;
+  const result = { operation, endpointBaseUrl, attempted: 0, skipped: 0, succeeded: 0, errors: [], details: [] };
+  if (!DEACTIVATION_OPERATIONS.includes(operation)) {
+    result.errors.push({ code: 'INVALID_OPERATION', message: `Unknown operation: ${operation}` });
+    return result;
+  }
+  if (operation === 'delete' && !isVaultDeleteEnabled()) {
+    result.errors.push({ code: 'DELETE_NOT_SUPPORTED', message: 'DeleteCard is not enabled for this Vault endpoint (set VAULT_DELETE_ENABLED=true).' });
+    return result;
+  }
+  const { targets, error } = loadDeactivationTargets({ entries, cardNos, csvPath, resignDate });
+  if (error) {
+    result.errors.push(error);
+    return result;
+  }
+
+  logUpdateInfo(dir, `Start ${operation} ${csvPath ? `path=${csvPath}` : (entries ? 'scheduled queue' : 'cardNo list')} endpoint=${endpointBaseUrl || '(env default)'} cards=${targets.length} concurrency=${concurrency}`);
+  const soap = soapOptions(environment);
+  appendUpdateJsonLog(dir, { event: `${operation}_batch_start`, csvPath, endpointBaseUrl, environmentId: environment?.id, cards: targets.length, concurrency });
+
+  let existing;
+  try {
+    existing = await lookupCardsByCardNo(targets.map(t => t.cardNo), undefined, { fullRow: true });
+  } catch (err) {
+    if (operation === 'deactivate') {
+      // Without the CardDB row the UpdateCard call would blank the card's other fields
+      result.errors.push({ code: 'CARDDB_LOOKUP_FAILED', message: err.message });
+      appendUpdateJsonLog(dir, { event: `error${suffix}`, message: err.message, stage: 'carddb_lookup' });
+      logUpdateInfo(dir, `${operation}: CardDB lookup failed, aborting: ${err.message}`);
+      return result;
+    }
+    existing = new Map();
+    appendUpdateJsonLog(dir, { event: `carddb_lookup_failed${suffix}`, message: err.message });
+  }
+  const plans = planDeactivation(targets, existing, operation);
+
+  async function processPlan(plan) {
+    const i = plan.index;
+    if (plan.action === 'skip') {
+      result.skipped++;
+      result.details.push(deactivationDetail(plan, { success: false }));
+      appendUpdateJsonLog(dir, { event: `row_skipped${suffix}`, index: i, cardNo: plan.cardNo, reason: plan.reason });
+      return;
+    }
+    result.attempted++;
+    const startedAt = Date.now();
+    const envelope = operation === 'delete'
+      ? buildDeleteCardEnvelope(plan.cardNo, soap.envelope)
+      : buildDeactivateCardEnvelope(cardDbRowToProfile(plan.row, plan.cardNo), { ...soap.envelope, resignDate: plan.resignDate });
+    const opName = operation === 'delete' ? 'DeleteCard' : 'UpdateCard';
+    logUpdateInfo(dir, `Row ${i}: POST ${opName} (${operation}) cardNo=${plan.cardNo} name='${plan.existingName || plan.name}'`);
+    appendUpdateJsonLog(dir, { event: `soap_request${suffix}`, index: i, cardNo: plan.cardNo, resignDate: plan.resignDate, envelope: redactEnvelope(envelope) });
+    try {
+      const onEvent = callPolicyLogger({ appendJson: appendUpdateJsonLog, logText: logUpdateInfo, dir, fields: { index: i, cardNo: plan.cardNo }, suffix, label: `Row ${i}` });
+      const resp = operation === 'delete'
+        ? await postDeleteCard(endpointBaseUrl, envelope, { ...soap.delete, onEvent })
+        : await postUpdateCard(endpointBaseUrl, envelope, { ...soap.update, onEvent });
+      const durationMs = Date.now() - startedAt;
+      appendUpdateJsonLog(dir, { event: `soap_response${suffix}`, index: i, status: resp.status, httpStatus: resp.httpStatus, attempts: resp.attempts, errCode: resp.errCode, errMessage: resp.errMessage, raw: resp.raw });
+      if (resp.ok) result.succeeded++;
+      else result.errors.push(updateResponseError(resp, { cardNo: plan.cardNo, index: i, durationMs }));
+      result.details.push(deactivationDetail(plan, { respCode: updateOutcomeCode(resp), respMessage: resp.errMessage, success: resp.ok, durationMs }));
+      appendUpdateJsonLog(dir, { event: `row${suffix}_complete`, index: i, cardNo: plan.cardNo, success: resp.ok, durationMs });
+    } catch (err) {
+      const durationMs = Date.now() - startedAt;
+      if (err instanceof VaultSoapFault) {
+        result.errors.push(soapFaultError(err, { cardNo: plan.cardNo, index: i, durationMs }));
+        result.details.push(deactivationDetail(plan, { respCode: 'SOAP_FAULT', respMessage: err.reason, success: false, durationMs }));
+        appendUpdateJsonLog(dir, { event: `soap_fault${suffix}`, index: i, cardNo: plan.cardNo, fault: err.toJSON(), raw: err.raw, durationMs });
+        logUpdateInfo(dir, `Row ${i}: SOAP_FAULT (${operation}) for cardNo=${plan.cardNo} code=${err.code || '-'} reason='${err.reason}'`);
+        return;
+      }
+      result.errors.push({ code: 'REQUEST_FAILED', message: err.message, cardNo: plan.cardNo, index: i, durationMs, attempts: err.attempts });
+      result.details.push(deactivationDetail(plan, { respCode: 'REQUEST_FAILED', respMessage: err.message, success: false, durationMs }));
+      appendUpdateJsonLog(dir, { event: `error${suffix}`, index: i, cardNo: plan.cardNo, message: err.message, stack: err.stack, durationMs });
+      logUpdateInfo(dir, `Row ${i}: REQUEST_FAILED (${operation}) for cardNo=${plan.cardNo} message=${err.message}`);
+    }
+  }
+
+  await runPool(plans, Math.max(1, Number(concurrency) || 3), processPlan, undefined, (plan, err) => {
+    result.errors.push({ code: 'WORKER_FAILED', message: err.message, cardNo: plan.cardNo, index: plan.index });
+  });
+  sortByIndex(result.details);
+  sortByIndex(result.errors);
+
+  logUpdateInfo(dir, `${operation} batch complete: Attempted=${result.attempted}, Skipped=${result.skipped}, Succeeded=${result.succeeded}, Errors=${result.errors.length}`);
+  appendUpdateJsonLog(dir, { event: `${operation}_batch_complete`, summary: { attempted: result.attempted, skipped: result.skipped, succeeded: result.succeeded, errors: result.errors.length } });
+  return result;
+}
+
+// Fetch current CardDB rows before an update so they can be snapshotted for rollback.
+// A lookup failure does not block the update; it is recorded on each snapshot instead.
+async function captureCardDbState(cardNos) {
+  try {
+    return { rows: await lookupCardsByCardNo(cardNos, undefined, { fullRow: true }), error: undefined };
+  } catch (err) {
+    return { rows: new Map(), error: `CardDB lookup failed: ${err.message}` };
+  }
+}
+
+function snapshotCard(batchId, { requestId, index, cardNo }, state) {
+  const row = state.rows.get(String(cardNo || '').trim());
+  recordSnapshot(batchId, {
+    requestId,
+    index,
+    cardNo,
+    before: row ? cardDbRowToCurrentProfile(row, cardNo) : null,
+    error: row ? undefined : (state.error || 'Card not found in CardDB'),
+  });
+}
+
+function newRequestId() {
+  return typeof crypto.randomUUID === 'function' ? crypto.randomUUID() : String(Date.now());
+}
+
 // Update existing cards from a CSV/Excel path
-async function updateCsvPathToVault({ csvPath, endpointBaseUrl, overrides = [], indices, concurrency = 3 }) {
+async function updateCsvPathToVault({ csvPath, endpointBaseUrl, environment, overrides = [], indices, allowInvalid, mapping, excludeDuplicates, concurrency = 3, onProgress, onRow }) {
   const dir = path.dirname(csvPath);
   const rows = readRowsFromCsvPath(csvPath);
   const details = [];
@@ -815,33 +1657,61 @@ async function updateCsvPathToVault({ csvPath, endpointBaseUrl, overrides = [],
   let registered = 0;
   let withPhoto = 0;
   let withoutPhoto = 0;
-  const total = Array.isArray(indices) && indices.length > 0 ? indices.length : rows.length;
   let attempted = 0;
   let skipped = 0;
 
-  logUpdateInfo(dir, `Start Update (CSV) path=${csvPath} endpoint=${endpointBaseUrl || '(env default)'} rows=${rows.length}`);
-  appendUpdateJsonLog(dir, { event: 'update_batch_start', csvPath, endpointBaseUrl, rows: rows.length, overridesCount: Array.isArray(overrides) ? overrides.length : 0, attempted });
+  const batchId = newRequestId();
+
+  logUpdateInfo(dir, `Start Update (CSV) path=${csvPath} endpoint=${endpointBaseUrl || '(env default)'} rows=${rows.length} batchId=${batchId}`);
+  const soap = soapOptions(environment);
+  appendUpdateJsonLog(dir, { event: 'update_batch_start', batchId, csvPath, endpointBaseUrl, environmentId: environment?.id, mappingProfileId: mapping?.id, rows: rows.length, overridesCount: Array.isArray(overrides) ? overrides.length : 0, attempted });
 
-  const indexList = Array.isArray(indices) && indices.length > 0 ? indices.slice() : Array.from({ length: rows.length }, (_, i) => i);
+  const indexList = selectIndices(indices, rows.length);
+
+  let duplicateFlags;
+  try {
+    duplicateFlags = await duplicateExclusions(excludeDuplicates, rows.map((row, i) => {
+      const profile = mapRowToUpdateProfile(row, undefined, mapping);
+      const override = overrides.find(o => o.index === i);
+      if (override && override.cardNo) profile.CardNo = s(override.cardNo).substring(0,10);
+      return profile;
+    }));
+  } catch (err) {
+    logUpdateInfo(dir, `Update aborted: ${err.message}`);
+    appendUpdateJsonLog(dir, { event: 'duplicate_check_failed_update', batchId, message: err.message });
+    errors.push({ code: 'DUPLICATE_CHECK_FAILED', message: err.message });
+    return { batchId, attempted, skipped, registered, withPhoto, withoutPhoto, details, errors };
+  }
+
+  // Snapshot current CardDB state of every targeted card (after Card No overrides) for rollback
+  createSnapshotBatch(batchId, { source: 'update_csv', csvPath, logDir: dir });
+  const snapshotState = await captureCardDbState(indexList.map((i) => {
+    const override = overrides.find(o => o.index === i);
+    return override && override.cardNo ? s(override.cardNo).substring(0,10) : mapRowToUpdateProfile(rows[i] || {}, undefined, mapping).CardNo;
+  }));
+  if (snapshotState.error) {
+    appendUpdateJsonLog(dir, { event: 'snapshot_unavailable_update', batchId, message: snapshotState.error });
+    logUpdateInfo(dir, `Snapshot unavailable, rollback will not be possible for this batch: ${snapshotState.error}`);
+  }
 
   async function processIndex(i) {
     const row = rows[i];
     const startedAt = Date.now();
-    let profile = mapRowToUpdateProfile(row);
+    const notes = [];
+    let profile = mapRowToUpdateProfile(row, notes, mapping);
     if (!profile.CardNo || String(profile.CardNo).trim() === '') {
       skipped++;
       appendUpdateJsonLog(dir, { event: 'row_skipped_missing_cardno', index: i });
+      emitRow(onRow, { index: i, cardNo: '', name: profile.Name, state: 'skipped', code: 'CARD_NO_MISSING', message: 'Card No is required' });
       return;
     }
     attempted++;
     appendUpdateJsonLog(dir, { event: 'row_mapped_update', index: i, cardNo: profile.CardNo, staffNo: profile.StaffNo, name: profile.Name });
-    const accessLevelExplicit = s(row['ACCESS LEVEL'] || row['Access Level'] || row['AccessLevel']);
-    const messRaw = s(row['MESSHALL'] || row['MessHall'] || row['Mess Hall']);
-    let accessSource = 'default';
-    if (accessLevelExplicit) accessSource = 'explicit_column';
-    else if (messRaw) accessSource = 'derived_from_messhall';
-    appendUpdateJsonLog(dir, { event: 'row_access_level_resolved_update', index: i, cardNo: profile.CardNo, accessLevel: profile.AccessLevel, faceAccessLevel: profile.FaceAccessLevel, liftAccessLevel: profile.LiftAccessLevel, source: accessSource, messRaw });
-    logUpdateInfo(dir, `Row ${i}: AccessLevel=${profile.AccessLevel} Face=${profile.FaceAccessLevel || '-'} Lift=${profile.LiftAccessLevel || '-'} source=${accessSource}${messRaw ? ` mess='${messRaw}'` : ''}`);
+    const accessRule = describeRowAccess(row, mapping || builtinMappingProfile('update'));
+    const accessSource = accessRule.sources.accessLevel;
+    const messRaw = accessRule.messHall;
+    appendUpdateJsonLog(dir, { event: 'row_access_level_resolved_update', index: i, cardNo: profile.CardNo, accessLevel: profile.AccessLevel, faceAccessLevel: profile.FaceAccessLevel, liftAccessLevel: profile.LiftAccessLevel, source: accessSource, rule: accessRule.ruleName, messRaw });
+    logUpdateInfo(dir, `Row ${i}: AccessLevel=${profile.AccessLevel} Face=${profile.FaceAccessLevel || '-'} Lift=${profile.LiftAccessLevel || '-'} source=${accessSource}${accessRule.ruleName ? ` rule='${accessRule.ruleName}'` : ''}${messRaw ? ` mess='${messRaw}'` : ''}`);
 
     const override = overrides.find(o => o.index === i);
     if (override) {
@@ -850,21 +1720,83 @@ async function updateCsvPathToVault({ csvPath, endpointBaseUrl, overrides = [],
       appendUpdateJsonLog(dir, { event: 'override_applied_update', index: i, cardNo: profile.CardNo, download: profile.Download });
       logUpdateInfo(dir, `Row ${i}: override applied, CardNo=${profile.CardNo}, Download=${profile.Download}`);
     }
+    const rowBase = { index: i, cardNo: profile.CardNo, name: profile.Name };
+    emitRow(onRow, { ...rowBase, state: 'mapped' });
+
+    const duplicates = duplicateFlags?.[i] || [];
+    if (duplicates.length > 0) {
+      const message = describeDuplicates(duplicates);
+      emitRow(onRow, { ...rowBase, state: 'skipped', code: 'DUPLICATE_EXCLUDED', message });
+      errors.push({ code: 'DUPLICATE_EXCLUDED', message, cardNo: profile.CardNo, index: i, duplicates });
+      details.push({
+        index: i,
+        cardNo: profile.CardNo,
+        name: profile.Name,
+        hasPhoto: false,
+        respCode: 'DUPLICATE_EXCLUDED',
+        respMessage: message,
+        department: profile.Department,
+        staffNo: profile.StaffNo,
+        sourceRow: row,
+        profile,
+        success: false,
+        duplicates,
+      });
+      logUpdateInfo(dir, `Row ${i}: excluded as duplicate cardNo=${profile.CardNo}: ${message}`);
+      appendUpdateJsonLog(dir, { event: 'duplicate_excluded_update', index: i, cardNo: profile.CardNo, duplicates });
+      return;
+    }
 
-    const hasPhoto = tryAttachPhoto(dir, profile);
+    const preflight = preflightRow(profile, notes, allowInvalid, i);
+    if (preflight.blocked) {
+      emitRow(onRow, { ...rowBase, state: 'skipped', code: 'VALIDATION_FAILED', message: preflight.message });
+      errors.push({ code: 'VALIDATION_FAILED', message: preflight.message, cardNo: profile.CardNo, index: i, validation: preflight.validation.errors });
+      details.push({
+        index: i,
+        cardNo: profile.CardNo,
+        name: profile.Name,
+        hasPhoto: false,
+        respCode: 'VALIDATION_FAILED',
+        respMessage: preflight.message,
+        department: profile.Department,
+        staffNo: profile.StaffNo,
+        sourceRow: row,
+        profile,
+        success: false,
+        validation: preflight.validation,
+      });
+      logUpdateInfo(dir, `Row ${i}: validation failed for cardNo=${profile.CardNo}: ${preflight.message}`);
+      appendUpdateJsonLog(dir, { event: 'validation_failed_update', index: i, cardNo: profile.CardNo, errors: preflight.validation.errors });
+      return;
+    }
+    if (!preflight.validation.valid) {
+      appendUpdateJsonLog(dir, { event: 'validation_overridden_update', index: i, cardNo: profile.CardNo, errors: preflight.validation.errors });
+    }
+
+    const requestId = newRequestId();
+    snapshotCard(batchId, { requestId, index: i, cardNo: profile.CardNo }, snapshotState);
+
+    const photo = await tryAttachPhoto(dir, profile);
+    const hasPhoto = !!photo;
     if (hasPhoto) withPhoto++; else withoutPhoto++;
-    appendUpdateJsonLog(dir, { event: 'photo_attach_result_update', index: i, hasPhoto, photoSize: profile.Photo ? profile.Photo.length : 0 });
-    const envelope = buildUpdateCardEnvelope(profile);
+    appendUpdateJsonLog(dir, { event: 'photo_attach_result_update', index: i, hasPhoto, photoSize: profile.Photo ? profile.Photo.length : 0, photo });
+    if (photo?.reencoded || photo?.error || photo?.ambiguous) logUpdateInfo(dir, `Row ${i}: photo ${describePhotoInfo(photo)}`);
+    const envelope = buildUpdateCardEnvelope(profile, soap.envelope);
     logUpdateInfo(dir, `Row ${i}: POST UpdateCard cardNo=${profile.CardNo} name='${profile.Name}'`);
     appendUpdateJsonLog(dir, { event: 'soap_request_update', index: i, cardNo: profile.CardNo, name: profile.Name, envelope: redactEnvelope(envelope) });
+    emitRow(onRow, { ...rowBase, state: 'executing' });
     try {
-      const resp = await postUpdateCard(endpointBaseUrl, envelope);
-      appendUpdateJsonLog(dir, { event: 'soap_response_update', index: i, status: resp.status, httpStatus: resp.httpStatus, errCode: resp.errCode, errMessage: resp.errMessage, raw: resp.raw });
-      const ok = resp.status === 'ok' && (!resp.errCode || resp.errCode === '0');
+      const onEvent = callPolicyLogger({ appendJson: appendUpdateJsonLog, logText: logUpdateInfo, dir, fields: { index: i, cardNo: profile.CardNo }, suffix: '_update', label: `Row ${i}` });
+      const resp = await postUpdateCard(endpointBaseUrl, envelope, { ...soap.update, onEvent });
+      emitRow(onRow, rowResultEvent(rowBase, resp, startedAt));
+      appendUpdateJsonLog(dir, { event: 'soap_response_update', index: i, status: resp.status, httpStatus: resp.httpStatus, attempts: resp.attempts, errCode: resp.errCode, errMessage: resp.errMessage, raw: resp.raw });
+      const ok = resp.ok;
       const durationMs = Date.now() - startedAt;
-      if (ok) registered++; else errors.push({ code: 'VAULT_ERROR', message: resp.errMessage || 'Unknown error', errCode: resp.errCode, cardNo: profile.CardNo, index: i, durationMs });
+      if (ok) registered++; else errors.push(updateResponseError(resp, { cardNo: profile.CardNo, index: i, durationMs }));
+      recordOutcome(batchId, { requestId, cardNo: profile.CardNo, success: ok, code: updateOutcomeCode(resp) });
       details.push({
         index: i,
+        requestId,
         cardNo: profile.CardNo,
         name: profile.Name,
         hasPhoto: !!profile.Photo,
@@ -880,33 +1812,51 @@ async function updateCsvPathToVault({ csvPath, endpointBaseUrl, overrides = [],
       appendUpdateJsonLog(dir, { event: 'row_update_complete', index: i, cardNo: profile.CardNo, accessLevel: profile.AccessLevel, success: ok, durationMs });
     } catch (err) {
       const durationMs = Date.now() - startedAt;
-      errors.push({ code: 'REQUEST_FAILED', message: err.message, cardNo: profile.CardNo, index: i, durationMs });
+      recordOutcome(batchId, { requestId, cardNo: profile.CardNo, success: false, code: failedRequestCode(err) });
+      if (err instanceof VaultSoapFault) {
+        emitRow(onRow, { ...rowBase, state: 'failed', code: 'SOAP_FAULT', message: err.reason, durationMs });
+        errors.push(soapFaultError(err, { cardNo: profile.CardNo, index: i, durationMs }));
+        details.push({
+          index: i,
+          requestId,
+          cardNo: profile.CardNo,
+          name: profile.Name,
+          hasPhoto: !!profile.Photo,
+          respCode: 'SOAP_FAULT',
+          respMessage: err.reason,
+          department: profile.Department,
+          staffNo: profile.StaffNo,
+          sourceRow: row,
+          profile,
+          success: false,
+          durationMs,
+        });
+        appendUpdateJsonLog(dir, { event: 'soap_fault_update', index: i, cardNo: profile.CardNo, fault: err.toJSON(), raw: err.raw, durationMs });
+        appendUpdateJsonLog(dir, { event: 'row_update_complete', index: i, cardNo: profile.CardNo, accessLevel: profile.AccessLevel, success: false, durationMs });
+        logUpdateInfo(dir, `Row ${i}: SOAP_FAULT for cardNo=${profile.CardNo} code=${err.code || '-'} reason='${err.reason}'`);
+        return;
+      }
+      emitRow(onRow, { ...rowBase, state: 'failed', code: 'REQUEST_FAILED', message: err.message, durationMs });
+      errors.push({ code: 'REQUEST_FAILED', message: err.message, cardNo: profile.CardNo, index: i, durationMs, attempts: err.attempts });
       appendUpdateJsonLog(dir, { event: 'error_update', index: i, cardNo: profile.CardNo, message: err.message, stack: err.stack, durationMs });
       logUpdateInfo(dir, `Row ${i}: REQUEST_FAILED for cardNo=${profile.CardNo} message=${err.message}`);
     }
   }
 
-  async function runPool(list, limit) {
-    const executing = new Set();
-    for (const i of list) {
-      const p = processIndex(i).then(() => executing.delete(p));
-      executing.add(p);
-      if (executing.size >= limit) {
-        await Promise.race(executing);
-      }
-    }
-    await Promise.all(Array.from(executing));
-  }
-
-  await runPool(indexList, Math.max(1, Number(concurrency) || 6));
+  const onSettled = progressHook(onProgress, indexList.length, () => ({ succeeded: registered, failed: errors.length }));
+  await runPool(indexList, Math.max(1, Number(concurrency) || 6), processIndex, onSettled, (i, err) => {
+    errors.push({ code: 'WORKER_FAILED', message: err.message, index: i });
+  });
+  sortByIndex(details);
+  sortByIndex(errors);
 
   logUpdateInfo(dir, `Update batch complete: Attempted=${attempted}, Skipped=${skipped}, Updated=${registered}, WithPhoto=${withPhoto}, WithoutPhoto=${withoutPhoto}, Errors=${errors.length}`);
-  appendUpdateJsonLog(dir, { event: 'update_batch_complete', summary: { attempted, skipped, registered, withPhoto, withoutPhoto, errors: errors.length } });
-  return { attempted, skipped, registered, withPhoto, withoutPhoto, details, errors };
+  appendUpdateJsonLog(dir, { event: 'update_batch_complete', batchId, summary: { attempted, skipped, registered, withPhoto, withoutPhoto, errors: errors.length } });
+  return { batchId, attempted, skipped, registered, withPhoto, withoutPhoto, details, errors };
 }
 
 // Update a single row (by index) from a CSV/Excel path
-async function updateCsvRowToVault({ csvPath, index, endpointBaseUrl, override }) {
+async function updateCsvRowToVault({ csvPath, index, endpointBaseUrl, environment, override, allowInvalid, mapping }) {
   const dir = path.dirname(csvPath);
   const rows = readRowsFromCsvPath(csvPath);
   const details = [];
@@ -915,6 +1865,7 @@ async function updateCsvRowToVault({ csvPath, index, endpointBaseUrl, override }
   let withPhoto = 0;
   let withoutPhoto = 0;
   const requestId = typeof crypto.randomUUID === 'function' ? crypto.randomUUID() : String(Date.now());
+  const soap = soapOptions(environment);
   let lastResp = null;
   let lastDurationMs = 0;
 
@@ -926,15 +1877,14 @@ async function updateCsvRowToVault({ csvPath, index, endpointBaseUrl, override }
 
   const row = rows[index];
   const startedAt = Date.now();
-  let profile = mapRowToUpdateProfile(row);
+  let notes = [];
+  let profile = mapRowToUpdateProfile(row, notes, mapping);
   appendUpdateJsonLog(dir, { event: 'single_row_mapped_update', requestId, index, cardNo: profile.CardNo, staffNo: profile.StaffNo, name: profile.Name });
-  const accessLevelExplicit = s(row['ACCESS LEVEL'] || row['Access Level'] || row['AccessLevel']);
-  const messRaw = s(row['MESSHALL'] || row['MessHall'] || row['Mess Hall']);
-  let accessSource = 'default';
-  if (accessLevelExplicit) accessSource = 'explicit_column';
-  else if (messRaw) accessSource = 'derived_from_messhall';
-  appendUpdateJsonLog(dir, { event: 'single_row_access_level_resolved_update', requestId, index, cardNo: profile.CardNo, accessLevel: profile.AccessLevel, faceAccessLevel: profile.FaceAccessLevel, liftAccessLevel: profile.LiftAccessLevel, source: accessSource, messRaw });
-  logUpdateInfo(dir, `Row ${index} [${requestId}]: AccessLevel=${profile.AccessLevel} Face=${profile.FaceAccessLevel || '-'} Lift=${profile.LiftAccessLevel || '-'} source=${accessSource}${messRaw ? ` mess='${messRaw}'` : ''}`);
+  const accessRule = describeRowAccess(row, mapping || builtinMappingProfile('update'));
+  const accessSource = accessRule.sources.accessLevel;
+  const messRaw = accessRule.messHall;
+  appendUpdateJsonLog(dir, { event: 'single_row_access_level_resolved_update', requestId, index, cardNo: profile.CardNo, accessLevel: profile.AccessLevel, faceAccessLevel: profile.FaceAccessLevel, liftAccessLevel: profile.LiftAccessLevel, source: accessSource, rule: accessRule.ruleName, messRaw });
+  logUpdateInfo(dir, `Row ${index} [${requestId}]: AccessLevel=${profile.AccessLevel} Face=${profile.FaceAccessLevel || '-'} Lift=${profile.LiftAccessLevel || '-'} source=${accessSource}${accessRule.ruleName ? ` rule='${accessRule.ruleName}'` : ''}${messRaw ? ` mess='${messRaw}'` : ''}`);
 
   if (override) {
     if (override.cardNo) profile.CardNo = s(override.cardNo).substring(0,10);
@@ -951,6 +1901,8 @@ async function updateCsvRowToVault({ csvPath, index, endpointBaseUrl, override }
         profile[key] = typeof val === 'string' ? val : String(val);
       }
     }
+    // Notes about mapped values that the override replaced no longer apply
+    notes = notes.filter(n => !Object.prototype.hasOwnProperty.call(override, n.field) && !(n.field === 'CardNo' && override.cardNo));
     appendUpdateJsonLog(dir, { event: 'single_override_applied_update', requestId, index, cardNo: profile.CardNo, download: profile.Download });
     logUpdateInfo(dir, `Row ${index} [${requestId}]: override applied, CardNo=${profile.CardNo}, Download=${profile.Download}`);
   }
@@ -960,10 +1912,36 @@ async function updateCsvRowToVault({ csvPath, index, endpointBaseUrl, override }
     profile.VehicleNo = String(profile.VehicleNo).toUpperCase();
   }
 
-  const hasPhoto = tryAttachPhoto(dir, profile);
+  const preflight = preflightRow(profile, notes, allowInvalid === true, index);
+  if (preflight.blocked) {
+    appendUpdateJsonLog(dir, { event: 'single_validation_failed_update', requestId, csvPath, index, cardNo: profile.CardNo, errors: preflight.validation.errors });
+    logUpdateInfo(dir, `Row ${index} [${requestId}]: validation failed for cardNo=${profile.CardNo}: ${preflight.message}`);
+    return {
+      attempted: 1,
+      registered: 0,
+      withPhoto: 0,
+      withoutPhoto: 0,
+      details: [],
+      errors: [{ code: 'VALIDATION_FAILED', message: preflight.message, cardNo: profile.CardNo, validation: preflight.validation.errors }],
+      requestId,
+      validation: preflight.validation,
+      rowStatus: { ok: false, code: 'VALIDATION_FAILED', message: preflight.message },
+    };
+  }
+  if (!preflight.validation.valid) {
+    appendUpdateJsonLog(dir, { event: 'single_validation_overridden_update', requestId, index, cardNo: profile.CardNo, errors: preflight.validation.errors });
+  }
+
+  // Snapshot current CardDB state for rollback (single-row updates use the request ID as batch ID)
+  createSnapshotBatch(requestId, { source: 'update_csv_row', csvPath, logDir: dir });
+  snapshotCard(requestId, { requestId, index, cardNo: profile.CardNo }, await captureCardDbState([profile.CardNo]));
+
+  const photo = await tryAttachPhoto(dir, profile);
+  const hasPhoto = !!photo;
   if (hasPhoto) withPhoto++; else withoutPhoto++;
-  appendUpdateJsonLog(dir, { event: 'single_photo_attach_result_update', requestId, index, hasPhoto, photoSize: profile.Photo ? profile.Photo.length : 0 });
-  const envelope = buildUpdateCardEnvelope(profile);
+  appendUpdateJsonLog(dir, { event: 'single_photo_attach_result_update', requestId, index, hasPhoto, photoSize: profile.Photo ? profile.Photo.length : 0, photo });
+  if (photo?.reencoded || photo?.error || photo?.ambiguous) logUpdateInfo(dir, `Row ${index} [${requestId}]: photo ${describePhotoInfo(photo)}`);
+  const envelope = buildUpdateCardEnvelope(profile, soap.envelope);
   logUpdateInfo(dir, `Row ${index} [${requestId}]: POST UpdateCard (single) cardNo=${profile.CardNo} name='${profile.Name}'`);
   appendUpdateJsonLog(dir, { event: 'single_soap_request_update', requestId, index, cardNo: profile.CardNo, name: profile.Name, envelope: redactEnvelope(envelope) });
   // Emit a truncated redacted request envelope to backend text/console logs for easier diagnosis
@@ -974,9 +1952,10 @@ async function updateCsvRowToVault({ csvPath, index, endpointBaseUrl, override }
     }
   } catch {}
   try {
-    const resp = await postUpdateCard(endpointBaseUrl, envelope);
+    const onEvent = callPolicyLogger({ appendJson: appendUpdateJsonLog, logText: logUpdateInfo, dir, fields: { requestId, index, cardNo: profile.CardNo }, prefix: 'single_', suffix: '_update', label: `Row ${index} [${requestId}]` });
+    const resp = await postUpdateCard(endpointBaseUrl, envelope, { ...soap.update, onEvent });
     lastResp = resp;
-    appendUpdateJsonLog(dir, { event: 'single_soap_response_update', requestId, index, status: resp.status, httpStatus: resp.httpStatus, errCode: resp.errCode, errMessage: resp.errMessage, raw: resp.raw });
+    appendUpdateJsonLog(dir, { event: 'single_soap_response_update', requestId, index, status: resp.status, httpStatus: resp.httpStatus, attempts: resp.attempts, errCode: resp.errCode, errMessage: resp.errMessage, raw: resp.raw });
     // Also emit a truncated raw SOAP response to backend text/console logs for easier diagnosis
     try {
       const snippet = consoleSnippet(resp.raw, 1200);
@@ -984,8 +1963,9 @@ async function updateCsvRowToVault({ csvPath, index, endpointBaseUrl, override }
         logUpdateInfo(dir, `Row ${index} [${requestId}]: SOAP response raw: ${snippet}`);
       }
     } catch {}
-    const ok = resp.status === 'ok' && (!resp.errCode || resp.errCode === '0');
-    if (ok) registered++; else errors.push({ code: 'VAULT_ERROR', message: resp.errMessage || 'Unknown error', errCode: resp.errCode, cardNo: profile.CardNo });
+    const ok = resp.ok;
+    recordOutcome(requestId, { requestId, cardNo: profile.CardNo, success: ok, code: updateOutcomeCode(resp) });
+    if (ok) registered++; else errors.push(updateResponseError(resp, { cardNo: profile.CardNo }));
     details.push({
       cardNo: profile.CardNo,
       name: profile.Name,
@@ -1012,13 +1992,33 @@ async function updateCsvRowToVault({ csvPath, index, endpointBaseUrl, override }
         logUpdateInfo(dir, `Row ${index} [${requestId}]: Field length summary (top): ${top}`);
       }
     } catch {}
-    appendUpdateJsonLog(dir, { event: 'single_row_update_complete', requestId, index, cardNo: profile.CardNo, accessLevel: profile.AccessLevel, success: ok, durationMs });
+    appendUpdateJsonLog(dir, { event: 'single_row_update_complete', requestId, csvPath, index, cardNo: profile.CardNo, accessLevel: profile.AccessLevel, success: ok, durationMs });
     const errMsg = ((resp.errMessage || '').trim()) || '-';
     logUpdateInfo(dir, `Row ${index} [${requestId}]: ${ok ? 'SUCCESS' : 'FAILED'} cardNo=${profile.CardNo} code=${resp.errCode || '-'} msg=${errMsg} (${durationMs}ms)`);
   } catch (err) {
-    errors.push({ code: 'REQUEST_FAILED', message: err.message, cardNo: profile.CardNo });
-    appendUpdateJsonLog(dir, { event: 'single_error_update', requestId, index, cardNo: profile.CardNo, message: err.message, stack: err.stack });
-    logUpdateInfo(dir, `Row ${index} [${requestId}]: REQUEST_FAILED (single) for cardNo=${profile.CardNo} message=${err.message}`);
+    recordOutcome(requestId, { requestId, cardNo: profile.CardNo, success: false, code: failedRequestCode(err) });
+    if (err instanceof VaultSoapFault) {
+      lastResp = { raw: err.raw };
+      lastDurationMs = Date.now() - startedAt;
+      errors.push(soapFaultError(err, { cardNo: profile.CardNo }));
+      details.push({
+        cardNo: profile.CardNo,
+        name: profile.Name,
+        hasPhoto: !!profile.Photo,
+        respCode: 'SOAP_FAULT',
+        respMessage: err.reason,
+        department: profile.Department,
+        staffNo: profile.StaffNo,
+        sourceRow: row,
+        profile,
+      });
+      appendUpdateJsonLog(dir, { event: 'single_soap_fault_update', requestId, index, cardNo: profile.CardNo, fault: err.toJSON(), raw: err.raw, durationMs: lastDurationMs });
+      logUpdateInfo(dir, `Row ${index} [${requestId}]: SOAP_FAULT (single) for cardNo=${profile.CardNo} code=${err.code || '-'} reason='${err.reason}'`);
+    } else {
+      errors.push({ code: 'REQUEST_FAILED', message: err.message, cardNo: profile.CardNo, attempts: err.attempts });
+      appendUpdateJsonLog(dir, { event: 'single_error_update', requestId, index, cardNo: profile.CardNo, message: err.message, stack: err.stack });
+      logUpdateInfo(dir, `Row ${index} [${requestId}]: REQUEST_FAILED (single) for cardNo=${profile.CardNo} message=${err.message}`);
+    }
   }
 
   const summary = { attempted: 1, registered, withPhoto, withoutPhoto, errors: errors.length };
@@ -1035,44 +2035,292 @@ async function updateCsvRowToVault({ csvPath, index, endpointBaseUrl, override }
   return { attempted: 1, registered, withPhoto, withoutPhoto, details, errors, requestId, rowStatus };
 }
 
-// Preview update from CSV/Excel path
-function previewUpdateCsvPathToVault({ csvPath }) {
+// Vault answered the original update with an ErrCode or a SOAP fault, or the circuit breaker never sent it
+function updateDefinitelyRejected(entry) {
+  if (entry.updated !== false) return false;
+  const code = String(entry.updateCode ?? '').trim();
+  return code === 'SOAP_FAULT' || code === 'CIRCUIT_OPEN' || /^-?\d+$/.test(code);
+}
+
+/**
+ * Roll back UpdateCard calls recorded in a snapshot batch by replaying each card's prior
+ * CardDB profile. `requestIds` / `cardNos` narrow the rollback to specific cards; otherwise
+ * every card of the batch is restored unless Vault definitely rejected its update
+ * (failures with an unknown outcome are restored too and flagged `outcomeUnknown`).
+ */
+async function rollbackVaultUpdates({ batchId, requestIds, cardNos, endpointBaseUrl, environment, concurrency = 3 }) {
+  const batch = readSnapshotBatch(batchId);
+  if (!batch) {
+    return { batchId, attempted: 0, restored: 0, skipped: 0, details: [], errors: [{ code: 'SNAPSHOT_NOT_FOUND', message: `No snapshot recorded for batch ${batchId}` }] };
+  }
+  const dir = batch.logDir || path.join(__dirname, '..', '..', 'scripts');
+  const wantedRequests = Array.isArray(requestIds) && requestIds.length > 0 ? new Set(requestIds.map(String)) : null;
+  const wantedCards = Array.isArray(cardNos) && cardNos.length > 0 ? new Set(cardNos.map(c => s(c))) : null;
+  const entries = batch.entries.filter(e => (!wantedRequests || wantedRequests.has(e.requestId)) && (!wantedCards || wantedCards.has(e.cardNo)));
+  const result = { batchId, source: batch.source, endpointBaseUrl, attempted: 0, restored: 0, skipped: 0, details: [], errors: [] };
+
+  logUpdateInfo(dir, `Start Rollback batchId=${batchId} source=${batch.source || '-'} endpoint=${endpointBaseUrl || '(env default)'} cards=${entries.length}`);
+  const soap = soapOptions(environment);
+  appendUpdateJsonLog(dir, { event: 'rollback_batch_start', batchId, source: batch.source, endpointBaseUrl, environmentId: environment?.id, cards: entries.length });
+
+  async function processEntry(entry) {
+    const i = entry.index;
+    const base = { index: i, requestId: entry.requestId, cardNo: entry.cardNo, name: entry.before ? entry.before.Name : undefined, updateCode: entry.updateCode };
+    // Nothing to restore when CardDB had no record, or when Vault definitely did not apply the original update
+    const reason = !entry.before ? 'NO_SNAPSHOT' : (updateDefinitelyRejected(entry) ? 'UPDATE_NOT_APPLIED' : null);
+    if (reason) {
+      result.skipped++;
+      result.details.push({ ...base, success: false, reason });
+      appendUpdateJsonLog(dir, { event: 'row_skipped_rollback', batchId, requestId: entry.requestId, index: i, cardNo: entry.cardNo, reason });
+      return;
+    }
+    result.attempted++;
+    // A failed update whose outcome is unknown (timeout, transport error, non-2xx) is restored as well, and flagged
+    if (entry.updated === false) base.outcomeUnknown = true;
+    const rollbackRequestId = newRequestId();
+    const startedAt = Date.now();
+    const profile = { ...entry.before, Download: 'true', Photo: null };
+    const envelope = buildUpdateCardEnvelope(profile, soap.envelope);
+    logUpdateInfo(dir, `Rollback [${rollbackRequestId}]: POST UpdateCard cardNo=${profile.CardNo} name='${profile.Name}' (restoring ${entry.requestId})`);
+    appendUpdateJsonLog(dir, { event: 'soap_request_rollback', batchId, requestId: entry.requestId, rollbackRequestId, index: i, cardNo: profile.CardNo, envelope: redactEnvelope(envelope) });
+    try {
+      const onEvent = callPolicyLogger({ appendJson: appendUpdateJsonLog, logText: logUpdateInfo, dir, fields: { batchId, rollbackRequestId, cardNo: profile.CardNo }, suffix: '_rollback', label: `Rollback [${rollbackRequestId}]` });
+      const resp = await postUpdateCard(endpointBaseUrl, envelope, { ...soap.update, onEvent });
+      const durationMs = Date.now() - startedAt;
+      appendUpdateJsonLog(dir, { event: 'soap_response_rollback', batchId, rollbackRequestId, status: resp.status, httpStatus: resp.httpStatus, attempts: resp.attempts, errCode: resp.errCode, errMessage: resp.errMessage, raw: resp.raw });
+      recordRollback(batchId, { requestId: entry.requestId, cardNo: profile.CardNo, rollbackRequestId, success: resp.ok, code: updateOutcomeCode(resp), message: resp.errMessage });
+      if (resp.ok) result.restored++;
+      else result.errors.push(updateResponseError(resp, { cardNo: profile.CardNo, index: i, durationMs }));
+      result.details.push({ ...base, rollbackRequestId, respCode: resp.errCode, respMessage: resp.errMessage, success: resp.ok, durationMs });
+    } catch (err) {
+      const durationMs = Date.now() - startedAt;
+      const fault = err instanceof VaultSoapFault;
+      recordRollback(batchId, { requestId: entry.requestId, cardNo: profile.CardNo, rollbackRequestId, success: false, code: fault ? 'SOAP_FAULT' : 'REQUEST_FAILED', message: fault ? err.reason : err.message });
+      if (fault) {
+        result.errors.push(soapFaultError(err, { cardNo: profile.CardNo, index: i, durationMs }));
+        appendUpdateJsonLog(dir, { event: 'soap_fault_rollback', batchId, rollbackRequestId, cardNo: profile.CardNo, fault: err.toJSON(), raw: err.raw, durationMs });
+      } else {
+        result.errors.push({ code: 'REQUEST_FAILED', message: err.message, cardNo: profile.CardNo, index: i, durationMs, attempts: err.attempts });
+        appendUpdateJsonLog(dir, { event: 'error_rollback', batchId, rollbackRequestId, cardNo: profile.CardNo, message: err.message, stack: err.stack, durationMs });
+      }
+      result.details.push({ ...base, rollbackRequestId, respCode: fault ? 'SOAP_FAULT' : 'REQUEST_FAILED', respMessage: fault ? err.reason : err.message, success: false, durationMs });
+      logUpdateInfo(dir, `Rollback [${rollbackRequestId}]: ${fault ? 'SOAP_FAULT' : 'REQUEST_FAILED'} for cardNo=${profile.CardNo} message=${fault ? err.reason : err.message}`);
+    }
+  }
+
+  await runPool(entries, Math.max(1, Number(concurrency) || 3), processEntry, undefined, (entry, err) => {
+    result.errors.push({ code: 'WORKER_FAILED', message: err.message, cardNo: entry.cardNo, requestId: entry.requestId, index: entry.index });
+  });
+  sortByIndex(result.details);
+  sortByIndex(result.errors);
+
+  logUpdateInfo(dir, `Rollback complete batchId=${batchId}: Attempted=${result.attempted}, Restored=${result.restored}, Skipped=${result.skipped}, Errors=${result.errors.length}`);
+  appendUpdateJsonLog(dir, { event: 'rollback_batch_complete', batchId, summary: { attempted: result.attempted, restored: result.restored, skipped: result.skipped, errors: result.errors.length } });
+  return result;
+}
+
+const REPLAY_POSTERS = { AddCard: postAddCard, UpdateCard: postUpdateCard, DeleteCard: postDeleteCard };
+// soapOptions() entry holding the SOAPAction of each replayable operation
+const REPLAY_SOAP_OPTIONS = { AddCard: 'add', UpdateCard: 'update', DeleteCard: 'delete' };
+
+/**
+ * Re-send a logged (redacted) SOAP request envelope as-is. A redacted photo is re-read from `dir`
+ * by the envelope's CardNo/StaffNo, the same way the original batch attached it.
+ * The exchange is logged to the registration or update JSONL log of `dir` (per `log`) with `replay` events.
+ * `environment` (a Vault environment) supplies the SOAPAction header; the SOAP version follows the envelope.
+ * Returns { replayId, replayOf, operation, endpointBaseUrl, ok, code, httpStatus, errCode, errMessage, attempts, fault, raw, durationMs }.
+ */
+async function replayVaultRequest({ dir, log, envelope, endpointBaseUrl, environment, replayOf }) {
+  const appendJson = log === 'update' ? appendUpdateJsonLog : appendJsonLog;
+  const logText = log === 'update' ? logUpdateInfo : logInfo;
+  const doc = parseXml(envelope);
+  const soapEnv = findElement(doc, 'Envelope');
+  const body = soapEnv ? findElement(soapEnv, 'Body') : null;
+  const operation = body && body.children[0] ? body.children[0].local : undefined;
+  const post = REPLAY_POSTERS[operation];
+  if (!post) {
+    return { replayOf, operation, ok: false, code: 'UNSUPPORTED_OPERATION', errMessage: `Cannot replay ${operation || 'unknown'} requests` };
+  }
+  if (operation === 'DeleteCard' && !isVaultDeleteEnabled()) {
+    return { replayOf, operation, ok: false, code: 'DELETE_DISABLED', errMessage: 'DeleteCard is not enabled (VAULT_DELETE_ENABLED)' };
+  }
+  const cardNo = elementText(body, 'CardNo');
+  let outgoing = envelope;
+  if (/<Photo>\[redacted\]<\/Photo>/i.test(envelope)) {
+    const photo = { CardNo: cardNo, StaffNo: elementText(body, 'StaffNo') };
+    if (!await tryAttachPhoto(dir, photo)) {
+      return { replayOf, operation, ok: false, code: 'PHOTO_NOT_FOUND', errMessage: `Photo for cardNo=${cardNo || '-'} is no longer in ${dir}` };
+    }
+    outgoing = envelope.replace(/<Photo>\[redacted\]<\/Photo>/i, () => `<Photo>${photo.Photo}</Photo>`);
+  }
+
+  const replayId = newRequestId();
+  const soapVersion = soapEnv.ns === SOAP12_NS ? '1.2' : '1.1';
+  const base = { replayId, replayOf, operation, endpointBaseUrl };
+  const startedAt = Date.now();
+  logText(dir, `Replay [${replayId}]: POST ${operation} cardNo=${cardNo || '-'} endpoint=${endpointBaseUrl} (replaying ${replayOf})`);
+  appendJson(dir, { event: 'soap_request_replay', ...base, environmentId: environment?.id, cardNo, envelope: redactEnvelope(outgoing) });
+  try {
+    const onEvent = callPolicyLogger({ appendJson, logText, dir, fields: { replayId, cardNo }, suffix: '_replay', label: `Replay [${replayId}]` });
+    const { soapAction } = soapOptions(environment)[REPLAY_SOAP_OPTIONS[operation]];
+    const resp = await post(endpointBaseUrl, outgoing, { soapVersion, soapAction, onEvent });
+    const durationMs = Date.now() - startedAt;
+    appendJson(dir, { event: 'soap_response_replay', replayId, status: resp.status, httpStatus: resp.httpStatus, attempts: resp.attempts, errCode: resp.errCode, errMessage: resp.errMessage, raw: resp.raw, durationMs });
+    logText(dir, `Replay [${replayId}]: ${resp.ok ? 'SUCCESS' : 'FAILED'} HTTP=${resp.httpStatus} ErrCode=${resp.errCode ?? '-'} ErrMessage=${resp.errMessage ?? '-'} (${durationMs}ms)`);
+    const code = resp.httpStatus >= 200 && resp.httpStatus < 300 ? resp.errCode : `HTTP_${resp.httpStatus}`;
+    return { ...base, ok: resp.ok, code, httpStatus: resp.httpStatus, errCode: resp.errCode, errMessage: resp.errMessage, attempts: resp.attempts, raw: resp.raw, durationMs };
+  } catch (err) {
+    const durationMs = Date.now() - startedAt;
+    if (err instanceof VaultSoapFault) {
+      appendJson(dir, { event: 'soap_fault_replay', replayId, cardNo, fault: err.toJSON(), raw: err.raw, durationMs });
+      logText(dir, `Replay [${replayId}]: SOAP_FAULT code=${err.code || '-'} reason='${err.reason}'`);
+      return { ...base, ok: false, code: 'SOAP_FAULT', httpStatus: err.httpStatus, errMessage: err.reason, fault: err.toJSON(), raw: err.raw, durationMs };
+    }
+    appendJson(dir, { event: 'error_replay', replayId, cardNo, message: err.message, stack: err.stack, durationMs });
+    logText(dir, `Replay [${replayId}]: REQUEST_FAILED message=${err.message}`);
+    return { ...base, ok: false, code: 'REQUEST_FAILED', errMessage: err.message, attempts: err.attempts, durationMs };
+  }
+}
+
+function elementText(scope, localName) {
+  const el = findElement(scope, localName);
+  return el ? textContent(el).trim() : '';
+}
+
+// Fields compared between an update sheet and CardDB, with the CardDB columns each one is read from
+const UPDATE_DIFF_FIELDS = {
+  Name: ['Name', 'NAME'],
+  Department: ['Department', 'DEPT', 'DepartmentName'],
+  Company: ['Company', 'COMPANY'],
+  StaffNo: ['StaffNo', 'StaffID'],
+  Title: ['Title', 'TITLE'],
+  Position: ['Position', 'POSITION'],
+  Gentle: ['Gentle', 'Gender', 'SEX'],
+  NRIC: ['NRIC', 'IdNo'],
+  Passport: ['Passport'],
+  Race: ['Race'],
+  DOB: ['DOB', 'BirthDate'],
+  JoiningDate: ['JoiningDate', 'JoinDate'],
+  ResignDate: ['ResignDate', 'ExitDate'],
+  Address1: ['Address1', 'Address'],
+  Address2: ['Address2'],
+  Email: ['Email'],
+  MobileNo: ['MobileNo', 'Phone', 'Contact'],
+  AccessLevel: ['AccessLevel'],
+  FaceAccessLevel: ['FaceAccessLevel'],
+  LiftAccessLevel: ['LiftAccessLevel'],
+  VehicleNo: ['VehicleNo', 'Vehicle', 'Remark'],
+  ActiveStatus: ['ActiveStatus'],
+  NonExpired: ['NonExpired'],
+  ExpiredDate: ['ExpiredDate'],
+};
+const UPDATE_DIFF_DATE_FIELDS = new Set(['DOB', 'JoiningDate', 'ResignDate', 'ExpiredDate']);
+
+function normalizeDiffValue(field, val) {
+  if (val === undefined || val === null) return '';
+  if (field === 'ActiveStatus' || field === 'NonExpired') return boolToXml(val) === '1' ? 'true' : 'false';
+  if (UPDATE_DIFF_DATE_FIELDS.has(field)) return normalizeVaultDate(val);
+  // Case and spacing differences are not reported (UpdateCard uppercases VehicleNo, sheets vary in casing)
+  return String(val).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Per-field before/after diff of a mapped update profile against its CardDB row.
+ * Only fields backed by a column in the CardDB row are compared.
+ * Returns [{ field, before, after }] for fields that would change.
+ */
+function diffProfileAgainstCardDb(profile, row) {
+  const current = cardDbRowToCurrentProfile(row, profile.CardNo);
+  const diff = [];
+  for (const [field, columns] of Object.entries(UPDATE_DIFF_FIELDS)) {
+    if (!columns.some(c => Object.prototype.hasOwnProperty.call(row, c))) continue;
+    const before = current[field];
+    const after = profile[field];
+    if (normalizeDiffValue(field, before) !== normalizeDiffValue(field, after)) {
+      diff.push({ field, before: before === undefined || before === null ? '' : String(before), after: after === undefined || after === null ? '' : String(after) });
+    }
+  }
+  return diff;
+}
+
+// Preview update from CSV/Excel path, with a field-level diff against current CardDB values
+async function previewUpdateCsvPathToVault({ csvPath, mapping }) {
   const dir = path.dirname(csvPath);
   const rows = readRowsFromCsvPath(csvPath);
-  const details = rows.map((row, i) => {
-    const profile = mapRowToUpdateProfile(row);
-    const hasPhoto = photoExists(dir, profile.CardNo, profile.StaffNo);
-    return {
+  const errors = [];
+  const notes = rows.map(() => []);
+  const profiles = rows.map((row, i) => mapRowToUpdateProfile(row, notes[i], mapping));
+  let existing = null;
+  try {
+    existing = await lookupCardsByCardNo(profiles.map(p => p.CardNo), undefined, { fullRow: true });
+  } catch (err) {
+    // Preview still works without CardDB; rows just carry no diff
+    errors.push({ code: 'CARDDB_LOOKUP_FAILED', message: err.message });
+  }
+  const duplicates = await previewDuplicates(profiles, errors);
+  const details = [];
+  for (const [i, row] of rows.entries()) {
+    const profile = profiles[i];
+    const photo = await inspectVaultPhoto(dir, profile.CardNo, profile.StaffNo);
+    const detail = {
+      index: i,
       cardNo: profile.CardNo,
       name: profile.Name,
-      hasPhoto,
+      hasPhoto: !!photo,
+      photo,
       department: profile.Department,
       staffNo: profile.StaffNo,
       sourceRow: row,
       profile,
+      validation: validateVaultProfile(profile, { notes: notes[i] }),
+      duplicates: duplicates[i],
+      accessRule: describeRowAccess(row, mapping || builtinMappingProfile('update')),
     };
-  });
-  return { attempted: rows.length, registered: 0, withPhoto: details.filter(d=>d.hasPhoto).length, withoutPhoto: details.filter(d=>!d.hasPhoto).length, details };
+    if (existing && profile.CardNo) {
+      const current = existing.get(String(profile.CardNo).trim());
+      detail.inCardDb = !!current;
+      if (current) {
+        detail.diff = diffProfileAgainstCardDb(profile, current);
+        detail.changed = detail.diff.length > 0;
+      }
+    }
+    details.push(detail);
+  }
+  return {
+    attempted: rows.length,
+    registered: 0,
+    withPhoto: details.filter(d=>d.hasPhoto).length,
+    withoutPhoto: details.filter(d=>!d.hasPhoto).length,
+    changedRows: details.filter(d => d.changed === true).length,
+    unchangedRows: details.filter(d => d.changed === false).length,
+    notInCardDb: details.filter(d => d.inCardDb === false).length,
+    ...countValidation(details),
+    ...countPhotos(details),
+    ...countDuplicates(details),
+    errors,
+    details,
+  };
 }
 
 module.exports = {
+  readRowsFromCsvPath,
+  readRowsFromOutputDir,
   registerJobToVault,
   photoExists,
   registerCsvPathToVault,
+  previewUpsertToVault,
+  upsertToVault,
+  previewDeactivationToVault,
+  deactivateCardsInVault,
+  isVaultDeleteEnabled,
+  buildDeactivateCardEnvelope,
+  buildDeleteCardEnvelope,
   /**
    * Preview profiles to be registered without executing SOAP calls.
-   * Returns counts and per-card details (cardNo, name, department, hasPhoto).
+   * Returns counts and per-card details (cardNo, name, department, hasPhoto, photo, validation, duplicates).
    */
-  previewJobToVault: ({ jobId, outputDir }) => {
-    const result = {
-      jobId,
-      attempted: 0,
-      registered: 0,
-      withPhoto: 0,
-      withoutPhoto: 0,
-      errors: [],
-      details: [],
-    };
+  previewJobToVault: async ({ jobId, outputDir, mapping }) => {
+    const result = newRegisterResult(jobId);
 
     if (!fse.pathExistsSync(outputDir)) {
       result.errors.push({ code: 'OUTPUT_NOT_FOUND', message: `Output directory not found: ${outputDir}` });
@@ -1084,40 +2332,14 @@ module.exports = {
       result.errors.push({ code: 'NO_ROWS', message: 'No rows found in Excel/CSV outputs.' });
       return result;
     }
-
-    for (const row of rows) {
-      const profile = mapRowToProfile(row);
-      result.attempted += 1;
-      const hasPhoto = tryAttachPhoto(outputDir, profile);
-      if (hasPhoto) result.withPhoto += 1; else result.withoutPhoto += 1;
-      result.details.push({
-        cardNo: profile.CardNo,
-        name: profile.Name,
-        department: profile.Department,
-        staffNo: s(row['Staff No [Max 15]'] || row['Staff No. [Max 10]'] || row['Emp. No'] || row['Employee ID'] || row['ID'] || row['NIK']) || profile.CardNo,
-        hasPhoto,
-        sourceRow: row,
-        profile,
-      });
-    }
-
-    return result;
+    return previewRowsToVault(rows, result, { outputDir, mapping });
   },
   /**
    * Preview from a specific CSV file path.
    */
-  previewCsvPathToVault: ({ csvPath }) => {
+  previewCsvPathToVault: async ({ csvPath, mapping }) => {
     const outputDir = path.dirname(csvPath);
-    const jobId = path.basename(outputDir);
-    const result = {
-      jobId,
-      attempted: 0,
-      registered: 0,
-      withPhoto: 0,
-      withoutPhoto: 0,
-      errors: [],
-      details: [],
-    };
+    const result = newRegisterResult(path.basename(outputDir));
 
     if (!fse.pathExistsSync(outputDir)) {
       result.errors.push({ code: 'OUTPUT_NOT_FOUND', message: `Output directory not found: ${outputDir}` });
@@ -1133,44 +2355,57 @@ module.exports = {
       result.errors.push({ code: 'NO_ROWS', message: 'No rows found in CSV.' });
       return result;
     }
-
-    for (const row of rows) {
-      const profile = mapRowToProfile(row);
-      result.attempted += 1;
-      const hasPhoto = tryAttachPhoto(outputDir, profile);
-      if (hasPhoto) result.withPhoto += 1; else result.withoutPhoto += 1;
-      result.details.push({
-        cardNo: profile.CardNo,
-        name: profile.Name,
-        department: profile.Department,
-        staffNo: s(row['Staff No [Max 15]'] || row['Staff No. [Max 10]'] || row['Emp. No'] || row['Employee ID'] || row['ID'] || row['NIK']) || profile.CardNo,
-        hasPhoto,
-        sourceRow: row,
-        profile,
-      });
-    }
-
-    return result;
+    return previewRowsToVault(rows, result, { outputDir, mapping });
   },
   updateCsvPathToVault,
   previewUpdateCsvPathToVault,
   updateCsvRowToVault,
-  // Update a single profile object directly (DB-sourced or custom)
-  updateProfileToVault: async ({ profile, endpointBaseUrl, outputDir }) => {
+  rollbackVaultUpdates,
+  UPDATE_TEMPLATE_HEADERS,
+  profileToUpdateTemplateRow,
+  replayVaultRequest,
+  // Update a single profile object directly (DB-sourced or custom).
+  // `before` is the card's current CardDB profile; when given it is snapshotted under the request ID for rollback.
+  updateProfileToVault: async ({ profile, endpointBaseUrl, environment, outputDir, before }) => {
     const dir = outputDir || path.join(__dirname, '..', '..', 'scripts');
+    const soap = soapOptions(environment);
     const requestId = typeof crypto.randomUUID === 'function' ? crypto.randomUUID() : String(Date.now());
+    if (before !== undefined) {
+      createSnapshotBatch(requestId, { source: 'update_card_db', logDir: dir });
+      recordSnapshot(requestId, { requestId, cardNo: profile.CardNo, before, error: before ? undefined : 'Card not found in CardDB' });
+    }
     // Attach photo if available
-    tryAttachPhoto(dir, profile);
-    const envelope = buildUpdateCardEnvelope(profile);
+    const photo = await tryAttachPhoto(dir, profile);
+    appendUpdateJsonLog(dir, { event: 'single_photo_attach_result_update', requestId, cardNo: profile.CardNo, hasPhoto: !!photo, photoSize: profile.Photo ? profile.Photo.length : 0, photo });
+    const envelope = buildUpdateCardEnvelope(profile, soap.envelope);
     appendUpdateJsonLog(dir, { event: 'single_soap_request_update', requestId, cardNo: profile.CardNo, name: profile.Name, envelope: redactEnvelope(envelope) });
     logUpdateInfo(dir, `DB Single [${requestId}]: POST UpdateCard cardNo=${profile.CardNo} name='${profile.Name}'`);
-    const resp = await postUpdateCard(endpointBaseUrl, envelope);
-    appendUpdateJsonLog(dir, { event: 'single_soap_response_update', requestId, status: resp.status, httpStatus: resp.httpStatus, errCode: resp.errCode, errMessage: resp.errMessage, raw: resp.raw });
-    const ok = resp.status === 'ok' && (!resp.errCode || resp.errCode === '0');
-    logUpdateInfo(dir, `DB Single [${requestId}]: ${ok ? 'SUCCESS' : 'FAILED'} cardNo=${profile.CardNo} code=${resp.errCode || '-'} msg=${((resp.errMessage||'').trim()) || '-'} `);
+    let resp;
+    try {
+      const onEvent = callPolicyLogger({ appendJson: appendUpdateJsonLog, logText: logUpdateInfo, dir, fields: { requestId, cardNo: profile.CardNo }, prefix: 'single_', suffix: '_update', label: `DB Single [${requestId}]` });
+      resp = await postUpdateCard(endpointBaseUrl, envelope, { ...soap.update, onEvent });
+    } catch (err) {
+      if (before !== undefined) recordOutcome(requestId, { requestId, cardNo: profile.CardNo, success: false, code: failedRequestCode(err) });
+      if (!(err instanceof VaultSoapFault)) throw err;
+      appendUpdateJsonLog(dir, { event: 'single_soap_fault_update', requestId, cardNo: profile.CardNo, fault: err.toJSON(), raw: err.raw });
+      logUpdateInfo(dir, `DB Single [${requestId}]: SOAP_FAULT cardNo=${profile.CardNo} code=${err.code || '-'} reason='${err.reason}'`);
+      return {
+        ok: false,
+        code: 'SOAP_FAULT',
+        message: err.reason,
+        fault: err.toJSON(),
+        raw: err.raw,
+        requestId,
+      };
+    }
+    appendUpdateJsonLog(dir, { event: 'single_soap_response_update', requestId, status: resp.status, httpStatus: resp.httpStatus, attempts: resp.attempts, errCode: resp.errCode, errMessage: resp.errMessage, raw: resp.raw });
+    const ok = resp.ok;
+    const code = updateOutcomeCode(resp);
+    if (before !== undefined) recordOutcome(requestId, { requestId, cardNo: profile.CardNo, success: ok, code });
+    logUpdateInfo(dir, `DB Single [${requestId}]: ${ok ? 'SUCCESS' : 'FAILED'} cardNo=${profile.CardNo} code=${code || '-'} msg=${((resp.errMessage||'').trim()) || '-'} `);
     return {
       ok,
-      code: resp.errCode,
+      code,
       message: resp.errMessage,
       raw: resp.raw,
       requestId,
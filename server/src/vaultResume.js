@@ -0,0 +1,196 @@
+// Resume an interrupted or partly failed Vault batch from its JSONL log.
+// The registration log (vault-registration-log.jsonl) and the update log (vault-update-log.jsonl) record a
+// start event per batch followed by per-row outcomes. Every batch run against the same sheet (or processor job)
+// is folded together: a row counts as done once any run succeeded for it, and everything else is re-sent with
+// the Card No / Download overrides that were last applied to it.
+
+const fs = require('fs');
+const path = require('path');
+const {
+  readRowsFromCsvPath,
+  readRowsFromOutputDir,
+  registerJobToVault,
+  registerCsvPathToVault,
+  upsertToVault,
+  updateCsvPathToVault,
+} = require('./vaultRegistrar');
+
+const RESUME_KINDS = ['register', 'update'];
+
+const REGISTER_LOG = 'vault-registration-log.jsonl';
+const UPDATE_LOG = 'vault-update-log.jsonl';
+
+// Start events that open a batch segment, with the mode the batch ran in
+const REGISTER_START_EVENTS = { start: 'register', start_csv: 'register', start_upsert: 'upsert' };
+const REGISTER_RESPONSE_EVENTS = ['soap_response', 'soap_response_csv', 'soap_response_upsert'];
+const REGISTER_FAILURE_EVENTS = ['soap_fault', 'soap_fault_csv', 'soap_fault_upsert', 'error', 'error_csv', 'error_upsert'];
+const REGISTER_MISSING_EVENTS = ['card_no_missing', 'card_no_missing_csv', 'card_no_missing_upsert'];
+const REGISTER_OVERRIDE_EVENTS = ['override_applied', 'override_applied_csv'];
+
+function readJsonl(file) {
+  if (!fs.existsSync(file)) return null;
+  const out = [];
+  for (const line of fs.readFileSync(file, 'utf8').split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    try { out.push(JSON.parse(line)); } catch { /* partial line from an interrupted write */ }
+  }
+  return out;
+}
+
+// Same success criteria as parseVaultResponse: AddCard ErrCode 0/1, UpdateCard ErrCode empty/0
+function loggedResponseOk(ev) {
+  if (!(ev.httpStatus >= 200 && ev.httpStatus < 300)) return false;
+  const code = ev.errCode === undefined || ev.errCode === null ? '' : String(ev.errCode);
+  if (ev.action === 'update') return code === '' || code === '0';
+  return code === '0' || code === '1';
+}
+
+function resolveTarget({ kind, csvPath, jobId, outputDir }) {
+  if (!RESUME_KINDS.includes(kind)) throw new Error(`kind must be one of ${RESUME_KINDS.join(', ')}`);
+  if (kind === 'update' && !csvPath) throw new Error('csvPath is required to resume an update batch');
+  if (!csvPath && !(jobId && outputDir)) throw new Error('csvPath or jobId is required');
+  const dir = csvPath ? path.dirname(csvPath) : outputDir;
+  return { kind, csvPath, jobId: csvPath ? undefined : jobId, dir, logPath: path.join(dir, kind === 'update' ? UPDATE_LOG : REGISTER_LOG) };
+}
+
+/**
+ * Work out which rows of a previous batch never succeeded.
+ * Returns { kind, mode, csvPath, jobId, logPath, runs, total, succeeded, pending, missingCardNo, overrides, mappingProfileId, environmentId, endpointBaseUrl, errors }
+ * where `pending` are row indices to re-send and `missingCardNo` rows that were skipped for lacking a Card No
+ * (re-sending them cannot succeed until the sheet is fixed). `mappingProfileId`, `environmentId` and `endpointBaseUrl`
+ * are the column mapping profile and Vault target of the latest run, when it recorded them.
+ */
+function analyzeResume({ kind, csvPath, jobId, outputDir }) {
+  const target = resolveTarget({ kind, csvPath, jobId, outputDir });
+  const result = {
+    kind,
+    mode: kind === 'update' ? 'update' : 'register',
+    csvPath: target.csvPath,
+    jobId: target.jobId,
+    logPath: target.logPath,
+    runs: 0,
+    total: 0,
+    succeeded: 0,
+    pending: [],
+    missingCardNo: [],
+    overrides: [],
+    mappingProfileId: undefined,
+    environmentId: undefined,
+    endpointBaseUrl: undefined,
+    errors: [],
+  };
+
+  if (csvPath && !fs.existsSync(csvPath)) {
+    result.errors.push({ code: 'CSV_NOT_FOUND', message: `CSV file not found: ${csvPath}` });
+    return result;
+  }
+  const rows = csvPath ? readRowsFromCsvPath(csvPath) : readRowsFromOutputDir(target.dir);
+  result.total = rows.length;
+  const events = readJsonl(target.logPath);
+  if (!events) {
+    result.errors.push({ code: 'LOG_NOT_FOUND', message: `No batch log found at ${target.logPath}` });
+    return result;
+  }
+
+  // index -> 'success' | 'failed' | 'missing'; success is sticky across runs
+  const outcome = new Map();
+  const overrides = new Map();
+  const setOutcome = (index, state) => {
+    if (typeof index !== 'number' || outcome.get(index) === 'success') return;
+    outcome.set(index, state);
+  };
+
+  let inBatch = false;
+  for (const ev of events) {
+    const name = ev.event;
+    if (kind === 'register' && REGISTER_START_EVENTS[name]) {
+      inBatch = csvPath ? ev.csvPath === csvPath : (!ev.csvPath && ev.jobId === jobId);
+      if (inBatch) {
+        result.runs += 1;
+        result.mode = REGISTER_START_EVENTS[name];
+        result.mappingProfileId = ev.mappingProfileId;
+        result.environmentId = ev.environmentId;
+        result.endpointBaseUrl = ev.endpointBaseUrl;
+      }
+      continue;
+    }
+    if (kind === 'update' && name === 'update_batch_start') {
+      inBatch = ev.csvPath === csvPath;
+      if (inBatch) {
+        result.runs += 1;
+        result.mappingProfileId = ev.mappingProfileId;
+        result.environmentId = ev.environmentId;
+        result.endpointBaseUrl = ev.endpointBaseUrl;
+      }
+      continue;
+    }
+    // Single-row updates are logged outside any batch segment but carry their CSV path
+    if (kind === 'update' && name === 'single_row_update_complete') {
+      if (ev.csvPath === csvPath && ev.success) setOutcome(ev.index, 'success');
+      continue;
+    }
+    if (!inBatch) continue;
+
+    if (kind === 'register') {
+      if (REGISTER_RESPONSE_EVENTS.includes(name)) setOutcome(ev.index, loggedResponseOk(ev) ? 'success' : 'failed');
+      else if (REGISTER_FAILURE_EVENTS.includes(name)) setOutcome(ev.index, 'failed');
+      else if (REGISTER_MISSING_EVENTS.includes(name)) setOutcome(ev.index, 'missing');
+      else if (REGISTER_OVERRIDE_EVENTS.includes(name) && typeof ev.index === 'number') {
+        overrides.set(ev.index, { index: ev.index, cardNo: ev.cardNo, downloadCard: String(ev.downloadCard).toLowerCase() === 'true' });
+      }
+    } else {
+      if (name === 'row_update_complete') setOutcome(ev.index, ev.success ? 'success' : 'failed');
+      else if (name === 'error_update') setOutcome(ev.index, 'failed');
+      else if (name === 'row_skipped_missing_cardno') setOutcome(ev.index, 'missing');
+      else if (name === 'override_applied_update' && typeof ev.index === 'number') {
+        overrides.set(ev.index, { index: ev.index, cardNo: ev.cardNo, downloadCard: String(ev.download).toLowerCase() === 'true' });
+      }
+    }
+  }
+
+  if (result.runs === 0) {
+    result.errors.push({ code: 'NO_PREVIOUS_BATCH', message: `No batch for ${csvPath || `job ${jobId}`} in ${target.logPath}` });
+    return result;
+  }
+
+  for (let i = 0; i < rows.length; i++) {
+    const state = outcome.get(i);
+    if (state === 'success') result.succeeded += 1;
+    else if (state === 'missing') result.missingCardNo.push(i);
+    else result.pending.push(i);
+  }
+  result.overrides = result.pending.filter(i => overrides.has(i)).map(i => overrides.get(i));
+  return result;
+}
+
+/**
+ * Re-send the rows of a previous batch that never succeeded, through the same registrar function and mode.
+ * `mapping` is the column mapping profile the earlier runs used (resolved by the caller from `mappingProfileId`);
+ * `environment` is the Vault environment to send to (callers default it to the one from `environmentId`).
+ * Returns the registrar result with `resume` (the analysis) attached; nothing is sent when no rows are pending.
+ */
+async function resumeVaultBatch({ kind, csvPath, jobId, outputDir, endpointBaseUrl, environment, concurrency, allowInvalid, mapping, onProgress, onRow }) {
+  const analysis = analyzeResume({ kind, csvPath, jobId, outputDir });
+  const resume = { ...analysis, pendingCount: analysis.pending.length };
+  if (analysis.errors.length > 0 || analysis.pending.length === 0) {
+    return { resume, attempted: 0, registered: 0, withPhoto: 0, withoutPhoto: 0, errors: analysis.errors, details: [] };
+  }
+  const options = { endpointBaseUrl, environment, indices: analysis.pending, overrides: analysis.overrides, concurrency, allowInvalid, mapping, onProgress, onRow };
+  let result;
+  if (kind === 'update') {
+    result = await updateCsvPathToVault({ csvPath, ...options });
+  } else if (analysis.mode === 'upsert') {
+    result = await upsertToVault({ jobId, outputDir, csvPath, ...options });
+  } else if (csvPath) {
+    result = await registerCsvPathToVault({ csvPath, ...options });
+  } else {
+    result = await registerJobToVault({ jobId, outputDir, ...options });
+  }
+  return { ...result, resume };
+}
+
+module.exports = {
+  RESUME_KINDS,
+  analyzeResume,
+  resumeVaultBatch,
+};
@@ -0,0 +1,120 @@
+// Pre-update snapshots of CardDB state for Vault UpdateCard calls, so a bad update can be rolled back.
+// Each update batch (CSV batch, single CSV row, or CardDB single update) gets one JSONL file:
+//   { type: 'batch', batchId, source, csvPath, logDir, createdAt }        header
+//   { type: 'snapshot', requestId, index, cardNo, before, capturedAt }   prior profile (before=null if CardDB had none)
+//   { type: 'outcome', requestId, cardNo, success, code }                result of the UpdateCard that followed
+//   { type: 'rollback', requestId, cardNo, rollbackRequestId, success, code, message, at }
+// Files live in VAULT_SNAPSHOT_DIR (default server/output/vault-snapshots).
+
+const fs = require('fs');
+const path = require('path');
+const fse = require('fs-extra');
+
+function snapshotDir() {
+  return process.env.VAULT_SNAPSHOT_DIR || path.join(__dirname, '..', 'output', 'vault-snapshots');
+}
+
+// Batch IDs are UUIDs (or Date.now() fallbacks); reject anything that could escape the directory
+function batchFile(batchId) {
+  const id = String(batchId || '');
+  if (!/^[A-Za-z0-9-]+$/.test(id)) throw new Error(`Invalid snapshot batch id: ${id}`);
+  return path.join(snapshotDir(), `${id}.jsonl`);
+}
+
+function appendLine(batchId, obj) {
+  try {
+    fse.ensureDirSync(snapshotDir());
+    fs.appendFileSync(batchFile(batchId), JSON.stringify(obj) + '\n', 'utf8');
+  } catch (err) {
+    console.error(`[VaultSnapshots] Failed to write snapshot ${batchId}: ${err.message}`);
+  }
+}
+
+function createSnapshotBatch(batchId, { source, csvPath, logDir } = {}) {
+  appendLine(batchId, { type: 'batch', batchId, source, csvPath, logDir, createdAt: new Date().toISOString() });
+}
+
+function recordSnapshot(batchId, { requestId, index, cardNo, before, error }) {
+  appendLine(batchId, { type: 'snapshot', requestId, index, cardNo, before: before || null, error, capturedAt: new Date().toISOString() });
+}
+
+function recordOutcome(batchId, { requestId, cardNo, success, code }) {
+  appendLine(batchId, { type: 'outcome', requestId, cardNo, success: !!success, code });
+}
+
+function recordRollback(batchId, { requestId, cardNo, rollbackRequestId, success, code, message }) {
+  appendLine(batchId, { type: 'rollback', requestId, cardNo, rollbackRequestId, success: !!success, code, message, at: new Date().toISOString() });
+}
+
+/**
+ * Read a snapshot batch and fold its lines into
+ * { batchId, source, csvPath, logDir, createdAt, entries: [{ requestId, index, cardNo, before, updated, rolledBack, ... }] }.
+ * Returns null when the batch does not exist.
+ */
+function readSnapshotBatch(batchId) {
+  if (!/^[A-Za-z0-9-]+$/.test(String(batchId || ''))) return null;
+  const file = batchFile(batchId);
+  if (!fs.existsSync(file)) return null;
+  const batch = { batchId, entries: [] };
+  const byRequest = new Map();
+  const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/).filter(Boolean);
+  for (const line of lines) {
+    let rec;
+    try { rec = JSON.parse(line); } catch { continue; }
+    if (rec.type === 'batch') {
+      Object.assign(batch, { source: rec.source, csvPath: rec.csvPath, logDir: rec.logDir, createdAt: rec.createdAt });
+    } else if (rec.type === 'snapshot') {
+      const entry = { requestId: rec.requestId, index: rec.index, cardNo: rec.cardNo, before: rec.before, error: rec.error, capturedAt: rec.capturedAt, updated: undefined, rolledBack: false, rollbacks: [] };
+      byRequest.set(rec.requestId, entry);
+      batch.entries.push(entry);
+    } else if (rec.type === 'outcome' && byRequest.has(rec.requestId)) {
+      const entry = byRequest.get(rec.requestId);
+      entry.updated = rec.success;
+      entry.updateCode = rec.code;
+    } else if (rec.type === 'rollback' && byRequest.has(rec.requestId)) {
+      const entry = byRequest.get(rec.requestId);
+      entry.rollbacks.push({ rollbackRequestId: rec.rollbackRequestId, success: rec.success, code: rec.code, message: rec.message, at: rec.at });
+      if (rec.success) entry.rolledBack = true;
+    }
+  }
+  batch.entries.sort((a, b) => (a.index ?? 0) - (b.index ?? 0));
+  return batch;
+}
+
+/**
+ * List snapshot batches, newest first, with entry/rollback counts (entries without `before` are not counted as restorable).
+ */
+function listSnapshotBatches({ limit = 50 } = {}) {
+  const dir = snapshotDir();
+  if (!fs.existsSync(dir)) return [];
+  const files = fs.readdirSync(dir)
+    .filter(f => f.endsWith('.jsonl'))
+    .map(f => ({ f, mtime: fs.statSync(path.join(dir, f)).mtimeMs }))
+    .sort((a, b) => b.mtime - a.mtime)
+    .slice(0, Math.max(1, limit));
+  const out = [];
+  for (const { f } of files) {
+    const batch = readSnapshotBatch(f.replace(/\.jsonl$/, ''));
+    if (!batch) continue;
+    out.push({
+      batchId: batch.batchId,
+      source: batch.source,
+      csvPath: batch.csvPath,
+      createdAt: batch.createdAt,
+      cards: batch.entries.length,
+      updated: batch.entries.filter(e => e.updated).length,
+      restorable: batch.entries.filter(e => e.before).length,
+      rolledBack: batch.entries.filter(e => e.rolledBack).length,
+    });
+  }
+  return out;
+}
+
+module.exports = {
+  createSnapshotBatch,
+  recordSnapshot,
+  recordOutcome,
+  recordRollback,
+  readSnapshotBatch,
+  listSnapshotBatches,
+};
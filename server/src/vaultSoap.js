@@ -0,0 +1,276 @@
+// Parsing of Vault SOAP responses (AddCard / UpdateCard) for both SOAP 1.1 and 1.2 envelopes.
+// Uses a small namespace-aware XML reader so CDATA, entities and prefixed elements are handled
+// consistently instead of matching raw tags with regular expressions.
+
+const SOAP11_NS = 'http://schemas.xmlsoap.org/soap/envelope/';
+const SOAP12_NS = 'http://www.w3.org/2003/05/soap-envelope';
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+/**
+ * Raised when the Vault endpoint answers with a soap:Fault instead of a result element.
+ * Carries the fault code, reason and detail so callers can report them separately from
+ * business errors (ErrCode/ErrMessage) and plain transport failures.
+ */
+class VaultSoapFault extends Error {
+  constructor({ code, subcode, reason, detail, actor, soapVersion, httpStatus, operation, raw }) {
+    super(`SOAP fault${code ? ` [${code}]` : ''}: ${reason || 'Unknown fault'}`);
+    this.name = 'VaultSoapFault';
+    this.code = code || '';
+    this.subcode = subcode || '';
+    this.reason = reason || '';
+    this.detail = detail || '';
+    this.actor = actor || '';
+    this.soapVersion = soapVersion;
+    this.httpStatus = httpStatus;
+    this.operation = operation;
+    this.raw = raw;
+  }
+
+  toJSON() {
+    return { code: this.code, subcode: this.subcode, reason: this.reason, detail: this.detail, actor: this.actor, soapVersion: this.soapVersion, httpStatus: this.httpStatus };
+  }
+}
+
+function decodeEntities(text) {
+  return String(text).replace(/&(#[xX][0-9a-fA-F]+|#[0-9]+|[A-Za-z]+);/g, (match, ent) => {
+    if (ent[0] === '#') {
+      const code = (ent[1] === 'x' || ent[1] === 'X') ? parseInt(ent.slice(2), 16) : parseInt(ent.slice(1), 10);
+      try { return String.fromCodePoint(code); } catch { return match; }
+    }
+    return Object.prototype.hasOwnProperty.call(XML_ENTITIES, ent) ? XML_ENTITIES[ent] : match;
+  });
+}
+
+function splitName(qname) {
+  const idx = qname.indexOf(':');
+  return idx === -1 ? { prefix: '', local: qname } : { prefix: qname.slice(0, idx), local: qname.slice(idx + 1) };
+}
+
+/**
+ * Parse an XML document into a light element tree:
+ * { name, prefix, local, ns, attrs, children: [element], text }
+ * `text` holds the element's own character data (entities decoded, CDATA kept verbatim).
+ * Throws on malformed markup (unclosed or mismatched tags).
+ */
+function parseXml(xml) {
+  const src = String(xml || '');
+  const root = { name: '#document', prefix: '', local: '#document', ns: '', attrs: {}, children: [], text: '', nsMap: { xml: 'http://www.w3.org/XML/1998/namespace' } };
+  const stack = [root];
+  let pos = 0;
+
+  const indexOrThrow = (token, from, what) => {
+    const idx = src.indexOf(token, from);
+    if (idx === -1) throw new Error(`Malformed XML: unterminated ${what} at offset ${from}`);
+    return idx;
+  };
+
+  while (pos < src.length) {
+    const lt = src.indexOf('<', pos);
+    const current = stack[stack.length - 1];
+    if (lt === -1) {
+      current.text += decodeEntities(src.slice(pos));
+      break;
+    }
+    if (lt > pos) current.text += decodeEntities(src.slice(pos, lt));
+
+    if (src.startsWith('<!--', lt)) {
+      pos = indexOrThrow('-->', lt + 4, 'comment') + 3;
+      continue;
+    }
+    if (src.startsWith('<![CDATA[', lt)) {
+      const end = indexOrThrow(']]>', lt + 9, 'CDATA section');
+      current.text += src.slice(lt + 9, end);
+      pos = end + 3;
+      continue;
+    }
+    if (src.startsWith('<?', lt)) {
+      pos = indexOrThrow('?>', lt + 2, 'processing instruction') + 2;
+      continue;
+    }
+    if (src.startsWith('<!', lt)) {
+      pos = indexOrThrow('>', lt + 2, 'declaration') + 1;
+      continue;
+    }
+    if (src[lt + 1] === '/') {
+      const end = indexOrThrow('>', lt + 2, 'closing tag');
+      const name = src.slice(lt + 2, end).trim();
+      if (stack.length <= 1 || current.name !== name) {
+        throw new Error(`Malformed XML: unexpected closing tag </${name}>${stack.length > 1 ? `, expected </${current.name}>` : ''}`);
+      }
+      stack.pop();
+      pos = end + 1;
+      continue;
+    }
+
+    // Start tag: find the closing '>' while respecting quoted attribute values
+    let i = lt + 1;
+    let quote = null;
+    for (; i < src.length; i++) {
+      const c = src[i];
+      if (quote) { if (c === quote) quote = null; }
+      else if (c === '"' || c === "'") quote = c;
+      else if (c === '>') break;
+    }
+    if (i >= src.length) throw new Error(`Malformed XML: unterminated start tag at offset ${lt}`);
+    let inner = src.slice(lt + 1, i);
+    const selfClosing = inner.endsWith('/');
+    if (selfClosing) inner = inner.slice(0, -1);
+    const nameMatch = inner.match(/^[^\s/>]+/);
+    if (!nameMatch) throw new Error(`Malformed XML: missing element name at offset ${lt}`);
+    const name = nameMatch[0];
+
+    const attrs = {};
+    const attrRe = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let m;
+    const attrText = inner.slice(name.length);
+    while ((m = attrRe.exec(attrText)) !== null) {
+      attrs[m[1]] = decodeEntities(m[2] !== undefined ? m[2] : m[3]);
+    }
+    const nsMap = { ...current.nsMap };
+    for (const [key, val] of Object.entries(attrs)) {
+      if (key === 'xmlns') nsMap[''] = val;
+      else if (key.startsWith('xmlns:')) nsMap[key.slice(6)] = val;
+    }
+    const { prefix, local } = splitName(name);
+    const node = { name, prefix, local, ns: nsMap[prefix] || '', attrs, children: [], text: '', nsMap };
+    current.children.push(node);
+    if (!selfClosing) stack.push(node);
+    pos = i + 1;
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Malformed XML: unclosed element <${stack[stack.length - 1].name}>`);
+  }
+  return root;
+}
+
+// Depth-first search for the first element with the given local name (optionally within a namespace)
+function findElement(node, localName, ns) {
+  if (!node) return null;
+  for (const child of node.children) {
+    if (child.local === localName && (ns === undefined || child.ns === ns)) return child;
+    const found = findElement(child, localName, ns);
+    if (found) return found;
+  }
+  return null;
+}
+
+function textContent(node) {
+  if (!node) return '';
+  return node.text + node.children.map(textContent).join('');
+}
+
+function elementValue(scope, localName) {
+  const el = findElement(scope, localName);
+  return el ? textContent(el).trim() : undefined;
+}
+
+function parseFault(faultEl, soapVersion) {
+  if (soapVersion === '1.2') {
+    const codeEl = findElement(faultEl, 'Code');
+    const subcodeEl = codeEl ? findElement(codeEl, 'Subcode') : null;
+    const codeValue = codeEl ? (codeEl.children.find(c => c.local === 'Value') || null) : null;
+    return {
+      code: splitName(textContent(codeValue).trim()).local,
+      subcode: subcodeEl ? splitName(elementValue(subcodeEl, 'Value') || '').local : '',
+      reason: elementValue(faultEl, 'Text') ?? elementValue(faultEl, 'Reason') ?? '',
+      detail: elementValue(faultEl, 'Detail') || '',
+      actor: elementValue(faultEl, 'Role') || elementValue(faultEl, 'Node') || '',
+    };
+  }
+  return {
+    code: splitName(elementValue(faultEl, 'faultcode') || '').local,
+    subcode: '',
+    reason: elementValue(faultEl, 'faultstring') || '',
+    detail: elementValue(faultEl, 'detail') || '',
+    actor: elementValue(faultEl, 'faultactor') || '',
+  };
+}
+
+/**
+ * @typedef {Object} VaultSoapResult
+ * @property {'ok'|'error'} status   HTTP-level status ('ok' for 2xx)
+ * @property {number} httpStatus
+ * @property {string} operation      'AddCard' | 'UpdateCard'
+ * @property {string|undefined} soapVersion  Envelope version detected in the response
+ * @property {boolean} ok            Business success for the operation
+ * @property {string|undefined} errCode
+ * @property {string|undefined} errMessage
+ * @property {string|undefined} cardId
+ * @property {string|undefined} mediaId
+ * @property {VaultSoapFault|null} fault
+ * @property {string|undefined} parseError
+ * @property {string} raw
+ */
+
+/**
+ * Parse the raw HTTP body returned by the Vault web service.
+ * Success criteria per operation:
+ *  - AddCard: HTTP 2xx and ErrCode 0 or 1
+ *  - UpdateCard: HTTP 2xx and ErrCode empty or 0
+ * @returns {VaultSoapResult}
+ */
+function parseVaultResponse(raw, { httpStatus, operation }) {
+  const text = raw === undefined || raw === null ? '' : String(raw);
+  const httpOk = httpStatus >= 200 && httpStatus < 300;
+  const result = {
+    status: httpOk ? 'ok' : 'error',
+    httpStatus,
+    operation,
+    soapVersion: undefined,
+    ok: false,
+    errCode: undefined,
+    errMessage: undefined,
+    cardId: undefined,
+    mediaId: undefined,
+    fault: null,
+    parseError: undefined,
+    raw: text,
+  };
+
+  let doc;
+  try {
+    doc = parseXml(text);
+  } catch (err) {
+    result.parseError = err.message;
+    if (httpOk) result.errMessage = `Unparseable SOAP response: ${err.message}`;
+    return result;
+  }
+
+  const envelope = findElement(doc, 'Envelope');
+  if (envelope) {
+    if (envelope.ns === SOAP12_NS) result.soapVersion = '1.2';
+    else if (envelope.ns === SOAP11_NS) result.soapVersion = '1.1';
+  }
+  const faultEl = envelope ? findElement(envelope, 'Fault') : findElement(doc, 'Fault');
+  if (faultEl) {
+    const soapVersion = result.soapVersion || (faultEl.ns === SOAP12_NS ? '1.2' : '1.1');
+    result.fault = new VaultSoapFault({ ...parseFault(faultEl, soapVersion), soapVersion, httpStatus, operation, raw: text });
+    return result;
+  }
+
+  const scope = findElement(doc, `${operation}Result`) || findElement(doc, `${operation}Response`) || doc;
+  result.errCode = elementValue(scope, 'ErrCode');
+  result.errMessage = elementValue(scope, 'ErrMessage');
+  result.cardId = elementValue(scope, 'CardID') ?? elementValue(scope, 'ID');
+  result.mediaId = elementValue(scope, 'MediaID');
+
+  if (operation === 'AddCard') {
+    const errCodeNum = result.errCode !== undefined && result.errCode !== '' ? Number(result.errCode) : NaN;
+    result.ok = httpOk && (errCodeNum === 0 || errCodeNum === 1);
+  } else {
+    result.ok = httpOk && (!result.errCode || result.errCode === '0');
+  }
+  return result;
+}
+
+module.exports = {
+  SOAP11_NS,
+  SOAP12_NS,
+  VaultSoapFault,
+  parseXml,
+  findElement,
+  textContent,
+  parseVaultResponse,
+};
@@ -0,0 +1,133 @@
+// Pre-flight validation of Vault CardProfiles against the field catalog of the Vault CardDB table.
+// Errors are problems Vault would reject or silently misread (over-long values, unknown access levels, bad
+// dates/booleans); rows with errors are held back from execution unless the caller overrides validation.
+// Warnings cover adjustments the row mappers made on the way (clipped values, defaulted access levels),
+// which they report as notes: { field, code, message }.
+
+// Column sizes and value rules of the Vault CardDB table
+const VAULT_FIELD_CATALOG = {
+  CardNo: { required: true, maxLength: 10 },
+  Name: { required: true, maxLength: 40 },
+  Department: { maxLength: 30 },
+  Company: { maxLength: 30 },
+  Title: { maxLength: 25 },
+  Position: { maxLength: 25 },
+  StaffNo: { maxLength: 15 },
+  VehicleNo: { maxLength: 15 },
+  Address1: { maxLength: 50 },
+  Address2: { maxLength: 50 },
+  Email: { maxLength: 50 },
+  MobileNo: { maxLength: 20 },
+  NRIC: { maxLength: 50 },
+  Passport: { maxLength: 50 },
+  AccessLevel: { required: true, maxLength: 3, type: 'accessLevel' },
+  FaceAccessLevel: { maxLength: 3, type: 'levelCode' },
+  LiftAccessLevel: { maxLength: 3, type: 'levelCode' },
+  ActiveStatus: { type: 'boolean' },
+  NonExpired: { type: 'boolean' },
+  BypassAP: { type: 'boolean' },
+  Download: { type: 'boolean' },
+  DownloadCard: { type: 'boolean' },
+  DOB: { type: 'date' },
+  JoiningDate: { type: 'date' },
+  ResignDate: { type: 'date' },
+  ExpiredDate: { type: 'date' },
+};
+
+// MessHall access level codes the Vault controllers know (override with VAULT_ACCESS_LEVEL_CODES=00,01,...)
+const ACCESS_LEVEL_CODES = String(process.env.VAULT_ACCESS_LEVEL_CODES || '00,01,10,11,1,2')
+  .split(',').map(c => c.trim()).filter(Boolean);
+
+const TRUE_VALUES = ['1', 'true', 'yes', 'y', 'on', 'permanent', 'active'];
+const FALSE_VALUES = ['0', 'false', 'no', 'n', 'off', 'inactive', 'temporary'];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Read a boolean-like sheet value. Returns true/false, or undefined when the value is not recognised.
+ */
+function parseVaultBoolean(val) {
+  const v = String(val ?? '').trim().toLowerCase();
+  if (TRUE_VALUES.includes(v)) return true;
+  if (FALSE_VALUES.includes(v)) return false;
+  return undefined;
+}
+
+function isCalendarDate(year, month, day) {
+  const d = new Date(Date.UTC(year, month - 1, day));
+  return d.getUTCFullYear() === year && d.getUTCMonth() === month - 1 && d.getUTCDate() === day;
+}
+
+// 'ok' for yyyy-mm-dd (optionally with time) and "1 Jan 1990" (what the mappers produce), 'ambiguous' for
+// d/m/yyyy (day and month may be swapped), otherwise 'invalid'
+function checkDate(val) {
+  let m = /^(\d{4})-(\d{2})-(\d{2})(T[\d:.]+Z?)?$/.exec(val);
+  if (m) return isCalendarDate(Number(m[1]), Number(m[2]), Number(m[3])) ? 'ok' : 'invalid';
+  m = /^(\d{1,2})\s+([A-Za-z]{3,})\s+(\d{4})$/.exec(val);
+  if (m) {
+    const month = MONTHS.indexOf(m[2].slice(0, 3).toLowerCase()) + 1;
+    return month > 0 && isCalendarDate(Number(m[3]), month, Number(m[1])) ? 'ok' : 'invalid';
+  }
+  m = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(val);
+  if (m) {
+    const [a, b, year] = [Number(m[1]), Number(m[2]), Number(m[3])];
+    if (!isCalendarDate(year, b, a) && !isCalendarDate(year, a, b)) return 'invalid';
+    return a <= 12 && b <= 12 && a !== b ? 'ambiguous' : 'ok';
+  }
+  return 'invalid';
+}
+
+/**
+ * Check a mapped CardProfile against VAULT_FIELD_CATALOG.
+ * `notes` are the adjustments reported by the mapper; they are returned as warnings.
+ * Returns { valid, errors: [{ field, code, message }], warnings: [{ field, code, message }] }.
+ */
+function validateVaultProfile(profile, { notes = [] } = {}) {
+  const errors = [];
+  const warnings = [...notes];
+  for (const [field, rule] of Object.entries(VAULT_FIELD_CATALOG)) {
+    const raw = profile[field];
+    const val = raw === undefined || raw === null ? '' : String(raw).trim();
+    if (!val) {
+      if (rule.required) errors.push({ field, code: 'REQUIRED', message: `${field} is required` });
+      continue;
+    }
+    if (rule.maxLength && val.length > rule.maxLength) {
+      errors.push({ field, code: 'TOO_LONG', message: `${field} is ${val.length} characters, Vault allows ${rule.maxLength}` });
+    }
+    if (rule.type === 'accessLevel' && !ACCESS_LEVEL_CODES.includes(val)) {
+      errors.push({ field, code: 'INVALID_ACCESS_LEVEL', message: `${field} '${val}' is not one of ${ACCESS_LEVEL_CODES.join(', ')}` });
+    } else if (rule.type === 'levelCode' && !/^\d{1,3}$/.test(val)) {
+      errors.push({ field, code: 'INVALID_LEVEL_CODE', message: `${field} '${val}' must be a numeric level code` });
+    } else if (rule.type === 'boolean' && parseVaultBoolean(val) === undefined) {
+      errors.push({ field, code: 'INVALID_BOOLEAN', message: `${field} '${val}' is not a true/false value (it would be sent as false)` });
+    } else if (rule.type === 'date') {
+      const check = checkDate(val);
+      if (check === 'invalid') errors.push({ field, code: 'INVALID_DATE', message: `${field} '${val}' is not a valid date` });
+      else if (check === 'ambiguous') warnings.push({ field, code: 'AMBIGUOUS_DATE', message: `${field} '${val}' could be read as day/month or month/day` });
+    }
+  }
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+// Whether execution may send a row that failed validation: allowInvalid is true (all rows) or lists the row index
+function isValidationOverridden(allowInvalid, index) {
+  return allowInvalid === true || (Array.isArray(allowInvalid) && allowInvalid.includes(index));
+}
+
+// Row counts for preview summaries: { invalidRows, warningRows }
+function countValidation(details) {
+  return {
+    invalidRows: details.filter(d => d.validation && !d.validation.valid).length,
+    warningRows: details.filter(d => d.validation && d.validation.warnings.length > 0).length,
+  };
+}
+
+module.exports = {
+  VAULT_FIELD_CATALOG,
+  ACCESS_LEVEL_CODES,
+  parseVaultBoolean,
+  validateVaultProfile,
+  isValidationOverridden,
+  countValidation,
+};
@@ -0,0 +1,125 @@
+const {
+  BUILTIN_MESSHALL_RULES,
+  matchMessHallRule,
+  resolveMessHallAccess,
+  normalizeVehicleNo,
+} = require('../src/messHallRules');
+
+const rule = (overrides) => ({
+  id: 'custom', name: 'Custom', patterns: [], accessLevel: '', vehicleNo: '', faceAccessLevel: '', liftAccessLevel: '', sortOrder: 10, ...overrides,
+});
+
+describe('matchMessHallRule', () => {
+  test('names keep the register access levels (Makarti = 2, Labota = 1)', () => {
+    expect(matchMessHallRule('Makarti').rule).toMatchObject({ name: 'Makarti', accessLevel: '2', vehicleNo: 'MAKARTI' });
+    expect(matchMessHallRule('Labota').rule).toMatchObject({ name: 'Labota', accessLevel: '1', vehicleNo: 'LABOTA' });
+  });
+
+  test('patterns ignore case and extra spaces and match with wildcards', () => {
+    expect(matchMessHallRule('  MAKARTI   MessHall ')).toMatchObject({ rule: { id: 'builtin-makarti' }, pattern: '*makarti*' });
+    expect(matchMessHallRule('labota messhall').rule.id).toBe('builtin-labota');
+  });
+
+  test('no access and local hire keep the default AccessLevel and get the NOACCESS label', () => {
+    for (const value of ['No Access!!', 'Local Hire']) {
+      expect(matchMessHallRule(value).rule).toMatchObject({ id: 'builtin-no-access', accessLevel: '', vehicleNo: 'NOACCESS' });
+    }
+  });
+
+  test('update template masks pass through as access levels', () => {
+    expect(matchMessHallRule('11').rule).toMatchObject({ accessLevel: '11', vehicleNo: 'MAKARTI/LABOTA' });
+    expect(matchMessHallRule('10').rule).toMatchObject({ accessLevel: '10', vehicleNo: 'MAKARTI' });
+    expect(matchMessHallRule('01').rule).toMatchObject({ accessLevel: '01', vehicleNo: 'LABOTA' });
+    expect(matchMessHallRule('00').rule).toMatchObject({ accessLevel: '00', vehicleNo: 'NOACCESS' });
+  });
+
+  test('a blank or unknown MessHall matches no built-in rule', () => {
+    expect(matchMessHallRule('')).toBeNull();
+    expect(matchMessHallRule(undefined)).toBeNull();
+    expect(matchMessHallRule('   ')).toBeNull();
+    expect(matchMessHallRule('Canteen 3')).toBeNull();
+  });
+
+  test('an empty pattern matches a blank MessHall', () => {
+    const rules = [rule({ patterns: [''], accessLevel: '00' })];
+    expect(matchMessHallRule('  ', rules)).toMatchObject({ rule: { accessLevel: '00' }, pattern: '' });
+  });
+
+  test('rules are tried in the order given and the first match wins', () => {
+    const rules = [rule({ id: 'first', patterns: ['*makarti*'] }), ...BUILTIN_MESSHALL_RULES];
+    expect(matchMessHallRule('Makarti', rules).rule.id).toBe('first');
+  });
+
+  test('regex characters in a pattern are matched literally', () => {
+    const rules = [rule({ patterns: ['hall (a)*'] })];
+    expect(matchMessHallRule('Hall (A) north', rules)).not.toBeNull();
+    expect(matchMessHallRule('Hall A north', rules)).toBeNull();
+  });
+});
+
+describe('resolveMessHallAccess', () => {
+  test('fields come from the matched rule', () => {
+    const result = resolveMessHallAccess({ messHall: 'Makarti' });
+    expect(result).toMatchObject({
+      accessLevel: '2',
+      vehicleNo: 'MAKARTI',
+      faceAccessLevel: '',
+      liftAccessLevel: '',
+      sources: { accessLevel: 'rule', vehicleNo: 'rule', faceAccessLevel: 'none', liftAccessLevel: 'none' },
+    });
+    expect(result.match.rule.id).toBe('builtin-makarti');
+  });
+
+  test('explicit columns win over the rule', () => {
+    const result = resolveMessHallAccess({ messHall: 'Makarti', accessLevel: ' 5 ', vehicleNo: 'B 1234 XY', faceAccessLevel: '03' });
+    expect(result).toMatchObject({
+      accessLevel: '5',
+      vehicleNo: 'B 1234 XY',
+      faceAccessLevel: '03',
+      sources: { accessLevel: 'explicit', vehicleNo: 'explicit', faceAccessLevel: 'explicit', liftAccessLevel: 'none' },
+    });
+  });
+
+  test('blank explicit values fall through to the rule', () => {
+    const result = resolveMessHallAccess({ messHall: '01', accessLevel: '  ', vehicleNo: '' });
+    expect(result).toMatchObject({ accessLevel: '01', vehicleNo: 'LABOTA', sources: { accessLevel: 'rule', vehicleNo: 'rule' } });
+  });
+
+  test('a blank or unknown MessHall leaves every field blank for the caller default', () => {
+    for (const messHall of ['', 'Canteen 3']) {
+      expect(resolveMessHallAccess({ messHall })).toMatchObject({
+        match: null,
+        accessLevel: '',
+        vehicleNo: '',
+        faceAccessLevel: '',
+        liftAccessLevel: '',
+        sources: { accessLevel: 'none', vehicleNo: 'none', faceAccessLevel: 'none', liftAccessLevel: 'none' },
+      });
+    }
+  });
+
+  test('an unknown MessHall still keeps explicit columns', () => {
+    expect(resolveMessHallAccess({ messHall: 'Canteen 3', accessLevel: '4' })).toMatchObject({
+      match: null, accessLevel: '4', sources: { accessLevel: 'explicit' },
+    });
+  });
+});
+
+describe('normalizeVehicleNo', () => {
+  test('text matching a rule becomes that rule\'s label', () => {
+    expect(normalizeVehicleNo('Makarti MessHall')).toBe('MAKARTI');
+    expect(normalizeVehicleNo('Labota Messhall')).toBe('LABOTA');
+    expect(normalizeVehicleNo('Local Hire / No Access!!')).toBe('NOACCESS');
+  });
+
+  test('other text is kept, clipped to 15 characters and upper-cased', () => {
+    expect(normalizeVehicleNo(' b 1234 xy ')).toBe('B 1234 XY');
+    expect(normalizeVehicleNo('a very long vehicle number')).toBe('A VERY LONG VEH');
+  });
+
+  test('blank stays blank', () => {
+    expect(normalizeVehicleNo('')).toBe('');
+    expect(normalizeVehicleNo(null)).toBe('');
+    expect(normalizeVehicleNo('   ')).toBe('');
+  });
+});
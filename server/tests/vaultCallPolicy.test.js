@@ -0,0 +1,195 @@
+const { sendVaultRequest, getBreakerStates, VaultCallError } = require('../src/vaultCallPolicy');
+
+const OK_BODY = '<UpdateCardResponse><UpdateCardResult><ErrCode>0</ErrCode><ErrMessage></ErrMessage></UpdateCardResult></UpdateCardResponse>';
+const ADD_OK_BODY = '<AddCardResponse><AddCardResult><ErrCode>0</ErrCode><ErrMessage></ErrMessage></AddCardResult></AddCardResponse>';
+const FAULT_BODY = `<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/"><soap:Body><soap:Fault>
+  <faultcode>soap:Server</faultcode><faultstring>Invalid card</faultstring></soap:Fault></soap:Body></soap:Envelope>`;
+
+// Fast policy: no real backoff waits, breaker disabled unless a test turns it on
+const FAST = { timeoutMs: 1000, maxRetries: 2, backoffBaseMs: 1, backoffMaxMs: 1, breakerThreshold: 0, breakerCooldownMs: 50, breakerMaxWaitMs: 0 };
+
+const response = (status, body) => ({ status, text: async () => body });
+
+// Errors as fetch() raises them: TypeError('fetch failed') with the socket error as cause
+const fetchFailed = (code) => Object.assign(new TypeError('fetch failed'), { cause: Object.assign(new Error(code), { code }) });
+
+// A fetch that never answers until the request is aborted
+const hangingFetch = (url, { signal }) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(Object.assign(new Error('This operation was aborted'), { name: 'AbortError' })));
+});
+
+let endpointSeq = 0;
+const nextEndpoint = () => `http://vault.test/${++endpointSeq}/CardService.asmx`;
+const breakerState = (endpoint) => getBreakerStates().find(b => b.endpoint === endpoint);
+
+const send = (endpoint, operation, policy, onEvent) =>
+  sendVaultRequest(endpoint, { headers: {}, body: '<Envelope/>', operation }, { policy: { ...FAST, ...policy }, onEvent });
+
+const originalFetch = global.fetch;
+afterEach(() => {
+  global.fetch = originalFetch;
+});
+
+describe('retries', () => {
+  test('HTTP 5xx without a fault is retried up to maxRetries and then returned', async () => {
+    global.fetch = jest.fn(async () => response(503, 'Service Unavailable'));
+    const result = await send(nextEndpoint(), 'UpdateCard');
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    expect(result).toMatchObject({ httpStatus: 503, ok: false, attempts: 3 });
+  });
+
+  test('a success after a 5xx stops retrying', async () => {
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce(response(502, 'Bad Gateway'))
+      .mockResolvedValueOnce(response(200, OK_BODY));
+    const events = [];
+    const result = await send(nextEndpoint(), 'UpdateCard', {}, (e) => events.push(e));
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(result).toMatchObject({ ok: true, attempts: 2 });
+    expect(events.filter(e => e.event === 'soap_attempt').map(e => e.outcome)).toEqual(['http_5xx', 'response']);
+  });
+
+  test('network errors are retried and finally thrown as TRANSPORT', async () => {
+    global.fetch = jest.fn(async () => { throw fetchFailed('ECONNRESET'); });
+    const err = await send(nextEndpoint(), 'UpdateCard', { maxRetries: 1 }).catch(e => e);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(err).toBeInstanceOf(VaultCallError);
+    expect(err).toMatchObject({ code: 'TRANSPORT', attempts: 2 });
+  });
+
+  test('a request exceeding timeoutMs is aborted and retried as TIMEOUT', async () => {
+    global.fetch = jest.fn(hangingFetch);
+    const err = await send(nextEndpoint(), 'UpdateCard', { timeoutMs: 20, maxRetries: 1 }).catch(e => e);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(err).toMatchObject({ code: 'TIMEOUT', attempts: 2 });
+  });
+
+  test('maxRetries 0 sends exactly once', async () => {
+    global.fetch = jest.fn(async () => response(500, 'Internal Server Error'));
+    const result = await send(nextEndpoint(), 'UpdateCard', { maxRetries: 0 });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(result.attempts).toBe(1);
+  });
+});
+
+describe('no retry', () => {
+  test('a SOAP fault is returned on the first attempt, even with HTTP 500', async () => {
+    global.fetch = jest.fn(async () => response(500, FAULT_BODY));
+    const result = await send(nextEndpoint(), 'UpdateCard');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(result.attempts).toBe(1);
+    expect(result.fault).toMatchObject({ code: 'Server', reason: 'Invalid card' });
+  });
+
+  test('a business error (ErrCode) is returned on the first attempt', async () => {
+    global.fetch = jest.fn(async () => response(200, '<UpdateCardResult><ErrCode>3</ErrCode><ErrMessage>Card not found</ErrMessage></UpdateCardResult>'));
+    const result = await send(nextEndpoint(), 'UpdateCard');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(result).toMatchObject({ ok: false, errCode: '3', attempts: 1 });
+  });
+
+  test('AddCard is not resent after a timeout, which may have been committed', async () => {
+    global.fetch = jest.fn(hangingFetch);
+    const err = await send(nextEndpoint(), 'AddCard', { timeoutMs: 20 }).catch(e => e);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(err).toMatchObject({ code: 'TIMEOUT', attempts: 1 });
+  });
+
+  test('AddCard is not resent after an HTTP 5xx', async () => {
+    global.fetch = jest.fn(async () => response(500, 'Internal Server Error'));
+    const result = await send(nextEndpoint(), 'AddCard');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(result).toMatchObject({ httpStatus: 500, ok: false, attempts: 1 });
+  });
+
+  test('AddCard is retried when the connection could not be made', async () => {
+    global.fetch = jest.fn()
+      .mockRejectedValueOnce(fetchFailed('ECONNREFUSED'))
+      .mockResolvedValueOnce(response(200, ADD_OK_BODY));
+    const result = await send(nextEndpoint(), 'AddCard');
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(result).toMatchObject({ ok: true, attempts: 2 });
+  });
+});
+
+describe('circuit breaker', () => {
+  const BREAKER = { maxRetries: 0, breakerThreshold: 2, breakerCooldownMs: 50, breakerMaxWaitMs: 0 };
+
+  test('opens after breakerThreshold consecutive failures and rejects callers without sending', async () => {
+    const endpoint = nextEndpoint();
+    global.fetch = jest.fn(async () => response(503, 'Service Unavailable'));
+    await send(endpoint, 'UpdateCard', BREAKER);
+    expect(breakerState(endpoint).state).toBe('closed');
+    await send(endpoint, 'UpdateCard', BREAKER);
+    expect(breakerState(endpoint)).toMatchObject({ state: 'open', failures: 2 });
+
+    const err = await send(endpoint, 'UpdateCard', BREAKER).catch(e => e);
+    expect(err).toBeInstanceOf(VaultCallError);
+    expect(err.code).toBe('CIRCUIT_OPEN');
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('a success resets the failure count', async () => {
+    const endpoint = nextEndpoint();
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce(response(503, 'Service Unavailable'))
+      .mockResolvedValueOnce(response(200, OK_BODY))
+      .mockResolvedValueOnce(response(503, 'Service Unavailable'));
+    await send(endpoint, 'UpdateCard', BREAKER);
+    await send(endpoint, 'UpdateCard', BREAKER);
+    await send(endpoint, 'UpdateCard', BREAKER);
+    expect(breakerState(endpoint)).toMatchObject({ state: 'closed', failures: 1 });
+  });
+
+  test('after the cooldown a half-open probe that succeeds closes the breaker', async () => {
+    const endpoint = nextEndpoint();
+    global.fetch = jest.fn(async () => response(503, 'Service Unavailable'));
+    await send(endpoint, 'UpdateCard', BREAKER);
+    await send(endpoint, 'UpdateCard', BREAKER);
+    expect(breakerState(endpoint).state).toBe('open');
+
+    global.fetch = jest.fn(async () => response(200, OK_BODY));
+    const events = [];
+    // Waiting up to 1s on the open breaker lets the 50ms cooldown elapse
+    const result = await send(endpoint, 'UpdateCard', { ...BREAKER, breakerMaxWaitMs: 1000 }, (e) => events.push(e));
+    expect(result.ok).toBe(true);
+    expect(events.map(e => e.event)).toEqual(expect.arrayContaining(['circuit_wait', 'circuit_half_open', 'circuit_closed']));
+    expect(breakerState(endpoint)).toMatchObject({ state: 'closed', failures: 0 });
+  });
+
+  test('a failed half-open probe opens the breaker again', async () => {
+    const endpoint = nextEndpoint();
+    global.fetch = jest.fn(async () => response(503, 'Service Unavailable'));
+    await send(endpoint, 'UpdateCard', BREAKER);
+    await send(endpoint, 'UpdateCard', BREAKER);
+    const events = [];
+    await send(endpoint, 'UpdateCard', { ...BREAKER, breakerMaxWaitMs: 1000 }, (e) => events.push(e));
+    expect(events.map(e => e.event)).toEqual(expect.arrayContaining(['circuit_half_open', 'circuit_open']));
+    expect(breakerState(endpoint).state).toBe('open');
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('only one probe is let through while half-open', async () => {
+    const endpoint = nextEndpoint();
+    global.fetch = jest.fn(async () => response(503, 'Service Unavailable'));
+    await send(endpoint, 'UpdateCard', BREAKER);
+    await send(endpoint, 'UpdateCard', BREAKER);
+
+    let releaseProbe;
+    global.fetch = jest.fn(() => new Promise((resolve) => { releaseProbe = () => resolve(response(200, OK_BODY)); }));
+    const waiting = { ...BREAKER, breakerMaxWaitMs: 2000 };
+    const probe = send(endpoint, 'UpdateCard', waiting);
+    await new Promise(r => setTimeout(r, 120));
+    expect(breakerState(endpoint).state).toBe('half_open');
+    const second = send(endpoint, 'UpdateCard', waiting);
+    await new Promise(r => setTimeout(r, 50));
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    releaseProbe();
+    await expect(probe).resolves.toMatchObject({ ok: true });
+    // The waiting caller goes through once the probe closed the breaker
+    global.fetch.mockImplementation(async () => response(200, OK_BODY));
+    await expect(second).resolves.toMatchObject({ ok: true });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,158 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { analyzeResume } = require('../src/vaultResume');
+
+// Each test gets its own batch directory for the sheet and the JSONL log
+let dir;
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vault-resume-'));
+});
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const writeSheet = (rows = 4) => {
+  const csvPath = path.join(dir, 'cards.csv');
+  const lines = ['CARD NO,NAME'];
+  for (let i = 0; i < rows; i++) lines.push(`${1000 + i},Person ${i}`);
+  fs.writeFileSync(csvPath, lines.join('\n'));
+  return csvPath;
+};
+
+const writeLog = (file, events) => {
+  fs.writeFileSync(path.join(dir, file), events.map(ev => JSON.stringify(ev)).join('\n') + '\n');
+};
+
+const ok = (index, action, errCode = '0') => ({ event: 'soap_response_csv', index, action, httpStatus: 200, errCode });
+
+describe('analyzeResume (register)', () => {
+  test('success stays sticky across runs', () => {
+    const csvPath = writeSheet();
+    writeLog('vault-registration-log.jsonl', [
+      { event: 'start_csv', csvPath },
+      ok(0),
+      { event: 'error_csv', index: 1 },
+      { event: 'start_csv', csvPath },
+      { event: 'error_csv', index: 0 },
+      ok(1),
+    ]);
+    const result = analyzeResume({ kind: 'register', csvPath });
+    expect(result).toMatchObject({ runs: 2, total: 4, succeeded: 2, pending: [2, 3], missingCardNo: [], errors: [] });
+  });
+
+  test('AddCard ErrCode 0 and 1 succeed; other codes, non-2xx and faults are re-sent', () => {
+    const csvPath = writeSheet();
+    writeLog('vault-registration-log.jsonl', [
+      { event: 'start_csv', csvPath },
+      ok(0, 'add', '0'),
+      ok(1, 'add', '1'),
+      ok(2, 'add', '5'),
+      { event: 'soap_response_csv', index: 3, httpStatus: 500, errCode: '0' },
+    ]);
+    expect(analyzeResume({ kind: 'register', csvPath })).toMatchObject({ succeeded: 2, pending: [2, 3] });
+  });
+
+  test('upsert updates succeed on a blank or 0 ErrCode only', () => {
+    const csvPath = writeSheet();
+    writeLog('vault-registration-log.jsonl', [
+      { event: 'start_upsert', csvPath },
+      { event: 'soap_response_upsert', index: 0, action: 'update', httpStatus: 200, errCode: '' },
+      { event: 'soap_response_upsert', index: 1, action: 'update', httpStatus: 200 },
+      { event: 'soap_response_upsert', index: 2, action: 'update', httpStatus: 200, errCode: '1' },
+      { event: 'soap_fault_upsert', index: 3 },
+    ]);
+    const result = analyzeResume({ kind: 'register', csvPath });
+    expect(result).toMatchObject({ mode: 'upsert', succeeded: 2, pending: [2, 3] });
+  });
+
+  test('card_no_missing* events are reported apart from the pending rows', () => {
+    const csvPath = writeSheet();
+    writeLog('vault-registration-log.jsonl', [
+      { event: 'start_csv', csvPath },
+      { event: 'card_no_missing_csv', index: 0 },
+      { event: 'card_no_missing_upsert', index: 1 },
+      ok(2),
+    ]);
+    expect(analyzeResume({ kind: 'register', csvPath })).toMatchObject({ succeeded: 1, pending: [3], missingCardNo: [0, 1] });
+  });
+
+  test('a missing Card No does not undo an earlier success', () => {
+    const csvPath = writeSheet();
+    writeLog('vault-registration-log.jsonl', [
+      { event: 'start_csv', csvPath },
+      ok(0),
+      { event: 'start_csv', csvPath },
+      { event: 'card_no_missing_csv', index: 0 },
+    ]);
+    expect(analyzeResume({ kind: 'register', csvPath })).toMatchObject({ succeeded: 1, missingCardNo: [] });
+  });
+
+  test('overrides carry over to pending rows only, the latest one winning', () => {
+    const csvPath = writeSheet();
+    writeLog('vault-registration-log.jsonl', [
+      { event: 'start_csv', csvPath },
+      { event: 'override_applied_csv', index: 0, cardNo: '9000', downloadCard: 'true' },
+      ok(0),
+      { event: 'override_applied_csv', index: 1, cardNo: '9001', downloadCard: 'true' },
+      { event: 'error_csv', index: 1 },
+      { event: 'start_csv', csvPath },
+      { event: 'override_applied_csv', index: 1, cardNo: '9101', downloadCard: 'FALSE' },
+      { event: 'error_csv', index: 1 },
+    ]);
+    const result = analyzeResume({ kind: 'register', csvPath });
+    expect(result.pending).toEqual([1, 2, 3]);
+    expect(result.overrides).toEqual([{ index: 1, cardNo: '9101', downloadCard: false }]);
+  });
+
+  test('events of other batches in the same log are ignored', () => {
+    const csvPath = writeSheet();
+    writeLog('vault-registration-log.jsonl', [
+      { event: 'start_csv', csvPath: path.join(dir, 'other.csv') },
+      ok(0),
+      { event: 'start_csv', csvPath, mappingProfileId: 'map-1', environmentId: 'env-1' },
+      ok(1),
+    ]);
+    expect(analyzeResume({ kind: 'register', csvPath })).toMatchObject({
+      runs: 1, succeeded: 1, pending: [0, 2, 3], mappingProfileId: 'map-1', environmentId: 'env-1',
+    });
+  });
+
+  test('a log without a run for the sheet is an error', () => {
+    const csvPath = writeSheet();
+    writeLog('vault-registration-log.jsonl', [{ event: 'start_csv', csvPath: path.join(dir, 'other.csv') }]);
+    const result = analyzeResume({ kind: 'register', csvPath });
+    expect(result.errors).toMatchObject([{ code: 'NO_PREVIOUS_BATCH' }]);
+    expect(result.pending).toEqual([]);
+  });
+
+  test('a missing log is an error', () => {
+    const csvPath = writeSheet();
+    expect(analyzeResume({ kind: 'register', csvPath }).errors).toMatchObject([{ code: 'LOG_NOT_FOUND' }]);
+  });
+});
+
+describe('analyzeResume (update)', () => {
+  test('row outcomes, single-row updates, missing Card Nos and overrides fold together', () => {
+    const csvPath = writeSheet();
+    writeLog('vault-update-log.jsonl', [
+      { event: 'update_batch_start', csvPath },
+      { event: 'row_update_complete', index: 0, success: true },
+      { event: 'row_update_complete', index: 1, success: false },
+      { event: 'row_skipped_missing_cardno', index: 2 },
+      { event: 'override_applied_update', index: 3, cardNo: '7003', download: 'false' },
+      { event: 'error_update', index: 3 },
+      { event: 'single_row_update_complete', csvPath, index: 1, success: true },
+      { event: 'row_update_complete', index: 1, success: false },
+    ]);
+    const result = analyzeResume({ kind: 'update', csvPath });
+    expect(result).toMatchObject({
+      mode: 'update', runs: 1, succeeded: 2, pending: [3], missingCardNo: [2],
+      overrides: [{ index: 3, cardNo: '7003', downloadCard: false }],
+    });
+  });
+
+  test('a csvPath is required', () => {
+    expect(() => analyzeResume({ kind: 'update', jobId: 'job-1', outputDir: dir })).toThrow('csvPath is required');
+  });
+});
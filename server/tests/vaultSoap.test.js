@@ -0,0 +1,107 @@
+const { parseVaultResponse, VaultSoapFault, SOAP11_NS, SOAP12_NS } = require('../src/vaultSoap');
+
+const soap11 = (body) => `<?xml version="1.0" encoding="utf-8"?>
+<soap:Envelope xmlns:soap="${SOAP11_NS}"><soap:Body>${body}</soap:Body></soap:Envelope>`;
+
+const soap12 = (body) => `<?xml version="1.0" encoding="utf-8"?>
+<soap12:Envelope xmlns:soap12="${SOAP12_NS}"><soap12:Body>${body}</soap12:Body></soap12:Envelope>`;
+
+const addCardResult = (errCode, errMessage = '') =>
+  `<AddCardResponse xmlns="http://tempuri.org/"><AddCardResult><ErrCode>${errCode}</ErrCode><ErrMessage>${errMessage}</ErrMessage><CardID>42</CardID></AddCardResult></AddCardResponse>`;
+
+const updateCardResult = (errCode, errMessage = '') =>
+  `<UpdateCardResponse xmlns="http://tempuri.org/"><UpdateCardResult><ErrCode>${errCode}</ErrCode><ErrMessage>${errMessage}</ErrMessage></UpdateCardResult></UpdateCardResponse>`;
+
+describe('parseVaultResponse', () => {
+  describe('ErrCode results', () => {
+    test('AddCard ErrCode 0 is a success', () => {
+      const result = parseVaultResponse(soap11(addCardResult('0')), { httpStatus: 200, operation: 'AddCard' });
+      expect(result).toMatchObject({ status: 'ok', ok: true, soapVersion: '1.1', errCode: '0', cardId: '42', fault: null });
+    });
+
+    test('AddCard ErrCode 1 is also a success', () => {
+      const result = parseVaultResponse(soap12(addCardResult('1')), { httpStatus: 200, operation: 'AddCard' });
+      expect(result).toMatchObject({ ok: true, soapVersion: '1.2', errCode: '1' });
+    });
+
+    test('AddCard with another ErrCode is a business failure', () => {
+      const result = parseVaultResponse(soap11(addCardResult('5', 'Card already exists')), { httpStatus: 200, operation: 'AddCard' });
+      expect(result).toMatchObject({ status: 'ok', ok: false, errCode: '5', errMessage: 'Card already exists', fault: null });
+    });
+
+    test('UpdateCard succeeds on ErrCode 0 and fails on any other code', () => {
+      expect(parseVaultResponse(soap11(updateCardResult('0')), { httpStatus: 200, operation: 'UpdateCard' }).ok).toBe(true);
+      const failed = parseVaultResponse(soap11(updateCardResult('3', 'Card not found')), { httpStatus: 200, operation: 'UpdateCard' });
+      expect(failed).toMatchObject({ ok: false, errCode: '3', errMessage: 'Card not found' });
+    });
+
+    test('entities and CDATA in ErrMessage are decoded', () => {
+      const body = addCardResult('2', '<![CDATA[Name & <surname> too long]]>');
+      const result = parseVaultResponse(soap11(body), { httpStatus: 200, operation: 'AddCard' });
+      expect(result.errMessage).toBe('Name & <surname> too long');
+      const escaped = parseVaultResponse(soap11(addCardResult('2', 'A &amp; B')), { httpStatus: 200, operation: 'AddCard' });
+      expect(escaped.errMessage).toBe('A & B');
+    });
+  });
+
+  describe('SOAP faults', () => {
+    test('SOAP 1.1 fault carries faultcode, faultstring and detail', () => {
+      const body = '<soap:Fault><faultcode>soap:Server</faultcode><faultstring>Server was unable to process request.</faultstring><detail>Timeout expired</detail></soap:Fault>';
+      const result = parseVaultResponse(soap11(body), { httpStatus: 500, operation: 'UpdateCard' });
+      expect(result.ok).toBe(false);
+      expect(result.status).toBe('error');
+      expect(result.fault).toBeInstanceOf(VaultSoapFault);
+      expect(result.fault.toJSON()).toMatchObject({
+        code: 'Server',
+        reason: 'Server was unable to process request.',
+        detail: 'Timeout expired',
+        soapVersion: '1.1',
+        httpStatus: 500,
+      });
+    });
+
+    test('SOAP 1.2 fault carries Code/Subcode values and the Reason text', () => {
+      const body = `<soap12:Fault>
+        <soap12:Code><soap12:Value>soap12:Sender</soap12:Value><soap12:Subcode><soap12:Value>InvalidCard</soap12:Value></soap12:Subcode></soap12:Code>
+        <soap12:Reason><soap12:Text xml:lang="en">Card number is required</soap12:Text></soap12:Reason>
+        <soap12:Detail>CardNo</soap12:Detail>
+      </soap12:Fault>`;
+      const result = parseVaultResponse(soap12(body), { httpStatus: 500, operation: 'AddCard' });
+      expect(result.ok).toBe(false);
+      expect(result.fault).toBeInstanceOf(VaultSoapFault);
+      expect(result.fault.toJSON()).toMatchObject({
+        code: 'Sender',
+        subcode: 'InvalidCard',
+        reason: 'Card number is required',
+        detail: 'CardNo',
+        soapVersion: '1.2',
+      });
+    });
+
+    test('a fault on HTTP 200 is still reported as a fault', () => {
+      const body = '<soap:Fault><faultcode>soap:Client</faultcode><faultstring>Bad request</faultstring></soap:Fault>';
+      const result = parseVaultResponse(soap11(body), { httpStatus: 200, operation: 'AddCard' });
+      expect(result.ok).toBe(false);
+      expect(result.fault.code).toBe('Client');
+    });
+  });
+
+  describe('non-SOAP bodies', () => {
+    test('a non-XML 5xx body is an HTTP error with a parse error and no fault', () => {
+      const result = parseVaultResponse('<html><body><h1>502 Bad Gateway</h1><hr></body></html>', { httpStatus: 502, operation: 'UpdateCard' });
+      expect(result).toMatchObject({ status: 'error', httpStatus: 502, ok: false, fault: null, errMessage: undefined });
+      expect(result.parseError).toMatch(/Malformed XML/);
+    });
+
+    test('a plain-text 5xx body is not a success', () => {
+      const result = parseVaultResponse('Service Unavailable', { httpStatus: 503, operation: 'AddCard' });
+      expect(result).toMatchObject({ status: 'error', ok: false, fault: null, raw: 'Service Unavailable' });
+    });
+
+    test('an unparseable 2xx body reports the parse error as errMessage', () => {
+      const result = parseVaultResponse('<AddCardResult><ErrCode>0</ErrCode>', { httpStatus: 200, operation: 'AddCard' });
+      expect(result.ok).toBe(false);
+      expect(result.errMessage).toMatch(/^Unparseable SOAP response/);
+    });
+  });
+});
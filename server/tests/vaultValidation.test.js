@@ -0,0 +1,109 @@
+// The access level codes are read once at load time; pin them to the built-in list
+delete process.env.VAULT_ACCESS_LEVEL_CODES;
+const { VAULT_FIELD_CATALOG, ACCESS_LEVEL_CODES, parseVaultBoolean, validateVaultProfile } = require('../src/vaultValidation');
+
+const VALID = { CardNo: '1234567890', Name: 'Jane Doe', AccessLevel: '00' };
+
+const validate = (fields, options) => validateVaultProfile({ ...VALID, ...fields }, options);
+const codes = (result) => result.errors.map(e => `${e.field}:${e.code}`);
+
+describe('validateVaultProfile', () => {
+  test('a minimal profile is valid', () => {
+    expect(validate({})).toEqual({ valid: true, errors: [], warnings: [] });
+  });
+
+  test('CardNo, Name and AccessLevel are required', () => {
+    const result = validateVaultProfile({ CardNo: ' ', Name: null });
+    expect(result.valid).toBe(false);
+    expect(codes(result)).toEqual(['CardNo:REQUIRED', 'Name:REQUIRED', 'AccessLevel:REQUIRED']);
+  });
+
+  test('values may fill the catalog max length but not exceed it', () => {
+    const limits = {
+      CardNo: 10, Name: 40, Department: 30, Company: 30, Title: 25, Position: 25, StaffNo: 15, VehicleNo: 15,
+      Address1: 50, Address2: 50, Email: 50, MobileNo: 20, NRIC: 50, Passport: 50,
+    };
+    for (const [field, max] of Object.entries(limits)) {
+      expect(VAULT_FIELD_CATALOG[field].maxLength).toBe(max);
+      expect(validate({ [field]: 'x'.repeat(max) }).valid).toBe(true);
+      const result = validate({ [field]: 'x'.repeat(max + 1) });
+      expect(result.errors).toEqual([{ field, code: 'TOO_LONG', message: `${field} is ${max + 1} characters, Vault allows ${max}` }]);
+    }
+  });
+
+  test('lengths are measured after trimming', () => {
+    expect(validate({ CardNo: '  1234567890  ' }).valid).toBe(true);
+  });
+
+  test('AccessLevel must be one of the known codes', () => {
+    expect(ACCESS_LEVEL_CODES).toEqual(['00', '01', '10', '11', '1', '2']);
+    for (const code of ACCESS_LEVEL_CODES) expect(validate({ AccessLevel: code }).valid).toBe(true);
+    for (const code of ['3', '0', '010', 'MK']) {
+      expect(codes(validate({ AccessLevel: code }))).toEqual(['AccessLevel:INVALID_ACCESS_LEVEL']);
+    }
+  });
+
+  test('Face and Lift access levels are numeric codes of up to 3 digits', () => {
+    expect(validate({ FaceAccessLevel: '00', LiftAccessLevel: '123' }).valid).toBe(true);
+    expect(codes(validate({ FaceAccessLevel: 'A1', LiftAccessLevel: '1.5' }))).toEqual([
+      'FaceAccessLevel:INVALID_LEVEL_CODE', 'LiftAccessLevel:INVALID_LEVEL_CODE',
+    ]);
+    expect(codes(validate({ FaceAccessLevel: '1234' }))).toEqual(['FaceAccessLevel:TOO_LONG', 'FaceAccessLevel:INVALID_LEVEL_CODE']);
+  });
+
+  test('boolean fields take the recognised true/false spellings only', () => {
+    expect(validate({ ActiveStatus: 'Active', NonExpired: 'no', Download: 'TRUE', DownloadCard: '0', BypassAP: 'y' }).valid).toBe(true);
+    expect(codes(validate({ NonExpired: 'maybe' }))).toEqual(['NonExpired:INVALID_BOOLEAN']);
+  });
+
+  test('mapper notes come back as warnings', () => {
+    const notes = [{ field: 'AccessLevel', code: 'DEFAULTED', message: 'AccessLevel defaulted to 00' }];
+    const result = validate({}, { notes });
+    expect(result).toMatchObject({ valid: true, warnings: notes });
+    expect(result.warnings).not.toBe(notes);
+  });
+});
+
+describe('date checks', () => {
+  const dob = (value) => validate({ DOB: value });
+
+  test('yyyy-mm-dd (with or without a time) and "d Mon yyyy" are accepted', () => {
+    for (const value of ['1990-01-31', '2024-02-29', '2024-02-29T00:00:00.000Z', '1 Jan 1990', '31 December 1999']) {
+      expect(dob(value)).toEqual({ valid: true, errors: [], warnings: [] });
+    }
+  });
+
+  test('impossible calendar dates are invalid', () => {
+    for (const value of ['2023-02-29', '1990-13-01', '31 Feb 1990', '1 Foo 1990', '32/01/1990', '13/13/1990', '1990/01/31', 'yesterday']) {
+      expect(codes(dob(value))).toEqual(['DOB:INVALID_DATE']);
+    }
+  });
+
+  test('d/m/yyyy with both parts up to 12 and different is ambiguous, a warning only', () => {
+    const result = dob('03/04/1990');
+    expect(result.valid).toBe(true);
+    expect(result.warnings).toEqual([{ field: 'DOB', code: 'AMBIGUOUS_DATE', message: "DOB '03/04/1990' could be read as day/month or month/day" }]);
+  });
+
+  test('d/m/yyyy that can only be read one way, or reads the same both ways, is accepted', () => {
+    for (const value of ['25/12/1990', '12/25/1990', '05/05/1990']) {
+      expect(dob(value)).toEqual({ valid: true, errors: [], warnings: [] });
+    }
+  });
+
+  test('every date field is checked', () => {
+    expect(codes(validate({ JoiningDate: 'x', ResignDate: '2023-02-30', ExpiredDate: '0/0/2020' }))).toEqual([
+      'JoiningDate:INVALID_DATE', 'ResignDate:INVALID_DATE', 'ExpiredDate:INVALID_DATE',
+    ]);
+  });
+});
+
+describe('parseVaultBoolean', () => {
+  test('reads true/false spellings and leaves anything else undefined', () => {
+    expect(parseVaultBoolean(' Permanent ')).toBe(true);
+    expect(parseVaultBoolean('Temporary')).toBe(false);
+    expect(parseVaultBoolean(1)).toBe(true);
+    expect(parseVaultBoolean('')).toBeUndefined();
+    expect(parseVaultBoolean(undefined)).toBeUndefined();
+  });
+});
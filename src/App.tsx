@@ -8,7 +8,14 @@ import Index from "./pages/Index";
 import NotFound from "./pages/NotFound";
 import RegisterVault from "./pages/RegisterVault";
 import UpdateVaultCard from "./pages/UpdateVaultCard";
+import DeactivateVaultCards from "./pages/DeactivateVaultCards";
+import VaultLogViewer from "./pages/VaultLogViewer";
 import UserManagement from "./pages/UserManagement";
+import MappingProfiles from "./pages/MappingProfiles";
+import VaultEnvironments from "./pages/VaultEnvironments";
+import CardNumberPool from "./pages/CardNumberPool";
+import MessHallRules from "./pages/MessHallRules";
+import DeactivationQueue from "./pages/DeactivationQueue";
 import Login from "./pages/Login";
 
 const queryClient = new QueryClient();
@@ -42,7 +49,14 @@ const App = () => (
           <Route path="/" element={<Navigate to="/card-processor" replace />} />
           <Route path="/register-vault" element={<RequireAuth><RegisterVault /></RequireAuth>} />
           <Route path="/update-vault" element={<RequireAuth><UpdateVaultCard /></RequireAuth>} />
+          <Route path="/deactivate-vault" element={<RequireAuth><DeactivateVaultCards /></RequireAuth>} />
+          <Route path="/vault-logs" element={<RequireAuth><VaultLogViewer /></RequireAuth>} />
           <Route path="/users" element={<RequireAuth><UserManagement /></RequireAuth>} />
+          <Route path="/mapping-profiles" element={<RequireAuth><MappingProfiles /></RequireAuth>} />
+          <Route path="/vault-environments" element={<RequireAuth><VaultEnvironments /></RequireAuth>} />
+          <Route path="/card-pool" element={<RequireAuth><CardNumberPool /></RequireAuth>} />
+          <Route path="/messhall-rules" element={<RequireAuth><MessHallRules /></RequireAuth>} />
+          <Route path="/deactivation-queue" element={<RequireAuth><DeactivationQueue /></RequireAuth>} />
           {/* ADD ALL CUSTOM ROUTES ABOVE THE CATCH-ALL "*" ROUTE */}
           <Route path="*" element={<NotFound />} />
         </Routes>
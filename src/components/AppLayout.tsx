@@ -15,7 +15,7 @@ import {
 import { cn } from "@/lib/utils";
 import { Button } from "@/components/ui/button";
 import { useToast } from "@/hooks/use-toast";
-import { FileImage, Shield, PenSquare, Users } from "lucide-react";
+import { FileImage, Shield, PenSquare, UserX, Users, ScrollText, Columns3, Server, Hash, Utensils, CalendarClock } from "lucide-react";
 
 type AppLayoutProps = {
   title?: string;
@@ -89,6 +89,22 @@ export const AppLayout: React.FC<AppLayoutProps> = ({ title, children }) => {
                 </SidebarMenuButton>
               </Link>
             </SidebarMenuItem>
+            <SidebarMenuItem>
+              <Link to="/deactivate-vault" className="contents">
+                <SidebarMenuButton isActive={isActive("/deactivate-vault")}> 
+                  <UserX />
+                  <span>Deactivate Vault Cards</span>
+                </SidebarMenuButton>
+              </Link>
+            </SidebarMenuItem>
+            <SidebarMenuItem>
+              <Link to="/vault-logs" className="contents">
+                <SidebarMenuButton isActive={isActive("/vault-logs")}> 
+                  <ScrollText />
+                  <span>Vault SOAP Log</span>
+                </SidebarMenuButton>
+              </Link>
+            </SidebarMenuItem>
             {currentUser?.role === 'Admin' && (
               <SidebarMenuItem>
                 <Link to="/users" className="contents">
@@ -99,6 +115,56 @@ export const AppLayout: React.FC<AppLayoutProps> = ({ title, children }) => {
                 </Link>
               </SidebarMenuItem>
             )}
+            {currentUser?.role === 'Admin' && (
+              <SidebarMenuItem>
+                <Link to="/mapping-profiles" className="contents">
+                  <SidebarMenuButton isActive={isActive("/mapping-profiles")}> 
+                    <Columns3 />
+                    <span>Column Mappings</span>
+                  </SidebarMenuButton>
+                </Link>
+              </SidebarMenuItem>
+            )}
+            {currentUser?.role === 'Admin' && (
+              <SidebarMenuItem>
+                <Link to="/vault-environments" className="contents">
+                  <SidebarMenuButton isActive={isActive("/vault-environments")}> 
+                    <Server />
+                    <span>Vault Environments</span>
+                  </SidebarMenuButton>
+                </Link>
+              </SidebarMenuItem>
+            )}
+            {currentUser?.role === 'Admin' && (
+              <SidebarMenuItem>
+                <Link to="/card-pool" className="contents">
+                  <SidebarMenuButton isActive={isActive("/card-pool")}> 
+                    <Hash />
+                    <span>Card Number Pool</span>
+                  </SidebarMenuButton>
+                </Link>
+              </SidebarMenuItem>
+            )}
+            {currentUser?.role === 'Admin' && (
+              <SidebarMenuItem>
+                <Link to="/messhall-rules" className="contents">
+                  <SidebarMenuButton isActive={isActive("/messhall-rules")}> 
+                    <Utensils />
+                    <span>MessHall Rules</span>
+                  </SidebarMenuButton>
+                </Link>
+              </SidebarMenuItem>
+            )}
+            {currentUser?.role === 'Admin' && (
+              <SidebarMenuItem>
+                <Link to="/deactivation-queue" className="contents">
+                  <SidebarMenuButton isActive={isActive("/deactivation-queue")}> 
+                    <CalendarClock />
+                    <span>Scheduled Deactivation</span>
+                  </SidebarMenuButton>
+                </Link>
+              </SidebarMenuItem>
+            )}
           </SidebarMenu>
         </SidebarContent>
       </Sidebar>
@@ -0,0 +1,40 @@
+import React, { useEffect, useState } from 'react';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { AUTO_MAPPING, fetchMappingProfiles, type MappingKind, type MappingProfile } from '@/lib/mappingProfiles';
+
+interface MappingProfileSelectProps {
+  kinds: MappingKind[];
+  value: string;
+  onChange: (value: string) => void;
+  disabled?: boolean;
+}
+
+// Column mapping picker for the sheet pages: auto-detect (default) or a fixed profile of the given kinds
+export function MappingProfileSelect({ kinds, value, onChange, disabled }: MappingProfileSelectProps) {
+  const [profiles, setProfiles] = useState<MappingProfile[]>([]);
+  const kindKey = kinds.join(',');
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchMappingProfiles()
+      .then((catalog) => {
+        if (!cancelled) setProfiles(catalog.profiles.filter((p) => kindKey.split(',').includes(p.kind)));
+      })
+      .catch(() => { if (!cancelled) setProfiles([]); });
+    return () => { cancelled = true; };
+  }, [kindKey]);
+
+  return (
+    <Select value={value} onValueChange={onChange} disabled={disabled}>
+      <SelectTrigger className="w-[260px]">
+        <SelectValue placeholder="Column mapping" />
+      </SelectTrigger>
+      <SelectContent>
+        <SelectItem value={AUTO_MAPPING}>Auto-detect from headers</SelectItem>
+        {profiles.map((p) => (
+          <SelectItem key={p.id} value={p.id}>{p.name}</SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+}
@@ -0,0 +1,53 @@
+import React from 'react';
+import { Badge } from '@/components/ui/badge';
+import type { MessHallRuleMatch } from '@/lib/messHallRules';
+
+interface MessHallRuleBadgeProps {
+  accessRule?: MessHallRuleMatch | null;
+}
+
+const sourceLabels: Record<string, string> = {
+  explicit: 'sheet column',
+  rule: 'MessHall rule',
+  default: 'default',
+  none: 'default',
+};
+
+// MessHall rule that decided a preview row's access fields; rows without a MessHall and an explicit level show nothing
+export function MessHallRuleBadge({ accessRule }: MessHallRuleBadgeProps) {
+  if (!accessRule) return null;
+  if (!accessRule.ruleName) {
+    if (!accessRule.messHall) return null;
+    return (
+      <Badge variant="outline" className="border-amber-400 text-amber-700" title={`MessHall '${accessRule.messHall}' matches no MessHall rule`}>
+        No MessHall rule
+      </Badge>
+    );
+  }
+  const title = `MessHall '${accessRule.messHall}' matched '${accessRule.pattern || '(blank)'}': AccessLevel ${accessRule.accessLevel} (${sourceLabels[accessRule.sources.accessLevel]}), VehicleNo ${accessRule.vehicleNo || '-'}`;
+  return (
+    <Badge variant="outline" title={title}>
+      {accessRule.ruleName}
+    </Badge>
+  );
+}
+
+// Rule details for a row's detail dialog
+export function MessHallRuleDetail({ accessRule }: MessHallRuleBadgeProps) {
+  if (!accessRule) return null;
+  return (
+    <div className="text-sm space-y-1">
+      <div>
+        <span className="font-medium">MessHall rule: </span>
+        {accessRule.ruleName
+          ? `${accessRule.ruleName} (MessHall '${accessRule.messHall}' matched '${accessRule.pattern || '(blank)'}')`
+          : accessRule.messHall ? `none matches MessHall '${accessRule.messHall}'` : 'no MessHall value'}
+      </div>
+      <div className="text-muted-foreground">
+        {(['accessLevel', 'vehicleNo', 'faceAccessLevel', 'liftAccessLevel'] as const)
+          .map((field) => `${field}: ${sourceLabels[accessRule.sources[field]]}`)
+          .join(' • ')}
+      </div>
+    </div>
+  );
+}
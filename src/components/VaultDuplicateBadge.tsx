@@ -0,0 +1,31 @@
+import React from 'react';
+import { Badge } from '@/components/ui/badge';
+import type { VaultDuplicateFlag } from '@/lib/vaultJobs';
+
+interface VaultDuplicateBadgeProps {
+  duplicates?: VaultDuplicateFlag[];
+}
+
+// Duplicate flags of one preview row; nothing is shown for rows without flags
+export function VaultDuplicateBadge({ duplicates }: VaultDuplicateBadgeProps) {
+  if (!duplicates || duplicates.length === 0) return null;
+  const inCardDb = duplicates.some((f) => f.code === 'CARD_NO_IN_USE' || f.code === 'STAFF_NO_HAS_CARD');
+  const title = duplicates.map((f) => `${f.code}: ${f.message}`).join('\n');
+  return (
+    <Badge variant="outline" className="border-red-400 text-red-700" title={title}>
+      {inCardDb ? 'Conflicts with CardDB' : 'Duplicate in sheet'}
+    </Badge>
+  );
+}
+
+// Flag list for a row's detail dialog
+export function VaultDuplicateList({ duplicates }: VaultDuplicateBadgeProps) {
+  if (!duplicates || duplicates.length === 0) return null;
+  return (
+    <div className="space-y-1 text-sm">
+      {duplicates.map((f, i) => (
+        <div key={i} className="text-red-600">{f.field}: {f.message}</div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,32 @@
+import React from 'react';
+import { Badge } from '@/components/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import type { VaultEnvironment } from '@/lib/vaultEnvironments';
+
+interface VaultEnvironmentSelectProps {
+  environments: VaultEnvironment[];
+  value: string;
+  onChange: (id: string) => void;
+  disabled?: boolean;
+}
+
+// Target picker for the Vault pages; production environments are flagged next to the select
+export function VaultEnvironmentSelect({ environments, value, onChange, disabled }: VaultEnvironmentSelectProps) {
+  const selected = environments.find((e) => e.id === value);
+  return (
+    <div className="flex items-center gap-2">
+      <Select value={value} onValueChange={onChange} disabled={disabled}>
+        <SelectTrigger className="w-[260px]">
+          <SelectValue placeholder="Vault environment" />
+        </SelectTrigger>
+        <SelectContent>
+          {environments.map((e) => (
+            <SelectItem key={e.id} value={e.id}>{e.name}{e.isProduction ? ' (production)' : ''}</SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+      {selected?.isProduction && <Badge variant="destructive">Production</Badge>}
+      {selected && <span className="text-xs text-muted-foreground break-all">{selected.endpointBaseUrl}</span>}
+    </div>
+  );
+}
@@ -0,0 +1,123 @@
+import React, { useEffect, useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Progress } from '@/components/ui/progress';
+import { Button } from '@/components/ui/button';
+import { listVaultJobs, type VaultJob, type VaultJobType } from '@/lib/vaultJobs';
+
+const vaultJobTypeLabels: Record<VaultJobType, string> = {
+  VAULT_REGISTER: 'Register (job)',
+  VAULT_REGISTER_CSV: 'Register (CSV)',
+  VAULT_UPSERT: 'Upsert',
+  VAULT_UPDATE_CSV: 'Update (CSV)',
+};
+
+const getProgressValue = (job: VaultJob) => {
+  if (job.status === 'COMPLETED') return 100;
+  const { processed, total } = job.progress || { processed: 0, total: 0 };
+  return total > 0 ? (processed / total) * 100 : 0;
+};
+
+interface VaultJobPanelProps {
+  // Batch currently followed by the page (running or just finished)
+  activeJob: VaultJob<unknown> | null;
+  types: VaultJobType[];
+  // Reattach the page to an earlier batch
+  onOpen: (jobId: string) => void;
+}
+
+// Progress of the page's background Vault batch plus recent batches that can be reopened
+export function VaultJobPanel({ activeJob, types, onOpen }: VaultJobPanelProps) {
+  const [recent, setRecent] = useState<VaultJob[]>([]);
+  const [loading, setLoading] = useState(false);
+  const typeKey = types.join(',');
+
+  const loadRecent = async () => {
+    try {
+      setLoading(true);
+      setRecent(await listVaultJobs(typeKey.split(',') as VaultJobType[]));
+    } catch (err) {
+      console.error('Error fetching Vault jobs:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Refresh the list whenever the followed batch changes state
+  useEffect(() => {
+    loadRecent();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [typeKey, activeJob?.id, activeJob?.status]);
+
+  const progressValue = activeJob ? getProgressValue(activeJob as VaultJob) : 0;
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <div>
+            <CardTitle>Background Batches</CardTitle>
+            <CardDescription>Batches keep running on the server if this page is closed; reopen one to see its result.</CardDescription>
+          </div>
+          <Button variant="outline" size="sm" onClick={loadRecent} disabled={loading}>
+            {loading ? 'Loading…' : 'Refresh'}
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {activeJob && (
+          <div className="space-y-2">
+            <div className="flex items-center justify-between text-sm">
+              <span>
+                Batch {activeJob.id.slice(0, 8)} • {vaultJobTypeLabels[activeJob.type] ?? activeJob.type}
+              </span>
+              <Badge variant={activeJob.status === 'COMPLETED' ? 'default' : activeJob.status === 'FAILED' ? 'destructive' : 'secondary'}>
+                {activeJob.status}
+              </Badge>
+            </div>
+            <Progress value={progressValue} className="h-2" />
+            <div className="text-xs text-muted-foreground">
+              Processed {activeJob.progress?.processed ?? 0}/{activeJob.progress?.total ?? 0} •
+              Succeeded {activeJob.progress?.succeeded ?? 0} • Errors {activeJob.progress?.failed ?? 0}
+              {activeJob.errorMessage ? ` • ${activeJob.errorMessage}` : ''}
+            </div>
+          </div>
+        )}
+        {recent.length === 0 ? (
+          <div className="text-sm text-muted-foreground">No background batches yet.</div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left border-b">
+                  <th className="py-2 pr-4">Started</th>
+                  <th className="py-2 pr-4">Type</th>
+                  <th className="py-2 pr-4">Source</th>
+                  <th className="py-2 pr-4">Progress</th>
+                  <th className="py-2 pr-4">Status</th>
+                  <th className="py-2 pr-4"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {recent.map((j) => (
+                  <tr key={j.id} className="border-b">
+                    <td className="py-2 pr-4">{new Date(j.createdAt).toLocaleString()}</td>
+                    <td className="py-2 pr-4">{vaultJobTypeLabels[j.type] ?? j.type}</td>
+                    <td className="py-2 pr-4 break-all">{j.params?.csvPath || (j.params?.sourceJobId ? `Job ${j.params.sourceJobId.slice(0, 8)}` : '-')}</td>
+                    <td className="py-2 pr-4">{j.progress?.processed ?? 0}/{j.progress?.total ?? 0}</td>
+                    <td className="py-2 pr-4">{j.status}</td>
+                    <td className="py-2 pr-4">
+                      <Button variant="outline" size="sm" disabled={activeJob?.id === j.id} onClick={() => onOpen(j.id)}>
+                        Open
+                      </Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,42 @@
+import React from 'react';
+import { Badge } from '@/components/ui/badge';
+import { formatBytes, type VaultPhotoInfo } from '@/lib/vaultJobs';
+
+interface VaultPhotoStatusProps {
+  hasPhoto?: boolean;
+  photo?: VaultPhotoInfo | null;
+}
+
+// Photo column of a preview row: whether a photo was found, which file, and what size it is sent at
+export function VaultPhotoStatus({ hasPhoto, photo }: VaultPhotoStatusProps) {
+  if (!hasPhoto) return <span>No</span>;
+  if (!photo) return <span>Yes</span>;
+  const source = photo.dir ? `${photo.dir}/${photo.file}` : photo.file;
+  const ambiguous = photo.ambiguous && photo.ambiguous.length > 0 && (
+    <Badge variant="outline" className="border-amber-400 text-amber-700" title={`Also matched: ${photo.ambiguous.join(', ')}`}>
+      Ambiguous ({photo.ambiguous.length + 1} files)
+    </Badge>
+  );
+  if (photo.error) {
+    return (
+      <div className="space-y-1">
+        <Badge variant="destructive" title={`${source}: ${photo.error}`}>Unreadable ({formatBytes(photo.originalBytes)})</Badge>
+        {ambiguous}
+      </div>
+    );
+  }
+  const title = photo.reencoded
+    ? `${source}: ${photo.originalWidth}x${photo.originalHeight} ${photo.originalFormat} -> ${photo.width}x${photo.height} JPEG, quality ${photo.quality}`
+    : `${source}: ${photo.width}x${photo.height} JPEG, sent as-is`;
+  return (
+    <div className="space-y-1" title={title}>
+      <div>Yes</div>
+      {photo.matchKind && photo.matchKind !== 'name' && <div className="text-xs text-muted-foreground break-all">{photo.file}</div>}
+      <div className="text-xs text-muted-foreground whitespace-nowrap">
+        {photo.reencoded ? `${formatBytes(photo.originalBytes)} → ${formatBytes(photo.bytes)}` : formatBytes(photo.bytes)}
+      </div>
+      {photo.withinLimit === false && <Badge variant="outline" className="border-amber-400 text-amber-700">Above size limit</Badge>}
+      {ambiguous}
+    </div>
+  );
+}
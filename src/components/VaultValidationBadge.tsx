@@ -0,0 +1,36 @@
+import React from 'react';
+import { Badge } from '@/components/ui/badge';
+import type { VaultValidation } from '@/lib/vaultJobs';
+
+interface VaultValidationBadgeProps {
+  validation?: VaultValidation;
+}
+
+// Pre-flight result of one preview row; the issue messages are shown on hover
+export function VaultValidationBadge({ validation }: VaultValidationBadgeProps) {
+  if (!validation) return <span className="text-muted-foreground">-</span>;
+  const { errors, warnings } = validation;
+  const title = [...errors, ...warnings].map((issue) => `${issue.code}: ${issue.message}`).join('\n') || undefined;
+  if (errors.length > 0) {
+    return <Badge variant="destructive" title={title}>{errors.length} error{errors.length > 1 ? 's' : ''}</Badge>;
+  }
+  if (warnings.length > 0) {
+    return <Badge variant="outline" className="border-amber-400 text-amber-700" title={title}>{warnings.length} warning{warnings.length > 1 ? 's' : ''}</Badge>;
+  }
+  return <Badge variant="secondary">OK</Badge>;
+}
+
+// Error/warning list for a row's detail dialog
+export function VaultValidationList({ validation }: VaultValidationBadgeProps) {
+  if (!validation || (validation.errors.length === 0 && validation.warnings.length === 0)) return null;
+  return (
+    <div className="space-y-1 text-sm">
+      {validation.errors.map((issue, i) => (
+        <div key={`e-${i}`} className="text-red-600">{issue.field}: {issue.message}</div>
+      ))}
+      {validation.warnings.map((issue, i) => (
+        <div key={`w-${i}`} className="text-amber-700">{issue.field}: {issue.message}</div>
+      ))}
+    </div>
+  );
+}
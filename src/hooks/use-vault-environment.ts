@@ -0,0 +1,47 @@
+import * as React from "react";
+import {
+  DEFAULT_VAULT_ENVIRONMENT_ID,
+  VAULT_ENVIRONMENT_KEY,
+  describeVaultEnvironment,
+  fetchVaultEnvironments,
+  type VaultEnvironment,
+} from "@/lib/vaultEnvironments";
+
+export type VaultTargetFields = { environmentId: string; confirmProduction?: boolean };
+
+// Selected Vault environment of a page. `confirmTarget(action)` returns the request fields naming the
+// target, asking the user first when it is production; null means the user cancelled.
+export function useVaultEnvironment() {
+  const [environments, setEnvironments] = React.useState<VaultEnvironment[]>([]);
+  const [environmentId, setEnvironmentIdState] = React.useState<string>(
+    () => localStorage.getItem(VAULT_ENVIRONMENT_KEY) || DEFAULT_VAULT_ENVIRONMENT_ID,
+  );
+
+  React.useEffect(() => {
+    let cancelled = false;
+    fetchVaultEnvironments()
+      .then((catalog) => {
+        if (cancelled) return;
+        setEnvironments(catalog.environments);
+        // A remembered environment may have been deleted since
+        setEnvironmentIdState((id) => (catalog.environments.some((e) => e.id === id) ? id : DEFAULT_VAULT_ENVIRONMENT_ID));
+      })
+      .catch(() => { if (!cancelled) setEnvironments([]); });
+    return () => { cancelled = true; };
+  }, []);
+
+  const setEnvironmentId = React.useCallback((id: string) => {
+    localStorage.setItem(VAULT_ENVIRONMENT_KEY, id);
+    setEnvironmentIdState(id);
+  }, []);
+
+  const environment = environments.find((e) => e.id === environmentId);
+
+  const confirmTarget = React.useCallback((action: string): VaultTargetFields | null => {
+    if (!environment?.isProduction) return { environmentId };
+    const ok = window.confirm(`${action} on PRODUCTION Vault ${describeVaultEnvironment(environment)}?\n\nThis changes live card data.`);
+    return ok ? { environmentId, confirmProduction: true } : null;
+  }, [environment, environmentId]);
+
+  return { environments, environment, environmentId, setEnvironmentId, confirmTarget };
+}
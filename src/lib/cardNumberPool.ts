@@ -0,0 +1,80 @@
+// Client helpers for the card number pool (ranges of printed card numbers loaded by admins).
+// Register Vault reserves the next free numbers for rows without a Card No; the server marks a number
+// assigned once AddCard succeeded with it (reserved numbers only for the reservations the batch was sent with) and hands unused reservations back after a while.
+
+export type CardNumberState = 'available' | 'reserved' | 'assigned' | 'void';
+
+export const CARD_NUMBER_STATES: CardNumberState[] = ['available', 'reserved', 'assigned', 'void'];
+
+export type CardNumberRangeSummary = {
+  label: string;
+  first: string;
+  last: string;
+  total: number;
+} & Record<CardNumberState, number>;
+
+export type CardPoolSummary = {
+  counts: Record<CardNumberState, number>;
+  ranges: CardNumberRangeSummary[];
+  reservationHours: number;
+  maxReserve: number;
+};
+
+export type CardNumberEntry = {
+  cardNo: string;
+  rangeLabel: string;
+  state: CardNumberState;
+  reservationId?: string | null;
+  reservedBy?: string | null;
+  reservedAt?: string | null;
+  assignedAt?: string | null;
+  assignedName?: string | null;
+  note?: string | null;
+  updatedAt?: string | null;
+};
+
+export type CardNumberReservation = {
+  reservationId: string;
+  cardNos: string[];
+  voided: { cardNo: string; reason: string }[];
+  shortBy: number;
+};
+
+async function poolRequest<T>(url: string, body?: unknown): Promise<T> {
+  const res = await fetch(url, body === undefined
+    ? { credentials: 'include' }
+    : { method: 'POST', credentials: 'include', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  const data = await res.json();
+  if (!res.ok || !data.success) throw new Error(data.details || data.error || `HTTP ${res.status}`);
+  return data as T;
+}
+
+export const fetchCardPoolSummary = () => poolRequest<CardPoolSummary>('/api/card-pool');
+
+export async function fetchCardNumbers(state?: CardNumberState): Promise<CardNumberEntry[]> {
+  const data = await poolRequest<{ numbers: CardNumberEntry[] }>(`/api/card-pool/numbers${state ? `?state=${state}` : ''}`);
+  return Array.isArray(data.numbers) ? data.numbers : [];
+}
+
+export const addCardNumberRange = (range: { start: string; end: string; label?: string }) =>
+  poolRequest<{ added: number; skipped: number }>('/api/card-pool/ranges', range);
+
+export const reserveCardNumbers = (count: number) =>
+  poolRequest<CardNumberReservation>('/api/card-pool/reserve', { count });
+
+// Only numbers still reserved under `reservationId` are released (and only your own unless you are an admin)
+export const releaseCardNumbers = (reservationId: string, cardNos: string[]) =>
+  poolRequest<{ released: number }>('/api/card-pool/release', { reservationId, cardNos });
+
+export const voidCardNumbers = (cardNos: string[], note?: string) =>
+  poolRequest<{ voided: number }>('/api/card-pool/void', { cardNos, note });
+
+// Toast text for a reservation that did not go exactly as asked
+export function describeReservation(reservation: CardNumberReservation): string {
+  const parts = [`Reserved ${reservation.cardNos.length} card number(s).`];
+  if (reservation.voided.length > 0) {
+    parts.push(`Voided ${reservation.voided.length} already in CardDB: ${reservation.voided.map((v) => v.cardNo).join(', ')}.`);
+  }
+  if (reservation.shortBy > 0) parts.push(`The pool ran out: ${reservation.shortBy} row(s) still need a Card No.`);
+  return parts.join(' ');
+}
@@ -0,0 +1,88 @@
+// Client helpers for the scheduled deactivation queue. A daily server job queues active cards whose resign or
+// expiry date has passed (found in CardDB or in our own registration history); admins approve or reject them,
+// and approved entries are deactivated (UpdateCard with ActiveStatus=false) by the next daily run or on demand.
+
+import type { VaultTargetFields } from '@/hooks/use-vault-environment';
+import type { VaultEnvironmentSummary } from '@/lib/vaultEnvironments';
+
+export type DeactivationState = 'pending' | 'approved' | 'rejected' | 'deactivated' | 'failed' | 'skipped';
+
+export const DEACTIVATION_STATES: DeactivationState[] = ['pending', 'approved', 'rejected', 'deactivated', 'failed', 'skipped'];
+
+export type DeactivationDecision = 'approve' | 'reject' | 'reset';
+
+export type DeactivationEntry = {
+  id: string;
+  cardNo: string;
+  staffNo?: string | null;
+  name?: string | null;
+  reason: 'resigned' | 'expired';
+  dueDate: string;
+  // Where the card was found: CardDB, or only in the cards we sent to the Vault
+  source: 'carddb' | 'history';
+  state: DeactivationState;
+  detectedAt?: string | null;
+  reviewedBy?: string | null;
+  reviewedAt?: string | null;
+  executedAt?: string | null;
+  resultCode?: string | null;
+  resultMessage?: string | null;
+  updatedAt?: string | null;
+};
+
+export type DeactivationScanResult = {
+  asOf: string;
+  carddb: number;
+  history: number;
+  added: number;
+  dropped: number;
+  errors: { code: string; message: string }[];
+};
+
+export type DeactivationSchedulerStatus = {
+  enabled: boolean;
+  // Why the daily run is off (not opted in, or no environment configured)
+  disabledReason: string | null;
+  scanHour: number;
+  running: boolean;
+  environmentId: string | null;
+  nextRunAt: string | null;
+  lastScan: (DeactivationScanResult & { at: string }) | null;
+  lastExecution: { at: string; environment: VaultEnvironmentSummary | null; attempted: number; skipped: number; succeeded: number; errors: number } | null;
+};
+
+export type DeactivationQueue = {
+  entries: DeactivationEntry[];
+  counts: Record<DeactivationState, number>;
+  scheduler: DeactivationSchedulerStatus;
+};
+
+export type DeactivationExecution = {
+  environment: VaultEnvironmentSummary | null;
+  attempted: number;
+  skipped: number;
+  succeeded: number;
+  errors: { code?: string; message?: string; cardNo?: string }[];
+};
+
+async function queueRequest<T>(url: string, body?: unknown): Promise<T> {
+  const res = await fetch(url, body === undefined
+    ? { credentials: 'include' }
+    : { method: 'POST', credentials: 'include', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  const data = await res.json();
+  if (!res.ok || !data.success) throw new Error(data.details || data.error || `HTTP ${res.status}`);
+  return data as T;
+}
+
+export async function fetchDeactivationQueue(state?: DeactivationState): Promise<DeactivationQueue> {
+  const data = await queueRequest<DeactivationQueue>(`/api/deactivation-queue${state ? `?state=${state}` : ''}`);
+  return { ...data, entries: Array.isArray(data.entries) ? data.entries : [] };
+}
+
+export const scanForDeactivations = () => queueRequest<DeactivationScanResult>('/api/deactivation-queue/scan', {});
+
+export const reviewDeactivations = (ids: string[], decision: DeactivationDecision) =>
+  queueRequest<{ changed: number }>('/api/deactivation-queue/review', { ids, decision });
+
+export const executeApprovedDeactivations = (target: VaultTargetFields) =>
+  queueRequest<DeactivationExecution>('/api/deactivation-queue/execute', target);
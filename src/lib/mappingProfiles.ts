@@ -0,0 +1,57 @@
+// Client helpers for column mapping profiles (which sheet header feeds which Vault field).
+// Built-in profiles come from the server code and are read-only; admins maintain the others.
+
+export type MappingKind = 'register' | 'update' | 'processor';
+
+export type MappingEntry = { source: string; target: string; transform: string };
+
+export type MappingProfile = {
+  id: string;
+  name: string;
+  kind: MappingKind;
+  description: string;
+  builtIn: boolean;
+  mappings: MappingEntry[];
+  updatedBy?: string;
+  updatedAt?: string;
+};
+
+export type MappingProfileCatalog = {
+  profiles: MappingProfile[];
+  storeError: string | null;
+  kinds: MappingKind[];
+  targets: string[];
+  transforms: string[];
+};
+
+// Profile a preview was mapped with (`mappingProfile` in the preview responses)
+export type AppliedMappingProfile = {
+  id: string;
+  name: string;
+  kind: MappingKind;
+  builtIn: boolean;
+  detected: boolean;
+  matched?: string[];
+  missing?: string[];
+};
+
+// Select value meaning "detect the profile from the sheet headers"
+export const AUTO_MAPPING = 'auto';
+
+export const mappingProfileIdParam = (value: string) => (value === AUTO_MAPPING ? undefined : value);
+
+export async function fetchMappingProfiles(kind?: MappingKind): Promise<MappingProfileCatalog> {
+  const res = await fetch(`/api/mapping-profiles${kind ? `?kind=${kind}` : ''}`, { credentials: 'include' });
+  const data = await res.json();
+  if (!res.ok || !data.success) throw new Error(data.details || data.error || `HTTP ${res.status}`);
+  return {
+    profiles: Array.isArray(data.profiles) ? data.profiles : [],
+    storeError: data.storeError || null,
+    kinds: data.kinds || [],
+    targets: data.targets || [],
+    transforms: data.transforms || [],
+  };
+}
+
+export const describeAppliedMapping = (p: AppliedMappingProfile) =>
+  `${p.name}${p.detected ? ' (auto-detected)' : ''}${p.missing && p.missing.length > 0 ? ` — no column for ${p.missing.join(', ')}` : ''}`;
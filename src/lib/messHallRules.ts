@@ -0,0 +1,65 @@
+// Client helpers for the MessHall rules (MessHall value -> AccessLevel, VehicleNo, Face/Lift access levels).
+// The processor, register, update and upsert paths all derive access from the same rules; an explicit
+// AccessLevel/VehicleNo/Face/Lift column in the sheet still wins over the rule.
+
+export type MessHallRule = {
+  id: string;
+  name: string;
+  // Whole-value patterns, case-insensitive; `*` matches any text and '' matches a blank MessHall
+  patterns: string[];
+  accessLevel: string;
+  vehicleNo: string;
+  faceAccessLevel: string;
+  liftAccessLevel: string;
+  sortOrder: number;
+  description: string;
+  builtIn: boolean;
+  updatedBy?: string;
+  updatedAt?: string;
+};
+
+export type MessHallRuleCatalog = {
+  rules: MessHallRule[];
+  // True while no rules are stored (or the store is unreachable) and the built-in rules apply
+  usingBuiltIns: boolean;
+  storeError: string | null;
+};
+
+export type AccessFieldSource = 'explicit' | 'rule' | 'default' | 'none';
+
+// Which rule decided a row's access fields (`accessRule` on preview rows); rule fields are null when none matched
+export type MessHallRuleMatch = {
+  messHall: string;
+  ruleId: string | null;
+  ruleName: string | null;
+  pattern: string | null;
+  accessLevel: string;
+  vehicleNo: string;
+  sources: Record<'accessLevel' | 'vehicleNo' | 'faceAccessLevel' | 'liftAccessLevel', AccessFieldSource>;
+};
+
+export async function fetchMessHallRules(): Promise<MessHallRuleCatalog> {
+  const res = await fetch('/api/messhall-rules', { credentials: 'include' });
+  const data = await res.json();
+  if (!res.ok || !data.success) throw new Error(data.details || data.error || `HTTP ${res.status}`);
+  return {
+    rules: Array.isArray(data.rules) ? data.rules : [],
+    usingBuiltIns: !!data.usingBuiltIns,
+    storeError: data.storeError || null,
+  };
+}
+
+export async function testMessHallRules(values: string[]): Promise<MessHallRuleMatch[]> {
+  const res = await fetch('/api/messhall-rules/test', {
+    method: 'POST',
+    credentials: 'include',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ values }),
+  });
+  const data = await res.json();
+  if (!res.ok || !data.success) throw new Error(data.details || data.error || `HTTP ${res.status}`);
+  return Array.isArray(data.results) ? data.results : [];
+}
+
+// Patterns as listed on the rules page (the blank-MessHall pattern shown as "(blank)")
+export const describePatterns = (patterns: string[]) => patterns.map((p) => (p === '' ? '(blank)' : p)).join(', ');
@@ -0,0 +1,48 @@
+// Client helpers for the Vault environment registry (named endpoints with their SOAP settings).
+// Requests name their target with `environmentId`; writes to a production environment must also send
+// `confirmProduction: true`, which the pages only do after the user confirmed it.
+
+export type VaultEnvironment = {
+  id: string;
+  name: string;
+  endpointBaseUrl: string;
+  soapVersion: string;
+  namespace: string;
+  soapActions: { addCard: string; updateCard: string; deleteCard: string };
+  isProduction: boolean;
+  description: string;
+  builtIn: boolean;
+  updatedBy?: string;
+  updatedAt?: string;
+};
+
+// Environment a preview or batch was resolved to (`environment` in Vault responses)
+export type VaultEnvironmentSummary = Pick<VaultEnvironment, 'name' | 'endpointBaseUrl' | 'soapVersion' | 'isProduction'> & {
+  id?: string;
+  custom?: boolean;
+};
+
+export type VaultEnvironmentCatalog = {
+  environments: VaultEnvironment[];
+  storeError: string | null;
+  soapVersions: string[];
+};
+
+export const DEFAULT_VAULT_ENVIRONMENT_ID = 'env-default';
+
+// localStorage key of the environment picked on the Vault pages (shared across pages)
+export const VAULT_ENVIRONMENT_KEY = 'vault.environmentId';
+
+export async function fetchVaultEnvironments(): Promise<VaultEnvironmentCatalog> {
+  const res = await fetch('/api/vault/environments', { credentials: 'include' });
+  const data = await res.json();
+  if (!res.ok || !data.success) throw new Error(data.details || data.error || `HTTP ${res.status}`);
+  return {
+    environments: Array.isArray(data.environments) ? data.environments : [],
+    storeError: data.storeError || null,
+    soapVersions: data.soapVersions || [],
+  };
+}
+
+export const describeVaultEnvironment = (env: Pick<VaultEnvironment, 'name' | 'endpointBaseUrl' | 'isProduction'>) =>
+  `${env.name}${env.isProduction ? ' [PRODUCTION]' : ''} (${env.endpointBaseUrl})`;
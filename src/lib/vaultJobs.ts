@@ -0,0 +1,252 @@
+// Client helpers for Vault registration/update batches that run as background jobs on the server
+// (POST /api/vault/register | register-csv | update-csv return a jobId; poll /api/vault/jobs/:id).
+
+export type VaultJobType = 'VAULT_REGISTER' | 'VAULT_REGISTER_CSV' | 'VAULT_UPSERT' | 'VAULT_UPDATE_CSV';
+
+export type VaultJobStatus = 'PENDING' | 'PROCESSING' | 'COMPLETED' | 'FAILED';
+
+export type VaultJobProgress = {
+  processed: number;
+  total: number;
+  succeeded: number;
+  failed: number;
+};
+
+export type VaultJob<TSummary = Record<string, unknown>> = {
+  id: string;
+  type: VaultJobType;
+  status: VaultJobStatus;
+  params?: { csvPath?: string; sourceJobId?: string; mode?: string; endpointBaseUrl?: string };
+  createdAt: string;
+  startedAt?: string | null;
+  completedAt?: string | null;
+  progress: VaultJobProgress;
+  summary?: TSummary | null;
+  hasSummary?: boolean;
+  errorMessage?: string | null;
+};
+
+// Row-level event pushed over the job's SSE stream
+export type VaultRowEvent = {
+  index: number;
+  cardNo?: string;
+  name?: string;
+  action?: string;
+  state: 'mapped' | 'executing' | 'success' | 'failed' | 'skipped';
+  code?: string;
+  message?: string;
+  durationMs?: number;
+  at?: string;
+};
+
+// Pre-flight validation of a mapped card profile (returned per row by the preview endpoints).
+// Rows with errors are skipped at execution unless the request sends allowInvalid.
+export type VaultValidationIssue = { field: string; code: string; message: string };
+
+export type VaultValidation = {
+  valid: boolean;
+  errors: VaultValidationIssue[];
+  warnings: VaultValidationIssue[];
+};
+
+// Duplicate flag of a preview row: CardNo/StaffNo/NRIC repeated in the sheet (`rows` are the other row indexes),
+// a CardNo active in CardDB for another StaffNo, or a StaffNo already holding an active card.
+// Flagged rows are skipped at execution when the request sends excludeDuplicates.
+export type VaultDuplicateFlag = {
+  code: 'DUPLICATE_CARD_NO' | 'DUPLICATE_STAFF_NO' | 'DUPLICATE_NRIC' | 'CARD_NO_IN_USE' | 'STAFF_NO_HAS_CARD';
+  field: string;
+  value: string;
+  message: string;
+  rows?: number[];
+};
+
+// How a row's photo is sent: normalized by the server (downscaled, EXIF stripped, re-encoded as JPEG) unless already within limits
+export type VaultPhotoInfo = {
+  file: string;
+  // Set when the file came from one of the extra photo folders instead of the batch directory
+  dir?: string;
+  matchedBy?: 'cardNo' | 'staffNo';
+  matchKind?: 'name' | 'employeeId' | 'leadingToken';
+  // Other files that matched as well as `file`
+  ambiguous?: string[];
+  originalBytes: number;
+  originalFormat?: string;
+  originalWidth?: number;
+  originalHeight?: number;
+  bytes: number;
+  format?: string;
+  width?: number;
+  height?: number;
+  quality?: number;
+  reencoded: boolean;
+  withinLimit?: boolean;
+  error?: string;
+};
+
+// Preview counts of the photo normalization
+export type VaultPhotoCounts = { reencodedPhotos?: number; oversizedPhotos?: number; unreadablePhotos?: number; ambiguousPhotos?: number };
+
+export const formatBytes = (n: number) => (n >= 1024 * 1024 ? `${(n / (1024 * 1024)).toFixed(1)} MB` : n >= 1024 ? `${Math.round(n / 1024)} KB` : `${n} B`);
+
+// Summary sentence for a preview description; empty when no photo needs attention
+export const describePhotoCounts = (counts: VaultPhotoCounts) =>
+  [
+    counts.reencodedPhotos ? `${counts.reencodedPhotos} photo(s) will be downscaled/re-encoded` : '',
+    counts.oversizedPhotos ? `${counts.oversizedPhotos} still above the size limit` : '',
+    counts.unreadablePhotos ? `${counts.unreadablePhotos} unreadable` : '',
+    counts.ambiguousPhotos ? `${counts.ambiguousPhotos} matched more than one file` : '',
+  ].filter(Boolean).join(', ');
+
+export const isVaultJobFinished = (job: Pick<VaultJob, 'status'>) => job.status === 'COMPLETED' || job.status === 'FAILED';
+
+export async function fetchVaultJob<TSummary>(jobId: string): Promise<VaultJob<TSummary>> {
+  const res = await fetch(`/api/vault/jobs/${encodeURIComponent(jobId)}`);
+  const data = await res.json();
+  if (!res.ok || !data.success) throw new Error(data.details || data.error || `HTTP ${res.status}`);
+  return data.job as VaultJob<TSummary>;
+}
+
+export async function listVaultJobs(types: VaultJobType[], limit = 10): Promise<VaultJob[]> {
+  const res = await fetch(`/api/vault/jobs?limit=50`);
+  const data = await res.json();
+  if (!res.ok || !data.success) throw new Error(data.details || data.error || `HTTP ${res.status}`);
+  return (Array.isArray(data.jobs) ? data.jobs as VaultJob[] : []).filter((j) => types.includes(j.type)).slice(0, limit);
+}
+
+/**
+ * Poll a Vault job until it completes or fails, calling onUpdate with every snapshot.
+ * Transient fetch errors are retried; a missing job rejects.
+ */
+export async function waitForVaultJob<TSummary>(
+  jobId: string,
+  onUpdate?: (job: VaultJob<TSummary>) => void,
+  intervalMs = 1000,
+): Promise<VaultJob<TSummary>> {
+  for (;;) {
+    try {
+      const job = await fetchVaultJob<TSummary>(jobId);
+      onUpdate?.(job);
+      if (isVaultJobFinished(job)) return job;
+    } catch (err) {
+      const message = err instanceof Error ? err.message : String(err);
+      if (/not found/i.test(message)) throw err;
+    }
+    await new Promise((resolve) => window.setTimeout(resolve, intervalMs));
+  }
+}
+
+/**
+ * Follow a Vault job over its Server-Sent Events stream (/api/vault/jobs/:id/events).
+ * onRow receives every row event (including the latest state of each row when attaching mid-batch);
+ * onUpdate receives the job with fresh status/progress. Resolves with the finished job including its summary.
+ * Falls back to polling when the stream cannot be opened.
+ */
+export function streamVaultJob<TSummary>(
+  jobId: string,
+  handlers: { onUpdate?: (job: VaultJob<TSummary>) => void; onRow?: (row: VaultRowEvent) => void } = {},
+): Promise<VaultJob<TSummary>> {
+  const { onUpdate, onRow } = handlers;
+  if (typeof window.EventSource !== 'function') return waitForVaultJob<TSummary>(jobId, onUpdate);
+
+  return new Promise((resolve, reject) => {
+    let current: VaultJob<TSummary> | null = null;
+    let settled = false;
+    const source = new EventSource(`/api/vault/jobs/${encodeURIComponent(jobId)}/events`);
+    const update = (patch: Partial<VaultJob<TSummary>>) => {
+      if (!current) return;
+      current = { ...current, ...patch };
+      onUpdate?.(current);
+    };
+    const finish = (job: VaultJob<TSummary> | null) => {
+      if (settled) return;
+      settled = true;
+      source.close();
+      if (job) resolve(job);
+      else waitForVaultJob<TSummary>(jobId, onUpdate).then(resolve, reject);
+    };
+
+    source.addEventListener('snapshot', (e) => {
+      const data = JSON.parse((e as MessageEvent).data) as { job: VaultJob<TSummary>; rows: VaultRowEvent[] };
+      current = data.job;
+      onUpdate?.(current);
+      (data.rows || []).forEach((row) => onRow?.(row));
+    });
+    source.addEventListener('status', (e) => {
+      update({ status: JSON.parse((e as MessageEvent).data).status });
+    });
+    source.addEventListener('progress', (e) => {
+      update({ progress: JSON.parse((e as MessageEvent).data).progress });
+    });
+    source.addEventListener('row', (e) => {
+      onRow?.(JSON.parse((e as MessageEvent).data).row as VaultRowEvent);
+    });
+    source.addEventListener('complete', (e) => {
+      const job = JSON.parse((e as MessageEvent).data).job as VaultJob<TSummary>;
+      onUpdate?.(job);
+      finish(job);
+    });
+    // EventSource reconnects on its own while the stream is live; a closed source (e.g. 404) falls back to polling
+    source.onerror = () => {
+      if (source.readyState === EventSource.CLOSED) finish(null);
+    };
+  });
+}
+
+// Which rows of an earlier batch (same sheet or processor job) never succeeded, read from its batch log
+export type VaultResumeTarget = { kind: 'register' | 'update'; csvPath?: string; jobId?: string };
+
+export type VaultResumePreview = {
+  mode: 'register' | 'upsert' | 'update';
+  runs: number;
+  total: number;
+  succeeded: number;
+  pending: number[];
+  pendingCount: number;
+  missingCardNo: number[];
+  errors: { code?: string; message?: string }[];
+};
+
+export async function previewVaultResume(target: VaultResumeTarget): Promise<VaultResumePreview> {
+  const res = await fetch('/api/vault/resume-preview', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(target),
+  });
+  const data = await res.json();
+  if (!res.ok || !data.success) throw new Error(data.details || data.error || `HTTP ${res.status}`);
+  return data as VaultResumePreview;
+}
+
+// Start re-sending the unfinished rows; returns the background job id.
+// `environmentId` overrides the Vault environment the earlier runs used (production also needs confirmProduction)
+export async function startVaultResume(
+  target: VaultResumeTarget,
+  options: { concurrency?: number; allowInvalid?: boolean; cardPoolReservationIds?: string[]; environmentId?: string; confirmProduction?: boolean } = {},
+): Promise<string> {
+  const res = await fetch('/api/vault/resume', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...target, ...options }),
+  });
+  const data = await res.json();
+  if (!res.ok || !data.success) throw new Error(data.details || data.error || `HTTP ${res.status}`);
+  return data.jobId as string;
+}
+
+// Confirmation text shown before a resume is started
+export const describeVaultResume = (p: VaultResumePreview) =>
+  `Re-send ${p.pendingCount} of ${p.total} row(s) that never succeeded across ${p.runs} earlier run(s)?` +
+  (p.missingCardNo.length > 0 ? ` ${p.missingCardNo.length} row(s) without Card No stay skipped.` : '');
+
+// The last batch started from a page is remembered so the page can reattach after a reload
+export const rememberVaultJob = (key: string, jobId: string) => {
+  try { window.localStorage.setItem(key, jobId); } catch { /* storage unavailable */ }
+};
+
+export const recallVaultJob = (key: string): string | null => {
+  try { return window.localStorage.getItem(key); } catch { return null; }
+};
+
+export const forgetVaultJob = (key: string) => {
+  try { window.localStorage.removeItem(key); } catch { /* storage unavailable */ }
+};
@@ -0,0 +1,238 @@
+import React, { useCallback, useEffect, useState } from "react";
+import AppLayout from "@/components/AppLayout";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Separator } from "@/components/ui/separator";
+import { useToast } from "@/hooks/use-toast";
+import {
+  CARD_NUMBER_STATES,
+  addCardNumberRange,
+  fetchCardNumbers,
+  fetchCardPoolSummary,
+  releaseCardNumbers,
+  voidCardNumbers,
+  type CardNumberEntry,
+  type CardNumberState,
+  type CardPoolSummary,
+} from "@/lib/cardNumberPool";
+
+const stateBadge: Record<CardNumberState, "default" | "secondary" | "outline" | "destructive"> = {
+  available: "outline",
+  reserved: "secondary",
+  assigned: "default",
+  void: "destructive",
+};
+
+const formatDate = (value?: string | null) => (value ? new Date(value).toLocaleString() : "-");
+
+const CardNumberPool: React.FC = () => {
+  const { toast } = useToast();
+  const [summary, setSummary] = useState<CardPoolSummary | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [range, setRange] = useState({ start: "", end: "", label: "" });
+  const [adding, setAdding] = useState(false);
+  const [stateFilter, setStateFilter] = useState<CardNumberState>("reserved");
+  const [numbers, setNumbers] = useState<CardNumberEntry[]>([]);
+  const [selected, setSelected] = useState<Record<string, boolean>>({});
+  const [voidNote, setVoidNote] = useState("");
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [nextSummary, nextNumbers] = await Promise.all([fetchCardPoolSummary(), fetchCardNumbers(stateFilter)]);
+      setSummary(nextSummary);
+      setNumbers(nextNumbers);
+      setSelected({});
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      toast({ title: "Load card number pool failed", description: msg, variant: "destructive" });
+    } finally {
+      setLoading(false);
+    }
+  }, [stateFilter, toast]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const submitRange = async () => {
+    try {
+      setAdding(true);
+      const result = await addCardNumberRange({ start: range.start.trim(), end: range.end.trim(), label: range.label.trim() || undefined });
+      toast({ title: "Range loaded", description: `Added ${result.added} number(s)${result.skipped ? `, ${result.skipped} already in the pool` : ""}.` });
+      setRange({ start: "", end: "", label: "" });
+      await load();
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      toast({ title: "Load range failed", description: msg, variant: "destructive" });
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  const selectedCardNos = Object.keys(selected).filter((cardNo) => selected[cardNo]);
+
+  const releaseSelected = async () => {
+    try {
+      // Release is per reservation; only reserved numbers carry one
+      const byReservation = new Map<string, string[]>();
+      for (const n of numbers) {
+        if (!selected[n.cardNo] || !n.reservationId) continue;
+        byReservation.set(n.reservationId, [...(byReservation.get(n.reservationId) ?? []), n.cardNo]);
+      }
+      let released = 0;
+      for (const [reservationId, cardNos] of byReservation) {
+        released += (await releaseCardNumbers(reservationId, cardNos)).released;
+      }
+      toast({ title: "Card numbers released", description: `${released} number(s) returned to available.` });
+      await load();
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      toast({ title: "Release failed", description: msg, variant: "destructive" });
+    }
+  };
+
+  const voidSelected = async () => {
+    if (!window.confirm(`Void ${selectedCardNos.length} card number(s)? They will not be handed out again.`)) return;
+    try {
+      const { voided } = await voidCardNumbers(selectedCardNos, voidNote.trim() || undefined);
+      toast({ title: "Card numbers voided", description: `${voided} number(s) voided.` });
+      setVoidNote("");
+      await load();
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      toast({ title: "Void failed", description: msg, variant: "destructive" });
+    }
+  };
+
+  const canChange = stateFilter === "available" || stateFilter === "reserved";
+
+  return (
+    <AppLayout title="Card Number Pool">
+      <div className="space-y-6">
+        <p className="text-muted-foreground text-sm">
+          Printed card numbers available for new cards. Register Vault reserves the next free numbers for rows without a Card No
+          (numbers already in CardDB are voided instead); a number becomes assigned once AddCard succeeded with it.
+          {summary && ` Unused reservations return to available after ${summary.reservationHours} hour(s).`}
+        </p>
+        <Card>
+          <CardHeader>
+            <CardTitle>Ranges</CardTitle>
+            <CardDescription>
+              {summary
+                ? CARD_NUMBER_STATES.map((s) => `${summary.counts[s]} ${s}`).join(", ")
+                : "Counts per loaded range"}
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="grid gap-2 sm:grid-cols-4">
+              <Input placeholder="First card no" value={range.start} onChange={(e) => setRange((r) => ({ ...r, start: e.target.value }))} />
+              <Input placeholder="Last card no" value={range.end} onChange={(e) => setRange((r) => ({ ...r, end: e.target.value }))} />
+              <Input placeholder="Label (optional)" value={range.label} onChange={(e) => setRange((r) => ({ ...r, label: e.target.value }))} />
+              <Button onClick={submitRange} disabled={adding || !range.start.trim() || !range.end.trim()}>{adding ? "Loading…" : "Load range"}</Button>
+            </div>
+            <Separator />
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left border-b">
+                    <th className="py-2 pr-4">Label</th>
+                    <th className="py-2 pr-4">Numbers</th>
+                    <th className="py-2 pr-4">Total</th>
+                    {CARD_NUMBER_STATES.map((s) => <th key={s} className="py-2 pr-4 capitalize">{s}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {!summary || summary.ranges.length === 0 ? (
+                    <tr><td className="py-3 text-muted-foreground" colSpan={3 + CARD_NUMBER_STATES.length}>No ranges loaded</td></tr>
+                  ) : (
+                    summary.ranges.map((r) => (
+                      <tr key={r.label} className="border-b">
+                        <td className="py-2 pr-4">{r.label}</td>
+                        <td className="py-2 pr-4 font-mono">{r.first} – {r.last}</td>
+                        <td className="py-2 pr-4">{r.total}</td>
+                        {CARD_NUMBER_STATES.map((s) => <td key={s} className="py-2 pr-4">{r[s]}</td>)}
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </CardContent>
+        </Card>
+        <Card>
+          <CardHeader>
+            <CardTitle>Numbers</CardTitle>
+            <CardDescription>Most recently changed first (up to 200)</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="flex flex-wrap items-center gap-2">
+              <Select value={stateFilter} onValueChange={(v) => setStateFilter(v as CardNumberState)}>
+                <SelectTrigger className="w-[180px]"><SelectValue /></SelectTrigger>
+                <SelectContent>
+                  {CARD_NUMBER_STATES.map((s) => <SelectItem key={s} value={s} className="capitalize">{s}</SelectItem>)}
+                </SelectContent>
+              </Select>
+              <Button variant="outline" onClick={() => load()} disabled={loading}>{loading ? "Loading…" : "Refresh"}</Button>
+              {stateFilter === "reserved" && (
+                <Button variant="outline" onClick={releaseSelected} disabled={selectedCardNos.length === 0}>Release selected</Button>
+              )}
+              {canChange && (
+                <>
+                  <Input className="w-[240px]" placeholder="Void note (e.g. damaged card)" value={voidNote} onChange={(e) => setVoidNote(e.target.value)} />
+                  <Button variant="destructive" onClick={voidSelected} disabled={selectedCardNos.length === 0}>Void selected</Button>
+                </>
+              )}
+            </div>
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left border-b">
+                    {canChange && <th className="py-2 pr-4" />}
+                    <th className="py-2 pr-4">Card No</th>
+                    <th className="py-2 pr-4">State</th>
+                    <th className="py-2 pr-4">Range</th>
+                    <th className="py-2 pr-4">Reserved by</th>
+                    <th className="py-2 pr-4">Assigned to</th>
+                    <th className="py-2 pr-4">Note</th>
+                    <th className="py-2 pr-4">Updated</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {numbers.length === 0 ? (
+                    <tr><td className="py-3 text-muted-foreground" colSpan={canChange ? 8 : 7}>No {stateFilter} card numbers</td></tr>
+                  ) : (
+                    numbers.map((n) => (
+                      <tr key={n.cardNo} className="border-b">
+                        {canChange && (
+                          <td className="py-2 pr-4">
+                            <input
+                              type="checkbox"
+                              aria-label={`Select ${n.cardNo}`}
+                              checked={!!selected[n.cardNo]}
+                              onChange={(e) => setSelected((prev) => ({ ...prev, [n.cardNo]: e.target.checked }))}
+                            />
+                          </td>
+                        )}
+                        <td className="py-2 pr-4 font-mono">{n.cardNo}</td>
+                        <td className="py-2 pr-4"><Badge variant={stateBadge[n.state]}>{n.state}</Badge></td>
+                        <td className="py-2 pr-4">{n.rangeLabel || "-"}</td>
+                        <td className="py-2 pr-4">{n.reservedBy ? `${n.reservedBy} (${formatDate(n.reservedAt)})` : "-"}</td>
+                        <td className="py-2 pr-4">{n.assignedName ? `${n.assignedName} (${formatDate(n.assignedAt)})` : "-"}</td>
+                        <td className="py-2 pr-4">{n.note || "-"}</td>
+                        <td className="py-2 pr-4">{formatDate(n.updatedAt)}</td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </CardContent>
+        </Card>
+      </div>
+    </AppLayout>
+  );
+};
+
+export default CardNumberPool;
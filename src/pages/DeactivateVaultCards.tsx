@@ -0,0 +1,310 @@
+import React, { useState } from "react";
+import AppLayout from "@/components/AppLayout";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Separator } from "@/components/ui/separator";
+import { Textarea } from "@/components/ui/textarea";
+import { useToast } from "@/hooks/use-toast";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { VaultEnvironmentSelect } from "@/components/VaultEnvironmentSelect";
+import { useVaultEnvironment } from "@/hooks/use-vault-environment";
+import { describeVaultEnvironment, type VaultEnvironmentSummary } from "@/lib/vaultEnvironments";
+
+type DeactivationOperation = 'deactivate' | 'delete';
+
+type DeactivationError = {
+  code?: string;
+  message?: string;
+  cardNo?: string;
+};
+
+type DeactivationDetail = {
+  index: number;
+  action: DeactivationOperation | 'skip';
+  reason?: string;
+  cardNo: string;
+  name?: string;
+  staffNo?: string;
+  existingName?: string;
+  existingStaffNo?: string;
+  activeStatus?: string;
+  inCardDb?: boolean;
+  resignDate?: string;
+  respCode?: string;
+  respMessage?: string;
+  success?: boolean;
+};
+
+type DeactivationSummary = {
+  operation: DeactivationOperation;
+  attempted: number;
+  toProcess?: number;
+  skipped: number;
+  notInCardDb?: number;
+  succeeded?: number;
+  deleteEnabled?: boolean;
+  environment?: VaultEnvironmentSummary | null;
+  errors: DeactivationError[];
+  details: DeactivationDetail[];
+};
+
+type UploadResponse = {
+  success: boolean;
+  files?: { originalName: string; path: string }[];
+  error?: string;
+};
+
+const skipReasonLabels: Record<string, string> = {
+  CARD_NO_MISSING: 'Card No missing',
+  NOT_IN_CARDDB: 'Not found in CardDB',
+  STAFF_NO_MISMATCH: 'Staff ID differs from CardDB',
+};
+
+const DeactivateVaultCards: React.FC = () => {
+  const { toast } = useToast();
+  const [operation, setOperation] = useState<DeactivationOperation>('deactivate');
+  const [cardNoText, setCardNoText] = useState('');
+  const [resignDate, setResignDate] = useState('');
+  const [uploadedPath, setUploadedPath] = useState<string | undefined>();
+  const [uploading, setUploading] = useState(false);
+  const [previewing, setPreviewing] = useState(false);
+  const [executing, setExecuting] = useState(false);
+  const [preview, setPreview] = useState<DeactivationSummary | null>(null);
+  const [result, setResult] = useState<DeactivationSummary | null>(null);
+  const vaultEnv = useVaultEnvironment();
+
+  // Source used for both preview and execution: the uploaded sheet wins over the typed list
+  const sourceBody = () => (uploadedPath ? { csvPath: uploadedPath } : { cardNos: cardNoText });
+
+  const handleUpload = async (files: FileList | null) => {
+    if (!files || files.length === 0) return;
+    const form = new FormData();
+    for (const f of Array.from(files)) form.append('files', f);
+    try {
+      setUploading(true);
+      const res = await fetch('/api/upload', { method: 'POST', body: form });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const data: UploadResponse = await res.json();
+      if (!data.success) throw new Error(data.error || 'Upload failed');
+      const sheet = (data.files || []).find((f) => /\.(csv|xlsx|xls)$/i.test(f.originalName));
+      if (!sheet) throw new Error('No CSV/Excel file found in upload');
+      setUploadedPath(sheet.path);
+      setPreview(null);
+      setResult(null);
+      toast({ title: 'Resignation sheet uploaded', description: 'Ready to preview.' });
+    } catch (err) {
+      const message = err instanceof Error ? err.message : String(err);
+      toast({ title: 'Upload failed', description: message, variant: 'destructive' });
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handlePreview = async () => {
+    if (!uploadedPath && !cardNoText.trim()) {
+      toast({ title: 'No cards selected', description: 'Enter card numbers or upload a resignation sheet.' });
+      return;
+    }
+    try {
+      setPreviewing(true);
+      setResult(null);
+      const res = await fetch('/api/vault/preview-deactivate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...sourceBody(), operation, resignDate: resignDate || undefined, environmentId: vaultEnv.environmentId }),
+      });
+      const data = await res.json();
+      if (!res.ok || !data.success) throw new Error(data.details || data.error || `HTTP ${res.status}`);
+      setPreview(data as DeactivationSummary);
+    } catch (err) {
+      const message = err instanceof Error ? err.message : String(err);
+      toast({ title: 'Preview failed', description: message, variant: 'destructive' });
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const handleExecute = async () => {
+    if (!preview) return;
+    const vaultTarget = vaultEnv.confirmTarget(`${operation === 'delete' ? 'Delete' : 'Deactivate'} ${preview.toProcess ?? 0} card(s)`);
+    if (!vaultTarget) return;
+    try {
+      setExecuting(true);
+      const res = await fetch('/api/vault/deactivate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...sourceBody(), operation, resignDate: resignDate || undefined, ...vaultTarget }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.details || data.error || `HTTP ${res.status}`);
+      setResult(data as DeactivationSummary);
+      toast({
+        title: operation === 'delete' ? 'Deletion completed' : 'Deactivation completed',
+        description: `${data.succeeded ?? 0}/${data.attempted ?? 0} cards processed, ${data.skipped ?? 0} skipped.`,
+      });
+    } catch (err) {
+      const message = err instanceof Error ? err.message : String(err);
+      toast({ title: 'Execution failed', description: message, variant: 'destructive' });
+    } finally {
+      setExecuting(false);
+    }
+  };
+
+  const shown = result || preview;
+  const deleteBlocked = operation === 'delete' && preview?.deleteEnabled === false;
+
+  return (
+    <AppLayout title="Deactivate Vault Cards">
+      <div className="space-y-6">
+        <p className="text-muted-foreground text-sm">
+          Deactivate resigned employees' cards (ActiveStatus=false, expired on the resign date) or delete them from Vault. Cards are checked against CardDB before anything is sent.
+        </p>
+
+        <Card>
+          <CardHeader>
+            <CardTitle>Select Cards</CardTitle>
+            <CardDescription>
+              Paste card numbers, or upload a resignation sheet with CARD NO and optional STAFF ID, NAME and WORK PERIOD END columns.
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Operation</label>
+                <Select value={operation} onValueChange={(v) => { setOperation(v as DeactivationOperation); setPreview(null); setResult(null); }}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="deactivate">Deactivate (keep card, set inactive)</SelectItem>
+                    <SelectItem value="delete">Delete from Vault</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Resign date (default when sheet has none)</label>
+                <Input type="date" value={resignDate} onChange={(e) => setResignDate(e.target.value)} />
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Vault environment</label>
+                <VaultEnvironmentSelect
+                  environments={vaultEnv.environments}
+                  value={vaultEnv.environmentId}
+                  disabled={executing}
+                  onChange={(id) => { vaultEnv.setEnvironmentId(id); setPreview(null); setResult(null); }}
+                />
+              </div>
+            </div>
+            <Separator />
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Card numbers</label>
+                <Textarea
+                  placeholder="One per line or comma separated"
+                  value={cardNoText}
+                  disabled={!!uploadedPath}
+                  onChange={(e) => setCardNoText(e.target.value)}
+                />
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Resignation sheet (CSV/Excel)</label>
+                <Input type="file" accept=".csv,.xlsx,.xls" disabled={uploading} onChange={(e) => handleUpload(e.target.files)} />
+                {uploadedPath && (
+                  <div className="flex items-center gap-2 text-xs text-muted-foreground break-all">
+                    <span>Uploaded: {uploadedPath}</span>
+                    <Button variant="link" size="sm" className="h-auto p-0" onClick={() => { setUploadedPath(undefined); setPreview(null); setResult(null); }}>
+                      Clear
+                    </Button>
+                  </div>
+                )}
+              </div>
+            </div>
+            <div className="flex gap-2">
+              <Button onClick={handlePreview} disabled={previewing || uploading}>
+                {previewing ? 'Preparing preview...' : 'Preview'}
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+
+        {shown && (
+          <Card>
+            <CardHeader>
+              <CardTitle>{result ? 'Result' : 'Preview'}</CardTitle>
+              <CardDescription>
+                {result
+                  ? `Attempted ${result.attempted}, Succeeded ${result.succeeded ?? 0}, Skipped ${result.skipped}, Errors ${result.errors.length}`
+                  : `Cards ${shown.attempted}, To ${operation} ${shown.toProcess ?? 0}, Skipped ${shown.skipped}, Not in CardDB ${shown.notInCardDb ?? 0}`}
+                {shown.environment && <span className="block">Target: {describeVaultEnvironment(shown.environment)}</span>}
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              {shown.errors.length > 0 && (
+                <div className="text-sm text-red-600 space-y-1">
+                  {shown.errors.slice(0, 20).map((e, i) => (
+                    <div key={i}>{e.code}{e.cardNo ? ` (${e.cardNo})` : ''}: {e.message}</div>
+                  ))}
+                </div>
+              )}
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left border-b">
+                      <th className="py-2 pr-4">Card No</th>
+                      <th className="py-2 pr-4">Name</th>
+                      <th className="py-2 pr-4">Staff ID</th>
+                      <th className="py-2 pr-4">CardDB</th>
+                      <th className="py-2 pr-4">Resign Date</th>
+                      <th className="py-2 pr-4">Action</th>
+                      {result && <th className="py-2 pr-4">Result</th>}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {shown.details.map((d) => (
+                      <tr key={`${d.cardNo}-${d.index}`} className="border-b">
+                        <td className="py-2 pr-4 font-mono">{d.cardNo || '-'}</td>
+                        <td className="py-2 pr-4">{d.name || '-'}</td>
+                        <td className="py-2 pr-4">{d.staffNo || '-'}</td>
+                        <td className="py-2 pr-4">
+                          {d.inCardDb ? (d.existingName || 'Found') : <span className="text-amber-600">Not found</span>}
+                        </td>
+                        <td className="py-2 pr-4">{d.resignDate || '-'}</td>
+                        <td className="py-2 pr-4">
+                          {d.action === 'skip'
+                            ? <span className="text-muted-foreground">Skip ({skipReasonLabels[d.reason || ''] || d.reason})</span>
+                            : (d.action === 'delete' ? 'Delete' : 'Deactivate')}
+                        </td>
+                        {result && (
+                          <td className={`py-2 pr-4 ${d.success ? 'text-green-600' : 'text-red-600'}`}>
+                            {d.action === 'skip' ? '-' : `${d.respCode ?? '-'} ${d.respMessage ?? ''}`}
+                          </td>
+                        )}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              {!result && (
+                <div className="flex items-center gap-2">
+                  <Button
+                    variant="destructive"
+                    onClick={handleExecute}
+                    disabled={executing || deleteBlocked || (preview?.toProcess ?? 0) === 0}
+                  >
+                    {executing ? 'Executing...' : (operation === 'delete' ? 'Delete cards' : 'Deactivate cards')}
+                  </Button>
+                  {deleteBlocked && (
+                    <span className="text-sm text-amber-600">DeleteCard is not enabled for this Vault endpoint.</span>
+                  )}
+                </div>
+              )}
+            </CardContent>
+          </Card>
+        )}
+      </div>
+    </AppLayout>
+  );
+};
+
+export default DeactivateVaultCards;
@@ -0,0 +1,267 @@
+import React, { useCallback, useEffect, useState } from "react";
+import AppLayout from "@/components/AppLayout";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { VaultEnvironmentSelect } from "@/components/VaultEnvironmentSelect";
+import { useVaultEnvironment } from "@/hooks/use-vault-environment";
+import { useToast } from "@/hooks/use-toast";
+import {
+  DEACTIVATION_STATES,
+  executeApprovedDeactivations,
+  fetchDeactivationQueue,
+  reviewDeactivations,
+  scanForDeactivations,
+  type DeactivationDecision,
+  type DeactivationEntry,
+  type DeactivationQueue as DeactivationQueueData,
+  type DeactivationState,
+} from "@/lib/deactivationQueue";
+
+const stateBadge: Record<DeactivationState, "default" | "secondary" | "outline" | "destructive"> = {
+  pending: "outline",
+  approved: "secondary",
+  rejected: "outline",
+  deactivated: "default",
+  failed: "destructive",
+  skipped: "outline",
+};
+
+// Decisions offered for the entries of each state (see DECISION_FROM on the server)
+const decisionsFor: Record<DeactivationState, DeactivationDecision[]> = {
+  pending: ["approve", "reject"],
+  approved: ["reject"],
+  rejected: ["reset"],
+  deactivated: [],
+  failed: ["approve", "reject", "reset"],
+  skipped: ["reset"],
+};
+
+const decisionLabels: Record<DeactivationDecision, string> = {
+  approve: "Approve selected",
+  reject: "Reject selected",
+  reset: "Back to pending",
+};
+
+const formatDate = (value?: string | null) => (value ? new Date(value).toLocaleString() : "-");
+
+const DeactivationQueue: React.FC = () => {
+  const { toast } = useToast();
+  const vaultEnv = useVaultEnvironment();
+  const [queue, setQueue] = useState<DeactivationQueueData | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [scanning, setScanning] = useState(false);
+  const [executing, setExecuting] = useState(false);
+  const [stateFilter, setStateFilter] = useState<DeactivationState>("pending");
+  const [selected, setSelected] = useState<Record<string, boolean>>({});
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      setQueue(await fetchDeactivationQueue(stateFilter));
+      setSelected({});
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      toast({ title: "Load deactivation queue failed", description: msg, variant: "destructive" });
+    } finally {
+      setLoading(false);
+    }
+  }, [stateFilter, toast]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const entries: DeactivationEntry[] = queue?.entries || [];
+  const selectedIds = entries.filter((e) => selected[e.id]).map((e) => e.id);
+  const decisions = decisionsFor[stateFilter];
+  const scheduler = queue?.scheduler;
+
+  const scanNow = async () => {
+    try {
+      setScanning(true);
+      const result = await scanForDeactivations();
+      toast({
+        title: "Scan finished",
+        description: `${result.added} card(s) queued (CardDB ${result.carddb}, history only ${result.history})${result.dropped ? `, ${result.dropped} no longer due` : ""}.`
+          + (result.errors.length ? ` ${result.errors.map((e) => e.message).join("; ")}` : ""),
+        variant: result.errors.length ? "destructive" : undefined,
+      });
+      await load();
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      toast({ title: "Scan failed", description: msg, variant: "destructive" });
+    } finally {
+      setScanning(false);
+    }
+  };
+
+  const review = async (decision: DeactivationDecision) => {
+    try {
+      const { changed } = await reviewDeactivations(selectedIds, decision);
+      toast({ title: "Queue updated", description: `${changed} entr${changed === 1 ? "y" : "ies"} changed.` });
+      await load();
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      toast({ title: "Review failed", description: msg, variant: "destructive" });
+    }
+  };
+
+  const executeNow = async () => {
+    const vaultTarget = vaultEnv.confirmTarget(`Deactivate ${queue?.counts.approved ?? 0} approved card(s)`);
+    if (!vaultTarget) return;
+    try {
+      setExecuting(true);
+      const result = await executeApprovedDeactivations(vaultTarget);
+      toast({
+        title: "Deactivation completed",
+        description: `${result.succeeded}/${result.attempted} cards deactivated, ${result.skipped} skipped, ${result.errors.length} error(s).`,
+        variant: result.errors.length ? "destructive" : undefined,
+      });
+      await load();
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      toast({ title: "Deactivation failed", description: msg, variant: "destructive" });
+    } finally {
+      setExecuting(false);
+    }
+  };
+
+  return (
+    <AppLayout title="Scheduled Deactivation">
+      <div className="space-y-6">
+        <p className="text-muted-foreground text-sm">
+          When the daily run is enabled, the server queues active cards whose resign date has passed, or whose expiry date
+          has passed while they are not marked non-expiring, from CardDB and from the cards sent to the Vault by this app.
+          Approved cards are deactivated (UpdateCard with ActiveStatus=false) by the next daily run or the buttons below;
+          each call is logged in the Vault log viewer under output/scheduled-deactivation.
+        </p>
+        <Card>
+          <CardHeader>
+            <CardTitle>Scheduler</CardTitle>
+            <CardDescription>
+              {!scheduler
+                ? "Status of the daily run"
+                : scheduler.enabled
+                  ? `Runs daily after ${String(scheduler.scanHour).padStart(2, "0")}:00 against environment ${scheduler.environmentId}; next run ${formatDate(scheduler.nextRunAt)}.`
+                  : `Disabled on this server (${scheduler.disabledReason ?? "not enabled"}); set DEACTIVATION_SCHEDULER_ENABLED=true and DEACTIVATION_ENVIRONMENT_ID to turn it on, or use the buttons below.`}
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="grid gap-2 text-sm sm:grid-cols-2">
+              <div>
+                <span className="font-medium">Last scan: </span>
+                {scheduler?.lastScan
+                  ? `${formatDate(scheduler.lastScan.at)}: ${scheduler.lastScan.added} queued, ${scheduler.lastScan.errors.length} error(s)`
+                  : "not since the server started"}
+              </div>
+              <div>
+                <span className="font-medium">Last deactivation: </span>
+                {scheduler?.lastExecution
+                  ? `${formatDate(scheduler.lastExecution.at)}: ${scheduler.lastExecution.succeeded}/${scheduler.lastExecution.attempted} deactivated${scheduler.lastExecution.environment ? ` on ${scheduler.lastExecution.environment.name}` : ""}`
+                  : "not since the server started"}
+              </div>
+            </div>
+            <div className="flex flex-wrap items-center gap-2">
+              <Button variant="outline" onClick={scanNow} disabled={scanning || !!scheduler?.running}>{scanning ? "Scanning…" : "Scan now"}</Button>
+              <VaultEnvironmentSelect
+                environments={vaultEnv.environments}
+                value={vaultEnv.environmentId}
+                disabled={executing}
+                onChange={vaultEnv.setEnvironmentId}
+              />
+              <Button onClick={executeNow} disabled={executing || !!scheduler?.running || !queue?.counts.approved}>
+                {executing ? "Deactivating…" : `Deactivate approved now (${queue?.counts.approved ?? 0})`}
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+        <Card>
+          <CardHeader>
+            <CardTitle>Queue</CardTitle>
+            <CardDescription>
+              {queue ? DEACTIVATION_STATES.map((s) => `${queue.counts[s] ?? 0} ${s}`).join(", ") : "Cards found by the daily scan"}
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="flex flex-wrap items-center gap-2">
+              <Select value={stateFilter} onValueChange={(v) => setStateFilter(v as DeactivationState)}>
+                <SelectTrigger className="w-[180px]"><SelectValue /></SelectTrigger>
+                <SelectContent>
+                  {DEACTIVATION_STATES.map((s) => <SelectItem key={s} value={s} className="capitalize">{s}</SelectItem>)}
+                </SelectContent>
+              </Select>
+              <Button variant="outline" onClick={() => load()} disabled={loading}>{loading ? "Loading…" : "Refresh"}</Button>
+              {decisions.length > 0 && (
+                <Button
+                  variant="outline"
+                  onClick={() => setSelected(Object.fromEntries(entries.map((e) => [e.id, selectedIds.length !== entries.length])))}
+                  disabled={entries.length === 0}
+                >
+                  {selectedIds.length === entries.length && entries.length > 0 ? "Clear selection" : "Select all"}
+                </Button>
+              )}
+              {decisions.map((d) => (
+                <Button key={d} variant={d === "reject" ? "destructive" : "default"} onClick={() => review(d)} disabled={selectedIds.length === 0}>
+                  {decisionLabels[d]}
+                </Button>
+              ))}
+            </div>
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left border-b">
+                    {decisions.length > 0 && <th className="py-2 pr-4" />}
+                    <th className="py-2 pr-4">Card No</th>
+                    <th className="py-2 pr-4">Name</th>
+                    <th className="py-2 pr-4">Staff No</th>
+                    <th className="py-2 pr-4">Reason</th>
+                    <th className="py-2 pr-4">Due</th>
+                    <th className="py-2 pr-4">Found in</th>
+                    <th className="py-2 pr-4">State</th>
+                    <th className="py-2 pr-4">Reviewed</th>
+                    <th className="py-2 pr-4">Result</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {entries.length === 0 ? (
+                    <tr><td className="py-3 text-muted-foreground" colSpan={decisions.length > 0 ? 10 : 9}>No {stateFilter} entries</td></tr>
+                  ) : (
+                    entries.map((e) => (
+                      <tr key={e.id} className="border-b">
+                        {decisions.length > 0 && (
+                          <td className="py-2 pr-4">
+                            <input
+                              type="checkbox"
+                              aria-label={`Select ${e.cardNo}`}
+                              checked={!!selected[e.id]}
+                              onChange={(ev) => setSelected((prev) => ({ ...prev, [e.id]: ev.target.checked }))}
+                            />
+                          </td>
+                        )}
+                        <td className="py-2 pr-4 font-mono">{e.cardNo}</td>
+                        <td className="py-2 pr-4">{e.name || "-"}</td>
+                        <td className="py-2 pr-4">{e.staffNo || "-"}</td>
+                        <td className="py-2 pr-4 capitalize">{e.reason}</td>
+                        <td className="py-2 pr-4">{e.dueDate}</td>
+                        <td className="py-2 pr-4">{e.source === "carddb" ? "CardDB" : "Sent history"}</td>
+                        <td className="py-2 pr-4"><Badge variant={stateBadge[e.state]}>{e.state}</Badge></td>
+                        <td className="py-2 pr-4">{e.reviewedBy ? `${e.reviewedBy} (${formatDate(e.reviewedAt)})` : "-"}</td>
+                        <td className="py-2 pr-4">
+                          {e.resultCode || e.resultMessage
+                            ? `${[e.resultCode, e.resultMessage].filter(Boolean).join(": ")}${e.executedAt ? ` (${formatDate(e.executedAt)})` : ""}`
+                            : "-"}
+                        </td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </CardContent>
+        </Card>
+      </div>
+    </AppLayout>
+  );
+};
+
+export default DeactivationQueue;
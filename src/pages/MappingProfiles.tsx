@@ -0,0 +1,354 @@
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import AppLayout from "@/components/AppLayout";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from "@/components/ui/tooltip";
+import {
+  AlertDialog,
+  AlertDialogContent,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogCancel,
+  AlertDialogAction,
+} from "@/components/ui/alert-dialog";
+import { Pencil, Trash2, Copy, Plus, X } from "lucide-react";
+import { Separator } from "@/components/ui/separator";
+import { useToast } from "@/hooks/use-toast";
+import { fetchMappingProfiles, type MappingEntry, type MappingKind, type MappingProfile } from "@/lib/mappingProfiles";
+
+type ProfileForm = { name: string; kind: MappingKind; description: string; mappings: MappingEntry[] };
+
+const KIND_LABELS: Record<MappingKind, string> = {
+  register: "Register (card data file)",
+  update: "Update (UpdateCard template)",
+  processor: "ID Card Processor (HR export)",
+};
+
+const emptyForm = (): ProfileForm => ({ name: "", kind: "update", description: "", mappings: [{ source: "", target: "CardNo", transform: "trim" }] });
+
+const readError = async (res: Response) => {
+  let message = `HTTP ${res.status}`;
+  try {
+    const data = await res.json();
+    const m = [data?.error, data?.details].filter(Boolean).join(": ") || message;
+    message = typeof m === "string" ? m : message;
+  } catch { void 0; }
+  return message;
+};
+
+const MappingProfiles: React.FC = () => {
+  const { toast } = useToast();
+  const [profiles, setProfiles] = useState<MappingProfile[]>([]);
+  const [targets, setTargets] = useState<string[]>([]);
+  const [transforms, setTransforms] = useState<string[]>([]);
+  const [storeError, setStoreError] = useState<string | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [kindFilter, setKindFilter] = useState<"all" | MappingKind>("all");
+  const [openEdit, setOpenEdit] = useState(false);
+  const [editing, setEditing] = useState<MappingProfile | null>(null);
+  const [form, setForm] = useState<ProfileForm>(emptyForm);
+  const [confirmDelete, setConfirmDelete] = useState<MappingProfile | null>(null);
+
+  const fetchProfiles = useCallback(async () => {
+    setLoading(true);
+    try {
+      const catalog = await fetchMappingProfiles();
+      setProfiles(catalog.profiles);
+      setTargets(catalog.targets);
+      setTransforms(catalog.transforms);
+      setStoreError(catalog.storeError);
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      toast({ title: "Load mapping profiles failed", description: msg, variant: "destructive" });
+    } finally {
+      setLoading(false);
+    }
+  }, [toast]);
+
+  useEffect(() => { fetchProfiles(); }, [fetchProfiles]);
+
+  const filtered = useMemo(
+    () => (kindFilter === "all" ? profiles : profiles.filter(p => p.kind === kindFilter)),
+    [profiles, kindFilter],
+  );
+
+  const startCreate = () => {
+    setEditing(null);
+    setForm(emptyForm());
+    setOpenEdit(true);
+  };
+
+  const startEdit = (p: MappingProfile) => {
+    setEditing(p);
+    setForm({ name: p.name, kind: p.kind, description: p.description, mappings: p.mappings.map(m => ({ ...m })) });
+    setOpenEdit(true);
+  };
+
+  // Built-in profiles are the usual starting point for a custom one
+  const startDuplicate = (p: MappingProfile) => {
+    setEditing(null);
+    setForm({ name: `${p.name.replace(/ \(built-in\)$/, "")} (copy)`, kind: p.kind, description: p.description, mappings: p.mappings.map(m => ({ ...m })) });
+    setOpenEdit(true);
+  };
+
+  const updateMapping = (index: number, patch: Partial<MappingEntry>) => {
+    setForm(f => ({ ...f, mappings: f.mappings.map((m, i) => (i === index ? { ...m, ...patch } : m)) }));
+  };
+
+  const addMapping = () => {
+    setForm(f => ({ ...f, mappings: [...f.mappings, { source: "", target: targets[0] || "CardNo", transform: "trim" }] }));
+  };
+
+  const removeMapping = (index: number) => {
+    setForm(f => ({ ...f, mappings: f.mappings.filter((_, i) => i !== index) }));
+  };
+
+  const submitForm = async () => {
+    try {
+      const url = editing ? `/api/mapping-profiles/${editing.id}` : "/api/mapping-profiles";
+      const method = editing ? "PUT" : "POST";
+      const res = await fetch(url, { method, headers: { "Content-Type": "application/json" }, body: JSON.stringify(form), credentials: "include" });
+      if (!res.ok) throw new Error(await readError(res));
+      await fetchProfiles();
+      setOpenEdit(false);
+      toast({ title: editing ? "Mapping profile updated" : "Mapping profile created" });
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      toast({ title: "Save failed", description: msg, variant: "destructive" });
+    }
+  };
+
+  const deleteProfile = async (id: string) => {
+    try {
+      const res = await fetch(`/api/mapping-profiles/${id}`, { method: "DELETE", credentials: "include" });
+      if (!res.ok) throw new Error(await readError(res));
+      await fetchProfiles();
+      toast({ title: "Mapping profile deleted" });
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      toast({ title: "Delete failed", description: msg, variant: "destructive" });
+    }
+  };
+
+  return (
+    <AppLayout title="Column Mapping Profiles">
+      <TooltipProvider>
+      <div className="space-y-6">
+        <p className="text-muted-foreground text-sm">
+          Map the column headers of input sheets to Vault card fields. Without an explicit choice, the Register, Update and
+          Card Processor pages pick the profile whose columns best match the sheet.
+        </p>
+        {storeError && (
+          <div className="text-sm text-amber-700">Stored profiles are unavailable (only built-in profiles are listed): {storeError}</div>
+        )}
+        <Card>
+          <CardHeader>
+            <CardTitle>Profiles</CardTitle>
+            <CardDescription>Built-in profiles are read-only; duplicate one to customise it</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="flex gap-2">
+              <Select value={kindFilter} onValueChange={(v) => setKindFilter(v as "all" | MappingKind)}>
+                <SelectTrigger className="w-[280px]">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All kinds</SelectItem>
+                  {(Object.keys(KIND_LABELS) as MappingKind[]).map(k => (
+                    <SelectItem key={k} value={k}>{KIND_LABELS[k]}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Button variant="outline" onClick={fetchProfiles} disabled={loading}>{loading ? "Loading…" : "Refresh"}</Button>
+              <Button onClick={startCreate} disabled={!!storeError}>New Profile</Button>
+            </div>
+            <Separator />
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left border-b">
+                    <th className="py-2 pr-4">Name</th>
+                    <th className="py-2 pr-4">Kind</th>
+                    <th className="py-2 pr-4">Columns</th>
+                    <th className="py-2 pr-4">Updated by</th>
+                    <th className="py-2 pr-4">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {filtered.length === 0 ? (
+                    <tr><td className="py-3 text-muted-foreground" colSpan={5}>No mapping profiles found</td></tr>
+                  ) : (
+                    filtered.map(p => (
+                      <tr key={p.id} className="border-b">
+                        <td className="py-2 pr-4">
+                          <div className="flex items-center gap-2">
+                            <span>{p.name}</span>
+                            {p.builtIn && <Badge variant="secondary">Built-in</Badge>}
+                          </div>
+                          {p.description && <div className="text-xs text-muted-foreground">{p.description}</div>}
+                        </td>
+                        <td className="py-2 pr-4">{KIND_LABELS[p.kind] || p.kind}</td>
+                        <td className="py-2 pr-4">{p.mappings.length}</td>
+                        <td className="py-2 pr-4">{p.updatedBy || "-"}</td>
+                        <td className="py-2 pr-4">
+                          <div className="flex gap-2">
+                            {p.builtIn ? (
+                              <Tooltip>
+                                <TooltipTrigger asChild>
+                                  <Button variant="ghost" size="icon" aria-label="View" onClick={() => startEdit(p)}>
+                                    <Pencil className="h-4 w-4" />
+                                  </Button>
+                                </TooltipTrigger>
+                                <TooltipContent>View</TooltipContent>
+                              </Tooltip>
+                            ) : (
+                              <Tooltip>
+                                <TooltipTrigger asChild>
+                                  <Button variant="ghost" size="icon" aria-label="Edit" onClick={() => startEdit(p)}>
+                                    <Pencil className="h-4 w-4" />
+                                  </Button>
+                                </TooltipTrigger>
+                                <TooltipContent>Edit</TooltipContent>
+                              </Tooltip>
+                            )}
+                            <Tooltip>
+                              <TooltipTrigger asChild>
+                                <Button variant="ghost" size="icon" aria-label="Duplicate" disabled={!!storeError} onClick={() => startDuplicate(p)}>
+                                  <Copy className="h-4 w-4" />
+                                </Button>
+                              </TooltipTrigger>
+                              <TooltipContent>Duplicate</TooltipContent>
+                            </Tooltip>
+                            {!p.builtIn && (
+                              <Tooltip>
+                                <TooltipTrigger asChild>
+                                  <Button variant="ghost" size="icon" aria-label="Delete" onClick={() => setConfirmDelete(p)}>
+                                    <Trash2 className="h-4 w-4" />
+                                  </Button>
+                                </TooltipTrigger>
+                                <TooltipContent>Delete</TooltipContent>
+                              </Tooltip>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </CardContent>
+        </Card>
+
+        <AlertDialog open={!!confirmDelete} onOpenChange={(v) => { if (!v) setConfirmDelete(null); }}>
+          <AlertDialogContent>
+            <AlertDialogHeader>
+              <AlertDialogTitle>Delete mapping profile?</AlertDialogTitle>
+              <AlertDialogDescription>
+                {confirmDelete?.name} will be permanently deleted. Batches that used it resume with the built-in mapping.
+              </AlertDialogDescription>
+            </AlertDialogHeader>
+            <AlertDialogFooter>
+              <AlertDialogCancel onClick={() => setConfirmDelete(null)}>Cancel</AlertDialogCancel>
+              <AlertDialogAction
+                onClick={async () => {
+                  if (confirmDelete) {
+                    await deleteProfile(confirmDelete.id);
+                  }
+                  setConfirmDelete(null);
+                }}
+              >
+                Delete
+              </AlertDialogAction>
+            </AlertDialogFooter>
+          </AlertDialogContent>
+        </AlertDialog>
+
+        <Dialog open={openEdit} onOpenChange={setOpenEdit}>
+          <DialogContent className="max-w-3xl max-h-[85vh] overflow-y-auto">
+            <DialogHeader>
+              <DialogTitle>{editing ? (editing.builtIn ? editing.name : "Edit Mapping Profile") : "New Mapping Profile"}</DialogTitle>
+            </DialogHeader>
+            <fieldset disabled={!!editing?.builtIn} className="space-y-4">
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label className="text-sm font-medium">Name</label>
+                  <Input value={form.name} onChange={e => setForm(f => ({ ...f, name: e.target.value }))} />
+                </div>
+                <div>
+                  <label className="text-sm font-medium">Kind</label>
+                  <Select value={form.kind} onValueChange={(v) => setForm(f => ({ ...f, kind: v as MappingKind }))} disabled={!!editing?.builtIn}>
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {(Object.keys(KIND_LABELS) as MappingKind[]).map(k => (
+                        <SelectItem key={k} value={k}>{KIND_LABELS[k]}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div className="sm:col-span-2">
+                  <label className="text-sm font-medium">Description</label>
+                  <Input value={form.description} onChange={e => setForm(f => ({ ...f, description: e.target.value }))} />
+                </div>
+              </div>
+              <div>
+                <div className="text-sm font-medium mb-1">Columns</div>
+                <p className="text-xs text-muted-foreground mb-2">
+                  Headers match case-insensitively. When several columns feed the same field, the first non-empty one wins.
+                </p>
+                <div className="space-y-2">
+                  {form.mappings.map((m, i) => (
+                    <div key={i} className="flex items-center gap-2">
+                      <Input className="flex-1" placeholder="Sheet header" value={m.source} onChange={e => updateMapping(i, { source: e.target.value })} />
+                      <Select value={m.target} onValueChange={(v) => updateMapping(i, { target: v })} disabled={!!editing?.builtIn}>
+                        <SelectTrigger className="w-[180px]">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {targets.map(t => <SelectItem key={t} value={t}>{t}</SelectItem>)}
+                        </SelectContent>
+                      </Select>
+                      <Select value={m.transform} onValueChange={(v) => updateMapping(i, { transform: v })} disabled={!!editing?.builtIn}>
+                        <SelectTrigger className="w-[130px]">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {transforms.map(t => <SelectItem key={t} value={t}>{t}</SelectItem>)}
+                        </SelectContent>
+                      </Select>
+                      {!editing?.builtIn && (
+                        <Button variant="ghost" size="icon" aria-label="Remove column" onClick={() => removeMapping(i)}>
+                          <X className="h-4 w-4" />
+                        </Button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+                {!editing?.builtIn && (
+                  <Button variant="outline" size="sm" className="mt-2" onClick={addMapping}>
+                    <Plus className="h-4 w-4 mr-1" /> Add column
+                  </Button>
+                )}
+              </div>
+            </fieldset>
+            <div className="flex justify-end gap-2 mt-4">
+              <Button variant="outline" onClick={() => setOpenEdit(false)}>{editing?.builtIn ? "Close" : "Cancel"}</Button>
+              {!editing?.builtIn && <Button onClick={submitForm}>{editing ? "Save" : "Create"}</Button>}
+            </div>
+          </DialogContent>
+        </Dialog>
+      </div>
+      </TooltipProvider>
+    </AppLayout>
+  );
+};
+
+export default MappingProfiles;
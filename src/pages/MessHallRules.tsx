@@ -0,0 +1,386 @@
+import React, { useCallback, useEffect, useState } from "react";
+import AppLayout from "@/components/AppLayout";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Textarea } from "@/components/ui/textarea";
+import { Badge } from "@/components/ui/badge";
+import { Switch } from "@/components/ui/switch";
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from "@/components/ui/tooltip";
+import {
+  AlertDialog,
+  AlertDialogContent,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogCancel,
+  AlertDialogAction,
+} from "@/components/ui/alert-dialog";
+import { Pencil, Trash2, Copy } from "lucide-react";
+import { Separator } from "@/components/ui/separator";
+import { useToast } from "@/hooks/use-toast";
+import {
+  describePatterns,
+  fetchMessHallRules,
+  testMessHallRules,
+  type MessHallRule,
+  type MessHallRuleMatch,
+} from "@/lib/messHallRules";
+
+type RuleForm = Pick<MessHallRule, "name" | "accessLevel" | "vehicleNo" | "faceAccessLevel" | "liftAccessLevel" | "description"> & {
+  // One pattern per line; the blank-MessHall pattern is the separate switch
+  patternText: string;
+  matchBlank: boolean;
+  sortOrder: string;
+};
+
+const emptyForm = (): RuleForm => ({
+  name: "",
+  patternText: "",
+  matchBlank: false,
+  accessLevel: "",
+  vehicleNo: "",
+  faceAccessLevel: "",
+  liftAccessLevel: "",
+  sortOrder: "100",
+  description: "",
+});
+
+const toForm = (r: MessHallRule): RuleForm => ({
+  name: r.name,
+  patternText: r.patterns.filter((p) => p !== "").join("\n"),
+  matchBlank: r.patterns.includes(""),
+  accessLevel: r.accessLevel,
+  vehicleNo: r.vehicleNo,
+  faceAccessLevel: r.faceAccessLevel,
+  liftAccessLevel: r.liftAccessLevel,
+  sortOrder: String(r.sortOrder),
+  description: r.description,
+});
+
+const toPayload = (form: RuleForm) => ({
+  name: form.name,
+  patterns: [...(form.matchBlank ? [""] : []), ...form.patternText.split(/\r?\n/).map((p) => p.trim()).filter(Boolean)],
+  accessLevel: form.accessLevel,
+  vehicleNo: form.vehicleNo,
+  faceAccessLevel: form.faceAccessLevel,
+  liftAccessLevel: form.liftAccessLevel,
+  sortOrder: form.sortOrder,
+  description: form.description,
+});
+
+const readError = async (res: Response) => {
+  let message = `HTTP ${res.status}`;
+  try {
+    const data = await res.json();
+    const m = [data?.error, data?.details].filter(Boolean).join(": ") || message;
+    message = typeof m === "string" ? m : message;
+  } catch { void 0; }
+  return message;
+};
+
+const MessHallRules: React.FC = () => {
+  const { toast } = useToast();
+  const [rules, setRules] = useState<MessHallRule[]>([]);
+  const [usingBuiltIns, setUsingBuiltIns] = useState(false);
+  const [storeError, setStoreError] = useState<string | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [openEdit, setOpenEdit] = useState(false);
+  const [editing, setEditing] = useState<MessHallRule | null>(null);
+  const [form, setForm] = useState<RuleForm>(emptyForm);
+  const [confirmDelete, setConfirmDelete] = useState<MessHallRule | null>(null);
+  const [testText, setTestText] = useState("");
+  const [testResults, setTestResults] = useState<MessHallRuleMatch[]>([]);
+
+  const fetchRules = useCallback(async () => {
+    setLoading(true);
+    try {
+      const catalog = await fetchMessHallRules();
+      setRules(catalog.rules);
+      setUsingBuiltIns(catalog.usingBuiltIns);
+      setStoreError(catalog.storeError);
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      toast({ title: "Load MessHall rules failed", description: msg, variant: "destructive" });
+    } finally {
+      setLoading(false);
+    }
+  }, [toast]);
+
+  useEffect(() => { fetchRules(); }, [fetchRules]);
+
+  const startCreate = () => {
+    setEditing(null);
+    setForm(emptyForm());
+    setOpenEdit(true);
+  };
+
+  const startEdit = (r: MessHallRule) => {
+    setEditing(r);
+    setForm(toForm(r));
+    setOpenEdit(true);
+  };
+
+  const startDuplicate = (r: MessHallRule) => {
+    setEditing(null);
+    setForm({ ...toForm(r), name: `${r.name} (copy)` });
+    setOpenEdit(true);
+  };
+
+  const submitForm = async () => {
+    try {
+      const url = editing ? `/api/messhall-rules/${editing.id}` : "/api/messhall-rules";
+      const method = editing ? "PUT" : "POST";
+      const res = await fetch(url, { method, headers: { "Content-Type": "application/json" }, body: JSON.stringify(toPayload(form)), credentials: "include" });
+      if (!res.ok) throw new Error(await readError(res));
+      await fetchRules();
+      setOpenEdit(false);
+      toast({ title: editing ? "MessHall rule updated" : "MessHall rule created" });
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      toast({ title: "Save failed", description: msg, variant: "destructive" });
+    }
+  };
+
+  const deleteRule = async (id: string) => {
+    try {
+      const res = await fetch(`/api/messhall-rules/${id}`, { method: "DELETE", credentials: "include" });
+      if (!res.ok) throw new Error(await readError(res));
+      await fetchRules();
+      toast({ title: "MessHall rule deleted" });
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      toast({ title: "Delete failed", description: msg, variant: "destructive" });
+    }
+  };
+
+  const runTest = async () => {
+    try {
+      setTestResults(await testMessHallRules(testText.split(/\r?\n/)));
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      toast({ title: "Test failed", description: msg, variant: "destructive" });
+    }
+  };
+
+  return (
+    <AppLayout title="MessHall Rules">
+      <TooltipProvider>
+      <div className="space-y-6">
+        <p className="text-muted-foreground text-sm">
+          How a MessHall value becomes the card's Access Level, Vehicle No and Face/Lift access levels. The ID Card Processor and
+          the Register, Update and upsert pages all use these rules; an Access Level, Vehicle No or Face/Lift column in the sheet
+          still wins over the rule. Rules are tried from the lowest order and the first matching pattern wins.
+        </p>
+        {storeError && (
+          <div className="text-sm text-amber-700">Stored rules are unavailable (the built-in rules apply): {storeError}</div>
+        )}
+        {!storeError && usingBuiltIns && (
+          <div className="text-sm text-amber-700">
+            No rules are stored yet, so the built-in rules apply. Creating the first rule also stores editable copies of the
+            built-in rules, which then replace them.
+          </div>
+        )}
+        <Card>
+          <CardHeader>
+            <CardTitle>Rules</CardTitle>
+            <CardDescription>Patterns ignore case and extra spaces; * matches any text</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="flex gap-2">
+              <Button variant="outline" onClick={fetchRules} disabled={loading}>{loading ? "Loading…" : "Refresh"}</Button>
+              <Button onClick={startCreate} disabled={!!storeError}>New Rule</Button>
+            </div>
+            <Separator />
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left border-b">
+                    <th className="py-2 pr-4">Order</th>
+                    <th className="py-2 pr-4">Name</th>
+                    <th className="py-2 pr-4">Patterns</th>
+                    <th className="py-2 pr-4">Access Level</th>
+                    <th className="py-2 pr-4">Vehicle No</th>
+                    <th className="py-2 pr-4">Face / Lift</th>
+                    <th className="py-2 pr-4">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rules.length === 0 ? (
+                    <tr><td className="py-3 text-muted-foreground" colSpan={7}>No MessHall rules found</td></tr>
+                  ) : (
+                    rules.map(r => (
+                      <tr key={r.id} className="border-b">
+                        <td className="py-2 pr-4">{r.sortOrder}</td>
+                        <td className="py-2 pr-4">
+                          <div className="flex items-center gap-2">
+                            <span>{r.name}</span>
+                            {r.builtIn && <Badge variant="secondary">Built-in</Badge>}
+                          </div>
+                          {r.description && <div className="text-xs text-muted-foreground">{r.description}</div>}
+                        </td>
+                        <td className="py-2 pr-4 font-mono text-xs">{describePatterns(r.patterns)}</td>
+                        <td className="py-2 pr-4">{r.accessLevel || "-"}</td>
+                        <td className="py-2 pr-4">{r.vehicleNo || "-"}</td>
+                        <td className="py-2 pr-4">{r.faceAccessLevel || "-"} / {r.liftAccessLevel || "-"}</td>
+                        <td className="py-2 pr-4">
+                          <div className="flex gap-2">
+                            <Tooltip>
+                              <TooltipTrigger asChild>
+                                <Button variant="ghost" size="icon" aria-label={r.builtIn ? "View" : "Edit"} onClick={() => startEdit(r)}>
+                                  <Pencil className="h-4 w-4" />
+                                </Button>
+                              </TooltipTrigger>
+                              <TooltipContent>{r.builtIn ? "View" : "Edit"}</TooltipContent>
+                            </Tooltip>
+                            <Tooltip>
+                              <TooltipTrigger asChild>
+                                <Button variant="ghost" size="icon" aria-label="Duplicate" disabled={!!storeError} onClick={() => startDuplicate(r)}>
+                                  <Copy className="h-4 w-4" />
+                                </Button>
+                              </TooltipTrigger>
+                              <TooltipContent>Duplicate</TooltipContent>
+                            </Tooltip>
+                            {!r.builtIn && (
+                              <Tooltip>
+                                <TooltipTrigger asChild>
+                                  <Button variant="ghost" size="icon" aria-label="Delete" onClick={() => setConfirmDelete(r)}>
+                                    <Trash2 className="h-4 w-4" />
+                                  </Button>
+                                </TooltipTrigger>
+                                <TooltipContent>Delete</TooltipContent>
+                              </Tooltip>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <CardTitle>Test</CardTitle>
+            <CardDescription>One MessHall value per line, checked against the rules in effect</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <Textarea rows={4} placeholder={"Makarti\nLabota\nNo Access!!"} value={testText} onChange={e => setTestText(e.target.value)} />
+            <Button variant="outline" onClick={runTest}>Test values</Button>
+            {testResults.length > 0 && (
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left border-b">
+                      <th className="py-2 pr-4">MessHall</th>
+                      <th className="py-2 pr-4">Rule</th>
+                      <th className="py-2 pr-4">Pattern</th>
+                      <th className="py-2 pr-4">Access Level</th>
+                      <th className="py-2 pr-4">Vehicle No</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {testResults.map((t, i) => (
+                      <tr key={i} className="border-b">
+                        <td className="py-2 pr-4">{t.messHall || "(blank)"}</td>
+                        <td className={`py-2 pr-4 ${t.ruleName ? "" : "text-amber-700"}`}>{t.ruleName || "No matching rule"}</td>
+                        <td className="py-2 pr-4 font-mono text-xs">{t.pattern === null ? "-" : t.pattern || "(blank)"}</td>
+                        <td className="py-2 pr-4">{t.accessLevel || "-"}</td>
+                        <td className="py-2 pr-4">{t.vehicleNo || "-"}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+
+        <AlertDialog open={!!confirmDelete} onOpenChange={(v) => { if (!v) setConfirmDelete(null); }}>
+          <AlertDialogContent>
+            <AlertDialogHeader>
+              <AlertDialogTitle>Delete MessHall rule?</AlertDialogTitle>
+              <AlertDialogDescription>
+                {confirmDelete?.name} will be permanently deleted. MessHall values it matched fall through to the next rule;
+                deleting the last rule brings back the built-in rules.
+              </AlertDialogDescription>
+            </AlertDialogHeader>
+            <AlertDialogFooter>
+              <AlertDialogCancel onClick={() => setConfirmDelete(null)}>Cancel</AlertDialogCancel>
+              <AlertDialogAction
+                onClick={async () => {
+                  if (confirmDelete) {
+                    await deleteRule(confirmDelete.id);
+                  }
+                  setConfirmDelete(null);
+                }}
+              >
+                Delete
+              </AlertDialogAction>
+            </AlertDialogFooter>
+          </AlertDialogContent>
+        </AlertDialog>
+
+        <Dialog open={openEdit} onOpenChange={setOpenEdit}>
+          <DialogContent className="max-w-2xl max-h-[85vh] overflow-y-auto">
+            <DialogHeader>
+              <DialogTitle>{editing ? (editing.builtIn ? editing.name : "Edit MessHall Rule") : "New MessHall Rule"}</DialogTitle>
+            </DialogHeader>
+            <fieldset disabled={!!editing?.builtIn} className="space-y-4">
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label className="text-sm font-medium">Name</label>
+                  <Input value={form.name} onChange={e => setForm(f => ({ ...f, name: e.target.value }))} />
+                </div>
+                <div>
+                  <label className="text-sm font-medium">Order</label>
+                  <Input type="number" value={form.sortOrder} onChange={e => setForm(f => ({ ...f, sortOrder: e.target.value }))} />
+                </div>
+                <div className="sm:col-span-2">
+                  <label className="text-sm font-medium">Patterns (one per line)</label>
+                  <Textarea rows={4} placeholder={"*makarti*\n10"} value={form.patternText} onChange={e => setForm(f => ({ ...f, patternText: e.target.value }))} />
+                </div>
+                <div className="flex items-center gap-3 sm:col-span-2">
+                  <Switch id="rule-blank" checked={form.matchBlank} onCheckedChange={(v) => setForm(f => ({ ...f, matchBlank: !!v }))} disabled={!!editing?.builtIn} />
+                  <label htmlFor="rule-blank" className="text-sm font-medium">Also match a blank MessHall</label>
+                </div>
+                <div>
+                  <label className="text-sm font-medium">Access Level</label>
+                  <Input maxLength={3} value={form.accessLevel} onChange={e => setForm(f => ({ ...f, accessLevel: e.target.value }))} />
+                </div>
+                <div>
+                  <label className="text-sm font-medium">Vehicle No</label>
+                  <Input maxLength={15} value={form.vehicleNo} onChange={e => setForm(f => ({ ...f, vehicleNo: e.target.value }))} />
+                </div>
+                <div>
+                  <label className="text-sm font-medium">Face Access Level</label>
+                  <Input maxLength={3} placeholder="(default)" value={form.faceAccessLevel} onChange={e => setForm(f => ({ ...f, faceAccessLevel: e.target.value }))} />
+                </div>
+                <div>
+                  <label className="text-sm font-medium">Lift Access Level</label>
+                  <Input maxLength={3} placeholder="(default)" value={form.liftAccessLevel} onChange={e => setForm(f => ({ ...f, liftAccessLevel: e.target.value }))} />
+                </div>
+                <div className="sm:col-span-2">
+                  <label className="text-sm font-medium">Description</label>
+                  <Input value={form.description} onChange={e => setForm(f => ({ ...f, description: e.target.value }))} />
+                </div>
+              </div>
+            </fieldset>
+            <div className="flex justify-end gap-2 mt-4">
+              <Button variant="outline" onClick={() => setOpenEdit(false)}>{editing?.builtIn ? "Close" : "Cancel"}</Button>
+              {!editing?.builtIn && <Button onClick={submitForm}>{editing ? "Save" : "Create"}</Button>}
+            </div>
+          </DialogContent>
+        </Dialog>
+      </div>
+      </TooltipProvider>
+    </AppLayout>
+  );
+};
+
+export default MessHallRules;
@@ -1,4 +1,4 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import AppLayout from "@/components/AppLayout";
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
@@ -10,6 +10,19 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@
 import { Switch } from "@/components/ui/switch";
 import { useSearchParams } from "react-router-dom";
 import type { Job } from "@/components/JobStatusCard";
+import { VaultJobPanel } from "@/components/VaultJobPanel";
+import { VaultValidationBadge, VaultValidationList } from "@/components/VaultValidationBadge";
+import { VaultPhotoStatus } from "@/components/VaultPhotoStatus";
+import { VaultDuplicateBadge, VaultDuplicateList } from "@/components/VaultDuplicateBadge";
+import { MessHallRuleBadge, MessHallRuleDetail } from "@/components/MessHallRuleBadge";
+import type { MessHallRuleMatch } from "@/lib/messHallRules";
+import { MappingProfileSelect } from "@/components/MappingProfileSelect";
+import { VaultEnvironmentSelect } from "@/components/VaultEnvironmentSelect";
+import { useVaultEnvironment } from "@/hooks/use-vault-environment";
+import { describeVaultEnvironment, type VaultEnvironmentSummary } from "@/lib/vaultEnvironments";
+import { describeReservation, fetchCardPoolSummary, releaseCardNumbers, reserveCardNumbers, type CardPoolSummary } from "@/lib/cardNumberPool";
+import { AUTO_MAPPING, describeAppliedMapping, mappingProfileIdParam, type AppliedMappingProfile } from "@/lib/mappingProfiles";
+import { describePhotoCounts, describeVaultResume, forgetVaultJob, previewVaultResume, recallVaultJob, rememberVaultJob, startVaultResume, streamVaultJob, type VaultJob, type VaultResumeTarget, type VaultDuplicateFlag, type VaultPhotoInfo, type VaultRowEvent, type VaultValidation } from "@/lib/vaultJobs";
 
 type VaultRegistrationError = {
   code?: string;
@@ -23,16 +36,27 @@ type ProfileData = {
   [key: string]: unknown;
 };
 
+// Upsert action chosen per row from CardDB lookup
+type UpsertAction = 'add' | 'update' | 'skip' | 'unknown';
+
 type VaultRegistrationDetail = {
+  index?: number;
+  action?: UpsertAction;
+  existingName?: string;
+  existingStaffNo?: string;
   cardNo?: string;
   name?: string;
   hasPhoto?: boolean;
+  photo?: VaultPhotoInfo | null;
   respCode?: string;
   respMessage?: string;
   department?: string;
   staffNo?: string;
   sourceRow?: Record<string, unknown>;
   profile?: ProfileData;
+  validation?: VaultValidation;
+  duplicates?: VaultDuplicateFlag[];
+  accessRule?: MessHallRuleMatch | null;
 };
 
 type VaultRegistrationSummary = {
@@ -41,8 +65,20 @@ type VaultRegistrationSummary = {
   endpointBaseUrl?: string;
   attempted: number;
   registered: number;
+  updated?: number;
+  toAdd?: number;
+  toUpdate?: number;
   withPhoto: number;
   withoutPhoto: number;
+  reencodedPhotos?: number;
+  oversizedPhotos?: number;
+  unreadablePhotos?: number;
+  ambiguousPhotos?: number;
+  invalidRows?: number;
+  warningRows?: number;
+  duplicateRows?: number;
+  mappingProfile?: AppliedMappingProfile | null;
+  environment?: VaultEnvironmentSummary | null;
   errors: VaultRegistrationError[];
   details: VaultRegistrationDetail[];
 };
@@ -61,6 +97,48 @@ type UploadResponse = {
   error?: string;
 };
 
+const upsertActionLabels: Record<UpsertAction, string> = {
+  add: 'Add',
+  update: 'Update',
+  skip: 'Skip',
+  unknown: 'Unknown',
+};
+
+const upsertActionStyles: Record<UpsertAction, string> = {
+  add: 'bg-green-100 text-green-800',
+  update: 'bg-blue-100 text-blue-800',
+  skip: 'bg-gray-100 text-gray-700',
+  unknown: 'bg-amber-100 text-amber-800',
+};
+
+// localStorage key of the last registration batch, used to reattach after a reload
+const REGISTER_JOB_KEY = 'vault.register.jobId';
+
+const toRegistrationSummary = (data: Partial<VaultRegistrationSummary>): VaultRegistrationSummary => ({
+  success: true,
+  jobId: data.jobId,
+  endpointBaseUrl: data.endpointBaseUrl,
+  attempted: data.attempted ?? 0,
+  registered: data.registered ?? 0,
+  updated: data.updated,
+  toAdd: data.toAdd,
+  toUpdate: data.toUpdate,
+  withPhoto: data.withPhoto ?? 0,
+  withoutPhoto: data.withoutPhoto ?? 0,
+  invalidRows: data.invalidRows,
+  warningRows: data.warningRows,
+  errors: Array.isArray(data.errors) ? data.errors : [],
+  details: Array.isArray(data.details) ? data.details : [],
+});
+
+const rowStateStyles: Record<VaultRowEvent['state'], string> = {
+  mapped: 'text-muted-foreground',
+  executing: 'text-blue-600',
+  success: 'text-green-600',
+  failed: 'text-red-600',
+  skipped: 'text-muted-foreground',
+};
+
 const RegisterVault: React.FC = () => {
   const { toast } = useToast();
   const [jobs, setJobs] = useState<Job[]>([]);
@@ -72,11 +150,33 @@ const RegisterVault: React.FC = () => {
   const [previewMode, setPreviewMode] = useState<'job' | 'csv' | 'update_csv' | null>(null);
   const [registering, setRegistering] = useState(false);
   const [regSummary, setRegSummary] = useState<VaultRegistrationSummary | null>(null);
+  // Background Vault job running (or last run) the registration batch
+  const [vaultJob, setVaultJob] = useState<VaultJob<Partial<VaultRegistrationSummary>> | null>(null);
+  const followedJobId = useRef<string | null>(null);
+  // Live per-row state of the followed batch, keyed by row index
+  const [rowStates, setRowStates] = useState<Record<number, VaultRowEvent>>({});
   const [detailOpen, setDetailOpen] = useState(false);
   const [selectedDetail, setSelectedDetail] = useState<VaultRegistrationDetail | null>(null);
   const [cardNoEdits, setCardNoEdits] = useState<Record<number, string>>({});
   const [photoChecks, setPhotoChecks] = useState<Record<number, boolean>>({});
+  // Card number pool: availability for auto-assign, and the numbers reserved from it per row
+  const [poolSummary, setPoolSummary] = useState<CardPoolSummary | null>(null);
+  const [reservedCardNos, setReservedCardNos] = useState<Record<number, { cardNo: string; reservationId: string }>>({});
+  const [assigningCardNos, setAssigningCardNos] = useState(false);
+  // Sent with a batch so the server marks only numbers of these reservations assigned
+  const cardPoolReservationIds = [...new Set(Object.values(reservedCardNos).map((r) => r.reservationId))];
   const [downloadCardEdits, setDownloadCardEdits] = useState<Record<number, boolean>>({});
+  // Number of parallel SOAP calls used when executing the batch
+  const [concurrency, setConcurrency] = useState<string>('3');
+  // Upsert: AddCard for cards unknown to CardDB, UpdateCard for existing ones
+  const [upsertMode, setUpsertMode] = useState(false);
+  // Send rows that fail pre-flight validation instead of skipping them
+  const [allowInvalid, setAllowInvalid] = useState(false);
+  // Skip rows flagged as duplicates (within the sheet or against CardDB) at execution
+  const [excludeDuplicates, setExcludeDuplicates] = useState(true);
+  // Column mapping profile for register sheets; update sheets on this page are always auto-detected
+  const [mappingProfileId, setMappingProfileId] = useState<string>(AUTO_MAPPING);
+  const vaultEnv = useVaultEnvironment();
   const [uploadedCsvPath, setUploadedCsvPath] = useState<string | undefined>();
   const [uploadingCsv, setUploadingCsv] = useState(false);
   const [csvPathInput, setCsvPathInput] = useState<string>('');
@@ -109,7 +209,64 @@ const RegisterVault: React.FC = () => {
     fetchJobs();
   }, [toast]);
 
+  // Pool availability for the auto-assign button; the pool is optional, so failures only hide the button
+  const canAutoAssign = !!previewSummary && previewMode !== 'update_csv';
+  useEffect(() => {
+    if (!canAutoAssign) return;
+    fetchCardPoolSummary().then(setPoolSummary).catch(() => setPoolSummary(null));
+  }, [canAutoAssign, previewSummary]);
+
+  // Follow a background registration batch over its progress stream and show its summary.
+  // Only the most recently opened batch updates the page.
+  const followVaultJob = async (jobId: string): Promise<VaultRegistrationSummary | null> => {
+    followedJobId.current = jobId;
+    setRegistering(true);
+    setRegSummary(null);
+    setRowStates({});
+    try {
+      const job = await streamVaultJob<Partial<VaultRegistrationSummary>>(jobId, {
+        onUpdate: (j) => {
+          if (followedJobId.current === jobId) setVaultJob(j);
+        },
+        onRow: (row) => {
+          if (followedJobId.current === jobId) setRowStates((prev) => ({ ...prev, [row.index]: row }));
+        },
+      });
+      if (followedJobId.current !== jobId) return null;
+      if (job.status === 'FAILED') throw new Error(job.errorMessage || 'Registration failed');
+      const summary = toRegistrationSummary(job.summary || {});
+      setRegSummary(summary);
+      return summary;
+    } finally {
+      if (followedJobId.current === jobId) setRegistering(false);
+    }
+  };
+
+  const handleOpenVaultJob = async (jobId: string) => {
+    rememberVaultJob(REGISTER_JOB_KEY, jobId);
+    try {
+      await followVaultJob(jobId);
+    } catch (err) {
+      const message = err instanceof Error ? err.message : String(err);
+      toast({ title: "Vault registration failed", description: message, variant: "destructive" });
+    }
+  };
+
+  // Reattach to the last batch started from this page (still running or finished)
+  useEffect(() => {
+    const jobId = recallVaultJob(REGISTER_JOB_KEY);
+    if (!jobId) return;
+    followVaultJob(jobId).catch((err) => {
+      const message = err instanceof Error ? err.message : String(err);
+      if (/not found/i.test(message)) forgetVaultJob(REGISTER_JOB_KEY);
+      else toast({ title: "Vault registration failed", description: message, variant: "destructive" });
+    });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
   const completedJobs = useMemo(() => jobs.filter(j => j.status === "COMPLETED"), [jobs]);
+  const showActionColumn = upsertMode && previewMode !== 'update_csv';
+  const showRowStates = Object.keys(rowStates).length > 0;
 
   // Upload controls removed — this page now exclusively registers cards from completed ID Card Processor jobs.
 
@@ -127,7 +284,7 @@ const RegisterVault: React.FC = () => {
       const res = await fetch(`/api/vault/register`, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ jobId: selectedJobId, dryRun: true }),
+        body: JSON.stringify({ jobId: selectedJobId, dryRun: true, mode: upsertMode ? 'upsert' : undefined, mappingProfileId: mappingProfileIdParam(mappingProfileId), environmentId: vaultEnv.environmentId }),
       });
       if (!res.ok) throw new Error(`HTTP ${res.status}`);
       const data = await res.json();
@@ -138,8 +295,20 @@ const RegisterVault: React.FC = () => {
         endpointBaseUrl: data.endpointBaseUrl,
         attempted: data.attempted ?? 0,
         registered: data.registered ?? 0,
+        updated: data.updated,
+        toAdd: data.toAdd,
+        toUpdate: data.toUpdate,
         withPhoto: data.withPhoto ?? 0,
         withoutPhoto: data.withoutPhoto ?? 0,
+        reencodedPhotos: data.reencodedPhotos,
+        oversizedPhotos: data.oversizedPhotos,
+        unreadablePhotos: data.unreadablePhotos,
+        ambiguousPhotos: data.ambiguousPhotos,
+        invalidRows: data.invalidRows,
+        duplicateRows: data.duplicateRows,
+        warningRows: data.warningRows,
+        mappingProfile: data.mappingProfile,
+        environment: data.environment,
         errors: Array.isArray(data.errors) ? data.errors : [],
         details: Array.isArray(data.details) ? data.details : [],
       };
@@ -194,7 +363,7 @@ const RegisterVault: React.FC = () => {
       const res = await fetch('/api/vault/preview-csv', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ csvPath: uploadedCsvPath })
+        body: JSON.stringify({ csvPath: uploadedCsvPath, mode: upsertMode ? 'upsert' : undefined, mappingProfileId: mappingProfileIdParam(mappingProfileId), environmentId: vaultEnv.environmentId })
       });
       if (!res.ok) throw new Error(`HTTP ${res.status}`);
       const data = await res.json();
@@ -205,8 +374,20 @@ const RegisterVault: React.FC = () => {
         endpointBaseUrl: data.endpointBaseUrl,
         attempted: data.attempted ?? 0,
         registered: data.registered ?? 0,
+        updated: data.updated,
+        toAdd: data.toAdd,
+        toUpdate: data.toUpdate,
         withPhoto: data.withPhoto ?? 0,
         withoutPhoto: data.withoutPhoto ?? 0,
+        reencodedPhotos: data.reencodedPhotos,
+        oversizedPhotos: data.oversizedPhotos,
+        unreadablePhotos: data.unreadablePhotos,
+        ambiguousPhotos: data.ambiguousPhotos,
+        invalidRows: data.invalidRows,
+        duplicateRows: data.duplicateRows,
+        warningRows: data.warningRows,
+        mappingProfile: data.mappingProfile,
+        environment: data.environment,
         errors: Array.isArray(data.errors) ? data.errors : [],
         details: Array.isArray(data.details) ? data.details : [],
       };
@@ -257,7 +438,7 @@ const RegisterVault: React.FC = () => {
       const res = await fetch('/api/vault/preview-update-csv', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ csvPath: uploadedUpdatePath })
+        body: JSON.stringify({ csvPath: uploadedUpdatePath, environmentId: vaultEnv.environmentId })
       });
       if (!res.ok) throw new Error(`HTTP ${res.status}`);
       const data = await res.json();
@@ -268,8 +449,20 @@ const RegisterVault: React.FC = () => {
         endpointBaseUrl: data.endpointBaseUrl,
         attempted: data.attempted ?? 0,
         registered: data.registered ?? 0,
+        updated: data.updated,
+        toAdd: data.toAdd,
+        toUpdate: data.toUpdate,
         withPhoto: data.withPhoto ?? 0,
         withoutPhoto: data.withoutPhoto ?? 0,
+        reencodedPhotos: data.reencodedPhotos,
+        oversizedPhotos: data.oversizedPhotos,
+        unreadablePhotos: data.unreadablePhotos,
+        ambiguousPhotos: data.ambiguousPhotos,
+        invalidRows: data.invalidRows,
+        duplicateRows: data.duplicateRows,
+        warningRows: data.warningRows,
+        mappingProfile: data.mappingProfile,
+        environment: data.environment,
         errors: Array.isArray(data.errors) ? data.errors : [],
         details: Array.isArray(data.details) ? data.details : [],
       };
@@ -286,6 +479,8 @@ const RegisterVault: React.FC = () => {
 
   const handleExecuteRegistration = async () => {
     if (!previewSummary) return;
+    const vaultTarget = vaultEnv.confirmTarget(`${previewMode === 'update_csv' ? 'Update' : 'Register'} ${previewSummary.attempted} card(s)`);
+    if (!vaultTarget) return;
     try {
       setRegistering(true);
       setRegSummary(null);
@@ -301,24 +496,32 @@ const RegisterVault: React.FC = () => {
       const res = await fetch(endpoint, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(previewMode === 'csv' ? { csvPath: uploadedCsvPath, overrides } : (previewMode === 'update_csv' ? { csvPath: uploadedUpdatePath, overrides } : { jobId: selectedJobId, overrides })),
+        body: JSON.stringify({
+          ...(previewMode === 'csv' ? { csvPath: uploadedCsvPath } : (previewMode === 'update_csv' ? { csvPath: uploadedUpdatePath } : { jobId: selectedJobId })),
+          overrides,
+          concurrency: Number(concurrency),
+          mode: upsertMode && previewMode !== 'update_csv' ? 'upsert' : undefined,
+          allowInvalid: allowInvalid || undefined,
+          excludeDuplicates: excludeDuplicates && (previewSummary.duplicateRows ?? 0) > 0 ? true : undefined,
+          // Execute with the profile the preview was mapped with, even if it was auto-detected
+          mappingProfileId: previewSummary.mappingProfile?.id,
+          cardPoolReservationIds: previewMode === 'update_csv' ? undefined : cardPoolReservationIds,
+          ...vaultTarget,
+        }),
       });
       if (!res.ok) throw new Error(`HTTP ${res.status}`);
       const data = await res.json();
       if (!data.success) throw new Error(data.error || "Registration failed");
-      const summary: VaultRegistrationSummary = {
-        success: true,
-        jobId: data.jobId,
-        endpointBaseUrl: data.endpointBaseUrl,
-        attempted: data.attempted ?? 0,
-        registered: data.registered ?? 0,
-        withPhoto: data.withPhoto ?? 0,
-        withoutPhoto: data.withoutPhoto ?? 0,
-        errors: Array.isArray(data.errors) ? data.errors : [],
-        details: Array.isArray(data.details) ? data.details : [],
-      };
-      setRegSummary(summary);
-      toast({ title: "Vault registration completed", description: `Registered ${summary.registered}/${summary.attempted} cards.` });
+      // The batch runs on the server; remember it so a reload can pick it up again
+      rememberVaultJob(REGISTER_JOB_KEY, data.jobId);
+      const summary = await followVaultJob(data.jobId);
+      if (!summary) return;
+      toast({
+        title: "Vault registration completed",
+        description: summary.updated !== undefined
+          ? `Added ${summary.registered}, updated ${summary.updated} of ${summary.attempted} cards.`
+          : `Registered ${summary.registered}/${summary.attempted} cards.`,
+      });
     } catch (err) {
       const message = err instanceof Error ? err.message : String(err);
       toast({ title: "Vault registration failed", description: message || "Registration failed.", variant: "destructive" });
@@ -327,6 +530,102 @@ const RegisterVault: React.FC = () => {
     }
   };
 
+  // Re-send only the rows of earlier batches for this sheet/job that never succeeded (read from the batch log)
+  const handleResume = async () => {
+    const target: VaultResumeTarget = previewMode === 'csv'
+      ? { kind: 'register', csvPath: uploadedCsvPath }
+      : (previewMode === 'update_csv' ? { kind: 'update', csvPath: uploadedUpdatePath } : { kind: 'register', jobId: selectedJobId });
+    try {
+      const preview = await previewVaultResume(target);
+      if (preview.errors.length > 0) throw new Error(preview.errors.map((e) => e.message).join('; '));
+      if (preview.pendingCount === 0) {
+        toast({ title: "Nothing to resume", description: `All ${preview.succeeded} row(s) with a Card No already succeeded.` });
+        return;
+      }
+      if (!window.confirm(describeVaultResume(preview))) return;
+      const vaultTarget = vaultEnv.confirmTarget(`Re-send ${preview.pendingCount} row(s)`);
+      if (!vaultTarget) return;
+      const jobId = await startVaultResume(target, { concurrency: Number(concurrency), allowInvalid: allowInvalid || undefined, cardPoolReservationIds, ...vaultTarget });
+      rememberVaultJob(REGISTER_JOB_KEY, jobId);
+      const summary = await followVaultJob(jobId);
+      if (!summary) return;
+      toast({
+        title: "Resume completed",
+        description: `Re-sent ${summary.attempted} row(s): ${summary.registered + (summary.updated ?? 0)} succeeded, ${summary.errors.length} error(s).`,
+      });
+    } catch (err) {
+      const message = err instanceof Error ? err.message : String(err);
+      toast({ title: "Resume failed", description: message, variant: "destructive" });
+    }
+  };
+
+  // Fill every row without a Card No with the next free numbers of the pool (checked against CardDB by the server)
+  const handleAutoAssignCardNos = async () => {
+    if (!previewSummary || !poolSummary) return;
+    const missing = previewSummary.details
+      .map((d, idx) => ({ idx, cardNo: (cardNoEdits[idx] ?? d.cardNo ?? '').trim() }))
+      .filter((r) => !r.cardNo)
+      .map((r) => r.idx);
+    if (missing.length === 0) {
+      toast({ title: 'Nothing to assign', description: 'Every row already has a Card No.' });
+      return;
+    }
+    try {
+      setAssigningCardNos(true);
+      const reservation = await reserveCardNumbers(Math.min(missing.length, poolSummary.maxReserve));
+      const assigned: Record<number, string> = {};
+      const reserved: Record<number, { cardNo: string; reservationId: string }> = {};
+      reservation.cardNos.forEach((cardNo, i) => {
+        assigned[missing[i]] = cardNo;
+        reserved[missing[i]] = { cardNo, reservationId: reservation.reservationId };
+      });
+      setCardNoEdits((prev) => ({ ...prev, ...assigned }));
+      setReservedCardNos((prev) => ({ ...prev, ...reserved }));
+      const unassigned = missing.length - reservation.cardNos.length;
+      toast({
+        title: 'Card numbers assigned',
+        description: `${describeReservation(reservation)}${unassigned > reservation.shortBy ? ` ${unassigned} row(s) left without a Card No.` : ''} Re-check photos if they are named by Card No.`,
+        variant: unassigned > 0 ? 'destructive' : undefined,
+      });
+      setPoolSummary(await fetchCardPoolSummary());
+    } catch (err) {
+      const message = err instanceof Error ? err.message : String(err);
+      toast({ title: 'Auto-assign failed', description: message, variant: 'destructive' });
+    } finally {
+      setAssigningCardNos(false);
+    }
+  };
+
+  // Hand reserved numbers back to the pool and clear them from rows that still use them.
+  // Numbers already registered are assigned by then and stay so.
+  const handleReleaseCardNos = async () => {
+    const entries = Object.entries(reservedCardNos);
+    if (entries.length === 0) return;
+    try {
+      const byReservation = new Map<string, string[]>();
+      for (const [, { cardNo, reservationId }] of entries) {
+        byReservation.set(reservationId, [...(byReservation.get(reservationId) ?? []), cardNo]);
+      }
+      let released = 0;
+      for (const [reservationId, cardNos] of byReservation) {
+        released += (await releaseCardNumbers(reservationId, cardNos)).released;
+      }
+      setCardNoEdits((prev) => {
+        const next = { ...prev };
+        for (const [idx, { cardNo }] of entries) {
+          if (next[Number(idx)] === cardNo) delete next[Number(idx)];
+        }
+        return next;
+      });
+      setReservedCardNos({});
+      toast({ title: 'Card numbers released', description: `${released} reserved number(s) returned to the pool.` });
+      setPoolSummary(await fetchCardPoolSummary());
+    } catch (err) {
+      const message = err instanceof Error ? err.message : String(err);
+      toast({ title: 'Release failed', description: message, variant: 'destructive' });
+    }
+  };
+
   const handleCheckPhotos = async () => {
     if (!previewSummary) return;
     try {
@@ -371,6 +670,39 @@ const RegisterVault: React.FC = () => {
           Register from a completed ID Card Processor job or upload a standalone CSV (CardDatafileformat_*.csv) to register directly into Vault.
         </p>
 
+        <div className="flex items-center gap-3 rounded-md border p-3">
+          <Switch
+            id="upsert-mode"
+            checked={upsertMode}
+            disabled={registering}
+            onCheckedChange={(checked) => { setUpsertMode(!!checked); setMappingProfileId(AUTO_MAPPING); setPreviewSummary(null); setRegSummary(null); }}
+          />
+          <div>
+            <label htmlFor="upsert-mode" className="text-sm font-medium">Upsert mode</label>
+            <p className="text-xs text-muted-foreground">
+              Look up each Card No in CardDB: unknown cards are added (AddCard), existing cards are updated (UpdateCard).
+            </p>
+          </div>
+          <div className="ml-auto flex items-center gap-2">
+            <label className="text-sm font-medium">Vault environment</label>
+            <VaultEnvironmentSelect
+              environments={vaultEnv.environments}
+              value={vaultEnv.environmentId}
+              disabled={registering}
+              onChange={(id) => { vaultEnv.setEnvironmentId(id); setPreviewSummary(null); }}
+            />
+          </div>
+          <div className="flex items-center gap-2">
+            <label className="text-sm font-medium">Column mapping</label>
+            <MappingProfileSelect
+              kinds={upsertMode ? ['register', 'update'] : ['register']}
+              value={mappingProfileId}
+              disabled={registering}
+              onChange={(v) => { setMappingProfileId(v); setPreviewSummary(null); }}
+            />
+          </div>
+        </div>
+
         {/* Select a processed job to register */}
         <Card>
           <CardHeader>
@@ -546,33 +878,58 @@ const RegisterVault: React.FC = () => {
               <CardTitle>Preview Cards to Register</CardTitle>
               <CardDescription>
                 Review the values before executing. Attempted {previewSummary.attempted}, With Photo {previewSummary.withPhoto}, Without Photo {previewSummary.withoutPhoto}
+                {previewSummary.toAdd !== undefined && `, To Add ${previewSummary.toAdd}, To Update ${previewSummary.toUpdate ?? 0}`}
+                {previewSummary.invalidRows !== undefined && `, Failing validation ${previewSummary.invalidRows}, With warnings ${previewSummary.warningRows ?? 0}`}
+                {(previewSummary.duplicateRows ?? 0) > 0 && `, Flagged as duplicate ${previewSummary.duplicateRows}`}
+                {previewSummary.mappingProfile && <span className="block">Column mapping: {describeAppliedMapping(previewSummary.mappingProfile)}</span>}
+                {previewSummary.environment && <span className="block">Target: {describeVaultEnvironment(previewSummary.environment)}</span>}
+                {describePhotoCounts(previewSummary) && <span className="block">Photos: {describePhotoCounts(previewSummary)}</span>}
+                {canAutoAssign && poolSummary && <span className="block">Card number pool: {poolSummary.counts.available} available</span>}
               </CardDescription>
             </CardHeader>
             <CardContent className="space-y-4">
               <div className="text-sm text-amber-600">
                 Card No is required for each user. Staff No is employee ID (not card number). Please fill missing Card No values before executing.
               </div>
+              {previewSummary.errors.length > 0 && (
+                <div className="text-sm text-red-600">
+                  {previewSummary.errors.map((e, i) => <div key={i}>{e.code}: {e.message}</div>)}
+                </div>
+              )}
               <div className="overflow-x-auto">
                 <table className="min-w-full text-sm">
                   <thead>
                     <tr className="text-left border-b">
+                      {showActionColumn && <th className="py-2 pr-4">Action</th>}
                       <th className="py-2 pr-4">Card No</th>
                       <th className="py-2 pr-4">Name</th>
                       <th className="py-2 pr-4">Department</th>
                       <th className="py-2 pr-4">Staff No</th>
                       <th className="py-2 pr-4">Photo</th>
                       <th className="py-2 pr-4">Download Card</th>
+                      <th className="py-2 pr-4">Validation</th>
+                      {showRowStates && <th className="py-2 pr-4">Status</th>}
                       <th className="py-2 pr-4">Actions</th>
                     </tr>
                   </thead>
                   <tbody>
                     {previewSummary.details.length === 0 ? (
                       <tr>
-                        <td colSpan={6} className="py-3 text-muted-foreground">No rows found in job output</td>
+                        <td colSpan={8 + (showActionColumn ? 1 : 0) + (showRowStates ? 1 : 0)} className="py-3 text-muted-foreground">No rows found in job output</td>
                       </tr>
                     ) : (
                       previewSummary.details.slice(0, 100).map((d, idx) => (
                         <tr key={`${d.cardNo}-${idx}`} className="border-b">
+                          {showActionColumn && (
+                            <td className="py-2 pr-4">
+                              <span
+                                className={`rounded px-2 py-0.5 text-xs font-medium ${upsertActionStyles[d.action ?? 'unknown']}`}
+                                title={d.action === 'update' ? `CardDB: ${d.existingName || '-'} (${d.existingStaffNo || '-'})` : undefined}
+                              >
+                                {upsertActionLabels[d.action ?? 'unknown']}
+                              </span>
+                            </td>
+                          )}
                           <td className="py-2 pr-4">
                             <Input
                               value={cardNoEdits[idx] ?? d.cardNo ?? ''}
@@ -584,7 +941,7 @@ const RegisterVault: React.FC = () => {
                           <td className="py-2 pr-4">{d.name || '-'}</td>
                           <td className="py-2 pr-4">{d.department || '-'}</td>
                           <td className="py-2 pr-4">{d.staffNo || '-'}</td>
-                          <td className="py-2 pr-4">{(photoChecks[idx] ?? d.hasPhoto) ? 'Yes' : 'No'}</td>
+                          <td className="py-2 pr-4"><VaultPhotoStatus hasPhoto={photoChecks[idx] ?? d.hasPhoto} photo={photoChecks[idx] === undefined ? d.photo : null} /></td>
                           <td className="py-2 pr-4">
                             {(() => {
                               const profile = d.profile as Record<string, unknown> | undefined;
@@ -602,6 +959,24 @@ const RegisterVault: React.FC = () => {
                               );
                             })()}
                           </td>
+                          <td className="py-2 pr-4">
+                            <div className="flex flex-wrap items-center gap-1">
+                              <VaultValidationBadge validation={d.validation} />
+                              <VaultDuplicateBadge duplicates={d.duplicates} />
+                              <MessHallRuleBadge accessRule={d.accessRule} />
+                            </div>
+                          </td>
+                          {showRowStates && (
+                            <td className={`py-2 pr-4 ${rowStates[idx] ? rowStateStyles[rowStates[idx].state] : 'text-muted-foreground'}`}>
+                              {rowStates[idx] ? (
+                                <span title={rowStates[idx].message}>
+                                  {rowStates[idx].state}
+                                  {rowStates[idx].code ? ` (${rowStates[idx].code})` : ''}
+                                  {typeof rowStates[idx].durationMs === 'number' ? ` • ${rowStates[idx].durationMs} ms` : ''}
+                                </span>
+                              ) : 'pending'}
+                            </td>
+                          )}
                           <td className="py-2 pr-4">
                             <Button
                               size="sm"
@@ -620,6 +995,16 @@ const RegisterVault: React.FC = () => {
               <div className="flex items-center justify-between">
                 <div className="flex items-center gap-2">
                   <Button variant="outline" onClick={handleCheckPhotos}>Re-check photos</Button>
+                  {canAutoAssign && poolSummary && (
+                    <Button variant="outline" onClick={handleAutoAssignCardNos} disabled={assigningCardNos || registering || poolSummary.counts.available === 0}>
+                      {assigningCardNos ? 'Assigning...' : 'Auto-assign card numbers'}
+                    </Button>
+                  )}
+                  {Object.keys(reservedCardNos).length > 0 && (
+                    <Button variant="outline" onClick={handleReleaseCardNos} disabled={registering}>
+                      Release reserved numbers
+                    </Button>
+                  )}
                   {/* Bulk set DownloadCard ON/OFF */}
                   <Button
                     variant="outline"
@@ -654,9 +1039,41 @@ const RegisterVault: React.FC = () => {
                       {missing > 0 && (
                         <div className="text-sm text-red-600">{missing} row(s) missing Card No</div>
                       )}
+                      {(previewSummary.duplicateRows ?? 0) > 0 && (
+                        <div className="flex items-center gap-2">
+                          <Switch id="exclude-duplicates" checked={excludeDuplicates} disabled={registering} onCheckedChange={(checked) => setExcludeDuplicates(!!checked)} />
+                          <label htmlFor="exclude-duplicates" className="text-sm text-muted-foreground">
+                            {excludeDuplicates ? `Skip ${previewSummary.duplicateRows} row(s) flagged as duplicate` : `Send ${previewSummary.duplicateRows} row(s) flagged as duplicate`}
+                          </label>
+                        </div>
+                      )}
+                      {(previewSummary.invalidRows ?? 0) > 0 && (
+                        <div className="flex items-center gap-2">
+                          <Switch id="allow-invalid" checked={allowInvalid} disabled={registering} onCheckedChange={(checked) => setAllowInvalid(!!checked)} />
+                          <label htmlFor="allow-invalid" className="text-sm text-muted-foreground">
+                            {allowInvalid ? `Send ${previewSummary.invalidRows} row(s) failing validation` : `Skip ${previewSummary.invalidRows} row(s) failing validation`}
+                          </label>
+                        </div>
+                      )}
+                      <div className="flex items-center gap-2">
+                        <span className="text-sm text-muted-foreground">Parallel calls</span>
+                        <Select value={concurrency} onValueChange={setConcurrency} disabled={registering}>
+                          <SelectTrigger className="w-20">
+                            <SelectValue />
+                          </SelectTrigger>
+                          <SelectContent>
+                            {['1', '2', '3', '4', '6', '8', '10'].map((n) => (
+                              <SelectItem key={n} value={n}>{n}</SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                      </div>
                       <Button onClick={handleExecuteRegistration} disabled={registering || missing > 0 || (previewMode === 'csv' && !uploadedCsvPath)}>
                         {registering ? 'Executing...' : 'Execute registration'}
                       </Button>
+                      <Button variant="outline" onClick={handleResume} disabled={registering}>
+                        Resume failed rows
+                      </Button>
                     </div>
                   );
                 })()}
@@ -674,10 +1091,13 @@ const RegisterVault: React.FC = () => {
 
             {selectedDetail ? (
               <div className="space-y-4 text-sm">
+                <VaultValidationList validation={selectedDetail.validation} />
+                <VaultDuplicateList duplicates={selectedDetail.duplicates} />
+                <MessHallRuleDetail accessRule={selectedDetail.accessRule} />
                 <div>
                   <div className="font-medium mb-2">Mapped profile</div>
                   <div className="grid grid-cols-2 gap-2">
-                    {['CardNo','Name','Department','Company','AccessLevel','FaceAccessLevel','Email','MobileNo','ActiveStatus','NonExpired','ExpiredDate','DownloadCard'].map((k) => {
+                    {['CardNo','Name','Department','Company','AccessLevel','FaceAccessLevel','VehicleNo','Email','MobileNo','ActiveStatus','NonExpired','ExpiredDate','DownloadCard'].map((k) => {
                       const profile = selectedDetail.profile as Record<string, unknown> | undefined;
                       const val = profile ? profile[k] : undefined;
                       return (
@@ -712,6 +1132,12 @@ const RegisterVault: React.FC = () => {
           </DialogContent>
         </Dialog>
 
+        <VaultJobPanel
+          activeJob={vaultJob}
+          types={['VAULT_REGISTER', 'VAULT_REGISTER_CSV', 'VAULT_UPSERT', 'VAULT_UPDATE_CSV']}
+          onOpen={handleOpenVaultJob}
+        />
+
         {regSummary && (
           <Card>
             <CardHeader>
@@ -727,9 +1153,15 @@ const RegisterVault: React.FC = () => {
                   <div className="font-medium">{regSummary.attempted}</div>
                 </div>
                 <div className="p-3 rounded border">
-                  <div className="text-muted-foreground">Registered</div>
+                  <div className="text-muted-foreground">{regSummary.updated !== undefined ? 'Added' : 'Registered'}</div>
                   <div className="font-medium">{regSummary.registered}</div>
                 </div>
+                {regSummary.updated !== undefined && (
+                  <div className="p-3 rounded border">
+                    <div className="text-muted-foreground">Updated</div>
+                    <div className="font-medium">{regSummary.updated}</div>
+                  </div>
+                )}
                 <div className="p-3 rounded border">
                   <div className="text-muted-foreground">With Photo</div>
                   <div className="font-medium">{regSummary.withPhoto}</div>
@@ -748,6 +1180,7 @@ const RegisterVault: React.FC = () => {
                 <table className="min-w-full text-sm">
                   <thead>
                     <tr className="text-left border-b">
+                      {regSummary.updated !== undefined && <th className="py-2 pr-4">Action</th>}
                       <th className="py-2 pr-4">Card No</th>
                       <th className="py-2 pr-4">Name</th>
                       <th className="py-2 pr-4">Photo</th>
@@ -763,6 +1196,7 @@ const RegisterVault: React.FC = () => {
                     ) : (
                       regSummary.details.slice(0, 100).map((d, idx) => (
                         <tr key={`${d.cardNo}-${idx}`} className="border-b">
+                          {regSummary.updated !== undefined && <td className="py-2 pr-4">{upsertActionLabels[d.action ?? 'unknown']}</td>}
                           <td className="py-2 pr-4 font-mono">{d.cardNo || '-'}</td>
                           <td className="py-2 pr-4">{d.name || '-'}</td>
                           <td className="py-2 pr-4">{d.hasPhoto ? 'Yes' : 'No'}</td>
@@ -1,4 +1,4 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import AppLayout from "@/components/AppLayout";
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
@@ -7,6 +7,19 @@ import { Input } from "@/components/ui/input";
 import { Separator } from "@/components/ui/separator";
 import { useToast } from "@/hooks/use-toast";
 import { Switch } from "@/components/ui/switch";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { VaultJobPanel } from "@/components/VaultJobPanel";
+import { VaultValidationBadge, VaultValidationList } from "@/components/VaultValidationBadge";
+import { VaultPhotoStatus } from "@/components/VaultPhotoStatus";
+import { VaultDuplicateBadge, VaultDuplicateList } from "@/components/VaultDuplicateBadge";
+import { MessHallRuleBadge, MessHallRuleDetail } from "@/components/MessHallRuleBadge";
+import type { MessHallRuleMatch } from "@/lib/messHallRules";
+import { MappingProfileSelect } from "@/components/MappingProfileSelect";
+import { VaultEnvironmentSelect } from "@/components/VaultEnvironmentSelect";
+import { useVaultEnvironment } from "@/hooks/use-vault-environment";
+import { describeVaultEnvironment, type VaultEnvironmentSummary } from "@/lib/vaultEnvironments";
+import { AUTO_MAPPING, describeAppliedMapping, mappingProfileIdParam, type AppliedMappingProfile } from "@/lib/mappingProfiles";
+import { describePhotoCounts, describeVaultResume, forgetVaultJob, previewVaultResume, recallVaultJob, rememberVaultJob, startVaultResume, streamVaultJob, type VaultDuplicateFlag, type VaultJob, type VaultPhotoInfo, type VaultRowEvent, type VaultValidation } from "@/lib/vaultJobs";
 
 type VaultRegistrationError = {
   code?: string;
@@ -20,27 +33,58 @@ type ProfileData = {
   [key: string]: unknown;
 };
 
+// Field that UpdateCard would change compared to the current CardDB record
+type FieldDiff = {
+  field: string;
+  before: string;
+  after: string;
+};
+
 type VaultRegistrationDetail = {
+  index?: number;
+  requestId?: string;
   cardNo?: string;
   name?: string;
   hasPhoto?: boolean;
+  photo?: VaultPhotoInfo | null;
   respCode?: string;
   respMessage?: string;
   department?: string;
   staffNo?: string;
   sourceRow?: Record<string, unknown>;
   profile?: ProfileData;
+  inCardDb?: boolean;
+  changed?: boolean;
+  diff?: FieldDiff[];
+  validation?: VaultValidation;
+  duplicates?: VaultDuplicateFlag[];
+  accessRule?: MessHallRuleMatch | null;
+  success?: boolean;
+  durationMs?: number;
 };
 
 type VaultRegistrationSummary = {
   success?: boolean;
   jobId?: string;
+  batchId?: string;
   endpointBaseUrl?: string;
   attempted: number;
   skipped?: number;
+  changedRows?: number;
+  unchangedRows?: number;
+  notInCardDb?: number;
+  invalidRows?: number;
+  duplicateRows?: number;
+  warningRows?: number;
+  mappingProfile?: AppliedMappingProfile | null;
+  environment?: VaultEnvironmentSummary | null;
   registered: number;
   withPhoto: number;
   withoutPhoto: number;
+  reencodedPhotos?: number;
+  oversizedPhotos?: number;
+  unreadablePhotos?: number;
+  ambiguousPhotos?: number;
   errors: VaultRegistrationError[];
   details: VaultRegistrationDetail[];
 };
@@ -58,6 +102,18 @@ type UploadResponse = {
   error?: string;
 };
 
+// Pre-update snapshot batch that can be rolled back
+type SnapshotBatch = {
+  batchId: string;
+  source?: string;
+  csvPath?: string;
+  createdAt?: string;
+  cards: number;
+  updated: number;
+  restorable: number;
+  rolledBack: number;
+};
+
 // CardDB row type used by the Download Card menu
 type CardDbRow = {
   CardNo?: string;
@@ -75,6 +131,27 @@ type CardDbRow = {
   [key: string]: unknown;
 };
 
+// Structured filters of the CardDB list (empty string = any)
+type CardDbFilters = {
+  department: string;
+  accessLevel: string;
+  activeStatus: '' | 'active' | 'inactive';
+  vehicleNo: string;
+  expiryFrom: string;
+  expiryTo: string;
+};
+
+const EMPTY_CARDDB_FILTERS: CardDbFilters = { department: '', accessLevel: '', activeStatus: '', vehicleNo: '', expiryFrom: '', expiryTo: '' };
+
+// Radix Select items cannot have an empty value, so "any" is a sentinel
+const ANY_FILTER = '__any__';
+
+// Result of a background update-csv batch (summary of the VAULT_UPDATE_CSV job)
+type UpdateBatchResult = Partial<VaultRegistrationSummary> & { errorCount?: number; requestId?: string };
+
+// localStorage key of the last update batch, used to reattach after a reload
+const UPDATE_JOB_KEY = 'vault.update.jobId';
+
 const UpdateVaultCard: React.FC = () => {
   const { toast } = useToast();
   // Feature flag: hide single-card update from DB section for now
@@ -83,13 +160,28 @@ const UpdateVaultCard: React.FC = () => {
   const [previewSummary, setPreviewSummary] = useState<VaultRegistrationSummary | null>(null);
   const [registering, setRegistering] = useState(false);
   const [regSummary, setRegSummary] = useState<VaultRegistrationSummary | null>(null);
+  // Background Vault job running (or last run) the update batch
+  const [vaultJob, setVaultJob] = useState<VaultJob<UpdateBatchResult> | null>(null);
+  const followedJobId = useRef<string | null>(null);
   const [detailOpen, setDetailOpen] = useState(false);
   const [rowExecuting, setRowExecuting] = useState<Record<number, boolean>>({});
   const [selectedDetail, setSelectedDetail] = useState<VaultRegistrationDetail | null>(null);
   const [cardNoEdits, setCardNoEdits] = useState<Record<number, string>>({});
   const [photoChecks, setPhotoChecks] = useState<Record<number, boolean>>({});
   const [downloadCardEdits, setDownloadCardEdits] = useState<Record<number, boolean>>({});
-  const [rowStatusMap, setRowStatusMap] = useState<Record<number, { state: 'idle' | 'executing' | 'success' | 'failed', code?: string, message?: string, requestId?: string, durationMs?: number }>>({});
+  // Rollback of previous updates (batch or single card) from pre-update snapshots
+  const [rollingBack, setRollingBack] = useState<string | null>(null);
+  const [snapshotBatches, setSnapshotBatches] = useState<SnapshotBatch[]>([]);
+  const [loadingSnapshots, setLoadingSnapshots] = useState(false);
+  // Skip rows whose values already match CardDB when executing the batch
+  const [onlyChanged, setOnlyChanged] = useState(true);
+  // Send rows that fail pre-flight validation instead of skipping them
+  const [allowInvalid, setAllowInvalid] = useState(false);
+  // Skip rows flagged as duplicates (within the sheet or against CardDB) at execution
+  const [excludeDuplicates, setExcludeDuplicates] = useState(true);
+  const [mappingProfileId, setMappingProfileId] = useState<string>(AUTO_MAPPING);
+  const vaultEnv = useVaultEnvironment();
+  const [rowStatusMap, setRowStatusMap] = useState<Record<number, { state: 'idle' | 'executing' | 'success' | 'failed', code?: string, message?: string, requestId?: string, batchId?: string, durationMs?: number }>>({});
   const [uploadedUpdatePath, setUploadedUpdatePath] = useState<string | undefined>();
   const [uploadingUpdate, setUploadingUpdate] = useState(false);
   const [csvUpdatePathInput, setCsvUpdatePathInput] = useState<string>("");
@@ -100,6 +192,14 @@ const UpdateVaultCard: React.FC = () => {
   const [cardDbSearch, setCardDbSearch] = useState<string>("");
   const [cardDbLimit, setCardDbLimit] = useState<number>(200);
   // Table is hard-coded server-side; remove client control
+  const [cardDbFilters, setCardDbFilters] = useState<CardDbFilters>(EMPTY_CARDDB_FILTERS);
+  const [cardDbFacets, setCardDbFacets] = useState<{ departments: string[]; accessLevels: string[]; vehicleNos: string[] }>({ departments: [], accessLevels: [], vehicleNos: [] });
+  const [cardDbOffset, setCardDbOffset] = useState<number>(0);
+  const [cardDbTotal, setCardDbTotal] = useState<number>(0);
+  const [cardDbSort, setCardDbSort] = useState<{ by: string; dir: 'asc' | 'desc' }>({ by: 'CardNo', dir: 'asc' });
+  // Columns the server can sort on (the ones present in the CardDB table)
+  const [cardDbSortable, setCardDbSortable] = useState<string[]>([]);
+  const [cardDbExporting, setCardDbExporting] = useState<boolean>(false);
   const [cardDbSelected, setCardDbSelected] = useState<Record<string, boolean>>({});
   const [cardDbRowStatus, setCardDbRowStatus] = useState<Record<string, { state: 'idle' | 'executing' | 'success' | 'failed', code?: string, message?: string, startedAt?: number }>>({});
 
@@ -117,7 +217,6 @@ const UpdateVaultCard: React.FC = () => {
   const [dbVehicle, setDbVehicle] = useState<string>("");
   const [dbMesshall, setDbMesshall] = useState<string>("");
   const [dbActive, setDbActive] = useState<boolean>(true);
-  const [dbEndpoint, setDbEndpoint] = useState<string>("");
   const [dbServer, setDbServer] = useState<string>("");
   const [dbName, setDbName] = useState<string>("");
   const [dbUser, setDbUser] = useState<string>("");
@@ -130,6 +229,8 @@ const UpdateVaultCard: React.FC = () => {
       toast({ title: 'Card No required', description: 'Please enter Card No to update from DB.', variant: 'destructive' });
       return;
     }
+    const vaultTarget = vaultEnv.confirmTarget(`Update card ${dbCardNo.trim()}`);
+    if (!vaultTarget) return;
     try {
       setDbUpdating(true);
       const body: Record<string, unknown> = {
@@ -147,9 +248,9 @@ const UpdateVaultCard: React.FC = () => {
           vehicle: dbVehicle.trim() || undefined,
           messhall: dbMesshall.trim() || undefined,
           active: dbActive,
-        }
+        },
+        ...vaultTarget,
       };
-      if (dbEndpoint.trim()) body.endpointBaseUrl = dbEndpoint.trim();
       if (dbServer.trim()) body.dbServer = dbServer.trim();
       if (dbName.trim()) body.dbName = dbName.trim();
       if (dbUser.trim()) body.dbUser = dbUser.trim();
@@ -204,19 +305,31 @@ const UpdateVaultCard: React.FC = () => {
     }
   };
 
-  // Fetch CardDB users
-  const fetchCardDb = async () => {
+  // Fetch one page of CardDB users; `page` overrides the current offset/sort (state updates are not visible yet)
+  const fetchCardDb = async (page: { offset?: number; sort?: { by: string; dir: 'asc' | 'desc' } } = {}) => {
+    const offset = page.offset ?? cardDbOffset;
+    const sort = page.sort ?? cardDbSort;
     try {
       setCardDbLoading(true);
       const qs = new URLSearchParams();
       if (cardDbSearch.trim()) qs.set('search', cardDbSearch.trim());
       if (cardDbLimit) qs.set('limit', String(cardDbLimit));
+      qs.set('offset', String(offset));
+      qs.set('sort', sort.by);
+      qs.set('dir', sort.dir);
+      for (const [key, value] of Object.entries(cardDbFilters)) {
+        if (value) qs.set(key, value);
+      }
       // Table is fixed to carddb on server; no client-provided table
       const res = await fetch(`/api/vault/carddb?${qs.toString()}`);
       if (!res.ok) throw new Error(`HTTP ${res.status}`);
       const data = await res.json();
       const rows: CardDbRow[] = Array.isArray(data.rows) ? data.rows : [];
       setCardDbRows(rows);
+      setCardDbTotal(typeof data.total === 'number' ? data.total : rows.length);
+      setCardDbOffset(typeof data.offset === 'number' ? data.offset : offset);
+      if (data.sort) setCardDbSort({ by: data.sort, dir: data.dir === 'desc' ? 'desc' : 'asc' });
+      setCardDbSortable(Array.isArray(data.columns) ? data.columns : []);
       // Reset selection & statuses for new dataset
       setCardDbSelected({});
       setCardDbRowStatus({});
@@ -231,9 +344,82 @@ const UpdateVaultCard: React.FC = () => {
   useEffect(() => {
     // Initial fetch without filters
     fetchCardDb();
+    fetch('/api/vault/carddb/facets')
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => {
+        if (!data?.success) return;
+        setCardDbFacets({
+          departments: Array.isArray(data.departments) ? data.departments : [],
+          accessLevels: Array.isArray(data.accessLevels) ? data.accessLevels : [],
+          vehicleNos: Array.isArray(data.vehicleNos) ? data.vehicleNos : [],
+        });
+      })
+      .catch(() => undefined); // the filters fall back to free text
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  const setCardDbFilter = (key: keyof CardDbFilters, value: string) => {
+    setCardDbFilters((prev) => ({ ...prev, [key]: value === ANY_FILTER ? '' : value }));
+  };
+
+  // Clicking a column header sorts by it, clicking it again flips the direction; back to the first page either way
+  const sortCardDbBy = (column: string) => {
+    const sort = { by: column, dir: cardDbSort.by === column && cardDbSort.dir === 'asc' ? 'desc' as const : 'asc' as const };
+    setCardDbSort(sort);
+    fetchCardDb({ offset: 0, sort });
+  };
+
+  const cardDbHeader = (label: string, column: string) => {
+    if (cardDbSortable.length > 0 && !cardDbSortable.includes(column)) {
+      return <th className="py-2 pr-4">{label}</th>;
+    }
+    const active = cardDbSort.by === column;
+    return (
+      <th className="py-2 pr-4" aria-sort={active ? (cardDbSort.dir === 'asc' ? 'ascending' : 'descending') : 'none'}>
+        <button type="button" className="inline-flex items-center gap-1 hover:underline" onClick={() => sortCardDbBy(column)} disabled={cardDbLoading}>
+          {label}
+          <span className="text-xs text-muted-foreground">{active ? (cardDbSort.dir === 'asc' ? '▲' : '▼') : ''}</span>
+        </button>
+      </th>
+    );
+  };
+
+  const cardDbPageSize = cardDbLimit > 0 ? cardDbLimit : 200;
+
+  // Download UpdateCardTemplate.xlsx with the current CardDB values of the selected cards, or of every card matching the filters
+  const exportCardDbToTemplate = async (selectedOnly: boolean) => {
+    const cardNos = cardDbRows.map((r) => (r.CardNo ?? '').toString()).filter((cn) => cn && cardDbSelected[cn]);
+    const body = selectedOnly
+      ? { cardNos }
+      : { ...cardDbFilters, search: cardDbSearch.trim(), sort: cardDbSort.by, dir: cardDbSort.dir };
+    try {
+      setCardDbExporting(true);
+      const resp = await fetch('/api/vault/carddb/export.xlsx', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      if (!resp.ok) {
+        const data = await resp.json().catch(() => null);
+        throw new Error(data?.details || data?.error || `HTTP ${resp.status}`);
+      }
+      const blob = await resp.blob();
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = 'UpdateCardTemplate.xlsx';
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      const message = err instanceof Error ? err.message : String(err);
+      toast({ title: 'Export to template failed', description: message, variant: 'destructive' });
+    } finally {
+      setCardDbExporting(false);
+    }
+  };
+
   const visibleSelectedCount = useMemo(() => {
     return cardDbRows.reduce((acc, r) => {
       const cn = (r.CardNo ?? '').toString();
@@ -259,6 +445,8 @@ const UpdateVaultCard: React.FC = () => {
       toast({ title: 'No users selected', description: 'Select at least one user from CardDB to download their card.' });
       return;
     }
+    const vaultTarget = vaultEnv.confirmTarget(`Trigger download for ${selectedCardNos.length} card(s)`);
+    if (!vaultTarget) return;
     let okCount = 0;
     for (const cn of selectedCardNos) {
       try {
@@ -266,7 +454,7 @@ const UpdateVaultCard: React.FC = () => {
         const res = await fetch('/api/vault/update-card-db', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ cardNo: cn }) // server sets Download=true and uses DB profile
+          body: JSON.stringify({ cardNo: cn, ...vaultTarget }) // server sets Download=true and uses DB profile
         });
         const data = await res.json();
         const ok = !!data.success;
@@ -293,7 +481,7 @@ const UpdateVaultCard: React.FC = () => {
       const res = await fetch('/api/vault/preview-update-csv', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ csvPath: uploadedUpdatePath })
+        body: JSON.stringify({ csvPath: uploadedUpdatePath, mappingProfileId: mappingProfileIdParam(mappingProfileId), environmentId: vaultEnv.environmentId })
       });
       if (!res.ok) throw new Error(`HTTP ${res.status}`);
       const data = await res.json();
@@ -313,14 +501,31 @@ const UpdateVaultCard: React.FC = () => {
           }
           return count;
         })(),
+        changedRows: data.changedRows,
+        unchangedRows: data.unchangedRows,
+        notInCardDb: data.notInCardDb,
+        invalidRows: data.invalidRows,
+        duplicateRows: data.duplicateRows,
+        warningRows: data.warningRows,
+        mappingProfile: data.mappingProfile,
+        environment: data.environment,
         registered: data.registered ?? 0,
         withPhoto: data.withPhoto ?? 0,
         withoutPhoto: data.withoutPhoto ?? 0,
+        reencodedPhotos: data.reencodedPhotos,
+        oversizedPhotos: data.oversizedPhotos,
+        unreadablePhotos: data.unreadablePhotos,
+        ambiguousPhotos: data.ambiguousPhotos,
         errors: Array.isArray(data.errors) ? data.errors : [],
         details: Array.isArray(data.details) ? data.details : [],
       };
       setPreviewSummary(summary);
-      toast({ title: 'UpdateCard preview ready', description: `Found ${summary.attempted} rows.` });
+      toast({
+        title: 'UpdateCard preview ready',
+        description: typeof summary.unchangedRows === 'number'
+          ? `Found ${summary.attempted} rows: ${summary.changedRows ?? 0} changed, ${summary.unchangedRows} unchanged.`
+          : `Found ${summary.attempted} rows.`,
+      });
     } catch (err) {
       const message = err instanceof Error ? err.message : String(err);
       toast({ title: 'Preview UpdateCard CSV failed', description: message, variant: 'destructive' });
@@ -329,8 +534,127 @@ const UpdateVaultCard: React.FC = () => {
     }
   };
 
+  // A row is unchanged only when CardDB was compared and its Card No was not edited since the preview
+  const isUnchanged = (d: VaultRegistrationDetail, idx: number) => {
+    if (d.changed !== false) return false;
+    const edited = cardNoEdits[idx];
+    return edited === undefined || edited.trim() === (d.cardNo ?? '').trim();
+  };
+
+  const toUpdateSummary = (data: UpdateBatchResult, clientSkipped = 0): VaultRegistrationSummary => ({
+    success: true,
+    jobId: data.jobId,
+    batchId: data.batchId,
+    endpointBaseUrl: data.endpointBaseUrl,
+    attempted: data.attempted ?? 0,
+    skipped: ((typeof data.skipped === 'number' ? data.skipped : 0) + clientSkipped),
+    registered: data.registered ?? 0,
+    withPhoto: data.withPhoto ?? 0,
+    withoutPhoto: data.withoutPhoto ?? 0,
+    errors: Array.isArray(data.errors) ? data.errors : [],
+    details: Array.isArray(data.details) ? data.details : [],
+  });
+
+  // Populate per-row exec status and duration from batch details
+  const applyRowStatuses = (data: UpdateBatchResult) => {
+    try {
+      const dets = Array.isArray(data.details) ? data.details : [];
+      setRowStatusMap((prev) => {
+        const next = { ...prev };
+        for (const d of dets) {
+          const idx = typeof d.index === 'number' ? d.index : undefined;
+          if (typeof idx === 'number') {
+            const ok = d.success === true || (!d.respCode || String(d.respCode) === '0');
+            const code = String(d.respCode ?? '-');
+            const msg = (d.respMessage ?? '').trim();
+            next[idx] = {
+              state: ok ? 'success' : 'failed',
+              code,
+              message: msg || undefined,
+              requestId: d.requestId ?? data.requestId,
+              batchId: data.batchId,
+              durationMs: typeof d.durationMs === 'number' ? d.durationMs : undefined,
+            };
+          }
+        }
+        return next;
+      });
+    } catch {}
+  };
+
+  // Live row state from the batch's progress stream (final codes/durations come from the summary)
+  const applyRowEvent = (row: VaultRowEvent) => {
+    if (row.state === 'skipped') return;
+    const state = row.state === 'mapped' ? 'executing' : row.state;
+    setRowStatusMap((prev) => ({
+      ...prev,
+      [row.index]: {
+        ...(prev[row.index] || {}),
+        state,
+        code: row.code,
+        message: row.message,
+        durationMs: row.durationMs,
+      },
+    }));
+  };
+
+  // Follow a background update batch until it finishes and return its result.
+  // Only the most recently opened batch updates the page; superseded streams resolve to null.
+  const followUpdateJob = async (jobId: string): Promise<UpdateBatchResult | null> => {
+    followedJobId.current = jobId;
+    setRegistering(true);
+    try {
+      const job = await streamVaultJob<UpdateBatchResult>(jobId, {
+        onUpdate: (j) => {
+          if (followedJobId.current === jobId) setVaultJob(j);
+        },
+        onRow: (row) => {
+          if (followedJobId.current === jobId) applyRowEvent(row);
+        },
+      });
+      if (followedJobId.current !== jobId) return null;
+      if (job.status === 'FAILED') throw new Error(job.errorMessage || 'Update failed');
+      const data = job.summary || {};
+      applyRowStatuses(data);
+      return data;
+    } finally {
+      if (followedJobId.current === jobId) setRegistering(false);
+    }
+  };
+
+  // Show the result of an earlier (or still running) batch without a preview
+  const openUpdateJob = async (jobId: string) => {
+    setRegSummary(null);
+    const data = await followUpdateJob(jobId);
+    if (data) setRegSummary(toUpdateSummary(data));
+  };
+
+  const handleOpenVaultJob = async (jobId: string) => {
+    rememberVaultJob(UPDATE_JOB_KEY, jobId);
+    try {
+      await openUpdateJob(jobId);
+    } catch (err) {
+      const message = err instanceof Error ? err.message : String(err);
+      toast({ title: 'Update failed', description: message, variant: 'destructive' });
+    }
+  };
+
+  // Reattach to the last batch started from this page (still running or finished)
+  useEffect(() => {
+    const jobId = recallVaultJob(UPDATE_JOB_KEY);
+    if (!jobId) return;
+    openUpdateJob(jobId).catch((err) => {
+      const message = err instanceof Error ? err.message : String(err);
+      if (/not found/i.test(message)) forgetVaultJob(UPDATE_JOB_KEY);
+      else toast({ title: 'Update failed', description: message, variant: 'destructive' });
+    });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
   const handleExecuteUpdate = async () => {
     if (!previewSummary) return;
+    const vaultTarget = vaultEnv.confirmTarget(`Update ${previewSummary.attempted} card(s)`);
+    if (!vaultTarget) return;
     try {
       setRegistering(true);
       setRegSummary(null);
@@ -338,7 +662,7 @@ const UpdateVaultCard: React.FC = () => {
       const valid = all.filter((idx) => {
         const d = previewSummary.details[idx];
         const cn = (cardNoEdits[idx] ?? d.cardNo ?? '').trim();
-        return !!cn;
+        return !!cn && !(onlyChanged && isUnchanged(d, idx));
       });
       setRowStatusMap(prev => {
         const next = { ...prev };
@@ -357,79 +681,27 @@ const UpdateVaultCard: React.FC = () => {
         const downloadCard = (downloadCardEdits[idx] ?? defaultDownload);
         return { index: idx, cardNo, downloadCard };
       });
-      let stopPolling = false;
-      const poll = async () => {
-        if (stopPolling) return;
-        try {
-          const r = await fetch(`/api/vault/update-progress-csv`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ csvPath: uploadedUpdatePath }) });
-          if (r.ok) {
-            const j = await r.json();
-            const rows = j.rows || {};
-            setRowStatusMap(prev => {
-              const next = { ...prev };
-              for (const k of Object.keys(rows)) {
-                const idx = Number(k);
-                const st = rows[k];
-                next[idx] = { ...(next[idx] || {}), state: st.state, code: st.code, message: st.message, durationMs: st.durationMs, cardNo: st.cardNo || next[idx]?.cardNo, startedAt: st.startedAt ? Date.parse(st.startedAt) : (next[idx]?.startedAt) };
-              }
-              return next;
-            });
-            if (j.completed) stopPolling = true;
-          }
-        } catch {}
-      };
-      const pollId = window.setInterval(poll, 1000);
       const res = await fetch(`/api/vault/update-csv`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ csvPath: uploadedUpdatePath, overrides, indices: valid, concurrency: 6 })
+        body: JSON.stringify({ csvPath: uploadedUpdatePath, overrides, indices: valid, concurrency: 6, allowInvalid: allowInvalid || undefined, excludeDuplicates: excludeDuplicates && (previewSummary.duplicateRows ?? 0) > 0 ? true : undefined, mappingProfileId: previewSummary.mappingProfile?.id, ...vaultTarget })
       });
       if (!res.ok) throw new Error(`HTTP ${res.status}`);
-      const data = await res.json();
+      const started = await res.json();
+      if (!started.success) throw new Error(started.error || 'Update failed');
+      // The batch runs on the server; remember it so a reload can pick it up again
+      rememberVaultJob(UPDATE_JOB_KEY, started.jobId);
+      const data = await followUpdateJob(started.jobId);
+      if (!data) return;
       // Allow partial success: do not hard-fail when some rows had errors
       const errorCount = typeof data.errorCount === 'number' ? data.errorCount : (Array.isArray(data.errors) ? data.errors.length : 0);
-      stopPolling = true;
-      window.clearInterval(pollId);
-      // Populate per-row exec status and duration from batch details
-      try {
-        const dets = Array.isArray(data.details) ? data.details : [];
-        setRowStatusMap((prev) => {
-          const next = { ...prev };
-          for (const d of dets) {
-            const idx = typeof d.index === 'number' ? d.index : undefined;
-            if (typeof idx === 'number') {
-              const ok = d.success === true || (!d.respCode || String(d.respCode) === '0');
-              const code = String(d.respCode ?? '-');
-              const msg = (d.respMessage ?? '').trim();
-              next[idx] = {
-                state: ok ? 'success' : 'failed',
-                code,
-                message: msg || undefined,
-                requestId: data.requestId,
-                durationMs: typeof d.durationMs === 'number' ? d.durationMs : undefined,
-              };
-            }
-          }
-          return next;
-        });
-      } catch {}
       const clientSkipped = (all.length - valid.length);
-      const summary: VaultRegistrationSummary = {
-        success: true,
-        jobId: data.jobId,
-        endpointBaseUrl: data.endpointBaseUrl,
-        attempted: data.attempted ?? 0,
-        skipped: ((typeof data.skipped === 'number' ? data.skipped : 0) + clientSkipped),
-        registered: data.registered ?? 0,
-        withPhoto: data.withPhoto ?? 0,
-        withoutPhoto: data.withoutPhoto ?? 0,
-        errors: Array.isArray(data.errors) ? data.errors : [],
-        details: Array.isArray(data.details) ? data.details : [],
-      };
+      const unchangedSkipped = onlyChanged ? all.filter((idx) => isUnchanged(previewSummary.details[idx], idx)).length : 0;
+      const summary = toUpdateSummary(data, clientSkipped);
       setRegSummary(summary);
       const skipped = ((typeof data.skipped === 'number' ? data.skipped : 0) + clientSkipped);
       const title = errorCount > 0 ? 'Update completed with errors' : 'Update completed';
-      const desc = `Updated ${summary.registered}/${summary.attempted} cards. Skipped ${skipped} missing Card No.${errorCount>0?` Errors: ${errorCount}.`:''}`;
+      const desc = `Updated ${summary.registered}/${summary.attempted} cards. Skipped ${skipped - unchangedSkipped} missing Card No${unchangedSkipped > 0 ? `, ${unchangedSkipped} unchanged` : ''}.${errorCount>0?` Errors: ${errorCount}.`:''}`;
       toast({ title, description: desc, variant: errorCount > 0 ? 'destructive' : undefined });
     } catch (err) {
       const message = err instanceof Error ? err.message : String(err);
@@ -439,6 +711,84 @@ const UpdateVaultCard: React.FC = () => {
     }
   };
 
+  // Re-send only the rows of earlier update batches for this sheet that never succeeded (read from the update log)
+  const handleResume = async () => {
+    if (!uploadedUpdatePath) return;
+    const target = { kind: 'update' as const, csvPath: uploadedUpdatePath };
+    try {
+      const preview = await previewVaultResume(target);
+      if (preview.errors.length > 0) throw new Error(preview.errors.map((e) => e.message).join('; '));
+      if (preview.pendingCount === 0) {
+        toast({ title: 'Nothing to resume', description: `All ${preview.succeeded} row(s) with a Card No already succeeded.` });
+        return;
+      }
+      if (!window.confirm(describeVaultResume(preview))) return;
+      const vaultTarget = vaultEnv.confirmTarget(`Re-send ${preview.pendingCount} row(s)`);
+      if (!vaultTarget) return;
+      const jobId = await startVaultResume(target, { concurrency: 6, allowInvalid: allowInvalid || undefined, ...vaultTarget });
+      rememberVaultJob(UPDATE_JOB_KEY, jobId);
+      setRegSummary(null);
+      const data = await followUpdateJob(jobId);
+      if (!data) return;
+      const summary = toUpdateSummary(data);
+      setRegSummary(summary);
+      const errorCount = summary.errors.length;
+      toast({
+        title: errorCount > 0 ? 'Resume completed with errors' : 'Resume completed',
+        description: `Re-sent ${summary.attempted} row(s), updated ${summary.registered}.${errorCount > 0 ? ` Errors: ${errorCount}.` : ''}`,
+        variant: errorCount > 0 ? 'destructive' : undefined,
+      });
+    } catch (err) {
+      const message = err instanceof Error ? err.message : String(err);
+      toast({ title: 'Resume failed', description: message, variant: 'destructive' });
+    }
+  };
+
+  const handleRollback = async (batchId: string, requestIds?: string[]) => {
+    const scope = requestIds && requestIds.length > 0 ? `${requestIds.length} card(s)` : 'the whole batch';
+    if (!window.confirm(`Restore the previous CardDB values for ${scope}? This sends UpdateCard with the snapshotted profiles.`)) return;
+    const vaultTarget = vaultEnv.confirmTarget(`Roll back ${scope}`);
+    if (!vaultTarget) return;
+    const key = requestIds && requestIds.length === 1 ? requestIds[0] : batchId;
+    try {
+      setRollingBack(key);
+      const res = await fetch('/api/vault/rollback', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ batchId, requestIds, ...vaultTarget }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.details || data.error || `HTTP ${res.status}`);
+      const errorCount = typeof data.errorCount === 'number' ? data.errorCount : 0;
+      toast({
+        title: errorCount > 0 ? 'Rollback completed with errors' : 'Rollback completed',
+        description: `Restored ${data.restored ?? 0}/${data.attempted ?? 0} cards. Skipped ${data.skipped ?? 0} without snapshot or applied update.${errorCount > 0 ? ` Errors: ${errorCount}.` : ''}`,
+        variant: errorCount > 0 ? 'destructive' : undefined,
+      });
+      if (snapshotBatches.length > 0) await loadSnapshotBatches();
+    } catch (err) {
+      const message = err instanceof Error ? err.message : String(err);
+      toast({ title: 'Rollback failed', description: message, variant: 'destructive' });
+    } finally {
+      setRollingBack(null);
+    }
+  };
+
+  const loadSnapshotBatches = async () => {
+    try {
+      setLoadingSnapshots(true);
+      const res = await fetch('/api/vault/snapshots?limit=20');
+      const data = await res.json();
+      if (!res.ok || !data.success) throw new Error(data.details || data.error || `HTTP ${res.status}`);
+      setSnapshotBatches(Array.isArray(data.batches) ? data.batches : []);
+    } catch (err) {
+      const message = err instanceof Error ? err.message : String(err);
+      toast({ title: 'Failed to load update history', description: message, variant: 'destructive' });
+    } finally {
+      setLoadingSnapshots(false);
+    }
+  };
+
   const handleExecuteRow = async (index: number) => {
     if (!previewSummary || uploadedUpdatePath === '') return;
     const d = previewSummary.details[index];
@@ -450,6 +800,8 @@ const UpdateVaultCard: React.FC = () => {
       toast({ title: 'Card No required', description: `Row ${index + 1} is missing Card No. Please fill before executing.`, variant: 'destructive' });
       return;
     }
+    const vaultTarget = vaultEnv.confirmTarget(`Update card ${effectiveCardNo}`);
+    if (!vaultTarget) return;
     try {
       setRowExecuting(prev => ({ ...prev, [index]: true }));
       setRowStatusMap(prev => ({ ...prev, [index]: { state: 'executing', startedAt: Date.now(), cardNo: effectiveCardNo } }));
@@ -459,7 +811,10 @@ const UpdateVaultCard: React.FC = () => {
         body: JSON.stringify({
           csvPath: uploadedUpdatePath,
           index,
-          override: { cardNo: effectiveCardNo, downloadCard: effectiveDownload }
+          override: { cardNo: effectiveCardNo, downloadCard: effectiveDownload },
+          allowInvalid: allowInvalid || undefined,
+          mappingProfileId: previewSummary?.mappingProfile?.id,
+          ...vaultTarget,
         })
       });
       if (!res.ok) throw new Error(`HTTP ${res.status}`);
@@ -504,6 +859,7 @@ const UpdateVaultCard: React.FC = () => {
           code: resolvedCode,
           message: resolvedMessage,
           requestId: data.requestId,
+          batchId: data.requestId,
           durationMs: (typeof rs.durationMs === 'number' ? rs.durationMs : undefined),
         }
       }));
@@ -557,6 +913,16 @@ const UpdateVaultCard: React.FC = () => {
           Update existing Vault cards by uploading an Excel/CSV file following the UpdateCard schema. You can preview rows, edit Card No and DownloadCard, re-check photos, and execute updates.
         </p>
 
+        <div className="flex items-center gap-3 rounded-md border p-3">
+          <label className="text-sm font-medium">Vault environment</label>
+          <VaultEnvironmentSelect
+            environments={vaultEnv.environments}
+            value={vaultEnv.environmentId}
+            disabled={registering}
+            onChange={(id) => { vaultEnv.setEnvironmentId(id); setPreviewSummary(null); }}
+          />
+        </div>
+
         {/* Download Card Menu - CardDB */}
         <Card>
           <CardHeader>
@@ -572,17 +938,59 @@ const UpdateVaultCard: React.FC = () => {
                 <Input placeholder="Name, Card No, Staff No, Department" value={cardDbSearch} onChange={(e) => setCardDbSearch(e.target.value)} />
               </div>
               <div className="space-y-2">
-                <label className="text-sm font-medium">Limit</label>
-                <Input type="number" value={cardDbLimit} onChange={(e) => setCardDbLimit(Number(e.target.value) || 0)} />
+                <label className="text-sm font-medium">Page size</label>
+                <Input type="number" min={1} max={1000} value={cardDbLimit} onChange={(e) => setCardDbLimit(Number(e.target.value) || 0)} />
+              </div>
+              {([
+                ['department', 'Department', cardDbFacets.departments],
+                ['accessLevel', 'Access level', cardDbFacets.accessLevels],
+                ['vehicleNo', 'Vehicle No / MessHall', cardDbFacets.vehicleNos],
+              ] as const).map(([key, label, options]) => (
+                <div key={key} className="space-y-2">
+                  <label className="text-sm font-medium">{label}</label>
+                  {options.length > 0 ? (
+                    <Select value={cardDbFilters[key] || ANY_FILTER} onValueChange={(v) => setCardDbFilter(key, v)}>
+                      <SelectTrigger><SelectValue /></SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value={ANY_FILTER}>Any</SelectItem>
+                        {options.map((o) => <SelectItem key={o} value={o}>{o}</SelectItem>)}
+                      </SelectContent>
+                    </Select>
+                  ) : (
+                    <Input placeholder="Any" value={cardDbFilters[key]} onChange={(e) => setCardDbFilter(key, e.target.value)} />
+                  )}
+                </div>
+              ))}
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Active status</label>
+                <Select value={cardDbFilters.activeStatus || ANY_FILTER} onValueChange={(v) => setCardDbFilter('activeStatus', v)}>
+                  <SelectTrigger><SelectValue /></SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={ANY_FILTER}>Any</SelectItem>
+                    <SelectItem value="active">Active</SelectItem>
+                    <SelectItem value="inactive">Inactive</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Expiry from</label>
+                <Input type="date" value={cardDbFilters.expiryFrom} onChange={(e) => setCardDbFilter('expiryFrom', e.target.value)} />
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Expiry to</label>
+                <Input type="date" value={cardDbFilters.expiryTo} onChange={(e) => setCardDbFilter('expiryTo', e.target.value)} />
               </div>
               {/* Table is hard-coded on server; removed from UI */}
               <div className="flex items-end gap-2">
-                <Button variant="outline" onClick={fetchCardDb} disabled={cardDbLoading} className="w-full sm:w-auto">
+                <Button variant="outline" onClick={() => fetchCardDb()} disabled={cardDbLoading} className="w-full sm:w-auto">
                   {cardDbLoading ? 'Loading…' : 'Refresh'}
                 </Button>
-                <Button onClick={fetchCardDb} disabled={cardDbLoading} className="w-full sm:w-auto">
+                <Button onClick={() => fetchCardDb({ offset: 0 })} disabled={cardDbLoading} className="w-full sm:w-auto">
                   {cardDbLoading ? 'Searching…' : 'Search'}
                 </Button>
+                <Button variant="ghost" onClick={() => setCardDbFilters(EMPTY_CARDDB_FILTERS)} disabled={cardDbLoading} className="w-full sm:w-auto">
+                  Clear filters
+                </Button>
               </div>
             </div>
             <div className="overflow-x-auto">
@@ -595,17 +1003,17 @@ const UpdateVaultCard: React.FC = () => {
                         <span className="text-xs text-muted-foreground">Select all</span>
                       </div>
                     </th>
-                    <th className="py-2 pr-4">Card No</th>
-                    <th className="py-2 pr-4">Name</th>
-                    <th className="py-2 pr-4">Staff No</th>
-                    <th className="py-2 pr-4">Vehicle No</th>
-                    <th className="py-2 pr-4">Due Day</th>
-                    <th className="py-2 pr-4">Expiry Date</th>
-                    <th className="py-2 pr-4">Status</th>
-                    <th className="py-2 pr-4">Department</th>
-                    <th className="py-2 pr-4">Access</th>
-                    <th className="py-2 pr-4">Lift</th>
-                    <th className="py-2 pr-4">Face</th>
+                    {cardDbHeader('Card No', 'CardNo')}
+                    {cardDbHeader('Name', 'Name')}
+                    {cardDbHeader('Staff No', 'StaffNo')}
+                    {cardDbHeader('Vehicle No', 'VehicleNo')}
+                    {cardDbHeader('Due Day', 'DueDay')}
+                    {cardDbHeader('Expiry Date', 'ExpiryDate')}
+                    {cardDbHeader('Status', 'Status')}
+                    {cardDbHeader('Department', 'Department')}
+                    {cardDbHeader('Access', 'AccessLevel')}
+                    {cardDbHeader('Lift', 'LiftAccessLevel')}
+                    {cardDbHeader('Face', 'FaceAccessLevel')}
                     <th className="py-2 pr-4">Download Status</th>
                   </tr>
                 </thead>
@@ -666,9 +1074,30 @@ const UpdateVaultCard: React.FC = () => {
                 </tbody>
               </table>
             </div>
-            <div className="flex items-center justify-between">
-              <div className="text-sm text-muted-foreground">Selected: {visibleSelectedCount}</div>
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <div className="text-sm text-muted-foreground">
+                {cardDbTotal > 0
+                  ? `Showing ${cardDbOffset + 1}–${cardDbOffset + cardDbRows.length} of ${cardDbTotal} · page ${Math.floor(cardDbOffset / cardDbPageSize) + 1} of ${Math.max(1, Math.ceil(cardDbTotal / cardDbPageSize))}`
+                  : 'No matching users'}
+              </div>
               <div className="flex items-center gap-2">
+                <Button variant="outline" size="sm" onClick={() => fetchCardDb({ offset: Math.max(0, cardDbOffset - cardDbPageSize) })} disabled={cardDbLoading || cardDbOffset === 0}>
+                  Previous
+                </Button>
+                <Button variant="outline" size="sm" onClick={() => fetchCardDb({ offset: cardDbOffset + cardDbPageSize })} disabled={cardDbLoading || cardDbOffset + cardDbRows.length >= cardDbTotal}>
+                  Next
+                </Button>
+              </div>
+            </div>
+            <div className="flex items-center justify-between">
+              <div className="text-sm text-muted-foreground">Selected on this page: {visibleSelectedCount}</div>
+              <div className="flex flex-wrap items-center gap-2">
+                <Button variant="outline" onClick={() => exportCardDbToTemplate(true)} disabled={visibleSelectedCount === 0 || cardDbExporting}>
+                  Export selected to update template
+                </Button>
+                <Button variant="outline" onClick={() => exportCardDbToTemplate(false)} disabled={cardDbTotal === 0 || cardDbExporting}>
+                  {cardDbExporting ? 'Exporting…' : `Export all ${cardDbTotal} matching to update template`}
+                </Button>
                 <Button onClick={handleDownloadSelectedFromCardDb} disabled={visibleSelectedCount === 0 || cardDbLoading}>
                   Download selected cards
                 </Button>
@@ -717,6 +1146,10 @@ const UpdateVaultCard: React.FC = () => {
                   <div className="text-xs text-muted-foreground break-all">Uploaded: {uploadedUpdatePath}</div>
                 )}
               </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Column mapping</label>
+                <MappingProfileSelect kinds={['update']} value={mappingProfileId} onChange={(v) => { setMappingProfileId(v); setPreviewSummary(null); }} />
+              </div>
               <div className="flex items-end gap-2">
                 <Button onClick={handlePreviewUploadedUpdateCsv} disabled={uploadingUpdate || !uploadedUpdatePath} className="w-full sm:w-auto">
                   {previewing ? 'Preparing preview...' : 'Preview Uploaded File'}
@@ -765,10 +1198,6 @@ const UpdateVaultCard: React.FC = () => {
                 <label className="text-sm font-medium">Card No</label>
                 <Input placeholder="e.g. 1231231231" value={dbCardNo} onChange={(e) => setDbCardNo(e.target.value)} maxLength={10} />
               </div>
-              <div className="space-y-2">
-                <label className="text-sm font-medium">Vault Endpoint (optional)</label>
-                <Input placeholder="http://10.60.10.6/Vaultsite/APIwebservice.asmx" value={dbEndpoint} onChange={(e) => setDbEndpoint(e.target.value)} />
-              </div>
             </div>
 
             <Separator />
@@ -864,12 +1293,41 @@ const UpdateVaultCard: React.FC = () => {
               <CardTitle>Preview Cards to Update</CardTitle>
               <CardDescription>
                 Review the values before executing. Attempted {previewSummary.attempted}, With Photo {previewSummary.withPhoto}, Without Photo {previewSummary.withoutPhoto}
+                {typeof previewSummary.unchangedRows === 'number' && `, Changed ${previewSummary.changedRows ?? 0}, Unchanged ${previewSummary.unchangedRows}, Not in CardDB ${previewSummary.notInCardDb ?? 0}`}
+                {previewSummary.invalidRows !== undefined && `, Failing validation ${previewSummary.invalidRows}, With warnings ${previewSummary.warningRows ?? 0}`}
+                {(previewSummary.duplicateRows ?? 0) > 0 && `, Flagged as duplicate ${previewSummary.duplicateRows}`}
+                {previewSummary.mappingProfile && <span className="block">Column mapping: {describeAppliedMapping(previewSummary.mappingProfile)}</span>}
+                {previewSummary.environment && <span className="block">Target: {describeVaultEnvironment(previewSummary.environment)}</span>}
+                {describePhotoCounts(previewSummary) && <span className="block">Photos: {describePhotoCounts(previewSummary)}</span>}
               </CardDescription>
             </CardHeader>
             <CardContent className="space-y-4">
               <div className="text-sm text-amber-600">
                 Card No is required for each user. Staff No is employee ID (not card number). Please fill missing Card No values before executing.
               </div>
+              {previewSummary.errors.map((e, i) => (
+                <div key={i} className="text-sm text-red-600">{e.code}: {e.message}{e.code === 'CARDDB_LOOKUP_FAILED' && ' — changes against CardDB could not be computed.'}</div>
+              ))}
+              <div className="flex items-center gap-2">
+                <Switch id="only-changed" checked={onlyChanged} onCheckedChange={(checked) => setOnlyChanged(!!checked)} />
+                <label htmlFor="only-changed" className="text-sm">Only push rows that differ from CardDB</label>
+              </div>
+              {(previewSummary.duplicateRows ?? 0) > 0 && (
+                <div className="flex items-center gap-2">
+                  <Switch id="exclude-duplicates" checked={excludeDuplicates} onCheckedChange={(checked) => setExcludeDuplicates(!!checked)} />
+                  <label htmlFor="exclude-duplicates" className="text-sm">
+                    Skip the {previewSummary.duplicateRows} row(s) flagged as duplicate (Card No edits are re-checked when executing)
+                  </label>
+                </div>
+              )}
+              {(previewSummary.invalidRows ?? 0) > 0 && (
+                <div className="flex items-center gap-2">
+                  <Switch id="allow-invalid" checked={allowInvalid} onCheckedChange={(checked) => setAllowInvalid(!!checked)} />
+                  <label htmlFor="allow-invalid" className="text-sm">
+                    Also push the {previewSummary.invalidRows} row(s) failing validation (they are skipped otherwise)
+                  </label>
+                </div>
+              )}
               <div className="overflow-x-auto">
                 <table className="min-w-full text-sm">
                   <thead>
@@ -879,7 +1337,9 @@ const UpdateVaultCard: React.FC = () => {
                       <th className="py-2 pr-4">Department</th>
                       <th className="py-2 pr-4">Staff No</th>
                       <th className="py-2 pr-4">Photo</th>
+                      <th className="py-2 pr-4">Changes vs CardDB</th>
                       <th className="py-2 pr-4">Download Card</th>
+                      <th className="py-2 pr-4">Validation</th>
                       <th className="py-2 pr-4">Exec Status</th>
                       <th className="py-2 pr-4">Actions</th>
                     </tr>
@@ -887,7 +1347,7 @@ const UpdateVaultCard: React.FC = () => {
                   <tbody>
                     {previewSummary.details.length === 0 ? (
                       <tr>
-                        <td colSpan={7} className="py-3 text-muted-foreground">No rows found in file</td>
+                        <td colSpan={10} className="py-3 text-muted-foreground">No rows found in file</td>
                       </tr>
                     ) : (
                       previewSummary.details.map((d, idx) => (
@@ -903,7 +1363,22 @@ const UpdateVaultCard: React.FC = () => {
                           <td className="py-2 pr-4">{d.name || '-'}</td>
                           <td className="py-2 pr-4">{d.department || '-'}</td>
                           <td className="py-2 pr-4">{d.staffNo || '-'}</td>
-                          <td className="py-2 pr-4">{(photoChecks[idx] ?? d.hasPhoto) ? 'Yes' : 'No'}</td>
+                          <td className="py-2 pr-4"><VaultPhotoStatus hasPhoto={photoChecks[idx] ?? d.hasPhoto} photo={photoChecks[idx] === undefined ? d.photo : null} /></td>
+                          <td className="py-2 pr-4">
+                            {d.changed === false && <span className="text-xs text-muted-foreground">Unchanged</span>}
+                            {d.inCardDb === false && <span className="text-xs text-amber-600">Not in CardDB</span>}
+                            {d.changed && d.diff && (
+                              <div className="text-xs space-y-0.5 max-w-xs">
+                                {d.diff.slice(0, 4).map((f) => (
+                                  <div key={f.field} className="whitespace-normal break-words">
+                                    <span className="font-medium">{f.field}</span>: <span className="text-red-600 line-through">{f.before || '∅'}</span> → <span className="text-green-700">{f.after || '∅'}</span>
+                                  </div>
+                                ))}
+                                {d.diff.length > 4 && <div className="text-muted-foreground">+{d.diff.length - 4} more</div>}
+                              </div>
+                            )}
+                            {d.inCardDb === undefined && d.changed === undefined && <span className="text-xs text-muted-foreground">-</span>}
+                          </td>
                           <td className="py-2 pr-4">
                             {(() => {
                               const profile = d.profile as Record<string, unknown> | undefined;
@@ -921,6 +1396,13 @@ const UpdateVaultCard: React.FC = () => {
                               );
                             })()}
                           </td>
+                          <td className="py-2 pr-4">
+                            <div className="flex flex-wrap items-center gap-1">
+                              <VaultValidationBadge validation={d.validation} />
+                              <VaultDuplicateBadge duplicates={d.duplicates} />
+                              <MessHallRuleBadge accessRule={d.accessRule} />
+                            </div>
+                          </td>
                           <td className="py-2 pr-4">
                             {(() => {
                               const st = rowStatusMap[idx]?.state ?? 'idle';
@@ -934,6 +1416,17 @@ const UpdateVaultCard: React.FC = () => {
                                   {st === 'idle' && 'Idle'}
                                   {st === 'executing' && 'Executing…'}
                                   {st === 'success' && `Success (code ${code})${durStr}`}
+                                  {st === 'success' && rowStatusMap[idx]?.batchId && rowStatusMap[idx]?.requestId && (
+                                    <Button
+                                      size="sm"
+                                      variant="link"
+                                      className="h-auto p-0 ml-2"
+                                      disabled={rollingBack !== null}
+                                      onClick={() => handleRollback(rowStatusMap[idx]!.batchId!, [rowStatusMap[idx]!.requestId!])}
+                                    >
+                                      Undo
+                                    </Button>
+                                  )}
                                   {st === 'failed' && `Failed${message ? `: ${message}` : ''} (code ${code})${durStr}`}
                                 </div>
                               );
@@ -1002,6 +1495,9 @@ const UpdateVaultCard: React.FC = () => {
                       <Button onClick={handleExecuteUpdate} disabled={registering || !uploadedUpdatePath}>
                         {registering ? 'Executing...' : 'Execute update'}
                       </Button>
+                      <Button variant="outline" onClick={handleResume} disabled={registering || !uploadedUpdatePath}>
+                        Resume failed rows
+                      </Button>
                     </div>
                   );
                 })()}
@@ -1019,6 +1515,32 @@ const UpdateVaultCard: React.FC = () => {
 
             {selectedDetail ? (
               <div className="space-y-4 text-sm">
+                <VaultValidationList validation={selectedDetail.validation} />
+                <VaultDuplicateList duplicates={selectedDetail.duplicates} />
+                <MessHallRuleDetail accessRule={selectedDetail.accessRule} />
+                {selectedDetail.diff && selectedDetail.diff.length > 0 && (
+                  <div>
+                    <div className="font-medium mb-2">Changes vs CardDB</div>
+                    <table className="w-full text-xs">
+                      <thead>
+                        <tr className="text-left border-b">
+                          <th className="py-1 pr-4">Field</th>
+                          <th className="py-1 pr-4">CardDB (before)</th>
+                          <th className="py-1">Sheet (after)</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {selectedDetail.diff.map((f) => (
+                          <tr key={f.field} className="border-b">
+                            <td className="py-1 pr-4 text-muted-foreground">{f.field}</td>
+                            <td className="py-1 pr-4 font-mono break-all">{f.before || '-'}</td>
+                            <td className="py-1 font-mono break-all">{f.after || '-'}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
                 <div>
                   <div className="font-medium mb-2">Mapped profile</div>
                   <div className="grid grid-cols-2 gap-2">
@@ -1057,6 +1579,8 @@ const UpdateVaultCard: React.FC = () => {
           </DialogContent>
         </Dialog>
 
+        <VaultJobPanel activeJob={vaultJob} types={['VAULT_UPDATE_CSV']} onOpen={handleOpenVaultJob} />
+
         {regSummary && (
           <Card>
             <CardHeader>
@@ -1064,6 +1588,18 @@ const UpdateVaultCard: React.FC = () => {
               <CardDescription>
                 Attempted {regSummary.attempted}, Updated {regSummary.registered}, Skipped {regSummary.skipped ?? 0}
               </CardDescription>
+              {regSummary.batchId && (
+                <div>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    disabled={rollingBack !== null || regSummary.registered === 0}
+                    onClick={() => handleRollback(regSummary.batchId!)}
+                  >
+                    {rollingBack === regSummary.batchId ? 'Rolling back…' : 'Roll back this batch'}
+                  </Button>
+                </div>
+              )}
             </CardHeader>
             <CardContent className="space-y-4">
               <div className="grid grid-cols-2 sm:grid-cols-5 gap-3 text-sm">
@@ -1098,12 +1634,13 @@ const UpdateVaultCard: React.FC = () => {
                       <th className="py-2 pr-4">Photo</th>
                       <th className="py-2 pr-4">Resp Code</th>
                       <th className="py-2 pr-4">Resp Message</th>
+                      <th className="py-2 pr-4">Rollback</th>
                     </tr>
                   </thead>
                   <tbody>
                     {regSummary.details.length === 0 ? (
                       <tr>
-                        <td colSpan={5} className="py-3 text-muted-foreground">No per-card details returned</td>
+                        <td colSpan={6} className="py-3 text-muted-foreground">No per-card details returned</td>
                       </tr>
                     ) : (
                       regSummary.details.slice(0, 100).map((d, idx) => (
@@ -1113,6 +1650,18 @@ const UpdateVaultCard: React.FC = () => {
                           <td className="py-2 pr-4">{d.hasPhoto ? 'Yes' : 'No'}</td>
                           <td className="py-2 pr-4">{d.respCode || '-'}</td>
                           <td className="py-2 pr-4">{d.respMessage || '-'}</td>
+                          <td className="py-2 pr-4">
+                            {regSummary.batchId && d.requestId && (!d.respCode || String(d.respCode) === '0') ? (
+                              <Button
+                                size="sm"
+                                variant="outline"
+                                disabled={rollingBack !== null}
+                                onClick={() => handleRollback(regSummary.batchId!, [d.requestId!])}
+                              >
+                                {rollingBack === d.requestId ? 'Rolling back…' : 'Roll back'}
+                              </Button>
+                            ) : '-'}
+                          </td>
                         </tr>
                       ))
                     )}
@@ -1122,6 +1671,62 @@ const UpdateVaultCard: React.FC = () => {
             </CardContent>
           </Card>
         )}
+
+        <Card>
+          <CardHeader>
+            <CardTitle>Update History (Rollback)</CardTitle>
+            <CardDescription>
+              Every update stores the cards' previous CardDB values. Roll back a batch to replay those values to Vault.
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <Button variant="outline" onClick={loadSnapshotBatches} disabled={loadingSnapshots}>
+              {loadingSnapshots ? 'Loading…' : 'Load recent updates'}
+            </Button>
+            {snapshotBatches.length > 0 && (
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left border-b">
+                      <th className="py-2 pr-4">Time</th>
+                      <th className="py-2 pr-4">Source</th>
+                      <th className="py-2 pr-4">Cards</th>
+                      <th className="py-2 pr-4">Updated</th>
+                      <th className="py-2 pr-4">Restorable</th>
+                      <th className="py-2 pr-4">Rolled Back</th>
+                      <th className="py-2 pr-4">Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {snapshotBatches.map((b) => (
+                      <tr key={b.batchId} className="border-b">
+                        <td className="py-2 pr-4">{b.createdAt ? new Date(b.createdAt).toLocaleString() : '-'}</td>
+                        <td className="py-2 pr-4">
+                          <div>{b.source || '-'}</div>
+                          {b.csvPath && <div className="text-xs text-muted-foreground break-all">{b.csvPath}</div>}
+                        </td>
+                        <td className="py-2 pr-4">{b.cards}</td>
+                        <td className="py-2 pr-4">{b.updated}</td>
+                        <td className="py-2 pr-4">{b.restorable}</td>
+                        <td className="py-2 pr-4">{b.rolledBack}</td>
+                        <td className="py-2 pr-4">
+                          <Button
+                            size="sm"
+                            variant="outline"
+                            disabled={rollingBack !== null || b.restorable === 0}
+                            onClick={() => handleRollback(b.batchId)}
+                          >
+                            {rollingBack === b.batchId ? 'Rolling back…' : 'Roll back'}
+                          </Button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </CardContent>
+        </Card>
       </div>
     </AppLayout>
   );
@@ -0,0 +1,312 @@
+import React, { useCallback, useEffect, useState } from "react";
+import AppLayout from "@/components/AppLayout";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import { Switch } from "@/components/ui/switch";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from "@/components/ui/tooltip";
+import {
+  AlertDialog,
+  AlertDialogContent,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogCancel,
+  AlertDialogAction,
+} from "@/components/ui/alert-dialog";
+import { Pencil, Trash2, Copy } from "lucide-react";
+import { Separator } from "@/components/ui/separator";
+import { useToast } from "@/hooks/use-toast";
+import { fetchVaultEnvironments, type VaultEnvironment } from "@/lib/vaultEnvironments";
+
+type EnvironmentForm = Pick<VaultEnvironment, "name" | "endpointBaseUrl" | "soapVersion" | "namespace" | "soapActions" | "isProduction" | "description">;
+
+const emptyForm = (): EnvironmentForm => ({
+  name: "",
+  endpointBaseUrl: "",
+  soapVersion: "1.1",
+  namespace: "http://tempuri.org/",
+  soapActions: { addCard: "", updateCard: "WebAPI/UpdateCard", deleteCard: "WebAPI/DeleteCard" },
+  isProduction: false,
+  description: "",
+});
+
+const toForm = (e: VaultEnvironment): EnvironmentForm => ({
+  name: e.name,
+  endpointBaseUrl: e.endpointBaseUrl,
+  soapVersion: e.soapVersion,
+  namespace: e.namespace,
+  soapActions: { ...e.soapActions },
+  isProduction: e.isProduction,
+  description: e.description,
+});
+
+const readError = async (res: Response) => {
+  let message = `HTTP ${res.status}`;
+  try {
+    const data = await res.json();
+    const m = [data?.error, data?.details].filter(Boolean).join(": ") || message;
+    message = typeof m === "string" ? m : message;
+  } catch { void 0; }
+  return message;
+};
+
+const VaultEnvironments: React.FC = () => {
+  const { toast } = useToast();
+  const [environments, setEnvironments] = useState<VaultEnvironment[]>([]);
+  const [soapVersions, setSoapVersions] = useState<string[]>(["1.1", "1.2"]);
+  const [storeError, setStoreError] = useState<string | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [openEdit, setOpenEdit] = useState(false);
+  const [editing, setEditing] = useState<VaultEnvironment | null>(null);
+  const [form, setForm] = useState<EnvironmentForm>(emptyForm);
+  const [confirmDelete, setConfirmDelete] = useState<VaultEnvironment | null>(null);
+
+  const fetchEnvironments = useCallback(async () => {
+    setLoading(true);
+    try {
+      const catalog = await fetchVaultEnvironments();
+      setEnvironments(catalog.environments);
+      if (catalog.soapVersions.length > 0) setSoapVersions(catalog.soapVersions);
+      setStoreError(catalog.storeError);
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      toast({ title: "Load Vault environments failed", description: msg, variant: "destructive" });
+    } finally {
+      setLoading(false);
+    }
+  }, [toast]);
+
+  useEffect(() => { fetchEnvironments(); }, [fetchEnvironments]);
+
+  const startCreate = () => {
+    setEditing(null);
+    setForm(emptyForm());
+    setOpenEdit(true);
+  };
+
+  const startEdit = (e: VaultEnvironment) => {
+    setEditing(e);
+    setForm(toForm(e));
+    setOpenEdit(true);
+  };
+
+  const startDuplicate = (e: VaultEnvironment) => {
+    setEditing(null);
+    setForm({ ...toForm(e), name: `${e.name} (copy)` });
+    setOpenEdit(true);
+  };
+
+  const setAction = (key: keyof EnvironmentForm["soapActions"], value: string) => {
+    setForm(f => ({ ...f, soapActions: { ...f.soapActions, [key]: value } }));
+  };
+
+  const submitForm = async () => {
+    try {
+      const url = editing ? `/api/vault/environments/${editing.id}` : "/api/vault/environments";
+      const method = editing ? "PUT" : "POST";
+      const res = await fetch(url, { method, headers: { "Content-Type": "application/json" }, body: JSON.stringify(form), credentials: "include" });
+      if (!res.ok) throw new Error(await readError(res));
+      await fetchEnvironments();
+      setOpenEdit(false);
+      toast({ title: editing ? "Vault environment updated" : "Vault environment created" });
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      toast({ title: "Save failed", description: msg, variant: "destructive" });
+    }
+  };
+
+  const deleteEnvironment = async (id: string) => {
+    try {
+      const res = await fetch(`/api/vault/environments/${id}`, { method: "DELETE", credentials: "include" });
+      if (!res.ok) throw new Error(await readError(res));
+      await fetchEnvironments();
+      toast({ title: "Vault environment deleted" });
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      toast({ title: "Delete failed", description: msg, variant: "destructive" });
+    }
+  };
+
+  return (
+    <AppLayout title="Vault Environments">
+      <TooltipProvider>
+      <div className="space-y-6">
+        <p className="text-muted-foreground text-sm">
+          Named Vault endpoints with their SOAP settings. The Register, Update, Deactivate and SOAP log pages send to the
+          environment picked there; batches against a production environment ask for confirmation first.
+        </p>
+        {storeError && (
+          <div className="text-sm text-amber-700">Stored environments are unavailable (only the server default is listed): {storeError}</div>
+        )}
+        <Card>
+          <CardHeader>
+            <CardTitle>Environments</CardTitle>
+            <CardDescription>The server default comes from the .env file and is read-only; duplicate it to register a variant</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="flex gap-2">
+              <Button variant="outline" onClick={fetchEnvironments} disabled={loading}>{loading ? "Loading…" : "Refresh"}</Button>
+              <Button onClick={startCreate} disabled={!!storeError}>New Environment</Button>
+            </div>
+            <Separator />
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left border-b">
+                    <th className="py-2 pr-4">Name</th>
+                    <th className="py-2 pr-4">Endpoint</th>
+                    <th className="py-2 pr-4">SOAP</th>
+                    <th className="py-2 pr-4">Updated by</th>
+                    <th className="py-2 pr-4">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {environments.length === 0 ? (
+                    <tr><td className="py-3 text-muted-foreground" colSpan={5}>No Vault environments found</td></tr>
+                  ) : (
+                    environments.map(e => (
+                      <tr key={e.id} className="border-b">
+                        <td className="py-2 pr-4">
+                          <div className="flex items-center gap-2">
+                            <span>{e.name}</span>
+                            {e.builtIn && <Badge variant="secondary">Built-in</Badge>}
+                            {e.isProduction && <Badge variant="destructive">Production</Badge>}
+                          </div>
+                          {e.description && <div className="text-xs text-muted-foreground">{e.description}</div>}
+                        </td>
+                        <td className="py-2 pr-4 break-all">{e.endpointBaseUrl}</td>
+                        <td className="py-2 pr-4">{e.soapVersion}</td>
+                        <td className="py-2 pr-4">{e.updatedBy || "-"}</td>
+                        <td className="py-2 pr-4">
+                          <div className="flex gap-2">
+                            <Tooltip>
+                              <TooltipTrigger asChild>
+                                <Button variant="ghost" size="icon" aria-label={e.builtIn ? "View" : "Edit"} onClick={() => startEdit(e)}>
+                                  <Pencil className="h-4 w-4" />
+                                </Button>
+                              </TooltipTrigger>
+                              <TooltipContent>{e.builtIn ? "View" : "Edit"}</TooltipContent>
+                            </Tooltip>
+                            <Tooltip>
+                              <TooltipTrigger asChild>
+                                <Button variant="ghost" size="icon" aria-label="Duplicate" disabled={!!storeError} onClick={() => startDuplicate(e)}>
+                                  <Copy className="h-4 w-4" />
+                                </Button>
+                              </TooltipTrigger>
+                              <TooltipContent>Duplicate</TooltipContent>
+                            </Tooltip>
+                            {!e.builtIn && (
+                              <Tooltip>
+                                <TooltipTrigger asChild>
+                                  <Button variant="ghost" size="icon" aria-label="Delete" onClick={() => setConfirmDelete(e)}>
+                                    <Trash2 className="h-4 w-4" />
+                                  </Button>
+                                </TooltipTrigger>
+                                <TooltipContent>Delete</TooltipContent>
+                              </Tooltip>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </CardContent>
+        </Card>
+
+        <AlertDialog open={!!confirmDelete} onOpenChange={(v) => { if (!v) setConfirmDelete(null); }}>
+          <AlertDialogContent>
+            <AlertDialogHeader>
+              <AlertDialogTitle>Delete Vault environment?</AlertDialogTitle>
+              <AlertDialogDescription>
+                {confirmDelete?.name} will be permanently deleted. Pages that had it selected fall back to the server default.
+              </AlertDialogDescription>
+            </AlertDialogHeader>
+            <AlertDialogFooter>
+              <AlertDialogCancel onClick={() => setConfirmDelete(null)}>Cancel</AlertDialogCancel>
+              <AlertDialogAction
+                onClick={async () => {
+                  if (confirmDelete) {
+                    await deleteEnvironment(confirmDelete.id);
+                  }
+                  setConfirmDelete(null);
+                }}
+              >
+                Delete
+              </AlertDialogAction>
+            </AlertDialogFooter>
+          </AlertDialogContent>
+        </AlertDialog>
+
+        <Dialog open={openEdit} onOpenChange={setOpenEdit}>
+          <DialogContent className="max-w-2xl max-h-[85vh] overflow-y-auto">
+            <DialogHeader>
+              <DialogTitle>{editing ? (editing.builtIn ? editing.name : "Edit Vault Environment") : "New Vault Environment"}</DialogTitle>
+            </DialogHeader>
+            <fieldset disabled={!!editing?.builtIn} className="space-y-4">
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label className="text-sm font-medium">Name</label>
+                  <Input value={form.name} onChange={e => setForm(f => ({ ...f, name: e.target.value }))} />
+                </div>
+                <div>
+                  <label className="text-sm font-medium">SOAP version</label>
+                  <Select value={form.soapVersion} onValueChange={(v) => setForm(f => ({ ...f, soapVersion: v }))} disabled={!!editing?.builtIn}>
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {soapVersions.map(v => <SelectItem key={v} value={v}>SOAP {v}</SelectItem>)}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div className="sm:col-span-2">
+                  <label className="text-sm font-medium">Endpoint URL</label>
+                  <Input placeholder="http://10.60.10.6/Vaultsite/APIwebservice.asmx" value={form.endpointBaseUrl} onChange={e => setForm(f => ({ ...f, endpointBaseUrl: e.target.value }))} />
+                </div>
+                <div className="sm:col-span-2">
+                  <label className="text-sm font-medium">Namespace</label>
+                  <Input value={form.namespace} onChange={e => setForm(f => ({ ...f, namespace: e.target.value }))} />
+                </div>
+                <div>
+                  <label className="text-sm font-medium">AddCard SOAPAction</label>
+                  <Input placeholder="(none)" value={form.soapActions.addCard} onChange={e => setAction("addCard", e.target.value)} />
+                </div>
+                <div>
+                  <label className="text-sm font-medium">UpdateCard SOAPAction</label>
+                  <Input value={form.soapActions.updateCard} onChange={e => setAction("updateCard", e.target.value)} />
+                </div>
+                <div>
+                  <label className="text-sm font-medium">DeleteCard SOAPAction</label>
+                  <Input value={form.soapActions.deleteCard} onChange={e => setAction("deleteCard", e.target.value)} />
+                </div>
+                <div className="flex items-center gap-3 sm:self-end">
+                  <Switch id="env-production" checked={form.isProduction} onCheckedChange={(v) => setForm(f => ({ ...f, isProduction: !!v }))} />
+                  <label htmlFor="env-production" className="text-sm font-medium">Production (ask before sending)</label>
+                </div>
+                <div className="sm:col-span-2">
+                  <label className="text-sm font-medium">Description</label>
+                  <Input value={form.description} onChange={e => setForm(f => ({ ...f, description: e.target.value }))} />
+                </div>
+              </div>
+            </fieldset>
+            <div className="flex justify-end gap-2 mt-4">
+              <Button variant="outline" onClick={() => setOpenEdit(false)}>{editing?.builtIn ? "Close" : "Cancel"}</Button>
+              {!editing?.builtIn && <Button onClick={submitForm}>{editing ? "Save" : "Create"}</Button>}
+            </div>
+          </DialogContent>
+        </Dialog>
+      </div>
+      </TooltipProvider>
+    </AppLayout>
+  );
+};
+
+export default VaultEnvironments;
@@ -0,0 +1,419 @@
+import React, { useEffect, useState } from "react";
+import AppLayout from "@/components/AppLayout";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import { useToast } from "@/hooks/use-toast";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { describeVaultEnvironment, fetchVaultEnvironments, type VaultEnvironment } from "@/lib/vaultEnvironments";
+
+type ExchangeLog = 'register' | 'update';
+type ExchangeResult = 'ok' | 'failed' | 'pending';
+
+type LogSource = {
+  source: string;
+  logs: ExchangeLog[];
+  updatedAt: string;
+};
+
+type SoapExchange = {
+  id: string;
+  log: ExchangeLog;
+  line: number;
+  event: string;
+  operation?: string;
+  index?: number;
+  requestId?: string;
+  replayOf?: string;
+  cardNo?: string;
+  name?: string;
+  endpointBaseUrl?: string;
+  requestedAt: string;
+  respondedAt?: string;
+  durationMs?: number;
+  result: ExchangeResult;
+  code?: string;
+  httpStatus?: number;
+  errCode?: string;
+  errMessage?: string;
+  attempts?: number;
+  envelope?: string;
+  raw?: string;
+};
+
+type ReplayResult = {
+  replayId: string;
+  replayOf: string;
+  operation: string;
+  endpointBaseUrl: string;
+  ok: boolean;
+  code?: string;
+  httpStatus?: number;
+  errMessage?: string;
+  durationMs?: number;
+};
+
+type ExchangeFilters = {
+  log: ExchangeLog | 'all';
+  cardNo: string;
+  result: ExchangeResult | 'all';
+  errCode: string;
+  from: string;
+  to: string;
+};
+
+const emptyFilters: ExchangeFilters = { log: 'all', cardNo: '', result: 'all', errCode: '', from: '', to: '' };
+
+const resultStyles: Record<ExchangeResult, string> = {
+  ok: 'text-green-600',
+  failed: 'text-red-600',
+  pending: 'text-muted-foreground',
+};
+
+// Put every tag on its own line and indent by nesting depth (envelopes are logged as sent)
+const formatXml = (xml?: string) => {
+  if (!xml) return '';
+  let depth = 0;
+  return xml.replace(/>\s*</g, '>\n<').split('\n').map((line) => {
+    const tag = line.trim();
+    if (tag.startsWith('</')) depth = Math.max(depth - 1, 0);
+    const out = '  '.repeat(depth) + tag;
+    if (/^<[^!?/][^>]*>$/.test(tag) && !tag.endsWith('/>')) depth += 1;
+    return out;
+  }).join('\n');
+};
+
+// Replay target meaning "the endpoint the exchange was originally sent to"
+const ORIGINAL_ENDPOINT = 'original';
+
+const VaultLogViewer: React.FC = () => {
+  const { toast } = useToast();
+  const [isAdmin, setIsAdmin] = useState(false);
+  const [sources, setSources] = useState<LogSource[]>([]);
+  const [source, setSource] = useState('');
+  const [filters, setFilters] = useState<ExchangeFilters>(emptyFilters);
+  const [exchanges, setExchanges] = useState<SoapExchange[]>([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [selected, setSelected] = useState<SoapExchange | null>(null);
+  const [environments, setEnvironments] = useState<VaultEnvironment[]>([]);
+  const [replayEnvironmentId, setReplayEnvironmentId] = useState(ORIGINAL_ENDPOINT);
+  const [replaying, setReplaying] = useState(false);
+  const [replay, setReplay] = useState<ReplayResult | null>(null);
+
+  useEffect(() => {
+    (async () => {
+      try {
+        const res = await fetch('/api/auth/me', { credentials: 'include' });
+        if (res.ok) {
+          const data = await res.json();
+          setIsAdmin(data?.user?.role === 'Admin');
+        }
+      } catch { void 0; }
+    })();
+    (async () => {
+      try {
+        const res = await fetch('/api/vault/exchanges/sources', { credentials: 'include' });
+        const data = await res.json();
+        if (!res.ok || !data.success) throw new Error(data.details || data.error || `HTTP ${res.status}`);
+        const list = (data.sources || []) as LogSource[];
+        setSources(list);
+        if (list.length > 0) setSource(list[0].source);
+      } catch (err) {
+        const message = err instanceof Error ? err.message : String(err);
+        toast({ title: 'Failed to load log sources', description: message, variant: 'destructive' });
+      }
+    })();
+    fetchVaultEnvironments()
+      .then((catalog) => setEnvironments(catalog.environments))
+      .catch(() => setEnvironments([]));
+  }, [toast]);
+
+  const loadExchanges = async (from: string = source, f: ExchangeFilters = filters) => {
+    if (!from) return;
+    const params = new URLSearchParams({ source: from });
+    if (f.log !== 'all') params.set('log', f.log);
+    if (f.result !== 'all') params.set('result', f.result);
+    if (f.cardNo.trim()) params.set('cardNo', f.cardNo.trim());
+    if (f.errCode.trim()) params.set('errCode', f.errCode.trim());
+    if (f.from) params.set('from', new Date(f.from).toISOString());
+    if (f.to) params.set('to', new Date(f.to).toISOString());
+    try {
+      setLoading(true);
+      const res = await fetch(`/api/vault/exchanges?${params.toString()}`, { credentials: 'include' });
+      const data = await res.json();
+      if (!res.ok || !data.success) throw new Error(data.details || data.error || `HTTP ${res.status}`);
+      setExchanges(data.exchanges || []);
+      setTotal(data.total || 0);
+    } catch (err) {
+      const message = err instanceof Error ? err.message : String(err);
+      toast({ title: 'Failed to load SOAP exchanges', description: message, variant: 'destructive' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Reload whenever another log source is picked; filters apply on Search
+  useEffect(() => {
+    setSelected(null);
+    setReplay(null);
+    loadExchanges(source);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [source]);
+
+  const openExchange = async (id: string) => {
+    try {
+      const res = await fetch(`/api/vault/exchanges/${encodeURIComponent(id)}?source=${encodeURIComponent(source)}`, { credentials: 'include' });
+      const data = await res.json();
+      if (!res.ok || !data.success) throw new Error(data.details || data.error || `HTTP ${res.status}`);
+      setSelected(data.exchange as SoapExchange);
+      setReplay(null);
+      setReplayEnvironmentId(ORIGINAL_ENDPOINT);
+    } catch (err) {
+      const message = err instanceof Error ? err.message : String(err);
+      toast({ title: 'Failed to open exchange', description: message, variant: 'destructive' });
+    }
+  };
+
+  const handleReplay = async () => {
+    if (!selected) return;
+    const target = environments.find((e) => e.id === replayEnvironmentId);
+    const endpoint = target ? describeVaultEnvironment(target) : (selected.endpointBaseUrl || 'the server default endpoint');
+    if (!window.confirm(`Re-send ${selected.operation || 'this request'} for card ${selected.cardNo || '-'} to ${endpoint}?`)) return;
+    try {
+      setReplaying(true);
+      const send = (confirmProduction?: boolean) => fetch('/api/vault/exchanges/replay', {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ source, id: selected.id, environmentId: target?.id, confirmProduction }),
+      });
+      let res = await send();
+      let data = await res.json();
+      // The original endpoint may be a production or an unregistered environment; the server names it and wants an explicit yes
+      if (res.status === 428 && data.requiresConfirmation) {
+        const warning = data.environment?.custom
+          ? `The original endpoint ${data.environment.endpointBaseUrl} is not a registered Vault environment and may be PRODUCTION.`
+          : `The original endpoint is PRODUCTION Vault ${describeVaultEnvironment(data.environment)}.`;
+        if (!window.confirm(`${warning}\n\nRe-send anyway?`)) return;
+        res = await send(true);
+        data = await res.json();
+      }
+      if (!res.ok || !data.success) throw new Error(data.details || data.error || `HTTP ${res.status}`);
+      const result = data.replay as ReplayResult;
+      setReplay(result);
+      toast({
+        title: result.ok ? 'Replay succeeded' : 'Replay failed',
+        description: `${result.operation} ${result.code ?? ''} ${result.errMessage ?? ''}`.trim(),
+        variant: result.ok ? undefined : 'destructive',
+      });
+      loadExchanges();
+    } catch (err) {
+      const message = err instanceof Error ? err.message : String(err);
+      toast({ title: 'Replay failed', description: message, variant: 'destructive' });
+    } finally {
+      setReplaying(false);
+    }
+  };
+
+  const setFilter = <K extends keyof ExchangeFilters>(key: K, value: ExchangeFilters[K]) => setFilters((prev) => ({ ...prev, [key]: value }));
+
+  return (
+    <AppLayout title="Vault SOAP Log">
+      <div className="space-y-6">
+        <p className="text-muted-foreground text-sm">
+          SOAP requests sent to Vault and the responses received, read from the registration and update logs. Photos are redacted in the log and re-attached from the batch folder when a request is re-sent.
+        </p>
+
+        <Card>
+          <CardHeader>
+            <CardTitle>Filter Exchanges</CardTitle>
+            <CardDescription>Pick the batch folder whose logs to read, then narrow down by card, result, error code or time.</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <div className="space-y-2 sm:col-span-2">
+                <label className="text-sm font-medium">Log source</label>
+                <Select value={source} onValueChange={setSource}>
+                  <SelectTrigger>
+                    <SelectValue placeholder={sources.length === 0 ? 'No Vault logs found' : 'Select a log source'} />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {sources.map((s) => (
+                      <SelectItem key={s.source} value={s.source}>
+                        {s.source} ({s.logs.join(', ')}) • {new Date(s.updatedAt).toLocaleString()}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Log</label>
+                <Select value={filters.log} onValueChange={(v) => setFilter('log', v as ExchangeFilters['log'])}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="all">Registration and update</SelectItem>
+                    <SelectItem value="register">Registration</SelectItem>
+                    <SelectItem value="update">Update</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+            <div className="grid grid-cols-1 sm:grid-cols-5 gap-4">
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Card No</label>
+                <Input value={filters.cardNo} onChange={(e) => setFilter('cardNo', e.target.value)} />
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Result</label>
+                <Select value={filters.result} onValueChange={(v) => setFilter('result', v as ExchangeFilters['result'])}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="all">Any</SelectItem>
+                    <SelectItem value="ok">Succeeded</SelectItem>
+                    <SelectItem value="failed">Failed</SelectItem>
+                    <SelectItem value="pending">No response logged</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Error code</label>
+                <Input placeholder="e.g. -2, SOAP_FAULT, HTTP_500" value={filters.errCode} onChange={(e) => setFilter('errCode', e.target.value)} />
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium">From</label>
+                <Input type="datetime-local" value={filters.from} onChange={(e) => setFilter('from', e.target.value)} />
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium">To</label>
+                <Input type="datetime-local" value={filters.to} onChange={(e) => setFilter('to', e.target.value)} />
+              </div>
+            </div>
+            <div className="flex gap-2">
+              <Button onClick={() => loadExchanges()} disabled={loading || !source}>
+                {loading ? 'Loading…' : 'Search'}
+              </Button>
+              <Button variant="outline" onClick={() => { setFilters(emptyFilters); loadExchanges(source, emptyFilters); }} disabled={loading || !source}>
+                Clear filters
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <CardTitle>Exchanges</CardTitle>
+            <CardDescription>
+              {total > exchanges.length ? `Showing the newest ${exchanges.length} of ${total} matching exchanges` : `${total} matching exchange(s)`}
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            {exchanges.length === 0 ? (
+              <div className="text-sm text-muted-foreground">No SOAP exchanges match.</div>
+            ) : (
+              <div className="overflow-x-auto max-h-[420px] overflow-y-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left border-b">
+                      <th className="py-2 pr-4">Sent</th>
+                      <th className="py-2 pr-4">Operation</th>
+                      <th className="py-2 pr-4">Card No</th>
+                      <th className="py-2 pr-4">Name</th>
+                      <th className="py-2 pr-4">Result</th>
+                      <th className="py-2 pr-4">Code</th>
+                      <th className="py-2 pr-4">Duration</th>
+                      <th className="py-2 pr-4"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {exchanges.map((ex) => (
+                      <tr key={ex.id} className={`border-b ${selected?.id === ex.id ? 'bg-muted' : ''}`}>
+                        <td className="py-2 pr-4 whitespace-nowrap">{new Date(ex.requestedAt).toLocaleString()}</td>
+                        <td className="py-2 pr-4">
+                          {ex.operation || '-'}
+                          {ex.replayOf && <Badge variant="secondary" className="ml-2">Replay</Badge>}
+                        </td>
+                        <td className="py-2 pr-4 font-mono">{ex.cardNo || '-'}</td>
+                        <td className="py-2 pr-4">{ex.name || '-'}</td>
+                        <td className={`py-2 pr-4 ${resultStyles[ex.result]}`}>{ex.result}</td>
+                        <td className="py-2 pr-4" title={ex.errMessage}>{ex.code ?? '-'}</td>
+                        <td className="py-2 pr-4">{ex.durationMs !== undefined ? `${ex.durationMs} ms` : '-'}</td>
+                        <td className="py-2 pr-4">
+                          <Button variant="outline" size="sm" onClick={() => openExchange(ex.id)}>View</Button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+
+        {selected && (
+          <Card>
+            <CardHeader>
+              <CardTitle>
+                {selected.operation || 'Request'} • Card {selected.cardNo || '-'}
+              </CardTitle>
+              <CardDescription>
+                {selected.event} (line {selected.line}) • Sent {new Date(selected.requestedAt).toLocaleString()}
+                {selected.endpointBaseUrl ? ` to ${selected.endpointBaseUrl}` : ''}
+                {selected.httpStatus !== undefined ? ` • HTTP ${selected.httpStatus}` : ''}
+                {selected.errMessage ? ` • ${selected.errMessage}` : ''}
+                {selected.replayOf ? ` • Replay of ${selected.replayOf}` : ''}
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                <div className="space-y-2">
+                  <div className="text-sm font-medium">Request envelope</div>
+                  <pre className="text-xs bg-muted rounded p-3 overflow-auto max-h-[480px]">{formatXml(selected.envelope) || '(not logged)'}</pre>
+                </div>
+                <div className="space-y-2">
+                  <div className="text-sm font-medium">Response</div>
+                  <pre className="text-xs bg-muted rounded p-3 overflow-auto max-h-[480px]">{formatXml(selected.raw) || '(no response logged)'}</pre>
+                </div>
+              </div>
+              {isAdmin && (
+                <div className="space-y-2">
+                  <label className="text-sm font-medium">Re-send to environment</label>
+                  <div className="flex flex-col sm:flex-row gap-2">
+                    <Select value={replayEnvironmentId} onValueChange={setReplayEnvironmentId}>
+                      <SelectTrigger className="sm:w-[360px]">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value={ORIGINAL_ENDPOINT}>Original endpoint ({selected.endpointBaseUrl || 'server default'})</SelectItem>
+                        {environments.map((e) => (
+                          <SelectItem key={e.id} value={e.id}>{e.name}{e.isProduction ? ' (production)' : ''}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                    <Button onClick={handleReplay} disabled={replaying || !selected.envelope}>
+                      {replaying ? 'Sending…' : 'Re-send request'}
+                    </Button>
+                  </div>
+                  {replay && (
+                    <div className={`text-sm ${replay.ok ? 'text-green-600' : 'text-red-600'}`}>
+                      Replay {replay.replayId.slice(0, 8)} to {replay.endpointBaseUrl}: {replay.ok ? 'succeeded' : 'failed'}
+                      {replay.code ? ` • ${replay.code}` : ''}{replay.errMessage ? ` • ${replay.errMessage}` : ''}
+                      {replay.durationMs !== undefined ? ` (${replay.durationMs} ms)` : ''}
+                    </div>
+                  )}
+                </div>
+              )}
+            </CardContent>
+          </Card>
+        )}
+      </div>
+    </AppLayout>
+  );
+};
+
+export default VaultLogViewer;